@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
 
 const audiobookSchema = new mongoose.Schema({
   name: {
@@ -28,5 +29,8 @@ const audiobookSchema = new mongoose.Schema({
   },
 }, { timestamps: true });
 
+// Deleted records go to the trash first
+audiobookSchema.plugin(softDelete);
+
 export default mongoose.model('Audiobook', audiobookSchema);
 
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = ['create', 'update', 'revert', 'merge', 'delete', 'restore', 'purge'];
+
+/**
+ * One recorded mutation: who did what to which record, with the record as it
+ * was before and after. The collection is append-only; entries are never
+ * updated or removed through the application.
+ */
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    email: { type: String, default: null },
+    uid: { type: String, default: null },
+    isAdmin: { type: Boolean, default: false },
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true,
+  },
+  target: {
+    collection: { type: String, required: true },
+    id: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Extra context, e.g. the number of records of a bulk operation
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+}, { versionKey: false });
+
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ 'target.collection': 1, 'target.id': 1, timestamp: -1 });
+auditLogSchema.index({ 'actor.email': 1, timestamp: -1 });
+
+const rejectChange = function (next) {
+  next(new Error('Audit log entries cannot be changed or removed'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+export default mongoose.model('AuditLog', auditLogSchema);
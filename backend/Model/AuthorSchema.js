@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { tokenize } from '../utils/text.js';
+
+/**
+ * Comparable form of an author name: normalized words joined by single
+ * spaces, so "J.R.R. Tolkien" and "J. R. R. Tolkien", or "Brontë" and
+ * "Bronte", meet
+ * @param {string} name - Name as written
+ * @returns {string} Name key
+ */
+export const authorNameKey = (name) => tokenize(name).join(' ');
+
+/**
+ * An Author is a person credited on works. Works link to authors through
+ * Work.authorIds (many-to-many); `aliases` are the other spellings and pen
+ * names the same person is listed under, and resolve to this author too.
+ */
+const authorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  aliases: {
+    type: [String],
+    default: [],
+  },
+  bio: {
+    type: String,
+    required: false,
+  },
+  photo: {
+    type: String,
+    required: false,
+  },
+  birthYear: {
+    type: Number,
+    required: false,
+  },
+  deathYear: {
+    type: Number,
+    required: false,
+  },
+  // Name keys of name and aliases, for matching credited names to authors.
+  // Maintained by the hook below.
+  nameKeys: {
+    type: [String],
+    default: [],
+    index: true,
+    select: false,
+  },
+}, { timestamps: true });
+
+authorSchema.pre('save', function (next) {
+  if (this.isModified('name') || this.isModified('aliases')) {
+    this.nameKeys = [...new Set([this.name, ...this.aliases].map(authorNameKey).filter(Boolean))];
+  }
+  next();
+});
+
+export default mongoose.model('Author', authorSchema);
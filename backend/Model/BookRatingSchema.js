@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+/**
+ * One reader's rating of a book. A book's `rating` and `reviewCount` are the
+ * average and number of its ratings, so rating again replaces the reader's
+ * earlier rating instead of adding a vote.
+ */
+const bookRatingSchema = new mongoose.Schema({
+  uid: {
+    type: String,
+    required: true,
+  },
+  book: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Book',
+    required: true,
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: [0, 'Rating cannot be below 0'],
+    max: [5, 'Rating cannot be above 5'],
+  },
+}, { timestamps: true });
+
+bookRatingSchema.index({ book: 1, uid: 1 }, { unique: true });
+
+export default mongoose.model('BookRating', bookRatingSchema);
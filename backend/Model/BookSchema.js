@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
 
 const bookSchema = new mongoose.Schema({
   name: {
@@ -22,6 +23,91 @@ const bookSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  description: {
+    type: String,
+    required: false,
+    trim: true,
+    maxlength: [5000, 'Description cannot exceed 5000 characters'],
+  },
+  genre: {
+    type: String,
+    trim: true,
+    default: 'Other',
+    index: true,
+  },
+  publishDate: {
+    type: Date,
+    required: false,
+  },
+  publisher: {
+    type: String,
+    required: false,
+    trim: true,
+  },
+  language: {
+    type: String,
+    trim: true,
+    default: 'English',
+  },
+  pages: {
+    type: Number,
+    required: false,
+    min: [1, 'Pages must be at least 1'],
+  },
+  rating: {
+    type: Number,
+    default: 0,
+    min: [0, 'Rating cannot be below 0'],
+    max: [5, 'Rating cannot be above 5'],
+    index: true,
+  },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Review count cannot be negative'],
+  },
+  price: {
+    type: Number,
+    required: false,
+    min: [0, 'Price cannot be negative'],
+    index: true,
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100 percent'],
+  },
+  copies: {
+    type: Number,
+    default: 0,
+    min: [0, 'Copies cannot be negative'],
+  },
+  availability: {
+    type: Boolean,
+    default: true,
+  },
+  featured: {
+    type: Boolean,
+    default: false,
+  },
+  tags: {
+    type: [String],
+    default: [],
+  },
+  views: {
+    type: Number,
+    default: 0,
+    min: [0, 'Views cannot be negative'],
+  },
+  downloads: {
+    type: Number,
+    default: 0,
+    min: [0, 'Downloads cannot be negative'],
+  },
 }, { timestamps: true });
 
+// Deleted records go to the trash first
+bookSchema.plugin(softDelete);
+
 export default mongoose.model('book', bookSchema);
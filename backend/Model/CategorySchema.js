@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/**
+ * A Category is one subject in the browse taxonomy ("Fiction" > "Fantasy").
+ * Its name is the genre facet value of the works it lists; `parent` makes
+ * it a subgenre, and siblings are shown by `order`, then name.
+ */
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+    index: true,
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+  description: {
+    type: String,
+    required: false,
+  },
+  // Cover for category tiles; tiles without one show a book's cover
+  image_link: {
+    type: String,
+    default: null,
+  },
+  // Legacy per-category collection (see Model/legacyCollections.js) whose
+  // records belong to this category, e.g. 'fiction'
+  legacyCollection: {
+    type: String,
+    default: null,
+  },
+}, { timestamps: true });
+
+categorySchema.index({ parent: 1, order: 1, name: 1 });
+
+export default mongoose.model('Category', categorySchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
 
 const ebookSchema = new mongoose.Schema({
   name: {
@@ -24,5 +25,8 @@ const ebookSchema = new mongoose.Schema({
   },
 }, { timestamps: true });
 
+// Deleted records go to the trash first
+ebookSchema.plugin(softDelete);
+
 export default mongoose.model('EBook', ebookSchema);
 
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+export const EDITION_FORMATS = ['print', 'ebook', 'audiobook'];
+
+// Where an acquisition link leads: a shop, the publisher's own store, a
+// library lookup (e.g. WorldCat) or a subscription service
+export const ACQUISITION_TYPES = ['retailer', 'publisher', 'library', 'subscription'];
+
+const isHttpUrl = (value) => /^https?:\/\/\S+$/i.test(value);
+
+// One place to buy or borrow an edition. The affiliate tag is added to the
+// URL when the link is opened, so the stored URL stays clean.
+const acquisitionLinkSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ACQUISITION_TYPES,
+    required: true,
+  },
+  // Shown on the button, e.g. "Bookshop.org" or "WorldCat"
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: { validator: isHttpUrl, message: 'Acquisition link URL must be an http(s) URL' },
+  },
+  // ISO 3166-1 alpha-2 country code; empty for links that work everywhere
+  region: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Region must be a two-letter country code, e.g. US or GB'],
+    default: null,
+  },
+  price: {
+    amount: { type: Number, min: 0 },
+    currency: { type: String, uppercase: true, match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code, e.g. USD'] },
+  },
+  affiliateTag: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+});
+
+// Pointer back to the record this edition was merged from in one of the
+// legacy per-category collections (see Model/legacyCollections.js)
+const legacyRefSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true,
+  },
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+}, { _id: false });
+
+/**
+ * An Edition is one publishable format of a Work, identified by its ISBN.
+ * The same ISBN may appear once per format (legacy ebooks reuse the print ISBN).
+ */
+const editionSchema = new mongoose.Schema({
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Work',
+    required: true,
+    index: true,
+  },
+  format: {
+    type: String,
+    enum: EDITION_FORMATS,
+    required: true,
+  },
+  ISBN: {
+    type: String,
+    required: true,
+  },
+  image_link: {
+    type: String,
+    required: false,
+  },
+  amazon_link: {
+    type: String,
+    required: false,
+  },
+  narrator: {
+    type: String,
+    required: false,
+  },
+  publisher: {
+    type: String,
+    required: false,
+  },
+  publishDate: {
+    type: Date,
+    required: false,
+  },
+  pages: {
+    type: Number,
+    min: 0,
+    required: false,
+  },
+  language: {
+    type: String,
+    required: false,
+  },
+  // Retailers, publisher store and library lookups, in display order
+  acquisitionLinks: {
+    type: [acquisitionLinkSchema],
+    default: [],
+  },
+  legacyRefs: {
+    type: [legacyRefSchema],
+    default: [],
+  },
+}, { timestamps: true });
+
+editionSchema.index({ ISBN: 1, format: 1 }, { unique: true });
+editionSchema.index({ 'legacyRefs.source': 1, 'legacyRefs.id': 1 });
+
+export default mongoose.model('Edition', editionSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
 
 const bookSchema = new mongoose.Schema({
   name: {
@@ -20,4 +21,7 @@ const bookSchema = new mongoose.Schema({
   },
 }, { timestamps: true });
 
+// Deleted records go to the trash first
+bookSchema.plugin(softDelete);
+
 export default mongoose.model('FictionBook', bookSchema);
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+export const IMPORT_FORMATS = ['csv', 'json', 'marc', 'marcxml', 'onix'];
+export const IMPORT_ROW_STATUSES = ['create', 'update', 'duplicate', 'error'];
+
+// Dry runs are only previews; their reports are kept for a week
+const DRY_RUN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const importRowSchema = new mongoose.Schema({
+  // 1-based position among the file's records (CSV: line number minus the header)
+  row: { type: Number, required: true },
+  status: { type: String, enum: IMPORT_ROW_STATUSES, required: true },
+  ISBN: { type: String, default: null },
+  name: { type: String, default: null },
+  // Record created or updated (or matched, for duplicates)
+  recordId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  messages: { type: [String], default: [] },
+  // Fields filled in from the ISBN (enriched imports only)
+  enriched: { type: [String], default: undefined },
+}, { _id: false });
+
+/**
+ * One CSV, JSON, MARC or ONIX import into a book collection, with the outcome of every row.
+ * Dry runs are stored too so their report can be downloaded before committing.
+ */
+const importJobSchema = new mongoose.Schema({
+  actor: {
+    email: { type: String, default: null },
+    uid: { type: String, default: null },
+  },
+  // Legacy collection the rows go to, e.g. 'books' or 'fiction'
+  targetCollection: {
+    type: String,
+    required: true,
+  },
+  format: {
+    type: String,
+    enum: IMPORT_FORMATS,
+    required: true,
+  },
+  filename: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  dryRun: {
+    type: Boolean,
+    default: true,
+  },
+  onExisting: {
+    type: String,
+    enum: ['skip', 'update'],
+    default: 'skip',
+  },
+  // Missing details of new records were looked up by ISBN
+  enrich: {
+    type: Boolean,
+    default: false,
+  },
+  // Source column -> record field; unmapped columns are ignored
+  mapping: {
+    type: [{ column: String, field: String, _id: false }],
+    default: [],
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    create: { type: Number, default: 0 },
+    update: { type: Number, default: 0 },
+    duplicate: { type: Number, default: 0 },
+    error: { type: Number, default: 0 },
+    enriched: { type: Number, default: 0 },
+  },
+  rows: {
+    type: [importRowSchema],
+    default: [],
+  },
+}, { timestamps: true });
+
+importJobSchema.index({ createdAt: -1 });
+importJobSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: DRY_RUN_TTL_SECONDS, partialFilterExpression: { dryRun: true } }
+);
+
+export default mongoose.model('ImportJob', importJobSchema);
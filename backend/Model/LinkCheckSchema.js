@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+// ok: answered 2xx directly; redirected: answered 2xx after redirects;
+// broken: the server says the resource is gone (4xx, redirect loop, not an image);
+// unreachable: no answer, a timeout or a server error, which may be temporary
+export const LINK_STATUSES = ['unchecked', 'ok', 'redirected', 'broken', 'unreachable'];
+
+// Record fields holding links that are checked
+export const LINK_FIELDS = ['image_link', 'amazon_link'];
+
+const linkRefSchema = new mongoose.Schema({
+  // Legacy collection key, or 'editions' for catalog-only editions
+  source: { type: String, required: true },
+  id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  field: { type: String, enum: LINK_FIELDS, required: true },
+}, { _id: false });
+
+const redirectSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  status: { type: Number, required: true },
+}, { _id: false });
+
+/**
+ * Health of one stored URL, shared by every record that links to it.
+ * The link checker keeps `refs` in step with the records and rechecks
+ * links once they are older than LINK_CHECK_INTERVAL_HOURS.
+ */
+const linkCheckSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  refs: {
+    type: [linkRefSchema],
+    default: [],
+  },
+  status: {
+    type: String,
+    enum: LINK_STATUSES,
+    default: 'unchecked',
+  },
+  // HTTP status of the last response (after redirects), if any
+  httpStatus: {
+    type: Number,
+    default: null,
+  },
+  contentType: {
+    type: String,
+    default: null,
+  },
+  // Every hop of the last check, in order; finalUrl is where they ended
+  redirects: {
+    type: [redirectSchema],
+    default: [],
+  },
+  finalUrl: {
+    type: String,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  checkedAt: {
+    type: Date,
+    default: null,
+  },
+  lastOkAt: {
+    type: Date,
+    default: null,
+  },
+  // Checks in a row that ended broken or unreachable
+  failures: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+linkCheckSchema.index({ status: 1, failures: -1 });
+linkCheckSchema.index({ checkedAt: 1 });
+linkCheckSchema.index({ 'refs.source': 1, 'refs.id': 1 });
+
+const LinkCheck = mongoose.model('LinkCheck', linkCheckSchema);
+
+export default LinkCheck;
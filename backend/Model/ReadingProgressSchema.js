@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import { EDITION_FORMATS } from './EditionSchema.js';
+
+/**
+ * How far a reader is through one edition. Print and ebook editions track a
+ * page or a percentage, audiobooks a playback position in seconds; `percent`
+ * is always derived so editions of every format can be compared. The start
+ * and finish dates follow from the progress recorded.
+ */
+const readingProgressSchema = new mongoose.Schema({
+  uid: {
+    type: String,
+    required: true,
+  },
+  edition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Edition',
+    required: true,
+  },
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Work',
+    required: true,
+  },
+  format: {
+    type: String,
+    enum: EDITION_FORMATS,
+    required: true,
+  },
+  // Print and ebook: current page, and the page count when the edition has none
+  page: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  totalPages: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  // Audiobook: playback position and length, in seconds
+  position: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  duration: {
+    type: Number,
+    min: 1,
+    default: null,
+  },
+  percent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0,
+  },
+  // Set by the first progress past the start, and when it reaches the end
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  finishedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+readingProgressSchema.index({ uid: 1, edition: 1 }, { unique: true });
+readingProgressSchema.index({ uid: 1, finishedAt: 1, updatedAt: -1 });
+
+export default mongoose.model('ReadingProgress', readingProgressSchema);
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+import { tokenize } from '../utils/text.js';
+
+/**
+ * A Series is an ordered run of works ("Discworld", "The Expanse").
+ * Membership lives on the works (Work.series) with a position that may be
+ * fractional, so novellas slot in between numbered books (2.5).
+ */
+const seriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  description: {
+    type: String,
+    required: false,
+  },
+  // Normalized words of the name, for typeahead prefix matching.
+  // Maintained by the hook below.
+  nameTokens: {
+    type: [String],
+    default: [],
+    index: true,
+    select: false,
+  },
+}, { timestamps: true });
+
+seriesSchema.pre('save', function (next) {
+  if (this.isModified('name')) {
+    this.nameTokens = [...new Set(tokenize(this.name))];
+  }
+  next();
+});
+
+export default mongoose.model('Series', seriesSchema);
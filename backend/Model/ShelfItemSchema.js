@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+/**
+ * An edition on one of a reader's shelves. Items added from the books,
+ * ebooks or audiobooks collections are stored against their catalog edition,
+ * so the same book added from different lists is one item.
+ */
+const shelfItemSchema = new mongoose.Schema({
+  uid: {
+    type: String,
+    required: true,
+  },
+  shelf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shelf',
+    required: true,
+  },
+  edition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Edition',
+    required: true,
+  },
+  // The edition's work at the time it was shelved, for grouping formats
+  work: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Work',
+    required: true,
+  },
+}, { timestamps: true });
+
+shelfItemSchema.index({ shelf: 1, edition: 1 }, { unique: true });
+shelfItemSchema.index({ uid: 1, edition: 1 });
+
+export default mongoose.model('ShelfItem', shelfItemSchema);
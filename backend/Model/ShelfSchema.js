@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+// Reading states every reader has a shelf for. An edition sits on at most
+// one of them; custom shelves hold any edition regardless.
+export const SHELF_STATUSES = ['want-to-read', 'reading', 'finished'];
+
+export const DEFAULT_SHELVES = [
+  { status: 'want-to-read', name: 'Want to Read' },
+  { status: 'reading', name: 'Currently Reading' },
+  { status: 'finished', name: 'Finished' },
+];
+
+/**
+ * A reader's shelf: one of the default reading-state shelves, or a custom
+ * named shelf ("Book club", "Gifts"). Shelves belong to a Firebase uid.
+ */
+const shelfSchema = new mongoose.Schema({
+  uid: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60,
+  },
+  // Reading state of a default shelf; null for custom shelves
+  status: {
+    type: String,
+    enum: [...SHELF_STATUSES, null],
+    default: null,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null,
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+}, { timestamps: true });
+
+// One shelf per reading state and reader
+shelfSchema.index(
+  { uid: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: { $type: 'string' } } }
+);
+
+export default mongoose.model('Shelf', shelfSchema);
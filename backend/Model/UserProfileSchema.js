@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// Who can see a part of a reader's profile
+export const PRIVACY_LEVELS = ['private', 'public'];
+
+const privacySchema = new mongoose.Schema({
+  // Display name, avatar and favorite genres
+  profile: {
+    type: String,
+    enum: PRIVACY_LEVELS,
+    default: 'private',
+  },
+}, { _id: false });
+
+/**
+ * A reader's profile. Accounts live in Firebase; this holds what the library
+ * keeps about a reader, keyed by the Firebase uid, and is created the first
+ * time the reader signs in.
+ */
+const userProfileSchema = new mongoose.Schema({
+  uid: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Copied from Firebase at each sign-in, for admins looking a reader up
+  email: {
+    type: String,
+    default: null,
+  },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: 60,
+    default: null,
+  },
+  avatar: {
+    type: String,
+    default: null,
+  },
+  // Category names, in the reader's order of preference
+  favoriteGenres: {
+    type: [String],
+    default: [],
+  },
+  // BCP 47 language tag, e.g. "en" or "en-GB"
+  locale: {
+    type: String,
+    default: 'en',
+  },
+  privacy: {
+    type: privacySchema,
+    default: () => ({}),
+  },
+  // Last time the reader's app loaded their profile
+  lastSeenAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+export default mongoose.model('UserProfile', userProfileSchema);
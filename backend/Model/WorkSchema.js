@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import { tokenize } from '../utils/text.js';
+
+// Membership in a series; position orders the series and may be fractional (2.5)
+const seriesEntrySchema = new mongoose.Schema({
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Series',
+    required: true,
+  },
+  position: {
+    type: Number,
+    min: 0,
+    required: true,
+  },
+}, { _id: false });
+
+/**
+ * A Work is the abstract book ("The Hobbit"), independent of format.
+ * Genres are a multi-valued facet, so one work can be both Fantasy and Fiction
+ * instead of being copied into several category collections.
+ */
+const workSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  authors: {
+    type: [String],
+    default: [],
+  },
+  // Author entities credited on the work, in the order of `authors`
+  authorIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Author' }],
+    default: [],
+    index: true,
+  },
+  genres: {
+    type: [String],
+    default: [],
+    index: true,
+  },
+  series: {
+    type: [seriesEntrySchema],
+    default: [],
+  },
+  description: {
+    type: String,
+    required: false,
+  },
+  rating: {
+    type: Number,
+    min: 0,
+    max: 5,
+    required: false,
+    index: true,
+  },
+  // Normalized words of title and authors, for index-backed prefix and
+  // typo-tolerant matching in search. Maintained by the hooks below.
+  searchTokens: {
+    type: [String],
+    default: [],
+    index: true,
+    select: false,
+  },
+}, { timestamps: true });
+
+workSchema.index({ 'series.series': 1, 'series.position': 1 });
+
+// Relevance-ranked $text search; title matches count most
+workSchema.index(
+  { title: 'text', authors: 'text', genres: 'text', description: 'text' },
+  { weights: { title: 10, authors: 5, genres: 2, description: 1 }, name: 'work_text' }
+);
+
+const searchTokensFor = (work) =>
+  [...new Set([...tokenize(work.title), ...tokenize((work.authors || []).join(' '))])];
+
+workSchema.pre('save', function (next) {
+  if (this.isModified('title') || this.isModified('authors')) {
+    this.searchTokens = searchTokensFor(this);
+  }
+  next();
+});
+
+/**
+ * Recompute searchTokens for the works matching a filter
+ * @param {object} [filter] - Works to refresh (all by default)
+ * @returns {Promise<number>} Number of works refreshed
+ */
+workSchema.statics.refreshSearchTokens = async function (filter = {}) {
+  let refreshed = 0;
+  for await (const work of this.find(filter).select('title authors').lean().cursor()) {
+    await this.updateOne({ _id: work._id }, { $set: { searchTokens: searchTokensFor(work) } });
+    refreshed++;
+  }
+  return refreshed;
+};
+
+// Query updates bypass save hooks; refresh tokens when title or authors changed
+workSchema.post('findOneAndUpdate', async function (doc) {
+  const update = this.getUpdate() || {};
+  const fields = { ...update, ...update.$set, ...update.$addToSet, ...update.$pull };
+  if (doc && ('title' in fields || 'authors' in fields)) {
+    await this.model.refreshSearchTokens({ _id: doc._id });
+  }
+});
+
+export default mongoose.model('Work', workSchema);
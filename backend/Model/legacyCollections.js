@@ -0,0 +1,37 @@
+import Book from './BookSchema.js';
+import FictionBook from './FictionBookSchema.js';
+import ScienceBook from './ScienceBookSchema.js';
+import BiographyBook from './BiographyBookSchema.js';
+import FantasyBook from './FantasyBookSchema.js';
+import HistoryBook from './HistoryBookSchema.js';
+import TechnologyBook from './TechnologyBookSchema.js';
+import RomanceBook from './RomanceBookSchema.js';
+import EBook from './EBookSchema.js';
+import Audiobook from './AudiobookSchema.js';
+
+/**
+ * Registry of the per-category book collections that predate the Work/Edition
+ * catalog. `key` is the route name under /api, `format` the edition format the
+ * records map to, and `genre` the facet a category collection contributes.
+ */
+export const LEGACY_COLLECTIONS = [
+  { key: 'books', Model: Book, format: 'print', genre: null },
+  { key: 'ebooks', Model: EBook, format: 'ebook', genre: null },
+  { key: 'audiobooks', Model: Audiobook, format: 'audiobook', genre: null },
+  { key: 'fiction', Model: FictionBook, format: 'print', genre: 'Fiction' },
+  { key: 'science', Model: ScienceBook, format: 'print', genre: 'Science' },
+  { key: 'biography', Model: BiographyBook, format: 'print', genre: 'Biography' },
+  { key: 'fantasy', Model: FantasyBook, format: 'print', genre: 'Fantasy' },
+  { key: 'history', Model: HistoryBook, format: 'print', genre: 'History' },
+  { key: 'technology', Model: TechnologyBook, format: 'print', genre: 'Technology' },
+  { key: 'romance', Model: RomanceBook, format: 'print', genre: 'Romance' },
+];
+
+/**
+ * Look up a legacy collection by its route name
+ * @param {string} key - Route name, e.g. 'fiction'
+ * @returns {object|undefined} Registry entry
+ */
+export const getLegacyCollection = (key) => LEGACY_COLLECTIONS.find(c => c.key === key);
+
+export default LEGACY_COLLECTIONS;
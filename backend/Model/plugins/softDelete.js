@@ -0,0 +1,81 @@
+/**
+ * Soft delete plugin
+ *
+ * Adds deletedAt / deletedBy to a schema and hides trashed documents from
+ * every query and aggregation. To reach trashed documents, either filter on
+ * deletedAt explicitly (e.g. { deletedAt: { $ne: null } }) or pass the query
+ * option { withDeleted: true }.
+ */
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+];
+
+export const TRASHED = { deletedAt: { $ne: null } };
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: String,
+      default: null,
+    },
+  });
+
+  schema.pre(QUERY_HOOKS, function (next) {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return next();
+    this.where({ deletedAt: null });
+    next();
+  });
+
+  schema.pre('aggregate', function (next) {
+    if (this.options.withDeleted) return next();
+    const [first] = this.pipeline();
+    // $geoNear and friends must stay first in the pipeline
+    const index = first && (first.$geoNear || first.$search) ? 1 : 0;
+    this.pipeline().splice(index, 0, { $match: { deletedAt: null } });
+    next();
+  });
+
+  /**
+   * Move documents to the trash
+   * @param {object} filter - Documents to trash (already trashed ones are skipped)
+   * @param {string} actor - Who deleted them, e.g. an admin email
+   * @returns {Promise<object>} updateMany result
+   */
+  schema.statics.trash = function (filter, actor) {
+    return this.updateMany(
+      { ...filter, deletedAt: null },
+      { $set: { deletedAt: new Date(), deletedBy: actor || null } }
+    );
+  };
+
+  /**
+   * Take documents out of the trash
+   * @param {object} filter - Documents to restore
+   * @returns {Promise<object>} updateMany result
+   */
+  schema.statics.restore = function (filter) {
+    return this.updateMany(
+      { ...filter, ...TRASHED },
+      { $set: { deletedAt: null, deletedBy: null } }
+    );
+  };
+};
+
+export default softDelete;
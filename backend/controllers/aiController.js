@@ -4,6 +4,7 @@
  */
 
 import OpenAI from 'openai'
+import { categorySummary } from '../services/categoryService.js'
 
 // Initialize OpenAI client only if API key is available
 let openai = null
@@ -18,7 +19,7 @@ if (process.env.OPENAI_API_KEY) {
   }
 }
 
-// System prompt for the AI assistant
+// System prompt for the AI assistant; the category line is filled in from the taxonomy
 const SYSTEM_PROMPT = `You are a helpful AI assistant for EasyReads, an online bookstore platform. 
 Your role is to help users with:
 - Finding books, e-books, and audiobooks
@@ -30,11 +31,27 @@ Your role is to help users with:
 Be friendly, concise, and helpful. If you don't know something specific about the platform, 
 provide general helpful information or suggest the user contact support.
 
-Available book categories: Fiction, Science, Biography, Fantasy, History, Technology, Romance
+Available book categories: {categories}
 The platform also offers e-books and audiobooks through Google Books API.
 
 Keep responses concise (2-3 sentences max) and focused on helping users navigate and use EasyReads effectively.`
 
+// The current categories, subgenres in brackets; null when they can't be loaded
+const loadCategories = async () => {
+  try {
+    return (await categorySummary()) || null
+  } catch (error) {
+    console.warn('Failed to load categories for the AI assistant:', error.message)
+    return null
+  }
+}
+
+// The system prompt with the current categories
+const buildSystemPrompt = async () => {
+  const categories = await loadCategories()
+  return SYSTEM_PROMPT.replace('{categories}', categories || 'see the Books page')
+}
+
 /**
  * Chat with AI Assistant
  * POST /api/ai/chat
@@ -53,7 +70,7 @@ export const chatWithAI = async (req, res) => {
     // Check if OpenAI is available and configured
     if (!openai || !process.env.OPENAI_API_KEY) {
       console.warn('OPENAI_API_KEY not configured, using rule-based responses')
-      const response = generateAIResponse(message.trim())
+      const response = await generateAIResponse(message.trim())
       return res.json({
         success: true,
         response: response
@@ -65,7 +82,7 @@ export const chatWithAI = async (req, res) => {
       const completion = await openai.chat.completions.create({
         model: 'gpt-3.5-turbo',
         messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'system', content: await buildSystemPrompt() },
           { role: 'user', content: message.trim() }
         ],
         max_tokens: 200,
@@ -79,7 +96,7 @@ export const chatWithAI = async (req, res) => {
     } catch (openaiError) {
       console.error('OpenAI API error:', openaiError)
       // Fallback to rule-based responses if OpenAI fails
-      const response = generateAIResponse(message.trim())
+      const response = await generateAIResponse(message.trim())
       res.json({
         success: true,
         response: response
@@ -104,7 +121,7 @@ export const chatWithAI = async (req, res) => {
  * 2. Add OPENAI_API_KEY to .env
  * 3. Replace this function with OpenAI API call
  */
-function generateAIResponse(userMessage) {
+async function generateAIResponse(userMessage) {
   const lowerMessage = userMessage.toLowerCase()
 
   // Book search queries
@@ -131,12 +148,18 @@ function generateAIResponse(userMessage) {
 
   // Recommendations
   if (lowerMessage.includes('recommend') || lowerMessage.includes('suggest')) {
-    return 'I can help you find great books! Here are some options:\n1. Check the Recommendations section on the Home page - it shows books based on categories you\'ve visited\n2. Browse by category: Fiction, Science, Biography, Fantasy, History, Technology, or Romance\n3. Explore e-books and audiobooks on the Digital Books page\n\nWhat genre are you interested in?'
+    const categories = await loadCategories()
+    const browse = categories ? `Browse by category: ${categories}` : 'Browse by category on the Books page'
+    return `I can help you find great books! Here are some options:\n1. Check the Recommendations section on the Home page - it shows books based on categories you've visited\n2. ${browse}\n3. Explore e-books and audiobooks on the Digital Books page\n\nWhat genre are you interested in?`
   }
 
   // Categories
   if (lowerMessage.includes('category') || lowerMessage.includes('categories')) {
-    return 'EasyReads offers books in 7 main categories:\n1. Fiction\n2. Science\n3. Biography\n4. Fantasy\n5. History\n6. Technology\n7. Romance\n\nYou can browse all categories on the Books page or Home page.'
+    const categories = await loadCategories()
+    if (!categories) {
+      return 'You can browse all categories on the Books page or Home page.'
+    }
+    return `EasyReads offers books in these categories: ${categories}\n\nYou can browse all categories on the Books page or Home page.`
   }
 
   // Request books
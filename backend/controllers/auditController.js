@@ -0,0 +1,113 @@
+import AuditLog, { AUDIT_ACTIONS } from '../Model/AuditLogSchema.js';
+import { escapeRegex } from '../utils/text.js';
+import { parseListQuery, paginate, ListQueryError } from '../utils/pagination.js';
+
+/**
+ * ============================================
+ * AUDIT LOG
+ * ============================================
+ * ⚠️ ADMIN ONLY - Mounted behind verifyToken and requireAdmin
+ */
+
+/**
+ * GET AUDIT LOG
+ * Browse recorded mutations, newest first
+ * Query Parameters:
+ * - actor: Actor email (partial, case-insensitive)
+ * - action: create | update | revert | merge | delete | restore | purge
+ * - collection: Target collection, e.g. books, fiction, book-requests
+ * - targetId: Target record ID
+ * - from, to: Timestamp range (ISO dates)
+ * - cursor, limit (default: 20, max: 100): Pagination, as on the collection routes
+ */
+export const getAuditLog = async (req, res, next) => {
+  try {
+    const { actor, action, collection, targetId, from, to } = req.query;
+    const filter = {};
+
+    if (actor) {
+      filter['actor.email'] = { $regex: escapeRegex(actor), $options: 'i' };
+    }
+
+    if (action) {
+      if (!AUDIT_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          message: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}`,
+        });
+      }
+      filter.action = action;
+    }
+
+    if (collection) {
+      filter['target.collection'] = collection;
+    }
+
+    if (targetId) {
+      if (!targetId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid target ID format',
+        });
+      }
+      filter['target.id'] = targetId;
+    }
+
+    if (from || to) {
+      const range = {};
+      if (from) range.$gte = new Date(from);
+      if (to) range.$lte = new Date(to);
+      if (Object.values(range).some(date => Number.isNaN(date.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be valid dates',
+        });
+      }
+      filter.timestamp = range;
+    }
+
+    const listQuery = parseListQuery(AuditLog.schema, {
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      sortBy: 'timestamp',
+      order: 'desc',
+    });
+    const { data, pagination } = await paginate(AuditLog, filter, listQuery);
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * GET AUDIT COLLECTIONS
+ * Distinct target collections, for filter menus
+ */
+export const getAuditCollections = async (req, res, next) => {
+  try {
+    const collections = await AuditLog.distinct('target.collection');
+
+    res.status(200).json({
+      success: true,
+      data: collections.sort(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getAuditLog,
+  getAuditCollections,
+};
@@ -0,0 +1,482 @@
+import Author, { authorNameKey } from '../Model/AuthorSchema.js';
+import Work from '../Model/WorkSchema.js';
+import { recordAudit } from '../services/auditService.js';
+import {
+  authorNames,
+  findNameConflict,
+  findAuthor,
+  authorWorks,
+} from '../services/authorService.js';
+import { escapeRegex } from '../utils/text.js';
+import { uniqueSlug } from '../utils/slug.js';
+
+/**
+ * ============================================
+ * AUTHORS
+ * ============================================
+ * Author entities with their name variants, biography, photo and lifespan,
+ * linked many-to-many to catalog works. Reads are public; write operations
+ * are mounted behind verifyToken + requireAdmin.
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const AUTHOR_FIELDS = ['name', 'aliases', 'bio', 'photo', 'birthYear', 'deathYear'];
+const YEAR_FIELDS = ['birthYear', 'deathYear'];
+
+// Copy whitelisted fields from a request body
+const pick = (body, fields) => {
+  const picked = {};
+  for (const field of fields) {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+  }
+  return picked;
+};
+
+// Accept either an array or a comma-separated string for aliases
+const toList = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => String(v).trim()).filter(v => v.length > 0);
+};
+
+// Trim text, parse years and drop aliases that repeat the name or each other.
+// Empty values become undefined so they clear the field.
+const normalizeAuthor = (data, currentName) => {
+  for (const field of ['name', 'bio', 'photo']) {
+    if (data[field] !== undefined) data[field] = String(data[field] ?? '').trim() || undefined;
+  }
+  for (const field of YEAR_FIELDS) {
+    if (data[field] === undefined) continue;
+    data[field] = data[field] === null || data[field] === '' ? undefined : Number(data[field]);
+  }
+  if (data.aliases !== undefined) {
+    const seen = new Set([authorNameKey(data.name ?? currentName)]);
+    data.aliases = toList(data.aliases ?? []).filter(alias => {
+      const key = authorNameKey(alias);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  return data;
+};
+
+// Returns a problem description, or null when the author data is acceptable
+const validateAuthor = (author) => {
+  if (!author.name) return 'Author name is required';
+  for (const field of YEAR_FIELDS) {
+    if (author[field] !== undefined && !Number.isInteger(author[field])) {
+      return `${field} must be a whole year`;
+    }
+  }
+  if (author.birthYear !== undefined && author.deathYear !== undefined && author.deathYear < author.birthYear) {
+    return 'deathYear cannot be before birthYear';
+  }
+  return null;
+};
+
+const nameConflictResponse = (res, conflict) => res.status(409).json({
+  success: false,
+  message: `"${conflict.name}" already uses one of these names; merge the authors instead`,
+  conflict: { _id: conflict._id, name: conflict.name, slug: conflict.slug },
+});
+
+/**
+ * GET ALL AUTHORS
+ * Query Parameters:
+ * - q: Name or alias starting with these words
+ * - page (default: 1), limit (default: 20, max: 100)
+ */
+export const getAuthors = async (req, res, next) => {
+  try {
+    const { q, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    const key = authorNameKey(q);
+    if (key) {
+      filter.nameKeys = { $regex: `(^| )${escapeRegex(key)}` };
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const authors = await Author.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .select('-__v')
+      .lean();
+
+    const ids = authors.map(a => a._id);
+    const counts = await Work.aggregate([
+      { $match: { authorIds: { $in: ids } } },
+      { $unwind: '$authorIds' },
+      { $match: { authorIds: { $in: ids } } },
+      { $group: { _id: '$authorIds', count: { $sum: 1 } } },
+    ]);
+    const workCounts = new Map(counts.map(c => [String(c._id), c.count]));
+
+    const total = await Author.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: authors.map(author => ({ ...author, workCount: workCounts.get(String(author._id)) || 0 })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET AUTHOR
+ * Looks the author up by ID, slug, name or alias and returns every work
+ * credited to them, with editions in all formats
+ */
+export const getAuthor = async (req, res, next) => {
+  try {
+    const author = await findAuthor(req.params.key);
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found',
+      });
+    }
+
+    const works = await authorWorks(author._id);
+    const { __v, ...data } = author.toObject();
+
+    res.status(200).json({
+      success: true,
+      data: { ...data, works },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * CREATE AUTHOR
+ * ⚠️ ADMIN ONLY
+ * Body: name, aliases, bio, photo, birthYear, deathYear
+ */
+export const createAuthor = async (req, res, next) => {
+  try {
+    const data = normalizeAuthor(pick(req.body, AUTHOR_FIELDS));
+
+    const problem = validateAuthor(data);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    const conflict = await findNameConflict(authorNames(data));
+    if (conflict) {
+      return nameConflictResponse(res, conflict);
+    }
+
+    const author = await Author.create({ ...data, slug: await uniqueSlug(Author, data.name) });
+    await recordAudit(req, { action: 'create', collection: 'authors', after: author });
+
+    res.status(201).json({
+      success: true,
+      data: author,
+      message: 'Author created successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * UPDATE AUTHOR
+ * ⚠️ ADMIN ONLY
+ * Partial update of name, aliases, bio, photo, birthYear or deathYear.
+ * Renaming keeps the old name as an alias so existing credits still resolve.
+ */
+export const updateAuthor = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid author ID format',
+      });
+    }
+
+    const author = await Author.findById(id).select('-__v');
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found',
+      });
+    }
+
+    const updates = pick(req.body, AUTHOR_FIELDS);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update',
+      });
+    }
+
+    const renamed = updates.name !== undefined && authorNameKey(updates.name) !== authorNameKey(author.name);
+    if (renamed) {
+      updates.aliases = [author.name, ...toList(updates.aliases ?? author.aliases)];
+    }
+    normalizeAuthor(updates, author.name);
+
+    const before = author.toObject();
+    const merged = { ...before, ...updates };
+    const problem = validateAuthor(merged);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    const conflict = await findNameConflict(authorNames(merged), id);
+    if (conflict) {
+      return nameConflictResponse(res, conflict);
+    }
+
+    author.set(updates);
+    if (renamed) {
+      author.slug = await uniqueSlug(Author, author.name, id);
+    }
+    await author.save();
+
+    await recordAudit(req, { action: 'update', collection: 'authors', before, after: author });
+
+    res.status(200).json({
+      success: true,
+      data: author,
+      message: 'Author updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE AUTHOR
+ * ⚠️ ADMIN ONLY
+ * Only authors without linked works can be deleted; credited names would
+ * recreate them on the next sync, so merge those into another author instead
+ */
+export const deleteAuthor = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid author ID format',
+      });
+    }
+
+    const works = await Work.countDocuments({ authorIds: id });
+    if (works > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Author is credited on ${works} work(s); unlink or merge them first`,
+      });
+    }
+
+    const author = await Author.findByIdAndDelete(id);
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found',
+      });
+    }
+
+    await recordAudit(req, { action: 'delete', collection: 'authors', before: author });
+
+    res.status(200).json({
+      success: true,
+      data: author,
+      message: 'Author deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load the author and work a link request refers to, or answer the request
+const loadLink = async (req, res) => {
+  const { id, workId } = req.params;
+
+  if (!OBJECT_ID.test(id) || !OBJECT_ID.test(workId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid author or work ID format',
+    });
+    return null;
+  }
+
+  const [author, work] = await Promise.all([Author.findById(id), Work.findById(workId).select('-__v')]);
+  if (!author || !work) {
+    res.status(404).json({
+      success: false,
+      message: author ? 'Work not found' : 'Author not found',
+    });
+    return null;
+  }
+
+  return { author, work };
+};
+
+/**
+ * LINK AUTHOR TO WORK
+ * ⚠️ ADMIN ONLY
+ * Credits the author on the work, adding their name to the work's authors
+ * unless one of their names is already listed
+ */
+export const linkWork = async (req, res, next) => {
+  try {
+    const link = await loadLink(req, res);
+    if (!link) return;
+    const { author, work } = link;
+
+    const keys = authorNames(author).map(authorNameKey);
+    const update = { $addToSet: { authorIds: author._id } };
+    if (!work.authors.some(name => keys.includes(authorNameKey(name)))) {
+      update.$addToSet.authors = author.name;
+    }
+
+    const updated = await Work.findByIdAndUpdate(work._id, update, { new: true }).select('-__v');
+    await recordAudit(req, { action: 'update', collection: 'works', before: work, after: updated, details: { linkedAuthor: author._id } });
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+      message: 'Author linked to work',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * UNLINK AUTHOR FROM WORK
+ * ⚠️ ADMIN ONLY
+ * Removes the author and any of their names from the work's credits
+ */
+export const unlinkWork = async (req, res, next) => {
+  try {
+    const link = await loadLink(req, res);
+    if (!link) return;
+    const { author, work } = link;
+
+    const keys = authorNames(author).map(authorNameKey);
+    const credited = work.authors.filter(name => keys.includes(authorNameKey(name)));
+
+    const updated = await Work.findByIdAndUpdate(work._id, {
+      $pull: { authorIds: author._id, authors: { $in: credited } },
+    }, { new: true }).select('-__v');
+    await recordAudit(req, { action: 'update', collection: 'works', before: work, after: updated, details: { unlinkedAuthor: author._id } });
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+      message: 'Author unlinked from work',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * MERGE AUTHORS
+ * ⚠️ ADMIN ONLY
+ * Body: from - ID of the author to fold into this one.
+ * Their names become aliases, empty details are filled from them, their
+ * works are credited to this author and they are deleted.
+ */
+export const mergeAuthor = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { from } = req.body;
+
+    if (!OBJECT_ID.test(id) || !OBJECT_ID.test(String(from))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid author ID format',
+      });
+    }
+    if (id === String(from)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot merge an author into themselves',
+      });
+    }
+
+    const [author, source] = await Promise.all([Author.findById(id).select('-__v'), Author.findById(from)]);
+    if (!author || !source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found',
+      });
+    }
+
+    const before = author.toObject();
+    author.set(normalizeAuthor({ aliases: [...author.aliases, ...authorNames(source)] }, author.name));
+    for (const field of ['bio', 'photo', 'birthYear', 'deathYear']) {
+      if (author[field] === undefined && source[field] !== undefined) {
+        author[field] = source[field];
+      }
+    }
+    await author.save();
+
+    // Replace the source in place so credit order is kept
+    let works = 0;
+    for await (const work of Work.find({ authorIds: source._id }).select('authorIds').lean().cursor()) {
+      const authorIds = [];
+      for (const authorId of work.authorIds.map(a => (a.equals(source._id) ? author._id : a))) {
+        if (!authorIds.some(a => a.equals(authorId))) authorIds.push(authorId);
+      }
+      await Work.updateOne({ _id: work._id }, { $set: { authorIds } });
+      works++;
+    }
+
+    await source.deleteOne();
+
+    await recordAudit(req, { action: 'merge', collection: 'authors', before, after: author, details: { mergedFrom: source._id, works } });
+    await recordAudit(req, { action: 'delete', collection: 'authors', before: source, details: { mergedInto: author._id } });
+
+    res.status(200).json({
+      success: true,
+      data: author,
+      movedWorks: works,
+      message: `Merged "${source.name}" into "${author.name}"`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getAuthors,
+  getAuthor,
+  createAuthor,
+  updateAuthor,
+  deleteAuthor,
+  linkWork,
+  unlinkWork,
+  mergeAuthor,
+};
@@ -1,5 +1,14 @@
 import Book from '../Model/BookSchema.js';
+import BookRating from '../Model/BookRatingSchema.js';
 import { isAdminEmail } from '../middleware/adminAuth.js';
+import { syncLegacyRecord, mirrorToCatalog, withFormats } from '../services/catalogService.js';
+import { trashRecord, trashRecords } from '../services/trashService.js';
+import { recordAudit } from '../services/auditService.js';
+import { findIsbnAcrossCollections } from '../services/isbnService.js';
+import { runImport, ImportError } from '../services/importService.js';
+import { findAuthorByName, authorNames } from '../services/authorService.js';
+import { toCanonicalIsbn } from '../utils/isbn.js';
+import { escapeRegex } from '../utils/text.js';
 
 /**
  * ============================================
@@ -32,10 +41,12 @@ export const getAllBooks = async (req, res, next) => {
     }
 
     if (search) {
+      // User input is matched literally, never as a pattern
+      const pattern = escapeRegex(search);
       filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { author: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
+        { name: { $regex: pattern, $options: 'i' } },
+        { author: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } },
       ];
     }
 
@@ -76,7 +87,8 @@ export const getAllBooks = async (req, res, next) => {
 
 /**
  * GET SINGLE BOOK BY ID
- * Retrieve a specific book by its MongoDB ID
+ * Retrieve a specific book by its MongoDB ID, with every format of the same
+ * work (workId, formats, editions)
  */
 export const getBookById = async (req, res, next) => {
   try {
@@ -103,9 +115,11 @@ export const getBookById = async (req, res, next) => {
     book.views = (book.views || 0) + 1;
     await book.save();
 
+    const [data] = await withFormats('books', [book], { detail: true });
+
     res.status(200).json({
       success: true,
-      data: book,
+      data,
     });
   } catch (error) {
     next(error);
@@ -154,6 +168,14 @@ export const createBook = async (req, res, next) => {
       });
     }
 
+    const canonicalIsbn = toCanonicalIsbn(ISBN);
+    if (!canonicalIsbn) {
+      return res.status(400).json({
+        success: false,
+        message: 'ISBN must be a valid ISBN-10 or ISBN-13',
+      });
+    }
+
     if (!image_link || !image_link.trim()) {
       return res.status(400).json({
         success: false,
@@ -168,12 +190,14 @@ export const createBook = async (req, res, next) => {
       });
     }
 
-    // Check for duplicate ISBN
-    const existingBook = await Book.findOne({ ISBN });
+    // Check for duplicate ISBN, including books waiting in the trash
+    const existingBook = await Book.findOne({ ISBN: canonicalIsbn }).setOptions({ withDeleted: true });
     if (existingBook) {
       return res.status(409).json({
         success: false,
-        message: 'A book with this ISBN already exists',
+        message: existingBook.deletedAt
+          ? 'A book with this ISBN is in the trash. Restore it instead.'
+          : 'A book with this ISBN already exists',
       });
     }
 
@@ -181,7 +205,7 @@ export const createBook = async (req, res, next) => {
     const book = new Book({
       name: name.trim(),
       author: author.trim(),
-      ISBN: ISBN.trim(),
+      ISBN: canonicalIsbn,
       image_link: image_link.trim(),
       amazon_link: amazon_link.trim(),
       description: description ? description.trim() : undefined,
@@ -196,10 +220,16 @@ export const createBook = async (req, res, next) => {
     });
 
     await book.save();
+    await mirrorToCatalog('books', () => syncLegacyRecord('books', book));
+    await recordAudit(req, { action: 'create', collection: 'books', after: book });
+
+    // Same ISBN in other collections (e.g. an ebook or a category listing)
+    const isbnElsewhere = await findIsbnAcrossCollections(book.ISBN, { collection: 'books', id: book._id });
 
     res.status(201).json({
       success: true,
       data: book,
+      isbnElsewhere,
       message: 'Book created successfully',
     });
   } catch (error) {
@@ -209,6 +239,12 @@ export const createBook = async (req, res, next) => {
         message: 'A book with this ISBN already exists',
       });
     }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', '),
+      });
+    }
     next(error);
   }
 };
@@ -249,7 +285,16 @@ export const updateBook = async (req, res, next) => {
     if (updateData.name) updateData.name = updateData.name.trim();
     if (updateData.author) updateData.author = updateData.author.trim();
     if (updateData.description) updateData.description = updateData.description.trim();
-    if (updateData.ISBN) updateData.ISBN = updateData.ISBN.trim();
+    if (updateData.ISBN !== undefined) {
+      const canonicalIsbn = toCanonicalIsbn(updateData.ISBN);
+      if (!canonicalIsbn) {
+        return res.status(400).json({
+          success: false,
+          message: 'ISBN must be a valid ISBN-10 or ISBN-13',
+        });
+      }
+      updateData.ISBN = canonicalIsbn;
+    }
 
     // Convert number fields
     if (updateData.pages) updateData.pages = parseInt(updateData.pages);
@@ -262,7 +307,8 @@ export const updateBook = async (req, res, next) => {
       updateData.availability = updateData.copies > 0;
     }
 
-    const book = await Book.findByIdAndUpdate(id, updateData, {
+    const previous = await Book.findById(id).select('-__v');
+    const book = previous && await Book.findByIdAndUpdate(id, updateData, {
       new: true,
       runValidators: true,
     }).select('-__v');
@@ -274,6 +320,9 @@ export const updateBook = async (req, res, next) => {
       });
     }
 
+    await mirrorToCatalog('books', () => syncLegacyRecord('books', book));
+    await recordAudit(req, { action: 'update', collection: 'books', before: previous, after: book });
+
     res.status(200).json({
       success: true,
       data: book,
@@ -286,6 +335,12 @@ export const updateBook = async (req, res, next) => {
         message: 'A book with this ISBN already exists',
       });
     }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', '),
+      });
+    }
     next(error);
   }
 };
@@ -349,7 +404,19 @@ export const patchBook = async (req, res, next) => {
     if (updates.author) updates.author = updates.author.trim();
     if (updates.description) updates.description = updates.description.trim();
 
-    const book = await Book.findByIdAndUpdate(id, { $set: updates }, {
+    if (updates.ISBN !== undefined) {
+      const canonicalIsbn = toCanonicalIsbn(updates.ISBN);
+      if (!canonicalIsbn) {
+        return res.status(400).json({
+          success: false,
+          message: 'ISBN must be a valid ISBN-10 or ISBN-13',
+        });
+      }
+      updates.ISBN = canonicalIsbn;
+    }
+
+    const previous = await Book.findById(id).select('-__v');
+    const book = previous && await Book.findByIdAndUpdate(id, { $set: updates }, {
       new: true,
       runValidators: true,
     }).select('-__v');
@@ -361,6 +428,9 @@ export const patchBook = async (req, res, next) => {
       });
     }
 
+    await mirrorToCatalog('books', () => syncLegacyRecord('books', book));
+    await recordAudit(req, { action: 'update', collection: 'books', before: previous, after: book });
+
     res.status(200).json({
       success: true,
       data: book,
@@ -373,6 +443,12 @@ export const patchBook = async (req, res, next) => {
         message: 'A book with this ISBN already exists',
       });
     }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', '),
+      });
+    }
     next(error);
   }
 };
@@ -380,7 +456,7 @@ export const patchBook = async (req, res, next) => {
 /**
  * DELETE BOOK
  * ⚠️ ADMIN ONLY - Only admins can delete books
- * Remove a book from the database
+ * Move a book to the trash; it can be restored via /api/trash until purged
  */
 export const deleteBook = async (req, res, next) => {
   try {
@@ -403,7 +479,7 @@ export const deleteBook = async (req, res, next) => {
       });
     }
 
-    const book = await Book.findByIdAndDelete(id);
+    const book = await trashRecord('books', id, req.user.email);
 
     if (!book) {
       return res.status(404).json({
@@ -412,10 +488,12 @@ export const deleteBook = async (req, res, next) => {
       });
     }
 
+    await recordAudit(req, { action: 'delete', collection: 'books', before: book, details: { trashed: true } });
+
     res.status(200).json({
       success: true,
       data: book,
-      message: 'Book deleted successfully',
+      message: 'Book moved to trash',
     });
   } catch (error) {
     next(error);
@@ -425,7 +503,7 @@ export const deleteBook = async (req, res, next) => {
 /**
  * DELETE MULTIPLE BOOKS
  * ⚠️ ADMIN ONLY - Only admins can delete books
- * Remove multiple books by their IDs
+ * Move multiple books to the trash by their IDs
  */
 export const deleteMultipleBooks = async (req, res, next) => {
   try {
@@ -456,12 +534,13 @@ export const deleteMultipleBooks = async (req, res, next) => {
       });
     }
 
-    const result = await Book.deleteMany({ _id: { $in: ids } });
+    const deletedCount = await trashRecords('books', { _id: { $in: ids } }, req.user.email);
+    await recordAudit(req, { action: 'delete', collection: 'books', details: { trashed: true, ids, count: deletedCount } });
 
     res.status(200).json({
       success: true,
-      message: `${result.deletedCount} book(s) deleted successfully`,
-      deletedCount: result.deletedCount,
+      message: `${deletedCount} book(s) moved to trash`,
+      deletedCount,
     });
   } catch (error) {
     next(error);
@@ -477,6 +556,7 @@ export const deleteMultipleBooks = async (req, res, next) => {
 /**
  * SEARCH BOOKS
  * Search books by title, author, or description
+ * For ranked search across every format, use GET /api/search
  */
 export const searchBooks = async (req, res, next) => {
   try {
@@ -489,11 +569,12 @@ export const searchBooks = async (req, res, next) => {
       });
     }
 
+    const pattern = escapeRegex(q);
     const books = await Book.find({
       $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { author: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } },
+        { name: { $regex: pattern, $options: 'i' } },
+        { author: { $regex: pattern, $options: 'i' } },
+        { description: { $regex: pattern, $options: 'i' } },
       ],
     })
       .limit(parseInt(limit))
@@ -637,7 +718,8 @@ export const getAvailableBooks = async (req, res, next) => {
 
 /**
  * GET BOOKS BY AUTHOR
- * Retrieve all books by a specific author
+ * Retrieve all books by a specific author. When the name belongs to an
+ * Author entity, books credited under any of their names or aliases match.
  */
 export const getBooksByAuthor = async (req, res, next) => {
   try {
@@ -655,17 +737,19 @@ export const getBooksByAuthor = async (req, res, next) => {
     const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
     const skip = (pageNum - 1) * limitNum;
 
-    const books = await Book.find({
-      author: { $regex: author, $options: 'i' },
-    })
+    const entity = await findAuthorByName(author);
+    const names = entity ? authorNames(entity) : [author];
+    const filter = {
+      author: { $regex: names.map(escapeRegex).join('|'), $options: 'i' },
+    };
+
+    const books = await Book.find(filter)
       .limit(limitNum)
       .skip(skip)
       .sort({ publishDate: -1 })
       .select('-__v');
 
-    const total = await Book.countDocuments({
-      author: { $regex: author, $options: 'i' },
-    });
+    const total = await Book.countDocuments(filter);
 
     res.status(200).json({
       success: true,
@@ -779,7 +863,8 @@ export const getBooksByPriceRange = async (req, res, next) => {
  */
 export const getBooksByYear = async (req, res, next) => {
   try {
-    const { year, page = 1, limit = 10 } = req.query;
+    const { year } = req.params;
+    const { page = 1, limit = 10 } = req.query;
 
     if (!year) {
       return res.status(400).json({
@@ -883,36 +968,79 @@ export const getBookStats = async (req, res, next) => {
 
 /**
  * UPDATE BOOK RATING
- * Update or set a book's rating
+ * Body: rating (0-5). Stores the reader's rating of the book, replacing any
+ * earlier one, and recomputes the book's rating and reviewCount from every
+ * reader's rating. Admins may instead send reviewCount with the rating to
+ * set both outright, e.g. to correct imported figures; only that is audited.
  */
 export const updateBookRating = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { rating, reviewCount } = req.body;
+    const rating = Number(req.body.rating);
+    const { reviewCount } = req.body;
 
-    if (rating === undefined || rating < 0 || rating > 5) {
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid book ID format',
+      });
+    }
+
+    if (req.body.rating === undefined || req.body.rating === '' || !(rating >= 0 && rating <= 5)) {
       return res.status(400).json({
         success: false,
         message: 'Rating must be between 0 and 5',
       });
     }
 
-    const book = await Book.findByIdAndUpdate(
-      id,
-      {
-        rating,
-        reviewCount: reviewCount || (await Book.findById(id)).reviewCount + 1,
-      },
-      { new: true, runValidators: true }
-    ).select('-__v');
+    const setsCount = reviewCount !== undefined;
+    if (setsCount && !isAdminEmail(req.user?.email)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'Only administrators can set the review count',
+      });
+    }
+    if (setsCount && !(Number.isInteger(Number(reviewCount)) && Number(reviewCount) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Review count must be a whole number of at least 0',
+      });
+    }
 
-    if (!book) {
+    const previous = await Book.findById(id).select('-__v');
+    if (!previous) {
       return res.status(404).json({
         success: false,
         message: 'Book not found',
       });
     }
 
+    let update;
+    if (setsCount) {
+      update = { rating, reviewCount: Number(reviewCount) };
+    } else {
+      // One rating per reader; rating again replaces it
+      await BookRating.updateOne(
+        { book: previous._id, uid: req.user.uid },
+        { $set: { rating } },
+        { upsert: true, runValidators: true }
+      );
+      const [totals] = await BookRating.aggregate([
+        { $match: { book: previous._id } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+      ]);
+      update = { rating: Math.round(totals.average * 100) / 100, reviewCount: totals.count };
+    }
+
+    const book = await Book.findByIdAndUpdate(id, update, { new: true, runValidators: true }).select('-__v');
+
+    await mirrorToCatalog('books', () => syncLegacyRecord('books', book));
+    if (setsCount) {
+      await recordAudit(req, { action: 'update', collection: 'books', before: previous, after: book });
+    }
+
     res.status(200).json({
       success: true,
       data: book,
@@ -931,6 +1059,14 @@ export const incrementDownloads = async (req, res, next) => {
   try {
     const { id } = req.params;
 
+    // Validate MongoDB ObjectId format
+    if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid book ID format',
+      });
+    }
+
     const book = await Book.findByIdAndUpdate(
       id,
       { $inc: { downloads: 1 } },
@@ -957,10 +1093,14 @@ export const incrementDownloads = async (req, res, next) => {
 /**
  * BULK IMPORT BOOKS
  * Import multiple books at once
+ * Runs through the import pipeline (see /api/import): every book is validated
+ * and any that can't be imported is reported with its reasons. With
+ * `enrich: true`, missing details are filled in by ISBN first.
  */
 export const bulkImportBooks = async (req, res, next) => {
   try {
     const { books } = req.body;
+    const enrich = req.body.enrich === true || req.body.enrich === 'true';
 
     if (!Array.isArray(books) || books.length === 0) {
       return res.status(400).json({
@@ -969,18 +1109,28 @@ export const bulkImportBooks = async (req, res, next) => {
       });
     }
 
-    const result = await Book.insertMany(books, { ordered: false }).catch(err => {
-      // Continue even if some fail
-      return err.result.insertedDocs || [];
-    });
+    const { job } = await runImport(req, { collection: 'books', records: books, enrich, dryRun: false });
+
+    const imported = job.rows.filter(row => row.status === 'create');
+    const rejected = job.rows
+      .filter(row => row.status !== 'create')
+      .map(row => ({ index: row.row - 1, ISBN: row.ISBN, reason: row.messages.join('; ') }));
 
     res.status(201).json({
       success: true,
-      message: `${result.length} book(s) imported successfully`,
-      importedCount: result.length,
-      data: result,
+      message: `${imported.length} book(s) imported successfully`,
+      importedCount: imported.length,
+      rejected,
+      importJob: job._id,
+      data: imported,
     });
   } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
     next(error);
   }
 };
@@ -0,0 +1,628 @@
+import Work from '../Model/WorkSchema.js';
+import Edition, { EDITION_FORMATS, ACQUISITION_TYPES } from '../Model/EditionSchema.js';
+import { toCanonicalIsbn } from '../utils/isbn.js';
+import { recordAudit } from '../services/auditService.js';
+import { linkWorkAuthors } from '../services/authorService.js';
+import { seriesLinks } from '../services/seriesService.js';
+import { linkEdition, unlinkEdition } from '../services/catalogService.js';
+
+/**
+ * ============================================
+ * UNIFIED CATALOG (WORKS & EDITIONS)
+ * ============================================
+ * A work carries title, authors and genres; each of its editions is one
+ * format (print, ebook, audiobook) with its own ISBN, cover and links.
+ * Credited author names are linked to Author entities (authorIds) whenever they change.
+ * Write operations are mounted behind verifyToken + requireAdmin.
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const WORK_FIELDS = ['title', 'authors', 'genres', 'description', 'rating'];
+const EDITION_FIELDS = [
+  'format', 'ISBN', 'image_link', 'amazon_link', 'narrator',
+  'publisher', 'publishDate', 'pages', 'language', 'acquisitionLinks',
+];
+
+// Copy whitelisted fields from a request body
+const pick = (body, fields) => {
+  const picked = {};
+  for (const field of fields) {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+  }
+  return picked;
+};
+
+// Accept either an array or a comma-separated string for multi-valued fields
+const toList = (value) => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => String(v).trim()).filter(v => v.length > 0);
+};
+
+const normalizeWork = (data) => {
+  if (data.title) data.title = data.title.trim();
+  if (data.authors !== undefined) data.authors = toList(data.authors);
+  if (data.genres !== undefined) data.genres = toList(data.genres);
+  if (data.description) data.description = data.description.trim();
+  return data;
+};
+
+// Trim the text of an acquisition link; empty region, price and tag are left out
+const normalizeAcquisitionLink = (link) => {
+  if (!link || typeof link !== 'object') return link;
+  const text = (value) => String(value ?? '').trim();
+  const normalized = {
+    type: text(link.type),
+    name: text(link.name),
+    url: text(link.url),
+    region: text(link.region).toUpperCase() || null,
+    affiliateTag: text(link.affiliateTag) || null,
+  };
+  if (OBJECT_ID.test(link._id)) normalized._id = link._id;
+  const amount = link.price?.amount;
+  if (amount !== undefined && amount !== null && amount !== '') {
+    normalized.price = { amount: Number(amount), currency: text(link.price.currency).toUpperCase() };
+  }
+  return normalized;
+};
+
+const normalizeEdition = (data) => {
+  if (data.ISBN) data.ISBN = toCanonicalIsbn(data.ISBN) || data.ISBN;
+  if (data.pages) data.pages = parseInt(data.pages);
+  if (data.publishDate) data.publishDate = new Date(data.publishDate);
+  if (Array.isArray(data.acquisitionLinks)) data.acquisitionLinks = data.acquisitionLinks.map(normalizeAcquisitionLink);
+  return data;
+};
+
+// Returns a problem description, or null when every acquisition link is acceptable
+const validateAcquisitionLinks = (links) => {
+  if (!Array.isArray(links)) return 'acquisitionLinks must be an array';
+  for (const [index, link] of links.entries()) {
+    const label = `Acquisition link ${index + 1}`;
+    if (!link || typeof link !== 'object') return `${label} must be an object`;
+    if (!ACQUISITION_TYPES.includes(link.type)) {
+      return `${label}: type must be one of: ${ACQUISITION_TYPES.join(', ')}`;
+    }
+    if (!link.name) return `${label}: name is required`;
+    if (!/^https?:\/\/\S+$/i.test(link.url)) return `${label}: url must be an http(s) URL`;
+    if (link.region && !/^[A-Z]{2}$/.test(link.region)) {
+      return `${label}: region must be a two-letter country code, e.g. US or GB`;
+    }
+    if (link.price) {
+      if (!Number.isFinite(link.price.amount) || link.price.amount < 0) return `${label}: price must be a number of at least 0`;
+      if (!/^[A-Z]{3}$/.test(link.price.currency)) return `${label}: price needs a three-letter currency code, e.g. USD`;
+    }
+  }
+  return null;
+};
+
+// Returns a problem description, or null when the edition data is acceptable.
+// With `partial`, only the fields present are checked.
+const validateEdition = (data, partial = false) => {
+  if (!partial && !data.ISBN) return 'Edition ISBN is required';
+  if (data.ISBN !== undefined && !toCanonicalIsbn(data.ISBN)) {
+    return 'Edition ISBN must be a valid ISBN-10 or ISBN-13';
+  }
+  if ((!partial || data.format !== undefined) && !EDITION_FORMATS.includes(data.format)) {
+    return `Edition format must be one of: ${EDITION_FORMATS.join(', ')}`;
+  }
+  if (data.acquisitionLinks !== undefined) return validateAcquisitionLinks(data.acquisitionLinks);
+  return null;
+};
+
+/**
+ * GET ALL WORKS
+ * Query Parameters:
+ * - page (default: 1), limit (default: 10)
+ * - genre: Works tagged with this genre
+ * - author: Works by this exact author name
+ * - format: Works that have an edition in this format
+ */
+export const getWorks = async (req, res, next) => {
+  try {
+    const { genre, author, format, page = 1, limit = 10 } = req.query;
+
+    const filter = {};
+    if (genre) filter.genres = genre;
+    if (author) filter.authors = author;
+    if (format) {
+      filter._id = { $in: await Edition.find({ format }).distinct('work') };
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const works = await Work.find(filter)
+      .sort({ title: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .select('-__v')
+      .lean();
+
+    const editions = await Edition.find({ work: { $in: works.map(w => w._id) } })
+      .select('-__v')
+      .lean();
+
+    const data = works.map(work => ({
+      ...work,
+      editions: editions.filter(e => String(e.work) === String(work._id)),
+    }));
+
+    const total = await Work.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET WORK BY ID
+ * Returns the work together with all of its editions. `series` lists the
+ * series it belongs to with its position and the previous and next works.
+ */
+export const getWorkById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid work ID format',
+      });
+    }
+
+    const work = await Work.findById(id).select('-__v').lean();
+    if (!work) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work not found',
+      });
+    }
+
+    const editions = await Edition.find({ work: id }).select('-__v').lean();
+    const links = await seriesLinks([id]);
+
+    res.status(200).json({
+      success: true,
+      data: { ...work, series: links.get(id) || [], editions },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * CREATE WORK
+ * ⚠️ ADMIN ONLY
+ * Body: title, authors, genres, description, rating, editions (optional array)
+ */
+export const createWork = async (req, res, next) => {
+  try {
+    const workData = normalizeWork(pick(req.body, WORK_FIELDS));
+
+    if (!workData.title) {
+      return res.status(400).json({
+        success: false,
+        message: 'Work title is required',
+      });
+    }
+
+    const editionsData = (Array.isArray(req.body.editions) ? req.body.editions : [])
+      .map(e => normalizeEdition(pick(e, EDITION_FIELDS)));
+
+    for (const edition of editionsData) {
+      const problem = validateEdition(edition);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem,
+        });
+      }
+    }
+
+    const work = await Work.create(workData);
+
+    let editions;
+    try {
+      editions = await Edition.insertMany(editionsData.map(e => ({ ...e, work: work._id })));
+    } catch (error) {
+      // Don't leave a work behind without the editions it was created with
+      await Work.findByIdAndDelete(work._id);
+      throw error;
+    }
+
+    work.authorIds = await linkWorkAuthors(work);
+
+    await recordAudit(req, { action: 'create', collection: 'works', after: work, details: { editions: editions.length } });
+    for (const edition of editions) {
+      await recordAudit(req, { action: 'create', collection: 'editions', after: edition });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { ...work.toObject(), editions },
+      message: 'Work created successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An edition with this ISBN and format already exists',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * UPDATE WORK
+ * ⚠️ ADMIN ONLY
+ * Partial update of title, authors, genres, description or rating
+ */
+export const updateWork = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid work ID format',
+      });
+    }
+
+    const updates = normalizeWork(pick(req.body, WORK_FIELDS));
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update',
+      });
+    }
+
+    const previous = await Work.findById(id).select('-__v');
+    const work = previous && await Work.findByIdAndUpdate(id, { $set: updates }, {
+      new: true,
+      runValidators: true,
+    }).select('-__v');
+
+    if (!work) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work not found',
+      });
+    }
+
+    if (updates.authors !== undefined) {
+      work.authorIds = await linkWorkAuthors(work);
+    }
+
+    await recordAudit(req, { action: 'update', collection: 'works', before: previous, after: work });
+
+    res.status(200).json({
+      success: true,
+      data: work,
+      message: 'Work updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE WORK
+ * ⚠️ ADMIN ONLY
+ * Removes the work and all of its editions
+ */
+export const deleteWork = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid work ID format',
+      });
+    }
+
+    const work = await Work.findByIdAndDelete(id);
+    if (!work) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work not found',
+      });
+    }
+
+    const editions = await Edition.find({ work: id });
+    const result = await Edition.deleteMany({ work: id });
+
+    await recordAudit(req, { action: 'delete', collection: 'works', before: work, details: { editions: result.deletedCount } });
+    for (const edition of editions) {
+      await recordAudit(req, { action: 'delete', collection: 'editions', before: edition });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: work,
+      deletedEditions: result.deletedCount,
+      message: 'Work deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * ADD EDITION TO WORK
+ * ⚠️ ADMIN ONLY
+ * Body: format, ISBN, image_link, amazon_link, narrator, publisher, ...
+ */
+export const addEdition = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid work ID format',
+      });
+    }
+
+    const editionData = normalizeEdition(pick(req.body, EDITION_FIELDS));
+    const problem = validateEdition(editionData);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    const work = await Work.exists({ _id: id });
+    if (!work) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work not found',
+      });
+    }
+
+    const edition = await Edition.create({ ...editionData, work: id });
+    await recordAudit(req, { action: 'create', collection: 'editions', after: edition });
+
+    res.status(201).json({
+      success: true,
+      data: edition,
+      message: 'Edition added successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An edition with this ISBN and format already exists',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * UPDATE EDITION
+ * ⚠️ ADMIN ONLY
+ * Body: any edition field; acquisitionLinks replaces the whole list
+ */
+export const updateEdition = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid edition ID format',
+      });
+    }
+
+    const updates = normalizeEdition(pick(req.body, EDITION_FIELDS));
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update',
+      });
+    }
+
+    const problem = validateEdition(updates, true);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    const previous = await Edition.findById(id).select('-__v');
+    const edition = previous && await Edition.findByIdAndUpdate(id, { $set: updates }, {
+      new: true,
+      runValidators: true,
+    }).select('-__v');
+
+    if (!edition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Edition not found',
+      });
+    }
+
+    await recordAudit(req, { action: 'update', collection: 'editions', before: previous, after: edition });
+
+    res.status(200).json({
+      success: true,
+      data: edition,
+      message: 'Edition updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An edition with this ISBN and format already exists',
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * DELETE EDITION
+ * ⚠️ ADMIN ONLY
+ * The work is kept even when its last edition is removed
+ */
+export const deleteEdition = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid edition ID format',
+      });
+    }
+
+    const edition = await Edition.findByIdAndDelete(id);
+    if (!edition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Edition not found',
+      });
+    }
+
+    await recordAudit(req, { action: 'delete', collection: 'editions', before: edition });
+
+    res.status(200).json({
+      success: true,
+      data: edition,
+      message: 'Edition deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * LINK EDITION TO WORK
+ * ⚠️ ADMIN ONLY
+ * Body: workId - Work the edition becomes a format of
+ * The work the edition leaves is deleted when it has no editions left
+ */
+export const linkEditionToWork = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { workId } = req.body;
+
+    if (!OBJECT_ID.test(id) || !OBJECT_ID.test(String(workId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid edition or work ID format',
+      });
+    }
+
+    const [edition, work] = await Promise.all([Edition.findById(id).select('-__v'), Work.exists({ _id: workId })]);
+    if (!edition || !work) {
+      return res.status(404).json({
+        success: false,
+        message: edition ? 'Work not found' : 'Edition not found',
+      });
+    }
+
+    if (String(edition.work) === String(workId)) {
+      return res.status(200).json({
+        success: true,
+        data: edition,
+        message: 'Edition is already linked to this work',
+      });
+    }
+
+    const clash = await Edition.exists({ work: workId, format: edition.format, ISBN: { $ne: edition.ISBN } });
+    const before = edition.toObject();
+    await linkEdition(edition, workId);
+    await recordAudit(req, { action: 'update', collection: 'editions', before, after: edition, details: { linkedTo: workId } });
+
+    res.status(200).json({
+      success: true,
+      data: edition,
+      message: clash
+        ? `Edition linked; the work now has more than one ${edition.format} edition`
+        : 'Edition linked to work',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * UNLINK EDITION FROM WORK
+ * ⚠️ ADMIN ONLY
+ * Moves the edition onto a new work of its own, copied from its current work
+ */
+export const unlinkEditionFromWork = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid edition ID format',
+      });
+    }
+
+    const edition = await Edition.findById(id).select('-__v');
+    if (!edition) {
+      return res.status(404).json({
+        success: false,
+        message: 'Edition not found',
+      });
+    }
+
+    const siblings = await Edition.countDocuments({ work: edition.work, _id: { $ne: edition._id } });
+    if (siblings === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Edition is the only format of its work',
+      });
+    }
+
+    const before = edition.toObject();
+    const work = await unlinkEdition(edition);
+    await recordAudit(req, { action: 'create', collection: 'works', after: work, details: { splitFrom: before.work } });
+    await recordAudit(req, { action: 'update', collection: 'editions', before, after: edition, details: { unlinkedFrom: before.work } });
+
+    res.status(200).json({
+      success: true,
+      data: { ...work.toObject(), editions: [edition] },
+      message: 'Edition unlinked onto its own work',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getWorks,
+  getWorkById,
+  createWork,
+  updateWork,
+  deleteWork,
+  addEdition,
+  updateEdition,
+  deleteEdition,
+  linkEditionToWork,
+  unlinkEditionFromWork,
+};
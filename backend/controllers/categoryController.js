@@ -0,0 +1,249 @@
+import Category from '../Model/CategorySchema.js';
+import { LEGACY_COLLECTIONS } from '../Model/legacyCollections.js';
+import { recordAudit } from '../services/auditService.js';
+import {
+  listCategories,
+  buildTree,
+  findCategory,
+  ancestorsOf,
+  wouldCreateCycle,
+} from '../services/categoryService.js';
+import { uniqueSlug } from '../utils/slug.js';
+
+/**
+ * ============================================
+ * CATEGORIES
+ * ============================================
+ * The subject taxonomy with parent/child genres, slugs, display order and
+ * cover images. Reads are public; write operations are mounted behind
+ * verifyToken + requireAdmin.
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// Legacy collections that hold one category's records
+const CATEGORY_COLLECTIONS = LEGACY_COLLECTIONS.filter(entry => entry.genre).map(entry => entry.key);
+
+// Trim text fields; empty optional fields clear the stored value
+const normalizeCategory = (body) => {
+  const data = {};
+  const text = (value) => String(value ?? '').trim();
+  if (body.name !== undefined) data.name = text(body.name);
+  if (body.description !== undefined) data.description = text(body.description) || undefined;
+  if (body.image_link !== undefined) data.image_link = text(body.image_link) || null;
+  if (body.legacyCollection !== undefined) data.legacyCollection = text(body.legacyCollection) || null;
+  if (body.parent !== undefined) data.parent = text(body.parent) || null;
+  if (body.order !== undefined) data.order = body.order === '' ? 0 : Number(body.order);
+  return data;
+};
+
+// Returns a problem description, or null when the fields are acceptable
+const validateCategory = async (data, id) => {
+  if (data.name === '') return 'Category name is required';
+  if (data.order !== undefined && !Number.isFinite(data.order)) return 'Order must be a number';
+  if (data.image_link && !/^https?:\/\/\S+$/i.test(data.image_link)) return 'Cover must be an http(s) URL';
+
+  if (data.parent) {
+    if (!OBJECT_ID.test(data.parent)) return 'Invalid parent category ID format';
+    if (!await Category.exists({ _id: data.parent })) return 'Parent category not found';
+    if (id && await wouldCreateCycle(id, data.parent)) return 'A category cannot be placed under itself or its subgenres';
+  }
+
+  if (data.legacyCollection) {
+    if (!CATEGORY_COLLECTIONS.includes(data.legacyCollection)) {
+      return `Collection must be one of: ${CATEGORY_COLLECTIONS.join(', ')}`;
+    }
+    const taken = await Category.findOne({
+      legacyCollection: data.legacyCollection,
+      ...(id && { _id: { $ne: id } }),
+    }).select('name').lean();
+    if (taken) return `The ${data.legacyCollection} collection already belongs to ${taken.name}`;
+  }
+  return null;
+};
+
+/**
+ * GET ALL CATEGORIES
+ * Query Parameters:
+ * - flat (default: false): true for a list in display order instead of a
+ *   tree of top-level categories with `children`
+ * `collections` lists the legacy collections a category can be backed by.
+ */
+export const getCategories = async (req, res, next) => {
+  try {
+    const categories = await listCategories();
+
+    res.status(200).json({
+      success: true,
+      data: req.query.flat === 'true' ? categories : buildTree(categories),
+      collections: CATEGORY_COLLECTIONS,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET SINGLE CATEGORY
+ * Looks the category up by ID or slug and returns it with its parents
+ * (`ancestors`, top level first) and direct subgenres (`children`)
+ */
+export const getCategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req.params.key);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    const [ancestors, children] = await Promise.all([
+      ancestorsOf(category),
+      Category.find({ parent: category._id }).select('-__v').sort({ order: 1, name: 1 }).lean(),
+    ]);
+    const { __v, ...data } = category.toObject();
+
+    res.status(200).json({
+      success: true,
+      data: { ...data, ancestors, children },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * CREATE CATEGORY
+ * ⚠️ ADMIN ONLY
+ * Body: name, parent, order, description, image_link, legacyCollection
+ */
+export const createCategory = async (req, res, next) => {
+  try {
+    const data = normalizeCategory(req.body);
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category name is required',
+      });
+    }
+
+    const problem = await validateCategory(data);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    const category = await Category.create({ ...data, slug: await uniqueSlug(Category, data.name) });
+    await recordAudit(req, { action: 'create', collection: 'categories', after: category });
+
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: 'Category created successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * UPDATE CATEGORY
+ * ⚠️ ADMIN ONLY
+ * Partial update; renaming changes the slug, and `parent: null` moves the
+ * category to the top level
+ */
+export const updateCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID format',
+      });
+    }
+
+    const updates = normalizeCategory(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update',
+      });
+    }
+
+    const problem = await validateCategory(updates, id);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    const category = await Category.findById(id).select('-__v');
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    const before = category.toObject();
+    category.set(updates);
+    if (category.isModified('name')) {
+      category.slug = await uniqueSlug(Category, category.name, id);
+    }
+    await category.save();
+
+    await recordAudit(req, { action: 'update', collection: 'categories', before, after: category });
+
+    res.status(200).json({
+      success: true,
+      data: category,
+      message: 'Category updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE CATEGORY
+ * ⚠️ ADMIN ONLY
+ * Its subgenres move up to its parent; works keep their genres
+ */
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID format',
+      });
+    }
+
+    const category = await Category.findByIdAndDelete(id);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found',
+      });
+    }
+
+    const result = await Category.updateMany({ parent: category._id }, { $set: { parent: category.parent } });
+    await recordAudit(req, { action: 'delete', collection: 'categories', before: category, details: { movedChildren: result.modifiedCount } });
+
+    res.status(200).json({
+      success: true,
+      data: category,
+      movedChildren: result.modifiedCount,
+      message: 'Category deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,117 @@
+import { getLegacyCollection } from '../Model/legacyCollections.js';
+import {
+  MATCH_REASONS,
+  DEFAULT_MIN_SIMILARITY,
+  DuplicateError,
+  findDuplicateClusters,
+  mergeRecords,
+} from '../services/duplicateService.js';
+
+/**
+ * ============================================
+ * DUPLICATE DETECTION & MERGE
+ * ============================================
+ * ⚠️ ADMIN ONLY - Mounted behind verifyToken and requireAdmin
+ */
+
+/**
+ * GET DUPLICATE CLUSTERS
+ * Groups of records that look like the same book, across every collection
+ * Query Parameters:
+ * - collection: Only clusters with a record in this collection
+ * - reason: isbn (equivalent ISBNs) | title (similar title, shared author)
+ * - minSimilarity: Title similarity needed, 0-1 (default: 0.85)
+ * - page (default: 1), limit (default: 20, max: 100)
+ */
+export const getDuplicates = async (req, res, next) => {
+  try {
+    const { collection, reason, page = 1, limit = 20 } = req.query;
+
+    if (collection && !getLegacyCollection(collection)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown collection "${collection}"`,
+      });
+    }
+
+    if (reason && !MATCH_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${MATCH_REASONS.join(', ')}`,
+      });
+    }
+
+    const minSimilarity = req.query.minSimilarity === undefined
+      ? DEFAULT_MIN_SIMILARITY
+      : parseFloat(req.query.minSimilarity);
+    if (Number.isNaN(minSimilarity) || minSimilarity <= 0 || minSimilarity > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'minSimilarity must be a number above 0 and at most 1',
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const clusters = await findDuplicateClusters({ collection, reason, minSimilarity });
+    const total = clusters.length;
+
+    res.status(200).json({
+      success: true,
+      data: clusters.slice((pageNum - 1) * limitNum, pageNum * limitNum),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * MERGE DUPLICATES
+ * Keeps one record, fills it from the others and moves them to the trash;
+ * book requests for their ISBNs, and shelf items and reading progress on
+ * their editions, are pointed at the kept record
+ * Body:
+ * - winner: { collection, id } - Record to keep
+ * - losers: [{ collection, id }] - Records merged into it
+ * - fields: { field: "collection:id" } - Member whose value to keep per field
+ *   (default: the winner's value, else the first non-empty one)
+ * - dryRun: Return the merged record without writing (default: false)
+ */
+export const mergeDuplicates = async (req, res, next) => {
+  try {
+    const { winner, losers, fields } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const result = await mergeRecords(req, { winner, losers, fields, dryRun });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: dryRun
+        ? `Merging would trash ${result.trashed.length} record(s) and repoint ${result.requests} request(s), ${result.shelfItems} shelf item(s) and ${result.progress} progress record(s)`
+        : `Merged ${result.trashed.length} record(s) into ${winner.collection}; ${result.requests} request(s), ${result.shelfItems} shelf item(s) and ${result.progress} progress record(s) repointed`,
+    });
+  } catch (error) {
+    if (error instanceof DuplicateError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+export default {
+  getDuplicates,
+  mergeDuplicates,
+};
@@ -0,0 +1,82 @@
+import { getLegacyCollection } from '../Model/legacyCollections.js';
+import {
+  EnrichmentError,
+  providerNames,
+  configuredProviders,
+  lookupIsbn,
+  metadataToBook,
+} from '../services/enrichmentService.js';
+
+/**
+ * ============================================
+ * METADATA ENRICHMENT
+ * ============================================
+ * ⚠️ ADMIN ONLY - Mounted behind verifyToken and requireAdmin
+ */
+
+/**
+ * GET METADATA PROVIDERS
+ * Lists every registered provider and the ones asked by default
+ */
+export const getProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      available: providerNames(),
+      configured: configuredProviders(),
+    },
+  });
+};
+
+/**
+ * LOOK UP ISBN
+ * Returns the metadata found for an ISBN and the record fields it fills
+ * Query Parameters:
+ * - collection: Collection the fields are for (default: books)
+ * - providers: Comma-separated providers to ask (default: ENRICHMENT_PROVIDERS)
+ */
+export const lookupMetadata = async (req, res, next) => {
+  try {
+    const { collection = 'books', providers } = req.query;
+
+    if (!getLegacyCollection(collection)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown collection "${collection}"`,
+      });
+    }
+
+    const result = await lookupIsbn(req.params.isbn, {
+      providers: providers ? providers.split(',').map(p => p.trim()).filter(Boolean) : undefined,
+    });
+
+    if (!result.found) {
+      return res.status(404).json({
+        success: false,
+        message: `No metadata found for ISBN ${result.isbn}`,
+        errors: result.errors,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        fields: metadataToBook(result.metadata, collection),
+      },
+    });
+  } catch (error) {
+    if (error instanceof EnrichmentError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+export default {
+  getProviders,
+  lookupMetadata,
+};
@@ -0,0 +1,54 @@
+import {
+  ExportError,
+  parseExportQuery,
+  exportFileInfo,
+  streamExport,
+} from '../services/exportService.js';
+
+/**
+ * ============================================
+ * CATALOG EXPORT
+ * ============================================
+ * ⚠️ ADMIN ONLY - Mounted behind verifyToken and requireAdmin
+ */
+
+/**
+ * EXPORT CATALOG
+ * Streams matching records as a file attachment
+ * Query Parameters:
+ * - format: csv (default) | jsonl | bibtex | ris
+ * - collection: Collection key, or "all" (default: books)
+ * - genre, author, q, language: Filters (author and q match partially)
+ * - publishedFrom, publishedTo: Publication year range
+ * - updatedSince: Only records changed since this date
+ * - ids: Comma-separated record IDs
+ * - fields: Comma-separated CSV/JSONL columns (default: all)
+ */
+export const exportCatalog = async (req, res, next) => {
+  try {
+    const exportQuery = parseExportQuery(req.query);
+
+    const { contentType, filename } = exportFileInfo(exportQuery.format, exportQuery.collection);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await streamExport(res, exportQuery);
+  } catch (error) {
+    if (error instanceof ExportError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    // Once the file has started there is no way to report an error but to cut it off
+    if (res.headersSent) {
+      console.error('Export failed:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+export default {
+  exportCatalog,
+};
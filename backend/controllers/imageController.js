@@ -0,0 +1,145 @@
+import { recordAudit } from '../services/auditService.js';
+import {
+  ImageError,
+  COVER_SIZES,
+  COVER_CONTENT_TYPE,
+  DEFAULT_COVER_SIZE,
+  isCoverSize,
+  coverUrls,
+  storeCover,
+  readCover,
+  deleteCover as removeCover,
+} from '../services/imageService.js';
+
+/**
+ * ============================================
+ * COVER IMAGES
+ * ============================================
+ * Covers are served publicly; uploads and deletes are mounted behind
+ * verifyToken + requireAdmin.
+ */
+
+// Cover URLs never change content, so clients may keep them for a year
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Public base of the API for cover URLs: PUBLIC_API_URL, or the URL this request came in on
+const apiBase = (req) => process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}/api`;
+
+/**
+ * UPLOAD COVER
+ * ⚠️ ADMIN ONLY
+ * Body: The image file itself, with its image/* Content-Type
+ * Returns the cover ID, the URL of every size and the image_link to store on
+ * a book (the largest size)
+ */
+export const uploadCover = async (req, res, next) => {
+  try {
+    if (!req.is('image/*')) {
+      return res.status(415).json({
+        success: false,
+        message: 'Send the image file as the request body with an image/* Content-Type',
+      });
+    }
+
+    const cover = await storeCover(req.body);
+    const urls = coverUrls(cover.id, apiBase(req));
+
+    await recordAudit(req, {
+      action: 'create',
+      collection: 'covers',
+      details: { cover: cover.id, width: cover.width, height: cover.height },
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...cover,
+        urls,
+        image_link: urls[DEFAULT_COVER_SIZE],
+      },
+      message: 'Cover uploaded successfully',
+    });
+  } catch (error) {
+    if (error instanceof ImageError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * GET COVER
+ * Serves one size of a cover as WebP
+ * Params: id, size (small | medium | large)
+ */
+export const getCover = async (req, res, next) => {
+  try {
+    const { id, size } = req.params;
+
+    if (!isCoverSize(size)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown cover size "${size}"; available: ${Object.keys(COVER_SIZES).join(', ')}`,
+      });
+    }
+
+    // Look the cover up first, so a deleted cover isn't confirmed as unchanged
+    const image = await readCover(id, size);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cover not found',
+      });
+    }
+
+    res.set({
+      'Cache-Control': CACHE_CONTROL,
+      ETag: `"${id}-${size}"`,
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.type(COVER_CONTENT_TYPE).send(image);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE COVER
+ * ⚠️ ADMIN ONLY
+ * Removes every size; books still linking to the cover fall back to the
+ * placeholder image
+ */
+export const deleteCover = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const removed = await removeCover(id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cover not found',
+      });
+    }
+
+    await recordAudit(req, { action: 'delete', collection: 'covers', details: { cover: id } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Cover deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  uploadCover,
+  getCover,
+  deleteCover,
+};
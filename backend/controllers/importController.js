@@ -0,0 +1,230 @@
+import ImportJob, { IMPORT_ROW_STATUSES } from '../Model/ImportJobSchema.js';
+import { getLegacyCollection } from '../Model/legacyCollections.js';
+import { runImport, importableFields, ImportError, MAX_IMPORT_ROWS } from '../services/importService.js';
+import { parseListQuery, paginate, ListQueryError } from '../utils/pagination.js';
+import { toCsv } from '../utils/csv.js';
+
+/**
+ * ============================================
+ * CATALOG IMPORT
+ * ============================================
+ * ⚠️ ADMIN ONLY - Mounted behind verifyToken and requireAdmin
+ */
+
+const REPORT_COLUMNS = ['row', 'status', 'ISBN', 'name', 'recordId', 'messages'];
+
+/**
+ * GET IMPORT FIELDS
+ * Fields a file can be mapped to, with their type and whether they are required
+ * Query Parameters:
+ * - collection: Target collection (default: books)
+ */
+export const getImportFields = async (req, res, next) => {
+  try {
+    const { collection = 'books' } = req.query;
+
+    if (!getLegacyCollection(collection)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown collection "${collection}"`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: importableFields(collection),
+      maxRows: MAX_IMPORT_ROWS,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * RUN IMPORT
+ * Validate a CSV or JSON file and, unless it is a dry run, write its rows
+ * Body:
+ * - format: csv | json
+ * - content: File content as text
+ * - filename: Original file name (optional)
+ * - collection: Target collection (default: books)
+ * - mapping: { column: field } (default: matched by column name)
+ * - onExisting: skip (default) | update - what to do with rows whose ISBN exists
+ * - enrich: Fill missing details of new records by ISBN (default: false)
+ * - dryRun: Preview only (default: true); pass false to commit
+ */
+export const createImport = async (req, res, next) => {
+  try {
+    const { format, content, filename, collection, mapping, onExisting } = req.body;
+    const dryRun = req.body.dryRun !== false && req.body.dryRun !== 'false';
+    const enrich = req.body.enrich === true || req.body.enrich === 'true';
+
+    const { job, columns, mapping: usedMapping } = await runImport(req, {
+      collection,
+      format,
+      content,
+      filename,
+      mapping,
+      onExisting,
+      enrich,
+      dryRun,
+    });
+
+    const { summary } = job;
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: {
+        ...job.toObject(),
+        columns,
+        mapping: usedMapping,
+      },
+      message: dryRun
+        ? `Dry run: ${summary.create} to create, ${summary.update} to update, ${summary.duplicate} duplicate(s), ${summary.error} error(s)`
+        : `Imported ${summary.create} new and ${summary.update} updated record(s); ${summary.duplicate} duplicate(s) and ${summary.error} error(s) skipped`,
+    });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * GET IMPORTS
+ * Past imports and dry runs, newest first, without their rows
+ * Query Parameters:
+ * - dryRun: true | false
+ * - cursor, limit (default: 20, max: 100): Pagination, as on the collection routes
+ */
+export const getImports = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.dryRun !== undefined) {
+      filter.dryRun = req.query.dryRun === 'true';
+    }
+
+    const listQuery = parseListQuery(ImportJob.schema, {
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+      sortBy: 'createdAt',
+      order: 'desc',
+      fields: 'actor,targetCollection,format,filename,dryRun,onExisting,enrich,summary,createdAt',
+    });
+    const { data, pagination } = await paginate(ImportJob, filter, listQuery);
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination,
+    });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+// Load the job named by :id; responds and returns null when it can't
+const findJob = async (req, res) => {
+  const { id } = req.params;
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid import ID format',
+    });
+    return null;
+  }
+
+  const job = await ImportJob.findById(id).select('-__v').lean();
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Import not found',
+    });
+    return null;
+  }
+
+  return job;
+};
+
+/**
+ * GET IMPORT BY ID
+ * One import with the outcome of every row
+ */
+export const getImportById = async (req, res, next) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    res.status(200).json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DOWNLOAD IMPORT REPORT
+ * Per-row report as a file attachment
+ * Query Parameters:
+ * - format: csv (default) | json
+ * - status: Comma-separated row statuses to include (default: error,duplicate);
+ *   "all" for every row
+ */
+export const getImportReport = async (req, res, next) => {
+  try {
+    const { format = 'csv', status = 'error,duplicate' } = req.query;
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or json',
+      });
+    }
+
+    const statuses = status === 'all' ? IMPORT_ROW_STATUSES : status.split(',').map(s => s.trim());
+    const unknown = statuses.find(s => !IMPORT_ROW_STATUSES.includes(s));
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be "all" or any of: ${IMPORT_ROW_STATUSES.join(', ')}`,
+      });
+    }
+
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    const rows = job.rows
+      .filter(row => statuses.includes(row.status))
+      .map(row => ({ ...row, messages: row.messages.join('; ') }));
+    const filename = `import-${job._id}-report.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      res.type('text/csv').send(toCsv(rows, REPORT_COLUMNS));
+    } else {
+      res.type('application/json').send(JSON.stringify(rows, null, 2));
+    }
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getImportFields,
+  createImport,
+  getImports,
+  getImportById,
+  getImportReport,
+};
@@ -0,0 +1,120 @@
+import { getLegacyCollection } from '../Model/legacyCollections.js';
+import {
+  INTEROP_FORMATS,
+  importInterop,
+  exportInterop,
+  exportFileInfo,
+} from '../services/interopService.js';
+import { ImportError } from '../services/importService.js';
+
+/**
+ * ============================================
+ * MARC21 & ONIX IMPORT/EXPORT
+ * ============================================
+ * ⚠️ ADMIN ONLY - Mounted behind verifyToken and requireAdmin
+ */
+
+/**
+ * IMPORT MARC OR ONIX FILE
+ * The request body is the file itself (any content type, e.g. application/marc)
+ * Query Parameters:
+ * - format: marc (ISO 2709) | marcxml | onix (ONIX 3.0, reference tags)
+ * - collection: Target collection (default: books)
+ * - onExisting: skip (default) | update - what to do with records whose ISBN exists
+ * - enrich: true to fill missing details of new records by ISBN
+ * - dryRun: Preview only (default: true); pass false to commit
+ * - filename: Original file name (optional)
+ */
+export const importRecords = async (req, res, next) => {
+  try {
+    const { format, collection, onExisting, filename } = req.query;
+    const dryRun = req.query.dryRun !== 'false';
+    const enrich = req.query.enrich === 'true';
+
+    const { job, formats } = await importInterop(req, {
+      format,
+      content: req.body,
+      collection,
+      onExisting,
+      enrich,
+      dryRun,
+      filename,
+    });
+
+    const { summary } = job;
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: job,
+      formats,
+      message: dryRun
+        ? `Dry run: ${summary.create} to create, ${summary.update} to update, ${summary.duplicate} duplicate(s), ${summary.error} error(s)`
+        : `Imported ${summary.create} new and ${summary.update} updated record(s); ${summary.duplicate} duplicate(s) and ${summary.error} error(s) skipped`,
+    });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * EXPORT COLLECTION AS MARC OR ONIX
+ * Streams every live record of the collection as a file attachment
+ * Query Parameters:
+ * - format: marc (default) | marcxml | onix
+ * - ids: Comma-separated record IDs to export instead of the whole collection
+ */
+export const exportRecords = async (req, res, next) => {
+  try {
+    const { collection } = req.params;
+    const { format = 'marc', ids } = req.query;
+
+    if (!getLegacyCollection(collection)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown collection "${collection}"`,
+      });
+    }
+
+    if (!INTEROP_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${INTEROP_FORMATS.join(', ')}`,
+      });
+    }
+
+    const filter = {};
+    if (ids) {
+      const idList = ids.split(',').map(id => id.trim()).filter(Boolean);
+      if (idList.some(id => !id.match(/^[0-9a-fA-F]{24}$/))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid record ID format',
+        });
+      }
+      filter._id = { $in: idList };
+    }
+
+    const { contentType, filename } = exportFileInfo(format, collection);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await exportInterop(format, collection, res, filter);
+  } catch (error) {
+    // Once the file has started there is no way to report an error but to cut it off
+    if (res.headersSent) {
+      console.error('Export failed:', error);
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+export default {
+  importRecords,
+  exportRecords,
+};
@@ -0,0 +1,175 @@
+import { getLegacyCollection } from '../Model/legacyCollections.js';
+import { LINK_FIELDS, LINK_STATUSES } from '../Model/LinkCheckSchema.js';
+import {
+  LinkCheckError,
+  getCheckIntervalHours,
+  linkCheckState,
+  linkReport,
+  startLinkCheck,
+  fixLinks as applyLinkFixes,
+} from '../services/linkCheckService.js';
+
+/**
+ * ============================================
+ * LINK HEALTH
+ * ============================================
+ * ⚠️ ADMIN ONLY - Mounted behind verifyToken and requireAdmin
+ */
+
+// Links one check request may name
+const MAX_CHECK_URLS = 200;
+
+/**
+ * GET LINK REPORT
+ * Stored cover and purchase links with their last check, most often failing
+ * first, plus the count per status and the state of the check job
+ * Query Parameters:
+ * - status: unchecked | ok | redirected | broken | unreachable
+ * - field: image_link | amazon_link
+ * - collection: Only links used in this collection ('editions' for catalog-only editions)
+ * - page (default: 1), limit (default: 50, max: 200)
+ */
+export const getLinkReport = async (req, res, next) => {
+  try {
+    const { status, field, collection, page = 1, limit = 50 } = req.query;
+
+    if (status && !LINK_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${LINK_STATUSES.join(', ')}`,
+      });
+    }
+    if (field && !LINK_FIELDS.includes(field)) {
+      return res.status(400).json({
+        success: false,
+        message: `Field must be one of: ${LINK_FIELDS.join(', ')}`,
+      });
+    }
+    if (collection && collection !== 'editions' && !getLegacyCollection(collection)) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown collection "${collection}"`,
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const { links, total, summary } = await linkReport({ status, field, collection, page: pageNum, limit: limitNum });
+
+    res.status(200).json({
+      success: true,
+      data: links,
+      summary,
+      job: linkCheckState(),
+      intervalHours: getCheckIntervalHours(),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET CHECK JOB STATE
+ * Progress of the running check, or the outcome of the last one
+ */
+export const getCheckState = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: linkCheckState(),
+  });
+};
+
+/**
+ * START LINK CHECK
+ * Runs in the background; poll GET /api/links/check for progress
+ * Body:
+ * - urls: Check exactly these links
+ * - force: Check every link, however recently checked (default: only links
+ *   not checked within LINK_CHECK_INTERVAL_HOURS)
+ */
+export const startCheck = async (req, res, next) => {
+  try {
+    const { urls } = req.body;
+    const force = req.body.force === true || req.body.force === 'true';
+
+    if (urls !== undefined) {
+      if (!Array.isArray(urls) || urls.length === 0 || urls.some(url => typeof url !== 'string')) {
+        return res.status(400).json({
+          success: false,
+          message: 'urls must be a non-empty array of links',
+        });
+      }
+      if (urls.length > MAX_CHECK_URLS) {
+        return res.status(400).json({
+          success: false,
+          message: `At most ${MAX_CHECK_URLS} links can be checked at once`,
+        });
+      }
+    }
+
+    const state = startLinkCheck({ urls, force });
+
+    res.status(202).json({
+      success: true,
+      data: state,
+      message: 'Link check started',
+    });
+  } catch (error) {
+    if (error instanceof LinkCheckError) {
+      return res.status(error.running ? 409 : 400).json({
+        success: false,
+        message: error.message,
+        data: linkCheckState(),
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * FIX LINKS
+ * Changes the link in every record using it; each change is audited
+ * Body:
+ * - action: final-url (use where a redirect ends) | replace | isbn-search
+ *   (Amazon search for the book's ISBN, purchase links only)
+ * - urls: [string] - Links to fix
+ * - replacement: New URL, for replace
+ */
+export const fixLinks = async (req, res, next) => {
+  try {
+    const { action, urls, replacement } = req.body;
+
+    const results = await applyLinkFixes(req, { action, urls, replacement });
+    const updated = results.reduce((sum, result) => sum + result.updated, 0);
+
+    res.status(200).json({
+      success: true,
+      data: results,
+      message: `Updated ${updated} record(s)`,
+    });
+  } catch (error) {
+    if (error instanceof LinkCheckError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+export default {
+  getLinkReport,
+  getCheckState,
+  startCheck,
+  fixLinks,
+};
@@ -0,0 +1,172 @@
+import UserProfile, { PRIVACY_LEVELS } from '../Model/UserProfileSchema.js';
+import { ensureProfile, publicProfile } from '../services/profileService.js';
+import { removeShelves } from '../services/shelfService.js';
+import { removeProgress } from '../services/progressService.js';
+
+/**
+ * ============================================
+ * USER PROFILES
+ * ============================================
+ * The signed-in reader's own profile under /api/me (mounted behind
+ * verifyToken), and other readers' profiles as far as their privacy
+ * settings allow.
+ */
+
+// Favorite genres kept per reader
+const MAX_FAVORITE_GENRES = 20;
+
+// Parts of a profile with their own privacy setting
+const PRIVACY_PARTS = ['profile'];
+
+// "en", "pt-BR": a language code with an optional region
+const LOCALE = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+
+// Accept either an array or a comma-separated string
+const toList = (value) =>
+  [].concat(value ?? [])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+// Trim text fields and tidy the casing of the locale; empty optional fields clear the stored value
+const normalizeProfile = (body) => {
+  const data = {};
+  if (body.displayName !== undefined) data.displayName = String(body.displayName ?? '').trim() || null;
+  if (body.avatar !== undefined) data.avatar = String(body.avatar ?? '').trim() || null;
+  if (body.favoriteGenres !== undefined) data.favoriteGenres = [...new Set(toList(body.favoriteGenres))];
+  if (body.locale !== undefined) {
+    const [language, region] = String(body.locale ?? '').trim().replace('_', '-').split('-');
+    data.locale = region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+  }
+  if (body.privacy && typeof body.privacy === 'object') {
+    for (const part of PRIVACY_PARTS) {
+      if (body.privacy[part] !== undefined) data[`privacy.${part}`] = body.privacy[part];
+    }
+  }
+  return data;
+};
+
+// Returns a problem description, or null when the fields are acceptable
+const validateProfile = (data) => {
+  if (data.displayName && data.displayName.length > 60) return 'Display name can be at most 60 characters';
+  if (data.avatar && !/^https?:\/\/\S+$/i.test(data.avatar)) return 'Avatar must be an http(s) URL';
+  if (data.favoriteGenres && data.favoriteGenres.length > MAX_FAVORITE_GENRES) {
+    return `At most ${MAX_FAVORITE_GENRES} favorite genres can be chosen`;
+  }
+  if (data.locale !== undefined && !LOCALE.test(data.locale)) return 'Locale must be a language tag, e.g. en or en-GB';
+  for (const part of PRIVACY_PARTS) {
+    const level = data[`privacy.${part}`];
+    if (level !== undefined && !PRIVACY_LEVELS.includes(level)) {
+      return `Privacy of ${part} must be one of: ${PRIVACY_LEVELS.join(', ')}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * GET MY PROFILE
+ * Creates the profile on the reader's first sign-in (201), otherwise 200
+ */
+export const getMe = async (req, res, next) => {
+  try {
+    const { profile, created } = await ensureProfile(req.user);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: profile,
+      created,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * UPDATE MY PROFILE
+ * Body: displayName, avatar, favoriteGenres, locale,
+ * privacy: { profile } ('private' or 'public')
+ */
+export const updateMe = async (req, res, next) => {
+  try {
+    const updates = normalizeProfile(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update',
+      });
+    }
+
+    const problem = validateProfile(updates);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    await ensureProfile(req.user);
+    const profile = await UserProfile.findOneAndUpdate({ uid: req.user.uid }, { $set: updates }, {
+      new: true,
+      runValidators: true,
+    }).select('-__v');
+
+    res.status(200).json({
+      success: true,
+      data: profile,
+      message: 'Profile updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE MY PROFILE
+ * Removes what the library keeps about the reader, shelves and reading
+ * progress included; the Firebase account stays and a fresh profile is
+ * created at the next sign-in
+ */
+export const deleteMe = async (req, res, next) => {
+  try {
+    const profile = await UserProfile.findOneAndDelete({ uid: req.user.uid });
+    await removeShelves(req.user.uid);
+    await removeProgress(req.user.uid);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET A READER'S PUBLIC PROFILE
+ * Private profiles answer 404, the same as missing ones
+ */
+export const getPublicProfile = async (req, res, next) => {
+  try {
+    const profile = await UserProfile.findOne({ uid: req.params.uid }).lean();
+    const data = publicProfile(profile);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
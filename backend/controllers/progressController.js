@@ -0,0 +1,205 @@
+import ReadingProgress from '../Model/ReadingProgressSchema.js';
+import { getLegacyCollection } from '../Model/legacyCollections.js';
+import { SHELF_COLLECTIONS, resolveEdition } from '../services/shelfService.js';
+import {
+  ProgressError,
+  parseTimestamp,
+  recordProgress,
+  listProgress,
+} from '../services/progressService.js';
+
+/**
+ * ============================================
+ * READING PROGRESS
+ * ============================================
+ * The signed-in reader's progress through print, ebook and audiobook
+ * editions under /api/me/progress (mounted behind verifyToken), and the
+ * "continue reading" list of the Home page.
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// States the progress list can be filtered to
+const PROGRESS_STATES = ['reading', 'finished'];
+
+const DEFAULT_CONTINUE_LIMIT = 10;
+const MAX_CONTINUE_LIMIT = 50;
+
+// Pages and percentages as numbers, positions and durations as seconds;
+// audiobook fields may be given as "h:mm:ss" timestamps
+const normalizeProgress = (body) => {
+  const data = {};
+  for (const field of ['page', 'totalPages', 'percent']) {
+    if (body[field] !== undefined && body[field] !== '') data[field] = body[field] === null ? null : Number(body[field]);
+  }
+  for (const field of ['position', 'duration']) {
+    if (body[field] !== undefined && body[field] !== '') data[field] = body[field] === null ? null : parseTimestamp(body[field]);
+  }
+  if (body.finished === true || body.finished === 'true') data.finished = true;
+  return data;
+};
+
+// Returns a problem description, or null when the fields are acceptable
+const validateProgress = (data, format) => {
+  if (Object.keys(data).length === 0) {
+    return format === 'audiobook'
+      ? 'Provide a position, percent or finished'
+      : 'Provide a page, percent or finished';
+  }
+  if (format === 'audiobook' && (data.page !== undefined || data.totalPages !== undefined)) {
+    return 'Audiobooks track a position, not pages';
+  }
+  if (format !== 'audiobook' && (data.position !== undefined || data.duration !== undefined)) {
+    return 'Print and ebook editions track a page, not a position';
+  }
+  if (data.page != null && (!Number.isInteger(data.page) || data.page < 0)) return 'Page must be a whole number of at least 0';
+  if (data.totalPages != null && (!Number.isInteger(data.totalPages) || data.totalPages < 1)) {
+    return 'totalPages must be a whole number of at least 1';
+  }
+  if (data.percent != null && !(data.percent >= 0 && data.percent <= 100)) return 'Percent must be between 0 and 100';
+  if (data.position != null && !(data.position >= 0)) return 'Position must be a timestamp such as 1:23:45, or seconds';
+  if (data.duration != null && !(data.duration > 0)) return 'Duration must be a timestamp such as 10:05:00, or seconds';
+  return null;
+};
+
+/**
+ * GET MY READING PROGRESS
+ * Query Parameters:
+ * - state: 'reading' (started, not finished) or 'finished'
+ * Most recently updated first
+ */
+export const getProgress = async (req, res, next) => {
+  try {
+    const { state } = req.query;
+    if (state !== undefined && !PROGRESS_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        message: `State must be one of: ${PROGRESS_STATES.join(', ')}`,
+      });
+    }
+
+    const progress = await listProgress(req.user.uid, { state });
+
+    res.status(200).json({
+      success: true,
+      data: progress,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET CONTINUE READING
+ * Editions the reader has started and not finished, most recently read first
+ * Query Parameters:
+ * - limit (default: 10, max: 50)
+ */
+export const getContinueReading = async (req, res, next) => {
+  try {
+    const limit = req.query.limit === undefined ? DEFAULT_CONTINUE_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CONTINUE_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be a whole number from 1 to ${MAX_CONTINUE_LIMIT}`,
+      });
+    }
+
+    const progress = await listProgress(req.user.uid, { state: 'reading', limit });
+
+    res.status(200).json({
+      success: true,
+      data: progress,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * RECORD PROGRESS
+ * Body: collection ('books', 'ebooks' or 'audiobooks') and the item's id
+ * and/or ISBN, plus
+ * - print and ebook: page (with totalPages when the edition has no page
+ *   count) or percent
+ * - audiobook: position (with duration the first time) or percent; both as
+ *   seconds or "h:mm:ss"
+ * - finished: true to mark the edition as read to the end
+ * Answers 201 for the first progress on an edition, otherwise 200
+ */
+export const updateProgress = async (req, res, next) => {
+  try {
+    const { collection, id, ISBN } = req.body;
+    if (!SHELF_COLLECTIONS.includes(collection)) {
+      return res.status(400).json({
+        success: false,
+        message: `Collection must be one of: ${SHELF_COLLECTIONS.join(', ')}`,
+      });
+    }
+    if (!id && !ISBN) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide the id or ISBN of the book',
+      });
+    }
+
+    const changes = normalizeProgress(req.body);
+    const problem = validateProgress(changes, getLegacyCollection(collection).format);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    const edition = await resolveEdition({ collection, id: id && String(id), ISBN: ISBN && String(ISBN) });
+    if (!edition) {
+      return res.status(404).json({
+        success: false,
+        message: `No such item in ${collection}`,
+      });
+    }
+
+    const { progress, created } = await recordProgress(req.user.uid, edition, changes);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: progress,
+      message: progress.finishedAt ? 'Marked as finished' : 'Progress saved',
+    });
+  } catch (error) {
+    if (error instanceof ProgressError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+};
+
+/**
+ * DELETE PROGRESS
+ * Forgets the reader's progress through an edition; its shelves stay as they are
+ */
+export const deleteProgress = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const progress = OBJECT_ID.test(id)
+      ? await ReadingProgress.findOneAndDelete({ _id: id, uid: req.user.uid })
+      : null;
+    if (!progress) {
+      return res.status(404).json({
+        success: false,
+        message: 'Progress not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Progress deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,191 @@
+import {
+  REVISIONED_COLLECTIONS,
+  diffSnapshots,
+  listRevisions,
+  revertToRevision,
+} from '../services/revisionService.js';
+
+/**
+ * ============================================
+ * REVISION HISTORY
+ * ============================================
+ * ⚠️ ADMIN ONLY - Mounted behind verifyToken and requireAdmin
+ * Records are addressed as /:collection/:id, where collection is a book
+ * collection (books, fiction, ...) or works / editions.
+ */
+
+// Validate the :collection and :id route parameters; responds and returns false when invalid
+const checkParams = (req, res) => {
+  const { collection, id } = req.params;
+
+  if (!REVISIONED_COLLECTIONS.includes(collection)) {
+    res.status(404).json({
+      success: false,
+      message: `Unknown collection "${collection}"`,
+    });
+    return false;
+  }
+
+  if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid record ID format',
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * GET REVISIONS
+ * List a record's revisions, oldest first
+ * Query Parameters:
+ * - snapshots (default: false): Include the full record for each revision
+ */
+export const getRevisions = async (req, res, next) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const { collection, id } = req.params;
+    const revisions = await listRevisions(collection, id);
+    const withSnapshots = req.query.snapshots === 'true';
+
+    res.status(200).json({
+      success: true,
+      data: withSnapshots ? revisions : revisions.map(({ snapshot, ...revision }) => revision),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET REVISION
+ * A single revision with the full record as it was
+ */
+export const getRevision = async (req, res, next) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const { collection, id } = req.params;
+    const revisions = await listRevisions(collection, id);
+    const revision = revisions.find(r => r.revision === parseInt(req.params.revision));
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DIFF REVISIONS
+ * Field-level differences between two revisions
+ * Query Parameters:
+ * - from (default: the revision before `to`)
+ * - to (default: latest revision)
+ */
+export const diffRevisions = async (req, res, next) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const { collection, id } = req.params;
+    const revisions = await listRevisions(collection, id);
+
+    if (revisions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No revisions recorded for this record',
+      });
+    }
+
+    const to = req.query.to ? parseInt(req.query.to) : revisions.length;
+    const from = req.query.from ? parseInt(req.query.from) : Math.max(1, to - 1);
+    const fromRevision = revisions.find(r => r.revision === from);
+    const toRevision = revisions.find(r => r.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: `Revisions run from 1 to ${revisions.length}`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from,
+        to,
+        changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * REVERT TO REVISION
+ * Restore a record's fields to an earlier revision; the revert becomes a new revision
+ * Body: revision (number)
+ */
+export const revertRecord = async (req, res, next) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const revision = parseInt(req.body.revision);
+    if (!revision) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revision number is required',
+      });
+    }
+
+    const { collection, id } = req.params;
+    const record = await revertToRevision(req, collection, id, revision);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Record or revision not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: record,
+      message: `Reverted to revision ${revision}`,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot revert: another record now uses that ISBN',
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', '),
+      });
+    }
+    next(error);
+  }
+};
+
+export default {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  revertRecord,
+};
@@ -0,0 +1,123 @@
+import { searchCatalog as runCatalogSearch, suggest, FACETS, RATING_BANDS } from '../services/searchService.js';
+import { EDITION_FORMATS } from '../Model/EditionSchema.js';
+
+/**
+ * ============================================
+ * CATALOG-WIDE SEARCH
+ * ============================================
+ */
+
+// ?genre=Fantasy&genre=Fiction and ?genre=Fantasy,Fiction both give ['Fantasy', 'Fiction']
+const toList = (value) =>
+  [].concat(value ?? [])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+/**
+ * SEARCH CATALOG
+ * Relevance-ranked search over every work, whatever its format.
+ * Without `q` the catalog is browsed alphabetically with the same filters.
+ * Query Parameters:
+ * - q: Search text; partial words and small typos are tolerated
+ * - genre, author, format, decade (e.g. 1990s), language, rating (4-5, 3-4, 2-3, 0-2):
+ *   facet filters; repeat a parameter (or comma-separate) to match any of its values
+ * - facets (default: true): set to false to skip facet counts
+ * - page (default: 1), limit (default: 20, max: 50)
+ * Search results carry `score`, `formats`, `editions` and `highlights`
+ * (HTML-escaped strings with matches wrapped in <mark>). `facets` lists
+ * { value, count } buckets per facet; a facet's counts ignore its own selection.
+ * A broad query ranks at most a few hundred works; `pagination.capped` is then
+ * true and `total` counts only those.
+ */
+export const searchCatalog = async (req, res, next) => {
+  try {
+    const { q = '', page = 1, limit = 20 } = req.query;
+
+    const filters = {};
+    for (const facet of FACETS) {
+      filters[facet] = toList(req.query[facet]);
+    }
+
+    const badFormat = filters.format.find(format => !EDITION_FORMATS.includes(format));
+    if (badFormat) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EDITION_FORMATS.join(', ')}`,
+      });
+    }
+
+    const badRating = filters.rating.find(band => !RATING_BANDS.some(b => b.value === band));
+    if (badRating) {
+      return res.status(400).json({
+        success: false,
+        message: `Rating must be one of: ${RATING_BANDS.map(b => b.value).join(', ')}`,
+      });
+    }
+
+    const badDecade = filters.decade.find(decade => !/^\d{3}0s$/.test(decade));
+    if (badDecade) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decade must look like 1990s',
+      });
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+
+    const { results, total, capped, corrections, facets } = await runCatalogSearch({
+      q: String(q),
+      filters,
+      withFacets: req.query.facets !== 'false',
+      page: pageNum,
+      limit: limitNum,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: results,
+      corrections,
+      facets,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1,
+        capped,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * SEARCH SUGGESTIONS
+ * Typeahead for search boxes: matching titles, authors and series for a partial query
+ * Query Parameters:
+ * - q: What has been typed so far; fewer than 2 characters returns no suggestions
+ * Results may be cached briefly by the browser.
+ */
+export const getSuggestions = async (req, res, next) => {
+  try {
+    const q = String(req.query.q || '').trim();
+
+    const suggestions = q.length < 2 ? [] : await suggest(q.slice(0, 100));
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.status(200).json({
+      success: true,
+      data: suggestions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  searchCatalog,
+  getSuggestions,
+};
@@ -0,0 +1,411 @@
+import Series from '../Model/SeriesSchema.js';
+import Work from '../Model/WorkSchema.js';
+import Edition from '../Model/EditionSchema.js';
+import { recordAudit } from '../services/auditService.js';
+import { findSeries, readingOrder, seriesLinks } from '../services/seriesService.js';
+import { isbnKey } from '../services/catalogService.js';
+import { tokenize, escapeRegex } from '../utils/text.js';
+import { uniqueSlug } from '../utils/slug.js';
+
+/**
+ * ============================================
+ * SERIES
+ * ============================================
+ * Series of catalog works with ordered (possibly fractional) positions.
+ * Reads are public; write operations are mounted behind verifyToken +
+ * requireAdmin.
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// Works or ISBNs accepted by one "next in series" lookup
+const MAX_NEXT_LOOKUPS = 100;
+
+// Accept either an array or a comma-separated string
+const toList = (value) =>
+  [].concat(value ?? [])
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+// Trim name and description; an empty description clears it
+const normalizeSeries = (body) => {
+  const data = {};
+  if (body.name !== undefined) data.name = String(body.name ?? '').trim();
+  if (body.description !== undefined) data.description = String(body.description ?? '').trim() || undefined;
+  return data;
+};
+
+// Returns a problem description, or null when the position is acceptable
+const validatePosition = (position) => {
+  if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+    return 'Position must be a number of at least 0, e.g. 3 or 2.5';
+  }
+  return null;
+};
+
+/**
+ * GET ALL SERIES
+ * Query Parameters:
+ * - q: Name starting with these words
+ * - page (default: 1), limit (default: 20, max: 100)
+ */
+export const getSeriesList = async (req, res, next) => {
+  try {
+    const { q, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    const terms = tokenize(q);
+    if (terms.length > 0) {
+      filter.$and = terms.map(term => ({ nameTokens: { $regex: `^${escapeRegex(term)}` } }));
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const seriesList = await Series.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limitNum)
+      .select('-__v')
+      .lean();
+
+    const ids = seriesList.map(s => s._id);
+    const counts = await Work.aggregate([
+      { $match: { 'series.series': { $in: ids } } },
+      { $unwind: '$series' },
+      { $match: { 'series.series': { $in: ids } } },
+      { $group: { _id: '$series.series', count: { $sum: 1 } } },
+    ]);
+    const workCounts = new Map(counts.map(c => [String(c._id), c.count]));
+
+    const total = await Series.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      data: seriesList.map(series => ({ ...series, workCount: workCounts.get(String(series._id)) || 0 })),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+        hasNext: pageNum < Math.ceil(total / limitNum),
+        hasPrev: pageNum > 1,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET SERIES IN READING ORDER
+ * Looks the series up by ID or slug and returns its works by position,
+ * each with editions in all formats
+ */
+export const getSeries = async (req, res, next) => {
+  try {
+    const series = await findSeries(req.params.key);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found',
+      });
+    }
+
+    const works = await readingOrder(series._id);
+    const { __v, ...data } = series.toObject();
+
+    res.status(200).json({
+      success: true,
+      data: { ...data, works },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * GET NEXT IN SERIES
+ * Series links (position, previous and next work) for several books at once
+ * Query Parameters:
+ * - works: Comma-separated work IDs
+ * - isbns: Comma-separated ISBNs, resolved to the works of their editions
+ * Returns an object keyed by the given work IDs and ISBNs; books in no
+ * series are left out.
+ */
+export const getNextInSeries = async (req, res, next) => {
+  try {
+    const workIds = toList(req.query.works);
+    const isbns = toList(req.query.isbns);
+
+    if (workIds.length + isbns.length > MAX_NEXT_LOOKUPS) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_NEXT_LOOKUPS} works and ISBNs can be looked up at once`,
+      });
+    }
+    if (workIds.some(id => !OBJECT_ID.test(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid work ID format',
+      });
+    }
+
+    // Which requested keys each work answers for
+    const keysByWork = new Map(workIds.map(id => [id, [id]]));
+    if (isbns.length > 0) {
+      const editions = await Edition.find({ ISBN: { $in: isbns.map(isbnKey) } }).select('work ISBN').lean();
+      for (const isbn of isbns) {
+        const edition = editions.find(e => e.ISBN === isbnKey(isbn));
+        if (!edition) continue;
+        const workId = String(edition.work);
+        keysByWork.set(workId, [...(keysByWork.get(workId) || []), isbn]);
+      }
+    }
+
+    const links = await seriesLinks([...keysByWork.keys()]);
+
+    const data = {};
+    for (const [workId, keys] of keysByWork) {
+      if (!links.has(workId)) continue;
+      for (const key of keys) data[key] = links.get(workId);
+    }
+
+    res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * CREATE SERIES
+ * ⚠️ ADMIN ONLY
+ * Body: name, description
+ */
+export const createSeries = async (req, res, next) => {
+  try {
+    const data = normalizeSeries(req.body);
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Series name is required',
+      });
+    }
+
+    const series = await Series.create({ ...data, slug: await uniqueSlug(Series, data.name) });
+    await recordAudit(req, { action: 'create', collection: 'series', after: series });
+
+    res.status(201).json({
+      success: true,
+      data: series,
+      message: 'Series created successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * UPDATE SERIES
+ * ⚠️ ADMIN ONLY
+ * Partial update of name or description; renaming changes the slug
+ */
+export const updateSeries = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid series ID format',
+      });
+    }
+
+    const updates = normalizeSeries(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update',
+      });
+    }
+    if (updates.name === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Series name is required',
+      });
+    }
+
+    const series = await Series.findById(id).select('-__v');
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found',
+      });
+    }
+
+    const before = series.toObject();
+    series.set(updates);
+    if (series.isModified('name')) {
+      series.slug = await uniqueSlug(Series, series.name, id);
+    }
+    await series.save();
+
+    await recordAudit(req, { action: 'update', collection: 'series', before, after: series });
+
+    res.status(200).json({
+      success: true,
+      data: series,
+      message: 'Series updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE SERIES
+ * ⚠️ ADMIN ONLY
+ * Removes the series and every work's membership in it; the works are kept
+ */
+export const deleteSeries = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!OBJECT_ID.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid series ID format',
+      });
+    }
+
+    const series = await Series.findByIdAndDelete(id);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found',
+      });
+    }
+
+    const result = await Work.updateMany({ 'series.series': id }, { $pull: { series: { series: series._id } } });
+    await recordAudit(req, { action: 'delete', collection: 'series', before: series, details: { works: result.modifiedCount } });
+
+    res.status(200).json({
+      success: true,
+      data: series,
+      removedFromWorks: result.modifiedCount,
+      message: 'Series deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * SET WORK POSITION IN SERIES
+ * ⚠️ ADMIN ONLY
+ * Body: position - Place in reading order, e.g. 3 or 2.5 for a novella
+ * Adds the work to the series, or moves it when it is already a member
+ */
+export const setWorkPosition = async (req, res, next) => {
+  try {
+    const { id, workId } = req.params;
+    const position = typeof req.body.position === 'string' && req.body.position.trim() !== ''
+      ? Number(req.body.position)
+      : req.body.position;
+
+    if (!OBJECT_ID.test(id) || !OBJECT_ID.test(workId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid series or work ID format',
+      });
+    }
+
+    const problem = validatePosition(position);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    const [series, work] = await Promise.all([Series.exists({ _id: id }), Work.findById(workId).select('-__v')]);
+    if (!series || !work) {
+      return res.status(404).json({
+        success: false,
+        message: series ? 'Work not found' : 'Series not found',
+      });
+    }
+
+    const isMember = work.series.some(entry => String(entry.series) === id);
+    const updated = await Work.findOneAndUpdate(
+      isMember ? { _id: workId, 'series.series': id } : { _id: workId },
+      isMember
+        ? { $set: { 'series.$.position': position } }
+        : { $push: { series: { series: id, position } } },
+      { new: true, runValidators: true }
+    ).select('-__v');
+
+    await recordAudit(req, { action: 'update', collection: 'works', before: work, after: updated, details: { series: id, position } });
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+      message: isMember ? 'Position in series updated' : 'Work added to series',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * REMOVE WORK FROM SERIES
+ * ⚠️ ADMIN ONLY
+ */
+export const removeWork = async (req, res, next) => {
+  try {
+    const { id, workId } = req.params;
+
+    if (!OBJECT_ID.test(id) || !OBJECT_ID.test(workId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid series or work ID format',
+      });
+    }
+
+    const work = await Work.findOne({ _id: workId, 'series.series': id }).select('-__v');
+    if (!work) {
+      return res.status(404).json({
+        success: false,
+        message: 'Work is not in this series',
+      });
+    }
+
+    const updated = await Work.findByIdAndUpdate(workId, { $pull: { series: { series: id } } }, { new: true }).select('-__v');
+    await recordAudit(req, { action: 'update', collection: 'works', before: work, after: updated, details: { removedFromSeries: id } });
+
+    res.status(200).json({
+      success: true,
+      data: updated,
+      message: 'Work removed from series',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getSeriesList,
+  getSeries,
+  getNextInSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  setWorkPosition,
+  removeWork,
+};
@@ -0,0 +1,321 @@
+import Shelf from '../Model/ShelfSchema.js';
+import ShelfItem from '../Model/ShelfItemSchema.js';
+import Edition from '../Model/EditionSchema.js';
+import {
+  SHELF_COLLECTIONS,
+  ensureShelves,
+  resolveEdition,
+  listShelves,
+  placeOnShelf,
+} from '../services/shelfService.js';
+import { escapeRegex } from '../utils/text.js';
+
+/**
+ * ============================================
+ * SHELVES
+ * ============================================
+ * The signed-in reader's shelves under /api/me/shelves (mounted behind
+ * verifyToken): the want to read / reading / finished shelves, custom
+ * shelves, and adding, moving and removing the books on them.
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// Custom shelves a reader can have, besides the reading-state ones
+const MAX_CUSTOM_SHELVES = 50;
+
+// Trim text fields; an empty description clears the stored one
+const normalizeShelf = (body) => {
+  const data = {};
+  if (body.name !== undefined) data.name = String(body.name ?? '').trim();
+  if (body.description !== undefined) data.description = String(body.description ?? '').trim() || null;
+  if (body.order !== undefined) data.order = body.order === '' ? 0 : Number(body.order);
+  return data;
+};
+
+// Returns a problem description, or null when the fields are acceptable
+const validateShelf = async (data, uid, id) => {
+  if (data.name === '') return 'Shelf name is required';
+  if (data.name && data.name.length > 60) return 'Shelf name can be at most 60 characters';
+  if (data.description && data.description.length > 500) return 'Description can be at most 500 characters';
+  if (data.order !== undefined && !Number.isFinite(data.order)) return 'Order must be a number';
+
+  if (data.name) {
+    const taken = await Shelf.exists({
+      uid,
+      name: new RegExp(`^${escapeRegex(data.name)}$`, 'i'),
+      ...(id && { _id: { $ne: id } }),
+    });
+    if (taken) return `You already have a shelf named "${data.name}"`;
+  }
+  return null;
+};
+
+// The reader's shelf by ID, or null after answering 404
+const findOwnShelf = async (req, res) => {
+  const { id } = req.params;
+  const shelf = OBJECT_ID.test(id) ? await Shelf.findOne({ _id: id, uid: req.user.uid }) : null;
+  if (!shelf) {
+    res.status(404).json({
+      success: false,
+      message: 'Shelf not found',
+    });
+  }
+  return shelf;
+};
+
+/**
+ * GET MY SHELVES
+ * Every shelf in display order with its books, newest first. The
+ * reading-state shelves are created on the first call.
+ */
+export const getShelves = async (req, res, next) => {
+  try {
+    const shelves = await listShelves(req.user.uid);
+
+    res.status(200).json({
+      success: true,
+      data: shelves,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * CREATE A CUSTOM SHELF
+ * Body: name (required), description
+ */
+export const createShelf = async (req, res, next) => {
+  try {
+    const { uid } = req.user;
+    const data = normalizeShelf(req.body);
+    if (data.name === undefined) data.name = '';
+
+    const problem = await validateShelf(data, uid);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    const shelves = await ensureShelves(uid);
+    if (shelves.filter(shelf => !shelf.status).length >= MAX_CUSTOM_SHELVES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_CUSTOM_SHELVES} custom shelves`,
+      });
+    }
+
+    // New shelves go last unless an order is given
+    const last = shelves[shelves.length - 1];
+    const shelf = await Shelf.create({
+      order: last ? last.order + 1 : 0,
+      ...data,
+      uid,
+      status: null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...shelf.toObject(), items: [] },
+      message: 'Shelf created successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * UPDATE A SHELF
+ * Body: name, description, order. The reading-state shelves keep their names.
+ */
+export const updateShelf = async (req, res, next) => {
+  try {
+    const shelf = await findOwnShelf(req, res);
+    if (!shelf) return;
+
+    const updates = normalizeShelf(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid fields to update',
+      });
+    }
+    if (shelf.status && updates.name !== undefined && updates.name !== shelf.name) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${shelf.name} shelf cannot be renamed`,
+      });
+    }
+
+    const problem = await validateShelf(updates, shelf.uid, shelf._id);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    shelf.set(updates);
+    await shelf.save();
+
+    res.status(200).json({
+      success: true,
+      data: shelf,
+      message: 'Shelf updated successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE A CUSTOM SHELF
+ * Its books stay on the reader's other shelves
+ */
+export const deleteShelf = async (req, res, next) => {
+  try {
+    const shelf = await findOwnShelf(req, res);
+    if (!shelf) return;
+
+    if (shelf.status) {
+      return res.status(400).json({
+        success: false,
+        message: `The ${shelf.name} shelf cannot be deleted`,
+      });
+    }
+
+    await ShelfItem.deleteMany({ shelf: shelf._id });
+    await shelf.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Shelf deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * ADD A BOOK TO A SHELF
+ * Body: collection ('books', 'ebooks' or 'audiobooks') and the item's id
+ * and/or ISBN. Adding to a reading-state shelf moves the book off the other
+ * reading-state shelves.
+ */
+export const addItem = async (req, res, next) => {
+  try {
+    const { collection, id, ISBN } = req.body;
+    if (!SHELF_COLLECTIONS.includes(collection)) {
+      return res.status(400).json({
+        success: false,
+        message: `Collection must be one of: ${SHELF_COLLECTIONS.join(', ')}`,
+      });
+    }
+    if (!id && !ISBN) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide the id or ISBN of the book',
+      });
+    }
+
+    const shelf = await findOwnShelf(req, res);
+    if (!shelf) return;
+
+    const edition = await resolveEdition({ collection, id: id && String(id), ISBN: ISBN && String(ISBN) });
+    if (!edition) {
+      return res.status(404).json({
+        success: false,
+        message: `No such item in ${collection}`,
+      });
+    }
+
+    const item = await placeOnShelf(shelf, edition);
+
+    res.status(201).json({
+      success: true,
+      data: item,
+      message: `Added to ${shelf.name}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * MOVE A BOOK TO ANOTHER SHELF
+ * Body: shelf (ID of the target shelf)
+ */
+export const moveItem = async (req, res, next) => {
+  try {
+    const shelf = await findOwnShelf(req, res);
+    if (!shelf) return;
+
+    const { itemId } = req.params;
+    const item = OBJECT_ID.test(itemId) ? await ShelfItem.findOne({ _id: itemId, shelf: shelf._id }) : null;
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book is not on this shelf',
+      });
+    }
+
+    const targetId = String(req.body.shelf ?? '');
+    const target = OBJECT_ID.test(targetId) ? await Shelf.findOne({ _id: targetId, uid: shelf.uid }) : null;
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Target shelf not found',
+      });
+    }
+    if (!await Edition.exists({ _id: item.edition })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book is no longer in the library',
+      });
+    }
+
+    const moved = await placeOnShelf(target, { _id: item.edition, work: item.work });
+    if (!target._id.equals(shelf._id)) {
+      await ShelfItem.deleteOne({ _id: item._id });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: moved,
+      message: `Moved to ${target.name}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * REMOVE A BOOK FROM A SHELF
+ */
+export const removeItem = async (req, res, next) => {
+  try {
+    const shelf = await findOwnShelf(req, res);
+    if (!shelf) return;
+
+    const { itemId } = req.params;
+    const item = OBJECT_ID.test(itemId)
+      ? await ShelfItem.findOneAndDelete({ _id: itemId, shelf: shelf._id })
+      : null;
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Book is not on this shelf',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Removed from ${shelf.name}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
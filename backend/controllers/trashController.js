@@ -0,0 +1,159 @@
+import { getLegacyCollection } from '../Model/legacyCollections.js';
+import {
+  getRetentionDays,
+  listTrash,
+  restoreRecord,
+  purgeRecord,
+  purgeExpired,
+} from '../services/trashService.js';
+import { recordAudit } from '../services/auditService.js';
+
+/**
+ * ============================================
+ * TRASH MANAGEMENT
+ * ============================================
+ * ⚠️ ADMIN ONLY - Mounted behind verifyToken and requireAdmin
+ */
+
+// Validate the :collection and :id route parameters; responds and returns false when invalid
+const checkParams = (req, res) => {
+  const { collection, id } = req.params;
+
+  if (!getLegacyCollection(collection)) {
+    res.status(404).json({
+      success: false,
+      message: `Unknown collection "${collection}"`,
+    });
+    return false;
+  }
+
+  if (id !== undefined && !id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid record ID format',
+    });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * GET TRASH
+ * List trashed records across collections, most recently deleted first
+ * Query Parameters:
+ * - collection: Only records of this collection (e.g. fiction)
+ */
+export const getTrash = async (req, res, next) => {
+  try {
+    const { collection } = req.query;
+
+    if (collection && !getLegacyCollection(collection)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown collection "${collection}"`,
+      });
+    }
+
+    const items = await listTrash({ collection });
+
+    res.status(200).json({
+      success: true,
+      data: items,
+      retentionDays: getRetentionDays(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * RESTORE RECORD
+ * Take a record out of the trash; it reappears in lists, search and the catalog
+ */
+export const restoreItem = async (req, res, next) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const { collection, id } = req.params;
+    const record = await restoreRecord(collection, id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Record not found in trash',
+      });
+    }
+
+    await recordAudit(req, { action: 'restore', collection, after: record });
+
+    res.status(200).json({
+      success: true,
+      data: record,
+      message: 'Record restored successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * DELETE RECORD PERMANENTLY
+ * Purge one trashed record without waiting for the retention period
+ */
+export const purgeItem = async (req, res, next) => {
+  try {
+    if (!checkParams(req, res)) return;
+
+    const { collection, id } = req.params;
+    const record = await purgeRecord(collection, id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Record not found in trash',
+      });
+    }
+
+    await recordAudit(req, { action: 'purge', collection, before: record });
+
+    res.status(200).json({
+      success: true,
+      data: record,
+      message: 'Record permanently deleted',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PURGE EXPIRED
+ * Permanently delete everything past the retention period now
+ * (this also runs once a day while the server is up)
+ */
+export const purgeExpiredItems = async (req, res, next) => {
+  try {
+    const purged = await purgeExpired();
+    const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+
+    for (const [collection, count] of Object.entries(purged)) {
+      await recordAudit(req, { action: 'purge', collection, details: { expired: true, count } });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: purged,
+      message: `${total} record(s) purged`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default {
+  getTrash,
+  restoreItem,
+  purgeItem,
+  purgeExpiredItems,
+};
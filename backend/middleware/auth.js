@@ -54,6 +54,15 @@ export const verifyToken = async (req, res, next) => {
   }
 }
 
+/**
+ * Like verifyToken, but lets requests without a token through (req.user stays unset).
+ * A token that is present must still be valid.
+ */
+export const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) return next()
+  return verifyToken(req, res, next)
+}
+
 /**
  * Get user information from Firebase
  */
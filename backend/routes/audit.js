@@ -0,0 +1,17 @@
+import express from 'express';
+import * as auditController from '../controllers/auditController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// The audit log is admin only
+router.use(verifyToken, requireAdmin);
+
+// GET recorded mutations with filters
+router.get('/', auditController.getAuditLog);
+
+// GET collections that appear in the log
+router.get('/collections', auditController.getAuditCollections);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import * as authorController from '../controllers/authorController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// GET authors (search by name or alias)
+router.get('/', authorController.getAuthors);
+
+// GET single author with every credited work, by ID, slug or name
+router.get('/:key', authorController.getAuthor);
+
+// CREATE author
+router.post('/', verifyToken, requireAdmin, attachAdminInfo, authorController.createAuthor);
+
+// PATCH author details and aliases
+router.patch('/:id', verifyToken, requireAdmin, attachAdminInfo, authorController.updateAuthor);
+
+// DELETE author without linked works
+router.delete('/:id', verifyToken, requireAdmin, attachAdminInfo, authorController.deleteAuthor);
+
+// LINK / UNLINK the author and a work
+router.put('/:id/works/:workId', verifyToken, requireAdmin, attachAdminInfo, authorController.linkWork);
+router.delete('/:id/works/:workId', verifyToken, requireAdmin, attachAdminInfo, authorController.unlinkWork);
+
+// MERGE another author into this one
+router.post('/:id/merge', verifyToken, requireAdmin, attachAdminInfo, authorController.mergeAuthor);
+
+export default router;
@@ -1,5 +1,8 @@
 import express from 'express';
 import BookRequest from '../Model/BookRequestSchema.js';
+import { verifyToken, optionalAuth } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+import { recordAudit, actorFrom } from '../services/auditService.js';
 
 const router = express.Router();
 
@@ -39,10 +42,17 @@ router.get('/user/:uid', async (req, res) => {
 });
 
 // POST create new book request
-router.post('/', async (req, res) => {
+router.post('/', optionalAuth, attachAdminInfo, async (req, res) => {
   try {
     const newRequest = new BookRequest(req.body);
     const savedRequest = await newRequest.save();
+    // Without a token, the requester named in the request is the best we know
+    await recordAudit(req, {
+      action: 'create',
+      collection: 'book-requests',
+      after: savedRequest,
+      actor: actorFrom(req, { email: savedRequest.requestedBy, uid: savedRequest.requestedByUid }),
+    });
     res.status(201).json(savedRequest);
   } catch (error) {
     res.status(400).json({ message: 'Error creating book request', error: error.message });
@@ -50,16 +60,18 @@ router.post('/', async (req, res) => {
 });
 
 // PUT update book request status
-router.put('/:id', async (req, res) => {
+router.put('/:id', verifyToken, requireAdmin, attachAdminInfo, async (req, res) => {
   try {
+    const request = await BookRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Book request not found' });
+    }
     const updatedRequest = await BookRequest.findByIdAndUpdate(
       req.params.id,
       { ...req.body, updatedAt: Date.now() },
       { new: true, runValidators: true }
     );
-    if (!updatedRequest) {
-      return res.status(404).json({ message: 'Book request not found' });
-    }
+    await recordAudit(req, { action: 'update', collection: 'book-requests', before: request, after: updatedRequest });
     res.status(200).json(updatedRequest);
   } catch (error) {
     res.status(400).json({ message: 'Error updating book request', error: error.message });
@@ -67,17 +79,19 @@ router.put('/:id', async (req, res) => {
 });
 
 // PATCH update status only
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', verifyToken, requireAdmin, attachAdminInfo, async (req, res) => {
   try {
     const { status, adminNotes } = req.body;
+    const request = await BookRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Book request not found' });
+    }
     const updatedRequest = await BookRequest.findByIdAndUpdate(
       req.params.id,
       { status, adminNotes, updatedAt: Date.now() },
       { new: true, runValidators: true }
     );
-    if (!updatedRequest) {
-      return res.status(404).json({ message: 'Book request not found' });
-    }
+    await recordAudit(req, { action: 'update', collection: 'book-requests', before: request, after: updatedRequest });
     res.status(200).json(updatedRequest);
   } catch (error) {
     res.status(400).json({ message: 'Error updating request status', error: error.message });
@@ -85,12 +99,13 @@ router.patch('/:id/status', async (req, res) => {
 });
 
 // DELETE book request
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', verifyToken, requireAdmin, attachAdminInfo, async (req, res) => {
   try {
     const deletedRequest = await BookRequest.findByIdAndDelete(req.params.id);
     if (!deletedRequest) {
       return res.status(404).json({ message: 'Book request not found' });
     }
+    await recordAudit(req, { action: 'delete', collection: 'book-requests', before: deletedRequest });
     res.status(200).json({ message: 'Book request deleted successfully', request: deletedRequest });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting book request', error: error.message });
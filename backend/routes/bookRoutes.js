@@ -1,5 +1,7 @@
 import express from 'express';
 import * as bookController from '../controllers/bookController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
 
 const router = express.Router();
 
@@ -16,19 +18,19 @@ router.get('/books', bookController.getAllBooks);
 router.get('/books/:id', bookController.getBookById);
 
 // CREATE new book
-router.post('/books', bookController.createBook);
+router.post('/books', verifyToken, attachAdminInfo, bookController.createBook);
 
 // UPDATE entire book
-router.put('/books/:id', bookController.updateBook);
+router.put('/books/:id', verifyToken, attachAdminInfo, bookController.updateBook);
 
 // PATCH (partial update) book
-router.patch('/books/:id', bookController.patchBook);
+router.patch('/books/:id', verifyToken, attachAdminInfo, bookController.patchBook);
 
 // DELETE single book
-router.delete('/books/:id', bookController.deleteBook);
+router.delete('/books/:id', verifyToken, attachAdminInfo, bookController.deleteBook);
 
 // DELETE multiple books
-router.delete('/books', bookController.deleteMultipleBooks);
+router.delete('/books', verifyToken, attachAdminInfo, bookController.deleteMultipleBooks);
 
 /**
  * ============================================
@@ -72,11 +74,11 @@ router.get('/year/:year', bookController.getBooksByYear);
 // Get book statistics and aggregated data
 router.get('/stats', bookController.getBookStats);
 
-// Update book rating
-router.put('/books/:id/rating', bookController.updateBookRating);
+// Rate a book (signed-in readers; admins may also set the review count)
+router.put('/books/:id/rating', verifyToken, attachAdminInfo, bookController.updateBookRating);
 
 // Increment download count
-router.put('/books/:id/increment-downloads', bookController.incrementDownloads);
+router.put('/books/:id/increment-downloads', verifyToken, attachAdminInfo, bookController.incrementDownloads);
 
 /**
  * ============================================
@@ -85,6 +87,6 @@ router.put('/books/:id/increment-downloads', bookController.incrementDownloads);
  */
 
 // Bulk import books
-router.post('/bulk-import', bookController.bulkImportBooks);
+router.post('/bulk-import', verifyToken, requireAdmin, attachAdminInfo, bookController.bulkImportBooks);
 
 export default router;
@@ -0,0 +1,48 @@
+import express from 'express';
+import * as catalogController from '../controllers/catalogController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+/**
+ * ============================================
+ * WORK ROUTES
+ * ============================================
+ */
+
+// GET works with their editions (filter by genre, author, format)
+router.get('/works', catalogController.getWorks);
+
+// GET single work with all editions
+router.get('/works/:id', catalogController.getWorkById);
+
+// CREATE work, optionally with editions
+router.post('/works', verifyToken, requireAdmin, attachAdminInfo, catalogController.createWork);
+
+// PATCH work fields
+router.patch('/works/:id', verifyToken, requireAdmin, attachAdminInfo, catalogController.updateWork);
+
+// DELETE work and its editions
+router.delete('/works/:id', verifyToken, requireAdmin, attachAdminInfo, catalogController.deleteWork);
+
+/**
+ * ============================================
+ * EDITION ROUTES
+ * ============================================
+ */
+
+// ADD an edition (format) to a work
+router.post('/works/:id/editions', verifyToken, requireAdmin, attachAdminInfo, catalogController.addEdition);
+
+// PATCH edition fields
+router.patch('/editions/:id', verifyToken, requireAdmin, attachAdminInfo, catalogController.updateEdition);
+
+// DELETE single edition
+router.delete('/editions/:id', verifyToken, requireAdmin, attachAdminInfo, catalogController.deleteEdition);
+
+// LINK an edition to another work, or UNLINK it onto a work of its own
+router.put('/editions/:id/work', verifyToken, requireAdmin, attachAdminInfo, catalogController.linkEditionToWork);
+router.delete('/editions/:id/work', verifyToken, requireAdmin, attachAdminInfo, catalogController.unlinkEditionFromWork);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import * as categoryController from '../controllers/categoryController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// GET the taxonomy as a tree (or ?flat=true for a list)
+router.get('/', categoryController.getCategories);
+
+// GET single category with its parents and subgenres, by ID or slug
+router.get('/:key', categoryController.getCategory);
+
+// CREATE category
+router.post('/', verifyToken, requireAdmin, attachAdminInfo, categoryController.createCategory);
+
+// PATCH category name, parent, order, cover or description
+router.patch('/:id', verifyToken, requireAdmin, attachAdminInfo, categoryController.updateCategory);
+
+// DELETE category (subgenres move up to its parent)
+router.delete('/:id', verifyToken, requireAdmin, attachAdminInfo, categoryController.deleteCategory);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import * as duplicateController from '../controllers/duplicateController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// Duplicate detection and merging are admin only
+router.use(verifyToken, requireAdmin, attachAdminInfo);
+
+// GET candidate duplicate clusters
+router.get('/', duplicateController.getDuplicates);
+
+// POST merge records into one
+router.post('/merge', duplicateController.mergeDuplicates);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import * as enrichmentController from '../controllers/enrichmentController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// Metadata lookups are admin only
+router.use(verifyToken, requireAdmin, attachAdminInfo);
+
+// GET registered and default metadata providers
+router.get('/providers', enrichmentController.getProviders);
+
+// GET metadata and record fields for an ISBN
+router.get('/:isbn', enrichmentController.lookupMetadata);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import * as exportController from '../controllers/exportController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// Catalog export is admin only
+router.use(verifyToken, requireAdmin, attachAdminInfo);
+
+// GET matching records as CSV, JSON Lines, BibTeX or RIS
+router.get('/', exportController.exportCatalog);
+
+export default router;
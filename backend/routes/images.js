@@ -0,0 +1,25 @@
+import express from 'express';
+import * as imageController from '../controllers/imageController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+import { MAX_UPLOAD_SIZE } from '../services/imageService.js';
+
+const router = express.Router();
+
+// POST upload a cover (raw image body); admin only
+router.post(
+  '/covers',
+  verifyToken,
+  requireAdmin,
+  attachAdminInfo,
+  express.raw({ type: 'image/*', limit: MAX_UPLOAD_SIZE }),
+  imageController.uploadCover
+);
+
+// GET one size of a cover
+router.get('/covers/:id/:size', imageController.getCover);
+
+// DELETE every size of a cover; admin only
+router.delete('/covers/:id', verifyToken, requireAdmin, attachAdminInfo, imageController.deleteCover);
+
+export default router;
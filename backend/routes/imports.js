@@ -0,0 +1,26 @@
+import express from 'express';
+import * as importController from '../controllers/importController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// Imports are admin only
+router.use(verifyToken, requireAdmin, attachAdminInfo);
+
+// GET fields a file can be mapped to
+router.get('/fields', importController.getImportFields);
+
+// GET past imports and dry runs
+router.get('/', importController.getImports);
+
+// POST a CSV/JSON file to preview (dry run) or import
+router.post('/', importController.createImport);
+
+// GET one import with its rows
+router.get('/:id', importController.getImportById);
+
+// GET the per-row report as a CSV or JSON download
+router.get('/:id/report', importController.getImportReport);
+
+export default router;
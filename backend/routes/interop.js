@@ -0,0 +1,17 @@
+import express from 'express';
+import * as interopController from '../controllers/interopController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// MARC and ONIX exchange is admin only
+router.use(verifyToken, requireAdmin, attachAdminInfo);
+
+// POST a MARC21 (binary or MARCXML) or ONIX 3.0 file as the raw request body
+router.post('/import', express.raw({ type: () => true, limit: '10mb' }), interopController.importRecords);
+
+// GET a collection as a MARC21 or ONIX 3.0 file
+router.get('/export/:collection', interopController.exportRecords);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import * as linkController from '../controllers/linkController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// Link health is admin only
+router.use(verifyToken, requireAdmin, attachAdminInfo);
+
+// GET links with their last check, counts per status and the job state
+router.get('/', linkController.getLinkReport);
+
+// GET progress of the running (or last) check
+router.get('/check', linkController.getCheckState);
+
+// POST start checking links in the background
+router.post('/check', linkController.startCheck);
+
+// POST change links in every record using them
+router.post('/fix', linkController.fixLinks);
+
+export default router;
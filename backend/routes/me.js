@@ -0,0 +1,54 @@
+import express from 'express';
+import * as profileController from '../controllers/profileController.js';
+import * as shelfController from '../controllers/shelfController.js';
+import * as progressController from '../controllers/progressController.js';
+import { verifyToken } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Everything here is about the signed-in reader
+router.use(verifyToken);
+
+// GET my profile (created on first sign-in)
+router.get('/', profileController.getMe);
+
+// PATCH display name, avatar, favorite genres, locale or privacy
+router.patch('/', profileController.updateMe);
+
+// DELETE my profile
+router.delete('/', profileController.deleteMe);
+
+// GET my shelves with their books
+router.get('/shelves', shelfController.getShelves);
+
+// POST a custom shelf
+router.post('/shelves', shelfController.createShelf);
+
+// PATCH a shelf's name, description or order
+router.patch('/shelves/:id', shelfController.updateShelf);
+
+// DELETE a custom shelf
+router.delete('/shelves/:id', shelfController.deleteShelf);
+
+// POST a book from books, ebooks or audiobooks onto a shelf
+router.post('/shelves/:id/items', shelfController.addItem);
+
+// PATCH a book onto another shelf
+router.patch('/shelves/:id/items/:itemId', shelfController.moveItem);
+
+// DELETE a book from a shelf
+router.delete('/shelves/:id/items/:itemId', shelfController.removeItem);
+
+// GET my reading progress
+router.get('/progress', progressController.getProgress);
+
+// GET books started and not finished, for "continue reading"
+router.get('/progress/continue', progressController.getContinueReading);
+
+// POST progress through a book from books, ebooks or audiobooks
+router.post('/progress', progressController.updateProgress);
+
+// DELETE progress through a book
+router.delete('/progress/:id', progressController.deleteProgress);
+
+export default router;
@@ -0,0 +1,9 @@
+import express from 'express';
+import * as profileController from '../controllers/profileController.js';
+
+const router = express.Router();
+
+// GET a reader's profile, if they made it public
+router.get('/:uid', profileController.getPublicProfile);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import * as revisionController from '../controllers/revisionController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// Revision history is admin only
+router.use(verifyToken, requireAdmin, attachAdminInfo);
+
+// GET a record's revisions
+router.get('/:collection/:id', revisionController.getRevisions);
+
+// GET field-level diff between two revisions (?from=&to=)
+router.get('/:collection/:id/diff', revisionController.diffRevisions);
+
+// GET one revision with its full snapshot
+router.get('/:collection/:id/:revision', revisionController.getRevision);
+
+// POST revert a record to a revision
+router.post('/:collection/:id/revert', revisionController.revertRecord);
+
+export default router;
@@ -1,51 +1,197 @@
 import express from 'express';
-import Book from '../Model/BookSchema.js';
-import FictionBook from '../Model/FictionBookSchema.js';
-import ScienceBook from '../Model/ScienceBookSchema.js';
-import BiographyBook from '../Model/BiographyBookSchema.js';
-import FantasyBook from '../Model/FantasyBookSchema.js';
-import HistoryBook from '../Model/HistoryBookSchema.js';
-import TechnologyBook from '../Model/TechnologyBookSchema.js';
-import RomanceBook from '../Model/RomanceBookSchema.js';
-import EBook from '../Model/EBookSchema.js';
-import Audiobook from '../Model/AudiobookSchema.js';
+import Edition from '../Model/EditionSchema.js';
+import { LEGACY_COLLECTIONS } from '../Model/legacyCollections.js';
+import { TRASHED } from '../Model/plugins/softDelete.js';
+import {
+  syncLegacyRecord,
+  mirrorToCatalog,
+  toLegacyShape,
+  compatFilter,
+  withFormats,
+  workEditions,
+} from '../services/catalogService.js';
+import { trashRecord, trashRecords } from '../services/trashService.js';
+import { findIsbnAcrossCollections } from '../services/isbnService.js';
+import { toCanonicalIsbn, isbn13To10 } from '../utils/isbn.js';
+import { parseListQuery, buildPage, paginate, ListQueryError } from '../utils/pagination.js';
+import { issueConfirmToken, verifyConfirmToken } from '../utils/confirmToken.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+import { recordAudit } from '../services/auditService.js';
 
 const router = express.Router();
 
+// Writes are admin only, and the acting admin is recorded in the audit log
+const adminWrite = [verifyToken, requireAdmin, attachAdminInfo];
+
+// Serve the legacy read endpoints from the unified catalog during the transition.
+// Only active with CATALOG_SOURCE=catalog; otherwise falls through to the legacy handlers.
+const useCatalog = (req, res, next) => {
+  if (process.env.CATALOG_SOURCE === 'catalog') return next();
+  next('route');
+};
+
+// Answer malformed list parameters with 400, anything else with 500
+const listError = (res, routeName, error) => {
+  if (error instanceof ListQueryError) {
+    return res.status(400).json({ message: error.message, error: error.message });
+  }
+  res.status(500).json({ message: `Error fetching ${routeName}`, error: error.message });
+};
+
+const createCompatRoutes = (Model, routeName) => {
+  // GET all (paginated). Sorting is limited to edition fields such as
+  // createdAt or ISBN; `fields` uses the legacy field names.
+  router.get(`/${routeName}`, useCatalog, async (req, res) => {
+    try {
+      const fields = req.query.fields
+        ? String(req.query.fields).split(',').map(f => f.trim()).filter(Boolean)
+        : null;
+      const unknown = fields?.find(f => !Model.schema.path(f));
+      if (unknown) {
+        throw new ListQueryError(`Unknown field "${unknown}"`);
+      }
+
+      const listQuery = parseListQuery(Edition.schema, { ...req.query, fields: undefined });
+      const filter = await compatFilter(routeName);
+      const conditions = [filter, listQuery.filter].filter(f => Object.keys(f).length > 0);
+      const editions = await Edition.find(conditions.length > 1 ? { $and: conditions } : conditions[0] || {})
+        .sort(listQuery.sort)
+        .limit(listQuery.limit + 1)
+        .populate('work');
+      const total = await Edition.countDocuments(filter);
+
+      // The cursor is built from editions, so shape the items afterwards
+      const { data, pagination } = buildPage(editions, total, listQuery);
+      const byWork = await workEditions(data.map(edition => edition.work._id));
+      const items = data.map(edition => {
+        const formats = [...new Set(byWork.get(String(edition.work._id)).map(e => e.format))];
+        const item = { ...toLegacyShape(edition, routeName), formats };
+        if (!fields) return item;
+        return Object.fromEntries(Object.entries(item).filter(([key]) => key === '_id' || key === 'formats' || fields.includes(key)));
+      });
+
+      res.status(200).json({ success: true, data: items, pagination });
+    } catch (error) {
+      listError(res, routeName, error);
+    }
+  });
+
+  // GET by legacy record ID or edition ID
+  router.get(`/${routeName}/:id`, useCatalog, async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(404).json({ message: `${routeName} not found` });
+      }
+      const filter = await compatFilter(routeName);
+      const edition = await Edition.findOne({
+        ...filter,
+        $or: [{ _id: id }, { legacyRefs: { $elemMatch: { source: routeName, id } } }],
+      }).populate('work');
+      if (!edition) {
+        return res.status(404).json({ message: `${routeName} not found` });
+      }
+      const editions = (await workEditions([edition.work._id])).get(String(edition.work._id));
+      res.status(200).json({
+        ...toLegacyShape(edition, routeName),
+        formats: [...new Set(editions.map(e => e.format))],
+        editions,
+      });
+    } catch (error) {
+      res.status(500).json({ message: `Error fetching ${routeName}`, error: error.message });
+    }
+  });
+};
+
+// Reject malformed ISBNs and store the canonical ISBN-13 form
+const validateIsbn = (required) => (req, res, next) => {
+  if (req.body.ISBN === undefined && !required) return next();
+  const isbn = toCanonicalIsbn(req.body.ISBN);
+  if (!isbn) {
+    return res.status(400).json({
+      message: 'Invalid ISBN. Provide a valid ISBN-10 or ISBN-13.',
+      error: `"${req.body.ISBN ?? ''}" is not a valid ISBN`,
+    });
+  }
+  req.body.ISBN = isbn;
+  next();
+};
+
+// Attach the other collections holding the same ISBN, if any, to a saved record
+const withIsbnReport = async (routeName, item) => {
+  const isbnElsewhere = await findIsbnAcrossCollections(item.ISBN, { collection: routeName, id: item._id });
+  return isbnElsewhere.length > 0 ? { ...item.toObject(), isbnElsewhere } : item;
+};
+
+// Trash state only changes through delete and /api/trash, never through an edit
+const editableFields = ({ deletedAt, deletedBy, ...fields }) => fields;
+
+// Look up an ISBN: validity, both forms, and where it is already stored
+router.get('/isbn/:isbn', async (req, res) => {
+  try {
+    const isbn13 = toCanonicalIsbn(req.params.isbn);
+    if (!isbn13) {
+      return res.status(200).json({ valid: false, isbn: req.params.isbn });
+    }
+    const occurrences = await findIsbnAcrossCollections(isbn13);
+    const editions = await Edition.find({ ISBN: isbn13 }).select('work format');
+    res.status(200).json({
+      valid: true,
+      isbn13,
+      isbn10: isbn13To10(isbn13),
+      occurrences,
+      editions,
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error looking up ISBN', error: error.message });
+  }
+});
+
 // Helper function to create CRUD routes for a model
 const createCRUDRoutes = (Model, routeName) => {
-  // GET all
+  // GET all (paginated)
+  // Query: cursor (nextCursor of the previous page), limit (default 20, max 100),
+  // sortBy (default createdAt), order (asc|desc, default desc), fields (comma-separated)
   router.get(`/${routeName}`, async (req, res) => {
     try {
-      const items = await Model.find();
-      res.status(200).json(items);
+      const listQuery = parseListQuery(Model.schema, req.query);
+      const { data, pagination } = await paginate(Model, {}, listQuery);
+      res.status(200).json({ success: true, data: await withFormats(routeName, data), pagination });
     } catch (error) {
-      res.status(500).json({ message: `Error fetching ${routeName}`, error: error.message });
+      listError(res, routeName, error);
     }
   });
 
-  // GET by ID
+  // GET by ID, with every format of the same work (workId, formats, editions)
   router.get(`/${routeName}/:id`, async (req, res) => {
     try {
       const item = await Model.findById(req.params.id);
       if (!item) {
         return res.status(404).json({ message: `${routeName} not found` });
       }
-      res.status(200).json(item);
+      const [detail] = await withFormats(routeName, [item], { detail: true });
+      res.status(200).json(detail);
     } catch (error) {
       res.status(500).json({ message: `Error fetching ${routeName}`, error: error.message });
     }
   });
 
   // POST create new
-  router.post(`/${routeName}`, async (req, res) => {
+  router.post(`/${routeName}`, adminWrite, validateIsbn(true), async (req, res) => {
     try {
       const newItem = new Model(req.body);
       const savedItem = await newItem.save();
-      res.status(201).json(savedItem);
+      await mirrorToCatalog(routeName, () => syncLegacyRecord(routeName, savedItem));
+      await recordAudit(req, { action: 'create', collection: routeName, after: savedItem });
+      res.status(201).json(await withIsbnReport(routeName, savedItem));
     } catch (error) {
       if (error.code === 11000) {
-        res.status(400).json({ message: 'Duplicate ISBN. This book already exists.', error: error.message });
+        const trashed = await Model.exists({ ISBN: req.body.ISBN, ...TRASHED });
+        const message = trashed
+          ? 'Duplicate ISBN. This book is in the trash; restore it instead.'
+          : 'Duplicate ISBN. This book already exists.';
+        res.status(400).json({ message, error: error.message });
       } else {
         res.status(400).json({ message: `Error creating ${routeName}`, error: error.message });
       }
@@ -53,73 +199,95 @@ const createCRUDRoutes = (Model, routeName) => {
   });
 
   // PUT update by ID
-  router.put(`/${routeName}/:id`, async (req, res) => {
+  router.put(`/${routeName}/:id`, adminWrite, validateIsbn(false), async (req, res) => {
     try {
+      const item = await Model.findById(req.params.id);
+      if (!item) {
+        return res.status(404).json({ message: `${routeName} not found` });
+      }
       const updatedItem = await Model.findByIdAndUpdate(
         req.params.id,
-        req.body,
+        editableFields(req.body),
         { new: true, runValidators: true }
       );
-      if (!updatedItem) {
-        return res.status(404).json({ message: `${routeName} not found` });
-      }
-      res.status(200).json(updatedItem);
+      await mirrorToCatalog(routeName, () => syncLegacyRecord(routeName, updatedItem));
+      await recordAudit(req, { action: 'update', collection: routeName, before: item, after: updatedItem });
+      res.status(200).json(await withIsbnReport(routeName, updatedItem));
     } catch (error) {
       res.status(400).json({ message: `Error updating ${routeName}`, error: error.message });
     }
   });
 
   // PATCH partial update by ID
-  router.patch(`/${routeName}/:id`, async (req, res) => {
+  router.patch(`/${routeName}/:id`, adminWrite, validateIsbn(false), async (req, res) => {
     try {
+      const item = await Model.findById(req.params.id);
+      if (!item) {
+        return res.status(404).json({ message: `${routeName} not found` });
+      }
       const updatedItem = await Model.findByIdAndUpdate(
         req.params.id,
-        { $set: req.body },
+        { $set: editableFields(req.body) },
         { new: true, runValidators: true }
       );
-      if (!updatedItem) {
-        return res.status(404).json({ message: `${routeName} not found` });
-      }
-      res.status(200).json(updatedItem);
+      await mirrorToCatalog(routeName, () => syncLegacyRecord(routeName, updatedItem));
+      await recordAudit(req, { action: 'update', collection: routeName, before: item, after: updatedItem });
+      res.status(200).json(await withIsbnReport(routeName, updatedItem));
     } catch (error) {
       res.status(400).json({ message: `Error updating ${routeName}`, error: error.message });
     }
   });
 
-  // DELETE by ID
-  router.delete(`/${routeName}/:id`, async (req, res) => {
+  // DELETE by ID (moves the record to the trash; see /api/trash)
+  router.delete(`/${routeName}/:id`, adminWrite, async (req, res) => {
     try {
-      const deletedItem = await Model.findByIdAndDelete(req.params.id);
+      const deletedItem = await trashRecord(routeName, req.params.id, req.user.email);
       if (!deletedItem) {
         return res.status(404).json({ message: `${routeName} not found` });
       }
-      res.status(200).json({ message: `${routeName} deleted successfully`, item: deletedItem });
+      await recordAudit(req, { action: 'delete', collection: routeName, before: deletedItem, details: { trashed: true } });
+      res.status(200).json({ message: `${routeName} moved to trash`, item: deletedItem });
     } catch (error) {
       res.status(500).json({ message: `Error deleting ${routeName}`, error: error.message });
     }
   });
 
-  // DELETE all (use with caution)
-  router.delete(`/${routeName}`, async (req, res) => {
+  // DELETE all (moves the whole collection to the trash)
+  // Requires a confirmation token: the first request answers 428 with one, and
+  // the delete happens when it is repeated with ?confirm=<token> (or an
+  // X-Confirm-Token header) within five minutes.
+  router.delete(`/${routeName}`, adminWrite, async (req, res) => {
     try {
-      const result = await Model.deleteMany({});
-      res.status(200).json({ message: `All ${routeName} deleted`, count: result.deletedCount });
+      const action = `delete-all:${routeName}`;
+      const token = req.query.confirm || req.get('X-Confirm-Token');
+
+      if (!verifyConfirmToken(token, action)) {
+        const { token: confirmToken, expiresAt } = issueConfirmToken(action);
+        return res.status(428).json({
+          message: token
+            ? 'Invalid or expired confirmation token. Use the new token to confirm.'
+            : `Deleting all ${routeName} requires confirmation. Repeat the request with ?confirm=<confirmToken>.`,
+          count: await Model.countDocuments(),
+          confirmToken,
+          expiresAt,
+        });
+      }
+
+      const count = await trashRecords(routeName, {}, req.user.email);
+      await recordAudit(req, { action: 'delete', collection: routeName, details: { trashed: true, count } });
+      res.status(200).json({ message: `All ${routeName} moved to trash`, count });
     } catch (error) {
       res.status(500).json({ message: `Error deleting all ${routeName}`, error: error.message });
     }
   });
 };
 
-// Create CRUD routes for all collections
-createCRUDRoutes(Book, 'books');
-createCRUDRoutes(EBook, 'ebooks');
-createCRUDRoutes(Audiobook, 'audiobooks');
-createCRUDRoutes(FictionBook, 'fiction');
-createCRUDRoutes(ScienceBook, 'science');
-createCRUDRoutes(BiographyBook, 'biography');
-createCRUDRoutes(FantasyBook, 'fantasy');
-createCRUDRoutes(HistoryBook, 'history');
-createCRUDRoutes(TechnologyBook, 'technology');
-createCRUDRoutes(RomanceBook, 'romance');
+// Create CRUD routes for all collections. Compatibility routes are registered
+// first so they take precedence when the catalog is the read source; writes
+// always land in the legacy collections and are mirrored into the catalog.
+LEGACY_COLLECTIONS.forEach(({ Model, key }) => {
+  createCompatRoutes(Model, key);
+  createCRUDRoutes(Model, key);
+});
 
 export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import * as searchController from '../controllers/searchController.js';
+
+const router = express.Router();
+
+// GET relevance-ranked results across all formats
+router.get('/', searchController.searchCatalog);
+
+// GET typeahead suggestions for a partial query
+router.get('/suggest', searchController.getSuggestions);
+
+export default router;
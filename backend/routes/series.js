@@ -0,0 +1,30 @@
+import express from 'express';
+import * as seriesController from '../controllers/seriesController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// GET series (search by name)
+router.get('/', seriesController.getSeriesList);
+
+// GET series links (position, previous, next) for works or ISBNs
+router.get('/next', seriesController.getNextInSeries);
+
+// GET single series in reading order, by ID or slug
+router.get('/:key', seriesController.getSeries);
+
+// CREATE series
+router.post('/', verifyToken, requireAdmin, attachAdminInfo, seriesController.createSeries);
+
+// PATCH series name or description
+router.patch('/:id', verifyToken, requireAdmin, attachAdminInfo, seriesController.updateSeries);
+
+// DELETE series (works are kept)
+router.delete('/:id', verifyToken, requireAdmin, attachAdminInfo, seriesController.deleteSeries);
+
+// ADD a work at a position, or move it / REMOVE it from the series
+router.put('/:id/works/:workId', verifyToken, requireAdmin, attachAdminInfo, seriesController.setWorkPosition);
+router.delete('/:id/works/:workId', verifyToken, requireAdmin, attachAdminInfo, seriesController.removeWork);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import * as trashController from '../controllers/trashController.js';
+import { verifyToken } from '../middleware/auth.js';
+import { requireAdmin, attachAdminInfo } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// Every trash route is admin only
+router.use(verifyToken, requireAdmin, attachAdminInfo);
+
+// GET trashed records (optionally ?collection=fiction)
+router.get('/', trashController.getTrash);
+
+// POST purge everything past the retention period
+router.post('/purge', trashController.purgeExpiredItems);
+
+// POST restore a trashed record
+router.post('/:collection/:id/restore', trashController.restoreItem);
+
+// DELETE a trashed record permanently
+router.delete('/:collection/:id', trashController.purgeItem);
+
+export default router;
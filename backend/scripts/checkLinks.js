@@ -0,0 +1,34 @@
+/**
+ * Link check
+ * Checks the cover and purchase links stored on books and records their
+ * status, redirects and check time. The server also does this every
+ * LINK_CHECK_INTERVAL_HOURS (default 24, off in development); this script is
+ * for running it from cron or by hand.
+ *
+ * Usage: npm run check:links [-- --force]
+ *   --force  Check every link, not only those due for a check
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { runLinkCheck } from '../services/linkCheckService.js';
+
+dotenv.config();
+
+async function check() {
+  await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_DB_URI);
+  console.log('connected to mongodb database');
+
+  const { checked, summary } = await runLinkCheck({ force: process.argv.includes('--force') });
+  for (const [status, count] of Object.entries(summary)) {
+    console.log(`${status}: ${count} link(s)`);
+  }
+  console.log(`${checked} link(s) checked in total`);
+}
+
+check()
+  .catch(error => {
+    console.error('Link check failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
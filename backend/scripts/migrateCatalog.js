@@ -0,0 +1,49 @@
+/**
+ * Catalog migration
+ * Merges the ten legacy book collections into the Work/Edition catalog by ISBN.
+ *
+ * - books / ebooks / audiobooks become print / ebook / audiobook editions
+ * - category collections (fiction, science, ...) add their genre to the work
+ * - records sharing an ISBN across collections end up on the same work
+ * - credited author names are linked to Author entities, created as needed
+ *
+ * Safe to run repeatedly: editions are upserted by (ISBN, format) and legacy
+ * references are only added once.
+ *
+ * Usage: npm run migrate:catalog
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Work from '../Model/WorkSchema.js';
+import Edition from '../Model/EditionSchema.js';
+import Author from '../Model/AuthorSchema.js';
+import Series from '../Model/SeriesSchema.js';
+import { migrateLegacyCatalog } from '../services/catalogService.js';
+
+dotenv.config();
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_DB_URI);
+  console.log('connected to mongodb database');
+
+  await Work.syncIndexes();
+  await Edition.syncIndexes();
+  await Author.syncIndexes();
+  await Series.syncIndexes();
+
+  const { works, editions, failed } = await migrateLegacyCatalog();
+  console.log(`Catalog now holds ${works} work(s) and ${editions} edition(s); ${failed} record(s) failed`);
+
+  return failed;
+}
+
+migrate()
+  .then(failed => {
+    process.exitCode = failed > 0 ? 1 : 0;
+  })
+  .catch(error => {
+    console.error('Catalog migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
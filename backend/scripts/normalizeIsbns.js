@@ -0,0 +1,79 @@
+/**
+ * ISBN normalization
+ * Rewrites every ISBN in the legacy book collections to its canonical ISBN-13
+ * form and reports values that fail checksum validation, plus ISBNs that are
+ * shared across collections.
+ *
+ * Usage: npm run normalize:isbn [-- --dry-run]
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { LEGACY_COLLECTIONS } from '../Model/legacyCollections.js';
+import { toCanonicalIsbn } from '../utils/isbn.js';
+
+dotenv.config();
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function normalize() {
+  await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_DB_URI);
+  console.log(`connected to mongodb database${dryRun ? ' (dry run)' : ''}`);
+
+  let problems = 0;
+  const seen = new Map();
+
+  for (const { key, Model } of LEGACY_COLLECTIONS) {
+    let rewritten = 0;
+
+    // Trashed records still hold their ISBN in the unique index, so include them
+    for await (const doc of Model.find().select('_id ISBN').setOptions({ withDeleted: true }).cursor()) {
+      const canonical = toCanonicalIsbn(doc.ISBN);
+
+      if (!canonical) {
+        problems++;
+        console.error(`  ${key}/${doc._id}: invalid ISBN "${doc.ISBN}"`);
+        continue;
+      }
+
+      seen.set(canonical, [...(seen.get(canonical) || []), key]);
+
+      if (canonical === doc.ISBN) continue;
+
+      if (!dryRun) {
+        try {
+          await Model.updateOne({ _id: doc._id }, { $set: { ISBN: canonical } }, { withDeleted: true });
+        } catch (error) {
+          problems++;
+          const reason = error.code === 11000 ? 'another record already uses it' : error.message;
+          console.error(`  ${key}/${doc._id}: cannot rewrite "${doc.ISBN}" to ${canonical}: ${reason}`);
+          continue;
+        }
+      }
+      rewritten++;
+    }
+
+    console.log(`${key}: ${rewritten} ISBN(s) ${dryRun ? 'would be ' : ''}rewritten`);
+  }
+
+  const shared = [...seen].filter(([, collections]) => collections.length > 1);
+  if (shared.length > 0) {
+    console.log(`${shared.length} ISBN(s) appear in more than one collection:`);
+    for (const [isbn, collections] of shared) {
+      console.log(`  ${isbn}: ${collections.join(', ')}`);
+    }
+  }
+
+  return problems;
+}
+
+normalize()
+  .then(problems => {
+    console.log(`${problems} problem(s) found`);
+    process.exitCode = problems > 0 ? 1 : 0;
+  })
+  .catch(error => {
+    console.error('ISBN normalization failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,32 @@
+/**
+ * Trash purge
+ * Permanently deletes book records that have been in the trash longer than
+ * TRASH_RETENTION_DAYS (default 30). The server also does this once a day;
+ * this script is for running it from cron or by hand.
+ *
+ * Usage: npm run purge:trash
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { purgeExpired, getRetentionDays } from '../services/trashService.js';
+
+dotenv.config();
+
+async function purge() {
+  await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_DB_URI);
+  console.log(`connected to mongodb database (retention: ${getRetentionDays()} day(s))`);
+
+  const purged = await purgeExpired();
+  for (const [collection, count] of Object.entries(purged)) {
+    console.log(`${collection}: ${count} record(s) purged`);
+  }
+  console.log(`${Object.values(purged).reduce((sum, count) => sum + count, 0)} record(s) purged in total`);
+}
+
+purge()
+  .catch(error => {
+    console.error('Trash purge failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
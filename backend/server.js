@@ -4,9 +4,31 @@ import dotenv from 'dotenv'
 import authRoutes from './routes/auth.js'
 import adminRoutes from './routes/admin.js'
 import bookRoutes from './routes/routes.js'
+import libraryRoutes from './routes/bookRoutes.js'
 import bookRequestRoutes from './routes/bookRequests.js'
 import aiRoutes from './routes/ai.js'
+import catalogRoutes from './routes/catalog.js'
+import searchRoutes from './routes/search.js'
+import trashRoutes from './routes/trash.js'
+import auditRoutes from './routes/audit.js'
+import revisionRoutes from './routes/revisions.js'
+import importRoutes from './routes/imports.js'
+import interopRoutes from './routes/interop.js'
+import exportRoutes from './routes/export.js'
+import enrichmentRoutes from './routes/enrichment.js'
+import duplicateRoutes from './routes/duplicates.js'
+import authorRoutes from './routes/authors.js'
+import seriesRoutes from './routes/series.js'
+import imageRoutes from './routes/images.js'
+import linkRoutes from './routes/links.js'
+import categoryRoutes from './routes/categories.js'
+import meRoutes from './routes/me.js'
+import profileRoutes from './routes/profiles.js'
 import connectToDB from './middleware/connection.js'
+import { scheduleTrashPurge } from './services/trashService.js'
+import { scheduleLinkCheck } from './services/linkCheckService.js'
+import { seedCategories } from './services/categoryService.js'
+import { seedCatalog } from './services/catalogService.js'
 
 dotenv.config()
 
@@ -16,9 +38,26 @@ const PORT = process.env.PORT || 5000
 // Connect to MongoDB
 connectToDB()
 
+// Permanently delete trashed books past their retention period
+scheduleTrashPurge()
+
+// Check stored cover and purchase links that are due for a check
+scheduleLinkCheck()
+
+// Start the category taxonomy from the legacy category collections
+seedCategories()
+  .then(count => count > 0 && console.log(`Seeded ${count} categories`))
+  .catch(error => console.error('Category seeding failed:', error.message))
+
+// Fill an empty Work/Edition catalog from the legacy collections
+seedCatalog()
+  .then(result => result && console.log(`Catalog seeded with ${result.works} work(s) and ${result.editions} edition(s)`))
+  .catch(error => console.error('Catalog seeding failed:', error.message))
+
 // Middleware
 app.use(cors())
-app.use(express.json())
+// Import files are sent as JSON text, so allow larger bodies than the 100kb default
+app.use(express.json({ limit: '10mb' }))
 app.use(express.urlencoded({ extended: true }))
 
 // Health check endpoint
@@ -31,10 +70,36 @@ app.use('/api/auth', authRoutes)
 app.use('/api/admin', adminRoutes)
 app.use('/api/book-requests', bookRequestRoutes)
 app.use('/api/ai', aiRoutes)
+app.use('/api/catalog', catalogRoutes)
+app.use('/api/search', searchRoutes)
+app.use('/api/trash', trashRoutes)
+app.use('/api/audit', auditRoutes)
+app.use('/api/revisions', revisionRoutes)
+app.use('/api/import', importRoutes)
+app.use('/api/interop', interopRoutes)
+app.use('/api/export', exportRoutes)
+app.use('/api/enrichment', enrichmentRoutes)
+app.use('/api/duplicates', duplicateRoutes)
+app.use('/api/authors', authorRoutes)
+app.use('/api/series', seriesRoutes)
+app.use('/api/images', imageRoutes)
+app.use('/api/links', linkRoutes)
+app.use('/api/categories', categoryRoutes)
+app.use('/api/me', meRoutes)
+app.use('/api/profiles', profileRoutes)
+app.use('/api/library', libraryRoutes)
 app.use('/api', bookRoutes)
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Request bodies over the parser limit, e.g. a cover upload over MAX_UPLOAD_SIZE
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      message: `Request body is too large; the limit is ${err.limit} bytes`,
+    })
+  }
+
   console.error(err.stack)
   res.status(500).json({ 
     error: 'Something went wrong!',
@@ -0,0 +1,62 @@
+import AuditLog from '../Model/AuditLogSchema.js';
+
+/**
+ * ============================================
+ * AUDIT LOG
+ * ============================================
+ * Records every create/update/delete on books, catalog records and book
+ * requests. Recording never fails the request that triggered it: errors are
+ * logged and the mutation's response goes out regardless.
+ */
+
+// Plain-object snapshot of a document, or null
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  delete plain.__v;
+  return plain;
+};
+
+/**
+ * Who is making a request, as set by verifyToken/optionalAuth and attachAdminInfo
+ * @param {import('express').Request} req
+ * @param {object} [fallback] - Identity claimed in the request body, for unauthenticated requests
+ * @returns {{email: string|null, uid: string|null, isAdmin: boolean}}
+ */
+export const actorFrom = (req, fallback = {}) => ({
+  email: req.adminEmail || req.user?.email || fallback.email || null,
+  uid: req.user?.uid || fallback.uid || null,
+  isAdmin: Boolean(req.isAdmin),
+});
+
+/**
+ * Append an audit entry
+ * @param {import('express').Request} req - Request that made the change
+ * @param {object} entry
+ * @param {string} entry.action - create | update | revert | merge | delete | restore | purge
+ * @param {string} entry.collection - Target collection, e.g. 'fiction' or 'book-requests'
+ * @param {string} [entry.id] - Target record ID (omitted for collection-wide actions)
+ * @param {object} [entry.before] - Record before the change
+ * @param {object} [entry.after] - Record after the change
+ * @param {object} [entry.details] - Extra context
+ * @param {object} [entry.actor] - Overrides the actor derived from req
+ */
+export const recordAudit = async (req, { action, collection, id, before, after, details, actor }) => {
+  try {
+    await AuditLog.create({
+      actor: actor || actorFrom(req),
+      action,
+      target: { collection, id: id || before?._id || after?._id || null },
+      before: snapshot(before),
+      after: snapshot(after),
+      details: details || null,
+    });
+  } catch (error) {
+    console.error(`Audit log write failed (${action} ${collection}/${id || ''}):`, error.message);
+  }
+};
+
+export default {
+  actorFrom,
+  recordAudit,
+};
@@ -0,0 +1,149 @@
+import Author, { authorNameKey } from '../Model/AuthorSchema.js';
+import Work from '../Model/WorkSchema.js';
+import Edition from '../Model/EditionSchema.js';
+import { seriesLinks } from './seriesService.js';
+import { uniqueSlug } from '../utils/slug.js';
+
+/**
+ * ============================================
+ * AUTHORS
+ * ============================================
+ * Resolves the free-text author names credited on works to Author entities.
+ * A name resolves to the author that has it as name or alias; names nobody
+ * claims yet get a new author, so every credited name ends up linked. Admins
+ * then fold variants together by merging authors (see authorController).
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Every name an author is credited under
+ * @param {object} author - Author document
+ * @returns {string[]} Name followed by aliases
+ */
+export const authorNames = (author) => [author.name, ...(author.aliases || [])];
+
+/**
+ * The author that has a name or alias matching the given name
+ * @param {string} name - Name as credited
+ * @returns {Promise<object|null>} Author document
+ */
+export const findAuthorByName = (name) => {
+  const key = authorNameKey(name);
+  return key ? Author.findOne({ nameKeys: key }) : Promise.resolve(null);
+};
+
+/**
+ * Another author already claiming one of these names
+ * @param {string[]} names - Name and aliases of the author being saved
+ * @param {string} [excludeId] - The author being saved
+ * @returns {Promise<object|null>} Conflicting author
+ */
+export const findNameConflict = (names, excludeId) => {
+  const keys = names.map(authorNameKey).filter(Boolean);
+  return Author.findOne({
+    nameKeys: { $in: keys },
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  }).select('name slug');
+};
+
+/**
+ * Look an author up by ID, slug or any of their names
+ * @param {string} key - Author ID, slug, name or alias
+ * @returns {Promise<object|null>} Author document
+ */
+export const findAuthor = async (key) => {
+  if (OBJECT_ID.test(key)) {
+    const author = await Author.findById(key);
+    if (author) return author;
+  }
+  return await Author.findOne({ slug: key }) || findAuthorByName(key);
+};
+
+/**
+ * Author IDs for credited names, in order and without repeats
+ * @param {string[]} names - Names as credited on a work
+ * @param {object} [options]
+ * @param {boolean} [options.create=true] - Create authors for names nobody claims
+ * @returns {Promise<import('mongoose').Types.ObjectId[]>} Author IDs
+ */
+export const resolveAuthors = async (names, { create = true } = {}) => {
+  const ids = [];
+  for (const name of names) {
+    if (!authorNameKey(name)) continue;
+
+    let author = await findAuthorByName(name);
+    if (!author && create) {
+      author = await Author.create({ name: name.trim(), slug: await uniqueSlug(Author, name) });
+    }
+    if (author && !ids.some(id => id.equals(author._id))) {
+      ids.push(author._id);
+    }
+  }
+  return ids;
+};
+
+/**
+ * Point a work's authorIds at the authors of its credited names
+ * @param {object} work - Work with `_id` and `authors`
+ * @returns {Promise<import('mongoose').Types.ObjectId[]>} The linked author IDs
+ */
+export const linkWorkAuthors = async (work) => {
+  const authorIds = await resolveAuthors(work.authors || []);
+  await Work.updateOne({ _id: work._id }, { $set: { authorIds } });
+  return authorIds;
+};
+
+/**
+ * Link the authors of every work matching a filter
+ * @param {object} [filter] - Works to link (all by default)
+ * @returns {Promise<number>} Number of works linked
+ */
+export const linkAllWorks = async (filter = {}) => {
+  let linked = 0;
+  for await (const work of Work.find(filter).select('authors').lean().cursor()) {
+    await linkWorkAuthors(work);
+    linked++;
+  }
+  return linked;
+};
+
+/**
+ * An author's works with their editions, the formats they come in and where
+ * they stand in their series
+ * @param {import('mongoose').Types.ObjectId|string} authorId - Author ID
+ * @returns {Promise<object[]>} Works sorted by title
+ */
+export const authorWorks = async (authorId) => {
+  const works = await Work.find({ authorIds: authorId })
+    .sort({ title: 1 })
+    .select('-__v')
+    .lean();
+
+  const editions = await Edition.find({ work: { $in: works.map(w => w._id) } })
+    .select('-__v -legacyRefs')
+    .lean();
+
+  const links = await seriesLinks(works.map(w => w._id));
+
+  return works.map(work => {
+    const own = editions.filter(e => String(e.work) === String(work._id));
+    return {
+      ...work,
+      series: links.get(String(work._id)) || [],
+      editions: own,
+      formats: [...new Set(own.map(e => e.format))],
+    };
+  });
+};
+
+export default {
+  authorNames,
+  findAuthorByName,
+  findNameConflict,
+  findAuthor,
+  resolveAuthors,
+  linkWorkAuthors,
+  linkAllWorks,
+  authorWorks,
+};
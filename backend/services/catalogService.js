@@ -0,0 +1,440 @@
+import Work from '../Model/WorkSchema.js';
+import Edition, { EDITION_FORMATS } from '../Model/EditionSchema.js';
+import { LEGACY_COLLECTIONS, getLegacyCollection } from '../Model/legacyCollections.js';
+import { cleanIsbn, toCanonicalIsbn } from '../utils/isbn.js';
+import { linkWorkAuthors, linkAllWorks } from './authorService.js';
+
+/**
+ * ============================================
+ * CATALOG SERVICE
+ * ============================================
+ * Keeps the unified Work/Edition catalog in step with the legacy
+ * per-category collections while both are in use, and maps catalog
+ * editions back to the legacy record shape for the compatibility routes.
+ */
+
+/**
+ * Key used to merge records by ISBN: the canonical ISBN-13, so ISBN-10 and
+ * hyphenated forms of the same book meet. Legacy values that fail validation
+ * are kept as-is (minus hyphens) rather than dropped.
+ * @param {string} isbn - ISBN as entered
+ * @returns {string} Comparable ISBN key
+ */
+export const isbnKey = (isbn) => toCanonicalIsbn(isbn) || cleanIsbn(isbn);
+
+/**
+ * Split a legacy comma-joined author string into individual names
+ * @param {string} author - e.g. "Terry Pratchett, Neil Gaiman"
+ * @returns {string[]} Author names
+ */
+export const splitAuthors = (author) =>
+  String(author || '')
+    .split(/\s*(?:,|&)\s*/)
+    .map(a => a.trim())
+    .filter(a => a.length > 0);
+
+// Legacy record fields copied onto the matching edition
+const EDITION_SOURCE_FIELDS = [
+  'image_link', 'amazon_link', 'narrator', 'publisher', 'publishDate', 'pages', 'language',
+];
+
+/**
+ * Remove a work's genre when none of its editions still come from the
+ * category collection that contributed it, and drop works left without editions.
+ */
+const pruneWork = async (workId, entry) => {
+  const remaining = await Edition.countDocuments({ work: workId });
+  if (remaining === 0) {
+    await Work.findByIdAndDelete(workId);
+    return;
+  }
+
+  if (entry.genre) {
+    const stillListed = await Edition.exists({ work: workId, 'legacyRefs.source': entry.key });
+    if (!stillListed) {
+      await Work.findByIdAndUpdate(workId, { $pull: { genres: entry.genre } });
+    }
+  }
+};
+
+/**
+ * Detach one edition from a legacy record, deleting the edition when no
+ * legacy record refers to it any more.
+ */
+const detachEdition = async (edition, entry, legacyId) => {
+  edition.legacyRefs = edition.legacyRefs.filter(
+    ref => !(ref.source === entry.key && String(ref.id) === String(legacyId))
+  );
+
+  if (edition.legacyRefs.length === 0) {
+    await edition.deleteOne();
+  } else {
+    await edition.save();
+  }
+
+  await pruneWork(edition.work, entry);
+};
+
+/**
+ * Merge a legacy record into the catalog.
+ * Records sharing an ISBN end up as editions of the same work; category
+ * collections add their genre to that work.
+ * @param {string} collectionKey - Legacy route name, e.g. 'fiction'
+ * @param {object} doc - Saved legacy document
+ * @returns {Promise<object>} The upserted edition
+ */
+export const syncLegacyRecord = async (collectionKey, doc) => {
+  const entry = getLegacyCollection(collectionKey);
+  if (!entry) {
+    throw new Error(`Unknown legacy collection: ${collectionKey}`);
+  }
+
+  const ISBN = isbnKey(doc.ISBN);
+
+  // The record's ISBN may have been edited since the last sync
+  const stale = await Edition.find({
+    legacyRefs: { $elemMatch: { source: entry.key, id: doc._id } },
+    ISBN: { $ne: ISBN },
+  });
+  for (const edition of stale) {
+    await detachEdition(edition, entry, doc._id);
+  }
+
+  const existing = await Edition.findOne({ ISBN, format: entry.format })
+    || await Edition.findOne({ ISBN });
+
+  // Category collections contribute their genre; the main books collection
+  // carries its own genre field
+  const genres = [entry.genre, doc.genre].filter(g => g && g !== 'Other');
+
+  let workId = existing?.work;
+  if (workId) {
+    const workUpdate = {};
+    // The main collections own title, authors and description
+    if (!entry.genre) {
+      workUpdate.$set = { title: doc.name, authors: splitAuthors(doc.author) };
+      if (doc.description) workUpdate.$set.description = doc.description;
+      if (doc.rating) workUpdate.$set.rating = doc.rating;
+    }
+    if (genres.length > 0) {
+      workUpdate.$addToSet = { genres: { $each: genres } };
+    }
+    await Work.findByIdAndUpdate(workId, workUpdate);
+    if (workUpdate.$set) {
+      await linkWorkAuthors({ _id: workId, authors: workUpdate.$set.authors });
+    }
+  } else {
+    const work = await Work.create({
+      title: doc.name,
+      authors: splitAuthors(doc.author),
+      genres,
+      description: doc.description,
+      rating: doc.rating || undefined,
+    });
+    workId = work._id;
+    await linkWorkAuthors(work);
+  }
+
+  const fields = { work: workId };
+  for (const field of EDITION_SOURCE_FIELDS) {
+    if (doc[field] !== undefined && doc[field] !== null && doc[field] !== '') {
+      fields[field] = doc[field];
+    }
+  }
+
+  return Edition.findOneAndUpdate(
+    { ISBN, format: entry.format },
+    {
+      $set: fields,
+      $addToSet: { legacyRefs: { source: entry.key, id: doc._id } },
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Run a catalog mirror task for a legacy write. A failed mirror is logged
+ * rather than failing the request; `npm run migrate:catalog` repairs drift.
+ * @param {string} collectionKey - Legacy route name, for the log line
+ * @param {Function} task - Async function performing the sync
+ */
+export const mirrorToCatalog = async (collectionKey, task) => {
+  try {
+    await task();
+  } catch (error) {
+    console.error(`Catalog sync failed for ${collectionKey}:`, error.message);
+  }
+};
+
+/**
+ * Remove a deleted legacy record from the catalog
+ * @param {string} collectionKey - Legacy route name
+ * @param {object} doc - Deleted legacy document
+ */
+export const unlinkLegacyRecord = async (collectionKey, doc) => {
+  const entry = getLegacyCollection(collectionKey);
+  const editions = await Edition.find({
+    legacyRefs: { $elemMatch: { source: entry.key, id: doc._id } },
+  });
+
+  for (const edition of editions) {
+    await detachEdition(edition, entry, doc._id);
+  }
+};
+
+/**
+ * Remove every record of a legacy collection from the catalog
+ * @param {string} collectionKey - Legacy route name
+ */
+export const unlinkLegacyCollection = async (collectionKey) => {
+  const entry = getLegacyCollection(collectionKey);
+  const editions = await Edition.find({ 'legacyRefs.source': entry.key });
+
+  for (const edition of editions) {
+    for (const ref of edition.legacyRefs.filter(r => r.source === entry.key)) {
+      await detachEdition(edition, entry, ref.id);
+    }
+  }
+};
+
+/**
+ * Present a catalog edition in the record shape the legacy endpoints returned
+ * @param {object} edition - Edition with `work` populated
+ * @param {string} collectionKey - Legacy route name the record is served under
+ * @returns {object} Legacy-shaped record
+ */
+export const toLegacyShape = (edition, collectionKey) => {
+  const ref = edition.legacyRefs.find(r => r.source === collectionKey);
+  const work = edition.work || {};
+
+  return {
+    _id: ref ? ref.id : edition._id,
+    name: work.title,
+    ISBN: edition.ISBN,
+    author: (work.authors || []).join(', '),
+    image_link: edition.image_link,
+    amazon_link: edition.amazon_link,
+    acquisitionLinks: edition.acquisitionLinks || [],
+    narrator: edition.narrator,
+    genres: work.genres,
+    workId: work._id,
+    editionId: edition._id,
+    createdAt: edition.createdAt,
+    updatedAt: edition.updatedAt,
+  };
+};
+
+// Edition fields listed as the formats of a record or work
+const FORMAT_SUMMARY_FIELDS = 'work format ISBN narrator image_link amazon_link acquisitionLinks legacyRefs';
+
+const byFormat = (a, b) => EDITION_FORMATS.indexOf(a.format) - EDITION_FORMATS.indexOf(b.format);
+
+/**
+ * Every edition of some works, in format order
+ * @param {Array<string|import('mongoose').Types.ObjectId>} workIds - Work IDs
+ * @returns {Promise<Map<string, object[]>>} Editions keyed by work ID
+ */
+export const workEditions = async (workIds) => {
+  const editions = await Edition.find({ work: { $in: workIds } })
+    .select(FORMAT_SUMMARY_FIELDS)
+    .sort({ _id: 1 })
+    .lean();
+
+  const byWork = new Map(workIds.map(id => [String(id), []]));
+  for (const edition of editions.sort(byFormat)) {
+    byWork.get(String(edition.work))?.push(edition);
+  }
+  return byWork;
+};
+
+/**
+ * The work behind each of a collection's records, with every edition of that
+ * work (print, ebook, audiobook) in format order
+ * @param {string} collectionKey - Legacy route name
+ * @param {Array<string|import('mongoose').Types.ObjectId>} ids - Record IDs
+ * @returns {Promise<Map<string, {workId: object, editionId: object, acquisitionLinks: object[], editions: object[]}>>}
+ *   Keyed by record ID; records not yet in the catalog are left out
+ */
+export const recordEditions = async (collectionKey, ids) => {
+  const idSet = new Set(ids.map(String));
+  const own = await Edition.find({
+    legacyRefs: { $elemMatch: { source: collectionKey, id: { $in: [...idSet] } } },
+  }).select('work legacyRefs acquisitionLinks').lean();
+
+  const byWork = await workEditions(own.map(e => e.work));
+
+  const result = new Map();
+  for (const edition of own) {
+    for (const ref of edition.legacyRefs) {
+      if (ref.source === collectionKey && idSet.has(String(ref.id))) {
+        result.set(String(ref.id), {
+          workId: edition.work,
+          editionId: edition._id,
+          acquisitionLinks: edition.acquisitionLinks || [],
+          editions: byWork.get(String(edition.work)),
+        });
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * Add the formats available for each record: `formats` and the record's own
+ * `acquisitionLinks` on every item and, with `detail`, the work and edition IDs
+ * and full `editions` list
+ * @param {string} collectionKey - Legacy route name
+ * @param {object[]} items - Records (documents or plain objects with `_id`)
+ * @param {object} [options]
+ * @param {boolean} [options.detail=false] - Include workId, editionId and editions
+ * @returns {Promise<object[]>} Plain records with format information
+ */
+export const withFormats = async (collectionKey, items, { detail = false } = {}) => {
+  const byRecord = await recordEditions(collectionKey, items.map(item => item._id));
+  return items.map(item => {
+    const plain = typeof item.toObject === 'function' ? item.toObject() : item;
+    const found = byRecord.get(String(item._id));
+    const formats = found ? [...new Set(found.editions.map(e => e.format))] : [];
+    const acquisitionLinks = found?.acquisitionLinks ?? [];
+    return detail
+      ? {
+        ...plain,
+        formats,
+        acquisitionLinks,
+        workId: found?.workId ?? null,
+        editionId: found?.editionId ?? null,
+        editions: found?.editions ?? [],
+      }
+      : { ...plain, formats, acquisitionLinks };
+  });
+};
+
+/**
+ * Make an edition one of another work's formats. The work it leaves is
+ * deleted once it has no editions left.
+ * @param {object} edition - Edition document
+ * @param {string} workId - Work to link the edition to
+ * @returns {Promise<object>} The updated edition
+ */
+export const linkEdition = async (edition, workId) => {
+  const previousWork = edition.work;
+  edition.work = workId;
+  await edition.save();
+
+  if (String(previousWork) !== String(workId)) {
+    const remaining = await Edition.countDocuments({ work: previousWork });
+    if (remaining === 0) await Work.findByIdAndDelete(previousWork);
+  }
+  return edition;
+};
+
+/**
+ * Split an edition off its work onto a new work with the same title, credits,
+ * genres and series, so it no longer counts as a format of the others
+ * @param {object} edition - Edition document
+ * @returns {Promise<object>} The new work
+ */
+export const unlinkEdition = async (edition) => {
+  const work = await Work.findById(edition.work).lean();
+  const { _id, createdAt, updatedAt, __v, ...copy } = work;
+
+  const newWork = await Work.create(copy);
+  edition.work = newWork._id;
+  await edition.save();
+  return newWork;
+};
+
+/**
+ * Build the edition filter equivalent to a legacy collection
+ * @param {string} collectionKey - Legacy route name
+ * @returns {Promise<object>} Mongo filter over editions
+ */
+export const compatFilter = async (collectionKey) => {
+  const entry = getLegacyCollection(collectionKey);
+  const filter = { format: entry.format };
+
+  if (entry.genre) {
+    const workIds = await Work.find({ genres: entry.genre }).distinct('_id');
+    filter.work = { $in: workIds };
+  }
+
+  return filter;
+};
+
+/**
+ * Merge every legacy collection into the catalog by ISBN, then build search
+ * tokens and author links for works that have none. Safe to run repeatedly:
+ * editions are upserted by (ISBN, format) and legacy references are only
+ * added once.
+ * @param {object} [options]
+ * @param {Function} [options.log] - Progress lines (console.log by default)
+ * @returns {Promise<{works: number, editions: number, failed: number}>}
+ *   Catalog size afterwards and records that failed to merge
+ */
+export const migrateLegacyCatalog = async ({ log = console.log } = {}) => {
+  let failed = 0;
+
+  // Registry order puts the main collections first so they provide work titles
+  for (const { key, Model } of LEGACY_COLLECTIONS) {
+    let merged = 0;
+
+    for await (const doc of Model.find().cursor()) {
+      try {
+        await syncLegacyRecord(key, doc);
+        merged++;
+      } catch (error) {
+        failed++;
+        console.error(`  ${key}/${doc._id} (ISBN ${doc.ISBN}): ${error.message}`);
+      }
+    }
+
+    log(`${key}: ${merged} record(s) merged`);
+  }
+
+  // Works created before search existed have no tokens yet
+  const tokenized = await Work.refreshSearchTokens({
+    $or: [{ searchTokens: { $exists: false } }, { searchTokens: { $size: 0 } }],
+  });
+  log(`search tokens built for ${tokenized} work(s)`);
+
+  // Works created before author entities existed aren't linked yet
+  const linked = await linkAllWorks({
+    authors: { $ne: [] },
+    $or: [{ authorIds: { $exists: false } }, { authorIds: { $size: 0 } }],
+  });
+  log(`authors linked for ${linked} work(s)`);
+
+  const works = await Work.countDocuments();
+  const editions = await Edition.countDocuments();
+  return { works, editions, failed };
+};
+
+/**
+ * Fill an empty catalog from the legacy collections, so an existing install
+ * has books on the search-backed pages without running the migration by hand.
+ * Does nothing once the catalog holds any edition.
+ * @returns {Promise<object|null>} The migration result, or null when the
+ *   catalog already had editions
+ */
+export const seedCatalog = async () => {
+  if (await Edition.exists({})) return null;
+  return migrateLegacyCatalog({ log: () => {} });
+};
+
+export default {
+  isbnKey,
+  splitAuthors,
+  syncLegacyRecord,
+  mirrorToCatalog,
+  unlinkLegacyRecord,
+  unlinkLegacyCollection,
+  toLegacyShape,
+  workEditions,
+  recordEditions,
+  withFormats,
+  linkEdition,
+  unlinkEdition,
+  compatFilter,
+  migrateLegacyCatalog,
+  seedCatalog,
+};
@@ -0,0 +1,131 @@
+import Category from '../Model/CategorySchema.js';
+import { LEGACY_COLLECTIONS } from '../Model/legacyCollections.js';
+import { slugify } from '../utils/slug.js';
+
+/**
+ * ============================================
+ * CATEGORIES
+ * ============================================
+ * The browse taxonomy: top-level subjects with subgenres, each in display
+ * order. Category tiles, the genre lists of the frontend and the assistant's
+ * system prompt are all built from it. An empty taxonomy is seeded from the
+ * legacy per-category collections.
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+const byDisplayOrder = (a, b) => a.order - b.order || a.name.localeCompare(b.name);
+
+/**
+ * Create the categories of the legacy per-category collections when there are
+ * no categories yet
+ * @returns {Promise<number>} Categories created
+ */
+export const seedCategories = async () => {
+  if (await Category.exists({})) return 0;
+
+  const seeded = LEGACY_COLLECTIONS
+    .filter(entry => entry.genre)
+    .map((entry, index) => ({
+      name: entry.genre,
+      slug: slugify(entry.genre),
+      order: index,
+      legacyCollection: entry.key,
+    }));
+  await Category.insertMany(seeded);
+  return seeded.length;
+};
+
+/**
+ * Every category in display order
+ * @returns {Promise<object[]>} Plain categories
+ */
+export const listCategories = async () => {
+  const categories = await Category.find().select('-__v').lean();
+  return categories.sort(byDisplayOrder);
+};
+
+/**
+ * Nest categories under their parents. Categories whose parent is missing
+ * are shown at the top level.
+ * @param {object[]} categories - Plain categories in display order
+ * @returns {object[]} Top-level categories, each with `children`
+ */
+export const buildTree = (categories) => {
+  const nodes = new Map(categories.map(category => [String(category._id), { ...category, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+};
+
+/**
+ * Look a category up by ID or slug
+ * @param {string} key - Category ID or slug
+ * @returns {Promise<object|null>} Category document
+ */
+export const findCategory = async (key) => {
+  if (OBJECT_ID.test(key)) {
+    const category = await Category.findById(key);
+    if (category) return category;
+  }
+  return Category.findOne({ slug: key });
+};
+
+/**
+ * The chain of parents above a category, nearest last
+ * @param {object} category - Category with `parent`
+ * @returns {Promise<object[]>} Ancestors from the top level down
+ */
+export const ancestorsOf = async (category) => {
+  const ancestors = [];
+  const seen = new Set([String(category._id)]);
+  let parentId = category.parent;
+  while (parentId && !seen.has(String(parentId))) {
+    seen.add(String(parentId));
+    const parent = await Category.findById(parentId).select('name slug parent').lean();
+    if (!parent) break;
+    ancestors.unshift(parent);
+    parentId = parent.parent;
+  }
+  return ancestors;
+};
+
+/**
+ * Whether `parentId` is the category itself or one of its descendants, which
+ * would make the taxonomy a loop
+ * @param {string} categoryId - Category being moved
+ * @param {string} parentId - Proposed parent
+ * @returns {Promise<boolean>} True if the move would create a cycle
+ */
+export const wouldCreateCycle = async (categoryId, parentId) => {
+  const parent = await Category.findById(parentId).select('parent').lean();
+  if (!parent) return false;
+  if (String(parent._id) === String(categoryId)) return true;
+  const ancestors = await ancestorsOf(parent);
+  return ancestors.some(ancestor => String(ancestor._id) === String(categoryId));
+};
+
+/**
+ * The taxonomy as one line for the assistant's system prompt, e.g.
+ * "Fiction (Fantasy, Romance), Science, History"
+ * @returns {Promise<string>} Category names with subgenres in brackets
+ */
+export const categorySummary = async () => {
+  const describe = (node) => (node.children.length > 0
+    ? `${node.name} (${node.children.map(describe).join(', ')})`
+    : node.name);
+  return buildTree(await listCategories()).map(describe).join(', ');
+};
+
+export default {
+  seedCategories,
+  listCategories,
+  buildTree,
+  findCategory,
+  ancestorsOf,
+  wouldCreateCycle,
+  categorySummary,
+};
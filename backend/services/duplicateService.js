@@ -0,0 +1,439 @@
+import BookRequest from '../Model/BookRequestSchema.js';
+import Edition from '../Model/EditionSchema.js';
+import ShelfItem from '../Model/ShelfItemSchema.js';
+import ReadingProgress from '../Model/ReadingProgressSchema.js';
+import { LEGACY_COLLECTIONS, getLegacyCollection } from '../Model/legacyCollections.js';
+import { isbnKey, splitAuthors, syncLegacyRecord, mirrorToCatalog } from './catalogService.js';
+import { importableFields } from './importService.js';
+import { trashRecord } from './trashService.js';
+import { recordAudit } from './auditService.js';
+import { repointShelfItems } from './shelfService.js';
+import { repointProgress } from './progressService.js';
+import { isbnVariants } from '../utils/isbn.js';
+import { tokenize, editDistance } from '../utils/text.js';
+
+/**
+ * ============================================
+ * DUPLICATE DETECTION & MERGE
+ * ============================================
+ * The same book can be entered into several collections, or twice under
+ * slightly different titles ("The Hobbit" / "Hobbit, The"). Records are
+ * grouped into candidate clusters when their ISBNs are equivalent (ISBN-10
+ * and ISBN-13 of the same book meet) or when their normalized titles are
+ * similar and they share an author. A merge keeps one record, fills its
+ * fields from the others as chosen, moves the others to the trash and points
+ * book requests for their ISBNs, and readers' shelves and reading progress
+ * on their editions, at the kept record.
+ */
+
+export const DEFAULT_MIN_SIMILARITY = 0.85;
+export const MATCH_REASONS = ['isbn', 'title'];
+
+// Words that don't tell titles apart ("Hobbit, The" == "The Hobbit")
+const ARTICLES = new Set(['the', 'a', 'an']);
+
+// Author words shared by more records than this are too common to compare on
+const MAX_BLOCK_SIZE = 500;
+
+// Fields a merge never takes from another record; the kept record keeps its ISBN
+const UNMERGED_FIELDS = ['ISBN'];
+
+/**
+ * Thrown for an invalid merge request; callers answer with 400
+ */
+export class DuplicateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DuplicateError';
+  }
+}
+
+const recordKey = (collection, id) => `${collection}:${id}`;
+
+const parseRecordKey = (value) => {
+  const [collection, id] = String(value).split(':');
+  return { collection, id };
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Title words used for comparison: lower-case, no diacritics, no articles
+ * @param {string} title
+ * @returns {string[]} e.g. "Hobbit, The" -> ['hobbit']
+ */
+export const titleTokens = (title) => tokenize(title).filter(token => !ARTICLES.has(token));
+
+// Title without its subtitle or trailing parenthetical ("Dune: Deluxe Edition" -> "Dune")
+const mainTitle = (title) => String(title || '').split(/\s*[:(\[]|\s+-\s+/)[0];
+
+// Author surnames and full names, without initials ("Tolkien, J.R.R." -> ['tolkien'])
+const authorTokens = (author) =>
+  [...new Set(splitAuthors(author).flatMap(name => tokenize(name)).filter(token => token.length > 1))];
+
+// Similarity of two title word lists, 0..1: word overlap, or spelling for small typos
+const tokenSimilarity = (a, b) => {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const shared = [...setA].filter(token => setB.has(token)).length;
+  const jaccard = shared / new Set([...setA, ...setB]).size;
+
+  const x = [...setA].sort().join(' ');
+  const y = [...setB].sort().join(' ');
+  const longest = Math.max(x.length, y.length);
+  const maxEdits = Math.floor(longest * (1 - DEFAULT_MIN_SIMILARITY)) + 1;
+  const spelling = 1 - Math.min(editDistance(x, y, maxEdits), longest) / longest;
+
+  return Math.max(jaccard, spelling);
+};
+
+/**
+ * Similarity of two titles, 0..1, ignoring articles, word order, case,
+ * diacritics and subtitles
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const titleSimilarity = (a, b) => Math.max(
+  tokenSimilarity(titleTokens(a), titleTokens(b)),
+  tokenSimilarity(titleTokens(mainTitle(a)), titleTokens(mainTitle(b)))
+);
+
+// Authors match when most of the shorter author list appears in the other
+const authorsMatch = (a, b) => {
+  if (a.length === 0 || b.length === 0) return false;
+  const shared = a.filter(token => b.includes(token)).length;
+  return shared / Math.min(a.length, b.length) >= 0.5;
+};
+
+// Union-find over record indexes
+const createClusters = (size) => {
+  const parent = Array.from({ length: size }, (_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  return {
+    find,
+    union: (a, b) => {
+      parent[find(a)] = find(b);
+    },
+  };
+};
+
+// Number of filled fields, to suggest the most complete record as the one to keep
+const filledFieldCount = (record) =>
+  Object.entries(record).filter(([field, value]) => !field.startsWith('_') && !isEmpty(value)).length;
+
+/**
+ * Find candidate duplicate clusters across every collection
+ * @param {object} [options]
+ * @param {string} [options.collection] - Only clusters with a record in this collection
+ * @param {string} [options.reason] - Only clusters found by isbn or by title
+ * @param {number} [options.minSimilarity] - Title similarity needed, 0..1 (default 0.85)
+ * @returns {Promise<object[]>} Clusters { reasons, similarity, suggestedWinner, members },
+ *   largest first; members are { key, collection, id, format, name, author, ISBN, ... }
+ */
+export const findDuplicateClusters = async ({ collection, reason, minSimilarity = DEFAULT_MIN_SIMILARITY } = {}) => {
+  const records = [];
+  for (const { key, Model, format } of LEGACY_COLLECTIONS) {
+    const docs = await Model.find({}).select('-__v').lean();
+    for (const doc of docs) {
+      records.push({
+        doc,
+        collection: key,
+        format,
+        isbn: isbnKey(doc.ISBN),
+        title: titleTokens(doc.name),
+        authors: authorTokens(doc.author),
+      });
+    }
+  }
+
+  const clusters = createClusters(records.length);
+  const links = new Map();
+  const link = (i, j, why, similarity) => {
+    clusters.union(i, j);
+    const pair = `${Math.min(i, j)}-${Math.max(i, j)}`;
+    const existing = links.get(pair);
+    if (!existing || similarity > existing.similarity) links.set(pair, { i, why, similarity });
+  };
+
+  // Equivalent ISBNs
+  const byIsbn = new Map();
+  records.forEach((record, i) => {
+    if (!record.isbn) return;
+    if (byIsbn.has(record.isbn)) link(byIsbn.get(record.isbn), i, 'isbn', 1);
+    else byIsbn.set(record.isbn, i);
+  });
+
+  // Similar titles, compared only among records sharing an author word
+  const blocks = new Map();
+  records.forEach((record, i) => {
+    for (const token of record.authors) {
+      if (!blocks.has(token)) blocks.set(token, []);
+      blocks.get(token).push(i);
+    }
+  });
+  const compared = new Set();
+  for (const members of blocks.values()) {
+    if (members.length < 2 || members.length > MAX_BLOCK_SIZE) continue;
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        const i = members[a];
+        const j = members[b];
+        const pair = `${i}-${j}`;
+        if (compared.has(pair)) continue;
+        compared.add(pair);
+
+        if (records[i].isbn && records[i].isbn === records[j].isbn) continue;
+        if (!authorsMatch(records[i].authors, records[j].authors)) continue;
+        const similarity = titleSimilarity(records[i].doc.name, records[j].doc.name);
+        if (similarity >= minSimilarity) link(i, j, 'title', similarity);
+      }
+    }
+  }
+
+  // Group linked records
+  const groups = new Map();
+  for (const [, { i, why, similarity }] of links) {
+    const root = clusters.find(i);
+    if (!groups.has(root)) groups.set(root, { reasons: new Set(), similarity: 1, members: new Set() });
+    const group = groups.get(root);
+    group.reasons.add(why);
+    group.similarity = Math.min(group.similarity, similarity);
+  }
+  records.forEach((record, i) => {
+    const group = groups.get(clusters.find(i));
+    if (group) group.members.add(i);
+  });
+
+  return [...groups.values()]
+    .map((group) => {
+      const members = [...group.members]
+        .map(i => records[i])
+        .map(({ doc, collection: key, format }) => ({
+          key: recordKey(key, doc._id),
+          collection: key,
+          id: doc._id,
+          format,
+          name: doc.name,
+          author: doc.author,
+          ISBN: doc.ISBN,
+          image_link: doc.image_link || null,
+          filledFields: filledFieldCount(doc),
+          createdAt: doc.createdAt || null,
+        }));
+
+      // Keep the main collection's record, else the most complete, else the oldest
+      const suggested = [...members].sort((a, b) =>
+        (b.collection === 'books') - (a.collection === 'books') ||
+        b.filledFields - a.filledFields ||
+        new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+      )[0];
+
+      return {
+        reasons: MATCH_REASONS.filter(r => group.reasons.has(r)),
+        similarity: Math.round(group.similarity * 100) / 100,
+        suggestedWinner: suggested.key,
+        members,
+      };
+    })
+    .filter(cluster => !collection || cluster.members.some(m => m.collection === collection))
+    .filter(cluster => !reason || cluster.reasons.includes(reason))
+    .sort((a, b) => b.members.length - a.members.length || a.members[0].name.localeCompare(b.members[0].name));
+};
+
+// Live record of a merge request, with its collection entry
+const loadMember = async ({ collection, id }) => {
+  const entry = getLegacyCollection(collection);
+  if (!entry) {
+    throw new DuplicateError(`Unknown collection "${collection}"`);
+  }
+  if (!/^[0-9a-fA-F]{24}$/.test(String(id))) {
+    throw new DuplicateError(`Invalid record ID "${id}"`);
+  }
+  const record = await entry.Model.findById(id).select('-__v');
+  if (!record) {
+    throw new DuplicateError(`Record ${recordKey(collection, id)} was not found`);
+  }
+  return { key: recordKey(collection, record._id), collection, entry, record };
+};
+
+// Catalog edition of a merge member, or null when the catalog doesn't have it
+const memberEdition = (member) => Edition.findOne({
+  legacyRefs: { $elemMatch: { source: member.entry.key, id: member.record._id } },
+});
+
+// Book requests that name one of the given ISBNs, in any formatting
+const requestsForIsbns = (isbns) => {
+  if (isbns.length === 0) return [];
+  const patterns = isbns.flatMap(isbnVariants).map(bare => ({
+    ISBN: { $regex: `^${bare.split('').join('[-\\s]?')}$`, $options: 'i' },
+  }));
+  return BookRequest.find({ $or: patterns });
+};
+
+/**
+ * Merge duplicate records into one
+ * @param {import('express').Request} req - Request of the admin merging (for the audit log)
+ * @param {object} options
+ * @param {{collection: string, id: string}} options.winner - Record to keep
+ * @param {Array<{collection: string, id: string}>} options.losers - Records merged into it and trashed
+ * @param {object} [options.fields] - Field -> "collection:id" of the member whose value to keep.
+ *   Other fields keep the winner's value, or take the first non-empty loser value.
+ * @param {boolean} [options.dryRun] - Only return the outcome
+ * @returns {Promise<{record: object, choices: object, trashed: string[], requests: number, shelfItems: number, progress: number}>}
+ *   The merged record, the member each field came from, the trashed records,
+ *   and the repointed requests, shelf items and reading progress records
+ * @throws {DuplicateError}
+ */
+export const mergeRecords = async (req, { winner, losers, fields = {}, dryRun = false }) => {
+  if (!winner || typeof winner !== 'object') {
+    throw new DuplicateError('winner must be { collection, id }');
+  }
+  if (!Array.isArray(losers) || losers.length === 0 || losers.some(l => !l || typeof l !== 'object')) {
+    throw new DuplicateError('losers must be a non-empty array of { collection, id }');
+  }
+  if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+    throw new DuplicateError('fields must be an object of field: "collection:id"');
+  }
+
+  const kept = await loadMember(winner);
+  const merged = [];
+  for (const loser of losers) {
+    merged.push(await loadMember(loser));
+  }
+  const members = [kept, ...merged];
+  const keys = members.map(m => m.key);
+  if (new Set(keys).size !== keys.length) {
+    throw new DuplicateError('A record is listed more than once');
+  }
+
+  // Every content field of the kept record's collection
+  const mergeable = importableFields(kept.collection)
+    .map(f => f.field)
+    .filter(field => !UNMERGED_FIELDS.includes(field));
+
+  for (const [field, source] of Object.entries(fields)) {
+    if (!mergeable.includes(field)) {
+      throw new DuplicateError(`Field "${field}" cannot be merged into ${kept.collection}`);
+    }
+    const { collection, id } = parseRecordKey(source);
+    if (!members.some(m => m.key === recordKey(collection, id))) {
+      throw new DuplicateError(`"${source}" is not one of the merged records`);
+    }
+  }
+
+  const current = kept.record.toObject();
+  const choices = {};
+  const $set = {};
+  for (const field of mergeable) {
+    let source;
+    if (fields[field]) {
+      const { collection, id } = parseRecordKey(fields[field]);
+      source = members.find(m => m.key === recordKey(collection, id));
+    } else {
+      source = members.find(m => !isEmpty(m.record.get(field)));
+    }
+    if (!source) continue;
+
+    choices[field] = source.key;
+    const value = source.record.get(field);
+    if (source !== kept && !isEmpty(value)) $set[field] = value;
+  }
+
+  // Requests for the trashed records' ISBNs now refer to the kept record
+  const keptIsbn = isbnKey(current.ISBN);
+  const loserIsbns = [...new Set(merged.map(m => m.record.ISBN).filter(isbn => isbnKey(isbn) !== keptIsbn))];
+  const requests = await requestsForIsbns(loserIsbns);
+
+  // Readers' shelves and progress on the trashed records' editions move to the
+  // kept record's edition; an edition shared with the kept record stays put
+  const keptEditionId = String((await memberEdition(kept))?._id);
+  const loserEditionIds = [];
+  for (const member of merged) {
+    const edition = await memberEdition(member);
+    if (edition && String(edition._id) !== keptEditionId) loserEditionIds.push(edition._id);
+  }
+
+  if (dryRun) {
+    return {
+      record: { ...current, ...$set },
+      choices,
+      trashed: merged.map(m => m.key),
+      requests: requests.length,
+      shelfItems: await ShelfItem.countDocuments({ edition: { $in: loserEditionIds } }),
+      progress: await ReadingProgress.countDocuments({ edition: { $in: loserEditionIds } }),
+    };
+  }
+
+  const details = { mergedFrom: merged.map(m => m.key) };
+  let record = kept.record;
+  if (Object.keys($set).length > 0) {
+    record = await kept.entry.Model.findByIdAndUpdate(kept.record._id, { $set }, {
+      new: true,
+      runValidators: true,
+    }).select('-__v');
+    await mirrorToCatalog(kept.collection, () => syncLegacyRecord(kept.collection, record));
+  }
+  await recordAudit(req, { action: 'merge', collection: kept.collection, before: kept.record, after: record, details });
+
+  // Before trashing, which takes the losers' editions out of the catalog
+  let shelfItems = 0;
+  let progress = 0;
+  if (loserEditionIds.length > 0) {
+    const keptEdition = await memberEdition(kept) || await syncLegacyRecord(kept.collection, record);
+    shelfItems = await repointShelfItems(loserEditionIds, keptEdition);
+    progress = await repointProgress(loserEditionIds, keptEdition);
+  }
+
+  for (const member of merged) {
+    const trashed = await trashRecord(member.collection, member.record._id, req.user?.email);
+    if (trashed) {
+      await recordAudit(req, {
+        action: 'delete',
+        collection: member.collection,
+        before: trashed,
+        details: { trashed: true, mergedInto: kept.key },
+      });
+    }
+  }
+
+  for (const request of requests) {
+    const before = request.toObject();
+    request.ISBN = current.ISBN;
+    await request.save();
+    await recordAudit(req, {
+      action: 'update',
+      collection: 'book-requests',
+      before,
+      after: request,
+      details: { mergedInto: kept.key },
+    });
+  }
+
+  return {
+    record,
+    choices,
+    trashed: merged.map(m => m.key),
+    requests: requests.length,
+    shelfItems,
+    progress,
+  };
+};
+
+export default {
+  DEFAULT_MIN_SIMILARITY,
+  MATCH_REASONS,
+  DuplicateError,
+  titleTokens,
+  titleSimilarity,
+  findDuplicateClusters,
+  mergeRecords,
+};
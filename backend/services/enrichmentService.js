@@ -0,0 +1,219 @@
+import { getLegacyCollection } from '../Model/legacyCollections.js';
+import { toCanonicalIsbn } from '../utils/isbn.js';
+import { createFileProvider } from './metadataProviders/fileProvider.js';
+import { createGoogleBooksProvider } from './metadataProviders/googleBooksProvider.js';
+
+/**
+ * ============================================
+ * METADATA ENRICHMENT
+ * ============================================
+ * Fills in book details from an ISBN. A provider is an object
+ * { name, lookup(isbn13) } whose lookup resolves to metadata or null:
+ *
+ *   { title, authors: [], description, pageCount, publisher, publishedDate,
+ *     coverUrl, subjects: [], language }
+ *
+ * Providers are asked in the order of ENRICHMENT_PROVIDERS (default: "file",
+ * which works offline) and the first one to supply a field wins. More
+ * providers can be added with registerProvider.
+ */
+
+export const METADATA_FIELDS = [
+  'title', 'authors', 'description', 'pageCount', 'publisher', 'publishedDate',
+  'coverUrl', 'subjects', 'language',
+];
+
+// Record field <- metadata field, with the conversion to the record's type
+const DESCRIPTION_LIMIT = 5000;
+const BOOK_FIELDS = [
+  ['name', 'title', title => title],
+  ['author', 'authors', authors => authors.join(', ')],
+  ['description', 'description', text => text.slice(0, DESCRIPTION_LIMIT)],
+  ['pages', 'pageCount', count => count],
+  ['publisher', 'publisher', publisher => publisher],
+  ['publishDate', 'publishedDate', date => parsePublishedDate(date)],
+  ['image_link', 'coverUrl', url => url],
+  ['tags', 'subjects', subjects => subjects],
+  ['language', 'language', language => language],
+];
+
+/**
+ * Thrown for an invalid ISBN or an unknown provider; callers answer with 400
+ */
+export class EnrichmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EnrichmentError';
+  }
+}
+
+const PROVIDER_FACTORIES = {
+  file: () => createFileProvider({ path: process.env.ENRICHMENT_FILE || undefined }),
+  google: () => createGoogleBooksProvider({
+    apiKey: process.env.GOOGLE_BOOKS_API_KEY,
+    baseUrl: process.env.GOOGLE_BOOKS_API_URL || undefined,
+  }),
+};
+
+// Providers are created on first use and then reused
+const instances = new Map();
+
+/**
+ * Add or replace a metadata provider
+ * @param {string} name - Name used in ENRICHMENT_PROVIDERS and the providers option
+ * @param {function(): {name: string, lookup: function}} factory - Creates the provider
+ */
+export const registerProvider = (name, factory) => {
+  PROVIDER_FACTORIES[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * @returns {string[]} Names of every registered provider
+ */
+export const providerNames = () => Object.keys(PROVIDER_FACTORIES);
+
+/**
+ * @returns {string[]} Providers asked by default, in order (ENRICHMENT_PROVIDERS)
+ */
+export const configuredProviders = () => (process.env.ENRICHMENT_PROVIDERS || 'file')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+/**
+ * Resolve provider names to providers
+ * @param {string[]} [names] - Default: configuredProviders()
+ * @returns {object[]} Providers, in order
+ * @throws {EnrichmentError} For an unknown name
+ */
+export const getProviders = (names = configuredProviders()) => names.map((name) => {
+  if (!PROVIDER_FACTORIES[name]) {
+    throw new EnrichmentError(`Unknown metadata provider "${name}"; available: ${providerNames().join(', ')}`);
+  }
+  if (!instances.has(name)) instances.set(name, PROVIDER_FACTORIES[name]());
+  return instances.get(name);
+});
+
+// "2012", "2012-09" or "2012-09-18" as a UTC date
+const parsePublishedDate = (value) => {
+  const match = String(value).match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+  if (!match) return undefined;
+  const [, year, month = '01', day = '01'] = match;
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+};
+
+// A provider value worth keeping: trimmed text, a non-empty list of text or a positive number
+const cleanValue = (value) => {
+  if (typeof value === 'string') return value.trim() || undefined;
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : undefined;
+  if (Array.isArray(value)) {
+    const list = value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim());
+    return list.length > 0 ? list : undefined;
+  }
+  return undefined;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Look an ISBN up with each provider in turn
+ * A failing provider (e.g. no network) is reported in `errors` and skipped.
+ * @param {string} isbn - ISBN-10 or ISBN-13 in any formatting
+ * @param {object} [options]
+ * @param {string[]} [options.providers] - Provider names (default: configuredProviders())
+ * @returns {Promise<{isbn: string, found: boolean, metadata: object, sources: object, errors: Array<{provider: string, message: string}>}>}
+ *   `sources` names the provider each metadata field came from
+ * @throws {EnrichmentError}
+ */
+export const lookupIsbn = async (isbn, { providers } = {}) => {
+  const isbn13 = toCanonicalIsbn(isbn);
+  if (!isbn13) {
+    throw new EnrichmentError(`Invalid ISBN "${isbn}"`);
+  }
+
+  const metadata = {};
+  const sources = {};
+  const errors = [];
+
+  for (const provider of getProviders(providers)) {
+    let result;
+    try {
+      result = await provider.lookup(isbn13);
+    } catch (error) {
+      errors.push({ provider: provider.name, message: error.message });
+      continue;
+    }
+    if (!result) continue;
+
+    for (const field of METADATA_FIELDS) {
+      const value = cleanValue(result[field]);
+      if (value !== undefined && metadata[field] === undefined) {
+        metadata[field] = value;
+        sources[field] = provider.name;
+      }
+    }
+    if (METADATA_FIELDS.every(field => metadata[field] !== undefined)) break;
+  }
+
+  return { isbn: isbn13, found: Object.keys(metadata).length > 0, metadata, sources, errors };
+};
+
+/**
+ * Turn metadata into record fields of a collection (fields it lacks are left out)
+ * @param {object} metadata - As returned by lookupIsbn
+ * @param {string} [collectionKey] - Legacy collection (default books)
+ * @returns {object} e.g. { name, author, image_link, ... }
+ */
+export const metadataToBook = (metadata, collectionKey = 'books') => {
+  const { Model } = getLegacyCollection(collectionKey) || getLegacyCollection('books');
+  const book = {};
+
+  for (const [field, from, convert] of BOOK_FIELDS) {
+    if (metadata[from] === undefined || !Model.schema.path(field)) continue;
+    const value = convert(metadata[from]);
+    if (value !== undefined) book[field] = value;
+  }
+
+  return book;
+};
+
+/**
+ * Fill the empty fields of a record from its ISBN; fields that have a value are kept
+ * @param {string} collectionKey - Legacy collection the record belongs to
+ * @param {object} doc - Record fields, with ISBN; filled in place
+ * @param {object} [options] - As for lookupIsbn
+ * @returns {Promise<{filled: string[], sources: string[], errors: Array<{provider: string, message: string}>}>}
+ *   The fields that were filled and the providers they came from
+ */
+export const enrichRecord = async (collectionKey, doc, options) => {
+  const { metadata, sources, errors } = await lookupIsbn(doc.ISBN, options);
+  const fromMetadata = Object.fromEntries(BOOK_FIELDS.map(([field, from]) => [field, from]));
+
+  const filled = [];
+  for (const [field, value] of Object.entries(metadataToBook(metadata, collectionKey))) {
+    if (isEmpty(doc[field])) {
+      doc[field] = value;
+      filled.push(field);
+    }
+  }
+
+  return {
+    filled,
+    sources: [...new Set(filled.map(field => sources[fromMetadata[field]]))],
+    errors,
+  };
+};
+
+export default {
+  METADATA_FIELDS,
+  EnrichmentError,
+  registerProvider,
+  providerNames,
+  configuredProviders,
+  getProviders,
+  lookupIsbn,
+  metadataToBook,
+  enrichRecord,
+};
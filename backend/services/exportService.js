@@ -0,0 +1,301 @@
+import { LEGACY_COLLECTIONS, getLegacyCollection } from '../Model/legacyCollections.js';
+import { splitAuthors } from './catalogService.js';
+import { csvLine } from '../utils/csv.js';
+import { escapeRegex } from '../utils/text.js';
+import { writeRecords } from '../utils/stream.js';
+
+/**
+ * ============================================
+ * CATALOG EXPORT
+ * ============================================
+ * Streams book records out of one or all legacy collections as CSV, JSON
+ * Lines, BibTeX or RIS. Records are read through a cursor and written one by
+ * one, so an export never holds the collection in memory. CSV exports use the
+ * field names as headers and can be imported again through /api/import.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'bibtex', 'ris'];
+
+// Columns of CSV and JSONL exports, in order; only those the exported collections have are written
+const EXPORT_FIELDS = [
+  'name', 'author', 'ISBN', 'narrator', 'publisher', 'publishDate', 'language', 'pages',
+  'genre', 'tags', 'description', 'image_link', 'amazon_link', 'price', 'rating',
+  'createdAt', 'updatedAt',
+];
+
+/**
+ * Thrown for malformed export parameters; callers answer with 400
+ */
+export class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportError';
+  }
+}
+
+const year = (date) => (date ? String(new Date(date).getUTCFullYear()) : '');
+
+// "J. R. R. Tolkien" -> "Tolkien, J. R. R."
+const invertedName = (name) => {
+  const parts = name.trim().split(/\s+/);
+  return parts.length > 1 ? `${parts.pop()}, ${parts.join(' ')}` : name.trim();
+};
+
+/* ---------- BibTeX ---------- */
+
+const BIBTEX_SPECIALS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '&': '\\&',
+  '%': '\\%',
+  $: '\\$',
+  '#': '\\#',
+  _: '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+};
+
+const escapeBibtex = (value) => String(value).replace(/[\\{}&%$#_~^]/g, char => BIBTEX_SPECIALS[char]);
+
+// ASCII letters of a name or title word, for citation keys
+const keyPart = (value) => String(value || '').normalize('NFD').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+
+const BIBTEX_TYPES = { print: 'book', ebook: 'book', audiobook: 'misc' };
+
+// Citation keys like "herbert1965dune"; `used` keeps them unique within one file
+const bibtexKey = (book, used) => {
+  const [firstAuthor] = splitAuthors(book.author);
+  const surname = firstAuthor ? firstAuthor.trim().split(/\s+/).pop() : '';
+  const titleWord = String(book.name || '').split(/\s+/).find(w => !/^(the|a|an)$/i.test(w));
+  const base = `${keyPart(surname)}${year(book.publishDate)}${keyPart(titleWord)}` || String(book._id);
+
+  let key = base;
+  for (let n = 0; used.has(key); n++) {
+    key = base + String.fromCharCode(97 + (n % 26)) + (n >= 26 ? Math.floor(n / 26) : '');
+  }
+  used.add(key);
+  return key;
+};
+
+const bibtexEntry = (book, format, used) => {
+  const notes = [];
+  if (format === 'ebook') notes.push('E-book');
+  if (format === 'audiobook') notes.push(book.narrator ? `Audiobook, narrated by ${book.narrator}` : 'Audiobook');
+
+  const fields = [
+    ['title', book.name],
+    ['author', splitAuthors(book.author).map(invertedName).join(' and ')],
+    ['year', year(book.publishDate)],
+    ['publisher', book.publisher],
+    ['isbn', book.ISBN],
+    ['language', book.language],
+    ['pagetotal', book.pages],
+    ['keywords', (book.tags || []).join(', ')],
+    ['abstract', book.description],
+    ['url', book.amazon_link],
+    ['note', notes.join('; ')],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const body = fields.map(([name, value]) => `  ${name} = {${escapeBibtex(value)}}`).join(',\n');
+  return `@${BIBTEX_TYPES[format] || 'book'}{${bibtexKey(book, used)},\n${body}\n}\n\n`;
+};
+
+/* ---------- RIS ---------- */
+
+const RIS_TYPES = { print: 'BOOK', ebook: 'EBOOK', audiobook: 'SOUND' };
+
+// RIS values are single lines
+const risValue = (value) => String(value).replace(/\s*[\r\n]+\s*/g, ' ').trim();
+
+const risEntry = (book, format) => {
+  const lines = [['TY', RIS_TYPES[format] || 'BOOK']];
+  const add = (tag, value) => {
+    if (value !== undefined && value !== null && value !== '') lines.push([tag, risValue(value)]);
+  };
+
+  add('TI', book.name);
+  for (const author of splitAuthors(book.author)) add('AU', invertedName(author));
+  add('PY', year(book.publishDate));
+  add('PB', book.publisher);
+  add('SN', book.ISBN);
+  add('LA', book.language);
+  for (const tag of book.tags || []) add('KW', tag);
+  add('AB', book.description);
+  add('UR', book.amazon_link);
+  if (book.narrator) add('N1', `Narrated by ${book.narrator}`);
+  add('ID', book._id);
+  lines.push(['ER', '']);
+
+  return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\r\n') + '\r\n\r\n';
+};
+
+/* ---------- Export ---------- */
+
+const WRITERS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+  bibtex: { contentType: 'application/x-bibtex; charset=utf-8', extension: 'bib' },
+  ris: { contentType: 'application/x-research-info-systems', extension: 'ris' },
+};
+
+/**
+ * Parse export parameters into the collections and per-collection filters to read
+ * @param {object} query - req.query
+ * @param {string} query.format - csv, jsonl, bibtex or ris
+ * @param {string} query.collection - Collection key, or "all" (default: books)
+ * @param {string} query.genre - Exact genre; category collections match their own genre
+ * @param {string} query.author - Author name (partial, case-insensitive)
+ * @param {string} query.q - Title or author (partial, case-insensitive)
+ * @param {string} query.language - Exact language, e.g. English
+ * @param {string} query.publishedFrom - First publication year
+ * @param {string} query.publishedTo - Last publication year
+ * @param {string} query.updatedSince - Only records changed since this date
+ * @param {string} query.ids - Comma-separated record IDs
+ * @param {string} query.fields - Comma-separated CSV/JSONL columns (default: all)
+ * @returns {{format: string, sources: Array<{entry: object, filter: object}>, columns: string[], collection: string}}
+ * @throws {ExportError}
+ */
+export const parseExportQuery = (query = {}) => {
+  const { format = 'csv', collection = 'books', genre, author, q, language, publishedFrom, publishedTo, updatedSince, ids, fields } = query;
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new ExportError(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const entries = collection === 'all' ? LEGACY_COLLECTIONS : [getLegacyCollection(collection)].filter(Boolean);
+  if (entries.length === 0) {
+    throw new ExportError(`Unknown collection "${collection}"`);
+  }
+
+  // Conditions on record fields; a collection without one of these fields can't match
+  const conditions = {};
+  if (author) conditions.author = { $regex: escapeRegex(author), $options: 'i' };
+  if (language) conditions.language = language;
+
+  const range = {};
+  for (const [bound, value, op] of [['publishedFrom', publishedFrom, '$gte'], ['publishedTo', publishedTo, '$lt']]) {
+    if (value === undefined) continue;
+    const parsedYear = parseInt(value, 10);
+    if (Number.isNaN(parsedYear)) {
+      throw new ExportError(`${bound} must be a year`);
+    }
+    range[op] = new Date(Date.UTC(op === '$lt' ? parsedYear + 1 : parsedYear, 0, 1));
+  }
+  if (Object.keys(range).length > 0) conditions.publishDate = range;
+
+  if (updatedSince) {
+    const since = new Date(updatedSince);
+    if (Number.isNaN(since.getTime())) {
+      throw new ExportError('updatedSince must be a valid date');
+    }
+    conditions.updatedAt = { $gte: since };
+  }
+
+  const common = {};
+  if (q) {
+    const pattern = { $regex: escapeRegex(q), $options: 'i' };
+    common.$or = [{ name: pattern }, { author: pattern }];
+  }
+  if (ids) {
+    const idList = String(ids).split(',').map(id => id.trim()).filter(Boolean);
+    if (idList.some(id => !/^[0-9a-fA-F]{24}$/.test(id))) {
+      throw new ExportError('Invalid record ID format');
+    }
+    common._id = { $in: idList };
+  }
+
+  const sources = [];
+  for (const entry of entries) {
+    const filter = { ...common };
+    let matches = true;
+
+    if (genre) {
+      if (entry.Model.schema.path('genre')) filter.genre = genre;
+      else matches = entry.genre === genre;
+    }
+    for (const [field, condition] of Object.entries(conditions)) {
+      if (entry.Model.schema.path(field)) filter[field] = condition;
+      else matches = false;
+    }
+
+    if (matches) sources.push({ entry, filter });
+  }
+
+  const available = EXPORT_FIELDS.filter(field => entries.some(e => e.Model.schema.path(field)));
+  const base = ['_id', ...(collection === 'all' ? ['collection'] : [])];
+  let columns = [...base, ...available];
+  if (fields) {
+    const selected = String(fields).split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = selected.find(f => !columns.includes(f));
+    if (unknown) {
+      throw new ExportError(`Unknown field "${unknown}"`);
+    }
+    columns = selected;
+  }
+
+  return { format, sources, columns, collection };
+};
+
+/**
+ * Content type and file name of an export
+ * @param {string} format - csv, jsonl, bibtex or ris
+ * @param {string} collection - Collection key or "all"
+ * @returns {{contentType: string, filename: string}}
+ */
+export const exportFileInfo = (format, collection) => ({
+  contentType: WRITERS[format].contentType,
+  filename: `easyreads-${collection}-${new Date().toISOString().slice(0, 10)}.${WRITERS[format].extension}`,
+});
+
+// Records of every source in turn, tagged with their collection
+async function* readSources(sources) {
+  for (const { entry, filter } of sources) {
+    for await (const book of entry.Model.find(filter).sort({ _id: 1 }).lean().cursor()) {
+      yield { book, entry };
+    }
+  }
+}
+
+/**
+ * Stream an export
+ * @param {import('stream').Writable} out - Destination, e.g. the response
+ * @param {object} exportQuery - Result of parseExportQuery
+ * @returns {Promise<number>} Number of records written
+ */
+export const streamExport = (out, { format, sources, columns }) => {
+  const pick = (book, entry) => Object.fromEntries(columns.map(column => [
+    column,
+    column === 'collection' ? entry.key : book[column],
+  ]));
+
+  const usedKeys = new Set();
+  const writers = {
+    csv: {
+      header: csvLine(columns) + '\r\n',
+      record: ({ book, entry }) => {
+        const row = pick(book, entry);
+        return csvLine(columns.map(column => row[column])) + '\r\n';
+      },
+    },
+    jsonl: {
+      record: ({ book, entry }) => JSON.stringify(pick(book, entry)) + '\n',
+    },
+    bibtex: {
+      record: ({ book, entry }) => bibtexEntry(book, entry.format, usedKeys),
+    },
+    ris: {
+      record: ({ book, entry }) => risEntry(book, entry.format),
+    },
+  };
+
+  return writeRecords(out, readSources(sources), writers[format]);
+};
+
+export default {
+  EXPORT_FORMATS,
+  ExportError,
+  parseExportQuery,
+  exportFileInfo,
+  streamExport,
+};
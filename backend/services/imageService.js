@@ -0,0 +1,185 @@
+import { createHash } from 'crypto';
+import sharp from 'sharp';
+import { createLocalStorage } from './imageStorage/localStorage.js';
+
+/**
+ * ============================================
+ * COVER IMAGES
+ * ============================================
+ * Uploaded covers are converted to WebP in several widths and kept on a
+ * storage backend. A backend is an object { name, put(key, buffer),
+ * get(key), remove(key) } where get resolves to a Buffer or null.
+ *
+ * IMAGE_STORAGE picks the backend (default: "local", a directory on disk);
+ * more can be added with registerStorage.
+ *
+ * A cover's ID is derived from the uploaded bytes, so uploading the same file
+ * twice gives the same cover, and a cover's URLs never change content.
+ */
+
+// Width in pixels of every size a cover is stored in
+export const COVER_SIZES = {
+  small: 160,
+  medium: 400,
+  large: 800,
+};
+
+// Size image_link points at; clients switch to the size they need
+export const DEFAULT_COVER_SIZE = 'large';
+
+export const COVER_CONTENT_TYPE = 'image/webp';
+
+// Largest accepted upload, in the notation of express.raw
+export const MAX_UPLOAD_SIZE = '10mb';
+
+const COVER_ID = /^[0-9a-f]{24}$/;
+
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'tiff'];
+
+// Smallest source image that still makes a readable small cover
+const MIN_SOURCE_WIDTH = 100;
+
+/**
+ * Thrown for uploads that are not a usable image and for unknown sizes or
+ * storage backends; callers answer with 400
+ */
+export class ImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageError';
+  }
+}
+
+const STORAGE_FACTORIES = {
+  local: () => createLocalStorage({ root: process.env.IMAGE_STORAGE_DIR || undefined }),
+};
+
+// The backend is created on first use and then reused
+let storage = null;
+
+/**
+ * Add or replace a storage backend
+ * @param {string} name - Name used in IMAGE_STORAGE
+ * @param {function(): {name: string, put: function, get: function, remove: function}} factory - Creates the backend
+ */
+export const registerStorage = (name, factory) => {
+  STORAGE_FACTORIES[name] = factory;
+  if (storage?.name === name) storage = null;
+};
+
+/**
+ * @returns {object} The configured storage backend (IMAGE_STORAGE)
+ * @throws {ImageError} For an unknown backend
+ */
+export const getStorage = () => {
+  const name = process.env.IMAGE_STORAGE || 'local';
+  if (!storage || storage.name !== name) {
+    if (!STORAGE_FACTORIES[name]) {
+      throw new ImageError(`Unknown image storage "${name}"; available: ${Object.keys(STORAGE_FACTORIES).join(', ')}`);
+    }
+    storage = STORAGE_FACTORIES[name]();
+  }
+  return storage;
+};
+
+const coverKey = (id, size) => `covers/${id}/${size}.webp`;
+
+export const isCoverId = (id) => COVER_ID.test(String(id));
+
+export const isCoverSize = (size) => Object.hasOwn(COVER_SIZES, size);
+
+/**
+ * URL of every size of a cover
+ * @param {string} id - Cover ID
+ * @param {string} apiBase - Public API URL, e.g. https://easyreads.example/api
+ * @returns {object} URLs keyed by size name
+ */
+export const coverUrls = (id, apiBase) => Object.fromEntries(
+  Object.keys(COVER_SIZES).map(size => [size, `${apiBase.replace(/\/+$/, '')}/images/covers/${id}/${size}`])
+);
+
+/**
+ * Store an uploaded cover in every size
+ * @param {Buffer} buffer - Uploaded image file
+ * @returns {Promise<{id: string, width: number, height: number, sizes: object}>}
+ *   sizes holds the stored width and height of each size
+ * @throws {ImageError} When the upload is empty, not an image or too small
+ */
+export const storeCover = async (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new ImageError('Upload an image file (JPEG, PNG, WebP, GIF, AVIF or TIFF) as the request body');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new ImageError('The upload is not a readable image');
+  }
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw new ImageError(`Unsupported image format "${metadata.format}"`);
+  }
+  // EXIF orientations 5-8 swap width and height
+  const width = metadata.orientation >= 5 ? metadata.height : metadata.width;
+  const height = metadata.orientation >= 5 ? metadata.width : metadata.height;
+  if (width < MIN_SOURCE_WIDTH) {
+    throw new ImageError(`Covers must be at least ${MIN_SOURCE_WIDTH} pixels wide`);
+  }
+
+  const id = createHash('sha256').update(buffer).digest('hex').slice(0, 24);
+  const backend = getStorage();
+
+  const sizes = {};
+  for (const [size, targetWidth] of Object.entries(COVER_SIZES)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: targetWidth, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    await backend.put(coverKey(id, size), data);
+    sizes[size] = { width: info.width, height: info.height };
+  }
+
+  return { id, width, height, sizes };
+};
+
+/**
+ * Read one size of a cover
+ * @param {string} id - Cover ID
+ * @param {string} size - One of COVER_SIZES
+ * @returns {Promise<Buffer|null>} WebP image, or null when there is no such cover
+ * @throws {ImageError} For an unknown size
+ */
+export const readCover = async (id, size) => {
+  if (!isCoverSize(size)) {
+    throw new ImageError(`Unknown cover size "${size}"; available: ${Object.keys(COVER_SIZES).join(', ')}`);
+  }
+  if (!isCoverId(id)) return null;
+  return getStorage().get(coverKey(id, size));
+};
+
+/**
+ * Remove every size of a cover
+ * @param {string} id - Cover ID
+ * @returns {Promise<boolean>} False when there was no such cover
+ */
+export const deleteCover = async (id) => {
+  if (!isCoverId(id)) return false;
+  const backend = getStorage();
+  const existing = await backend.get(coverKey(id, DEFAULT_COVER_SIZE));
+  await Promise.all(Object.keys(COVER_SIZES).map(size => backend.remove(coverKey(id, size))));
+  return existing !== null;
+};
+
+export default {
+  COVER_SIZES,
+  DEFAULT_COVER_SIZE,
+  registerStorage,
+  getStorage,
+  isCoverId,
+  isCoverSize,
+  coverUrls,
+  storeCover,
+  readCover,
+  deleteCover,
+};
@@ -0,0 +1,51 @@
+import { mkdir, readFile, rm, writeFile } from 'fs/promises';
+import { dirname, resolve, sep } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Local filesystem image storage
+ * Keeps every stored object as a file under one directory, at the object's
+ * key ("covers/<id>/medium.webp"). Keys are built by imageService from
+ * validated parts; paths that would leave the directory are still refused.
+ */
+
+export const DEFAULT_STORAGE_DIR = fileURLToPath(new URL('../../uploads/', import.meta.url));
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.root] - Directory files are kept in (default: backend/uploads)
+ * @returns {{name: string, put: function, get: function, remove: function}}
+ */
+export const createLocalStorage = ({ root = DEFAULT_STORAGE_DIR } = {}) => {
+  const base = resolve(root);
+
+  const pathFor = (key) => {
+    const path = resolve(base, key);
+    if (!path.startsWith(base + sep)) throw new Error(`Invalid storage key "${key}"`);
+    return path;
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, body) => {
+      const path = pathFor(key);
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, body);
+    },
+
+    get: async (key) => {
+      try {
+        return await readFile(pathFor(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Removing a missing object is not an error
+    remove: async (key) => {
+      await rm(pathFor(key), { force: true });
+    },
+  };
+};
@@ -0,0 +1,501 @@
+import ImportJob from '../Model/ImportJobSchema.js';
+import { getLegacyCollection } from '../Model/legacyCollections.js';
+import { syncLegacyRecord, mirrorToCatalog, isbnKey } from './catalogService.js';
+import { recordAudit, actorFrom } from './auditService.js';
+import { enrichRecord, getProviders, EnrichmentError } from './enrichmentService.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import { toCanonicalIsbn, isbnVariants } from '../utils/isbn.js';
+
+/**
+ * ============================================
+ * CATALOG IMPORT
+ * ============================================
+ * Imports CSV or JSON files into a legacy book collection. Source columns are
+ * mapped to record fields, every row is validated (ISBN, required fields,
+ * types) and classified as create, update, duplicate or error. New records
+ * can have their missing details filled in by ISBN first. A dry run
+ * stops there; otherwise valid rows are written one by one so a failing row
+ * never hides the outcome of the others. Each run is kept as an ImportJob
+ * whose rows make up the downloadable report.
+ */
+
+export const MAX_IMPORT_ROWS = 5000;
+// New rows one import looks up by ISBN, and lookups running at once; a slow
+// provider would otherwise hold the request for as many lookups as there are rows
+export const MAX_ENRICHED_ROWS = 100;
+const ENRICH_CONCURRENCY = 4;
+export const FILE_FORMATS = ['csv', 'json'];
+export const ON_EXISTING = ['skip', 'update'];
+
+// Fields that are maintained by the application rather than imported
+const SYSTEM_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy',
+  'views', 'downloads', 'reviewCount',
+];
+
+// Common header names for each field, compared after normalizeHeader
+const FIELD_ALIASES = {
+  name: ['title', 'booktitle', 'bookname'],
+  author: ['authors', 'writer', 'by'],
+  ISBN: ['isbn13', 'isbn10', 'ean'],
+  image_link: ['image', 'imageurl', 'cover', 'coverurl', 'coverimage', 'thumbnail'],
+  amazon_link: ['amazon', 'amazonurl', 'buylink', 'url', 'link'],
+  description: ['summary', 'synopsis', 'blurb'],
+  genre: ['category'],
+  publishDate: ['published', 'publicationdate', 'publishdate', 'pubdate', 'date'],
+  pages: ['pagecount', 'numberofpages'],
+  tags: ['keywords', 'subjects'],
+  narrator: ['narratedby', 'reader'],
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+/**
+ * Thrown for an unusable import request or file; callers answer with 400
+ */
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const normalizeHeader = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const collectionFor = (collectionKey) => {
+  const entry = getLegacyCollection(collectionKey);
+  if (!entry) {
+    throw new ImportError(`Unknown collection "${collectionKey}"`);
+  }
+  return entry;
+};
+
+/**
+ * Fields a file can be mapped to, read from the collection's schema
+ * @param {string} collectionKey - Legacy collection, e.g. 'books'
+ * @returns {Array<{field: string, type: string, required: boolean}>}
+ */
+export const importableFields = (collectionKey) => {
+  const { Model } = collectionFor(collectionKey);
+  return Object.entries(Model.schema.paths)
+    .filter(([field]) => !SYSTEM_FIELDS.includes(field))
+    .map(([field, path]) => ({ field, type: path.instance, required: Boolean(path.isRequired) }));
+};
+
+/**
+ * Map source columns to fields by name, e.g. "Title" -> name, "ISBN-13" -> ISBN
+ * @param {string[]} columns - Source column names
+ * @param {Array<{field: string}>} fields - Result of importableFields
+ * @returns {object} Column -> field; columns without a match are left out
+ */
+export const suggestMapping = (columns, fields) => {
+  const mapping = {};
+  const taken = new Set();
+
+  for (const column of columns) {
+    const header = normalizeHeader(column);
+    const match = fields.find(({ field }) =>
+      !taken.has(field) &&
+      (normalizeHeader(field) === header || (FIELD_ALIASES[field] || []).includes(header))
+    );
+    if (match) {
+      mapping[column] = match.field;
+      taken.add(match.field);
+    }
+  }
+
+  return mapping;
+};
+
+/**
+ * Read the records of an import file
+ * @param {string} format - csv or json
+ * @param {string} content - File content
+ * @returns {{columns: string[], records: object[]}}
+ * @throws {ImportError}
+ */
+export const parseImportFile = (format, content) => {
+  if (!FILE_FORMATS.includes(format)) {
+    throw new ImportError(`Format must be one of: ${FILE_FORMATS.join(', ')}`);
+  }
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new ImportError('The file is empty');
+  }
+
+  if (format === 'csv') {
+    let parsed;
+    try {
+      parsed = parseCsvRecords(content);
+    } catch (error) {
+      throw new ImportError(`Invalid CSV: ${error.message}`);
+    }
+    if (parsed.columns.length === 0) {
+      throw new ImportError('The CSV file has no header row');
+    }
+    // Keep the header's column order
+    return { columns: parsed.columns, records: checkRecords(parsed.records).records };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    throw new ImportError(`Invalid JSON: ${error.message}`);
+  }
+  // Either a plain array or the { books: [...] } body of the bulk import route
+  return checkRecords(Array.isArray(parsed) ? parsed : parsed?.books);
+};
+
+/**
+ * Check already parsed records (JSON, MARC, ONIX) and list their keys as columns
+ * @param {object[]} records - Plain objects
+ * @returns {{columns: string[], records: object[]}}
+ * @throws {ImportError}
+ */
+export const checkRecords = (records) => {
+  if (!Array.isArray(records) || records.some(r => !r || typeof r !== 'object' || Array.isArray(r))) {
+    throw new ImportError('Records must be an array of book objects');
+  }
+  if (records.length === 0) {
+    throw new ImportError('The file has no rows');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`Files are limited to ${MAX_IMPORT_ROWS} rows; split larger imports`);
+  }
+  return { columns: [...new Set(records.flatMap(r => Object.keys(r)))], records };
+};
+
+// Convert one source value to the field's schema type; returns undefined for empty values
+const coerceValue = (value, { field, type }) => {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'string' && value.trim() === '') return undefined;
+
+  switch (type) {
+    case 'Number': {
+      const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/,/g, ''));
+      if (Number.isNaN(number)) throw new Error(`${field} must be a number`);
+      return number;
+    }
+    case 'Date': {
+      const date = new Date(typeof value === 'number' ? String(value) : value);
+      if (Number.isNaN(date.getTime())) throw new Error(`${field} must be a date`);
+      return date;
+    }
+    case 'Boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return true;
+      if (FALSE_VALUES.includes(text)) return false;
+      throw new Error(`${field} must be true or false`);
+    }
+    case 'Array': {
+      const list = Array.isArray(value) ? value : String(value).split(/[,;|]/);
+      return list.map(v => String(v).trim()).filter(v => v.length > 0);
+    }
+    default:
+      return Array.isArray(value) ? value.join(', ') : String(value).trim();
+  }
+};
+
+// Record fields of one source record, with the problems found converting them
+const mapRecord = (record, mapping, fields) => {
+  const doc = {};
+  const messages = [];
+
+  for (const [column, field] of Object.entries(mapping)) {
+    const spec = fields.find(f => f.field === field);
+    if (!spec) continue;
+    try {
+      const value = coerceValue(record[column], spec);
+      if (value !== undefined) doc[field] = value;
+    } catch (error) {
+      messages.push(error.message);
+    }
+  }
+
+  return { doc, messages };
+};
+
+// Schema validation messages; with `paths`, only those fields are checked
+const schemaMessages = (Model, doc, paths, options) => {
+  const error = new Model(doc).validateSync(paths, options);
+  return error ? Object.values(error.errors).map(e => e.message) : [];
+};
+
+// Fill the empty fields of planned new records from their ISBN, up to
+// MAX_ENRICHED_ROWS of them; the rest are noted as not looked up
+const enrichEntries = async (collection, entries) => {
+  const looked = entries.slice(0, MAX_ENRICHED_ROWS);
+  let next = 0;
+  const worker = async () => {
+    while (next < looked.length) {
+      const entry = looked[next++];
+      const { filled, sources, errors } = await enrichRecord(collection, entry.doc);
+      if (filled.length > 0) {
+        entry.enriched = filled;
+        entry.name = entry.name || entry.doc.name || null;
+        entry.messages.push(`Filled ${filled.join(', ')} from ${sources.join(', ')}`);
+      }
+      for (const { provider, message } of errors) {
+        entry.messages.push(`Metadata lookup (${provider}) failed: ${message}`);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(ENRICH_CONCURRENCY, looked.length) }, worker));
+
+  for (const entry of entries.slice(MAX_ENRICHED_ROWS)) {
+    entry.messages.push(`Not filled by ISBN: an import looks up at most ${MAX_ENRICHED_ROWS} new rows`);
+  }
+};
+
+/**
+ * Validate and classify every row without writing anything
+ * @param {object} options
+ * @param {string} options.collection - Legacy collection key
+ * @param {object[]} options.records - Source records (see parseImportFile)
+ * @param {object} options.mapping - Column -> field
+ * @param {string} [options.onExisting] - skip: rows whose ISBN exists are duplicates; update: they update that record
+ * @param {boolean} [options.enrich] - Fill the empty fields of new records from their ISBN (see
+ *   enrichmentService); only the first MAX_ENRICHED_ROWS new records are looked up
+ * @returns {Promise<Array<object>>} One entry per row: { row, status, ISBN, name, recordId, messages, doc }
+ */
+export const planImport = async ({ collection, records, mapping, onExisting = 'skip', enrich = false }) => {
+  const { Model } = collectionFor(collection);
+  const fields = importableFields(collection);
+
+  const unknown = Object.values(mapping).find(field => field && !fields.some(f => f.field === field));
+  if (unknown) {
+    throw new ImportError(`Cannot import into field "${unknown}"`);
+  }
+  if (!Object.values(mapping).includes('ISBN')) {
+    throw new ImportError('Map a column to ISBN; rows are matched by ISBN');
+  }
+
+  const plan = records.map((record, index) => {
+    const { doc, messages } = mapRecord(record, mapping, fields);
+    const entry = {
+      row: index + 1,
+      status: 'create',
+      ISBN: doc.ISBN || null,
+      name: doc.name || null,
+      recordId: null,
+      messages,
+      doc,
+    };
+
+    if (!doc.ISBN) {
+      messages.push('ISBN is required');
+    } else {
+      const canonical = toCanonicalIsbn(doc.ISBN);
+      if (canonical) {
+        doc.ISBN = canonical;
+        entry.ISBN = canonical;
+      } else {
+        messages.push(`Invalid ISBN "${doc.ISBN}"`);
+      }
+    }
+
+    // Report everything wrong with a rejected row at once (the ISBN was checked above)
+    if (messages.length > 0) {
+      entry.status = 'error';
+      messages.push(...schemaMessages(Model, doc, undefined, { pathsToSkip: ['ISBN'] }));
+    }
+    return entry;
+  });
+
+  // Existing records for every valid ISBN, including trashed ones
+  const isbns = plan.filter(p => p.status !== 'error').map(p => p.ISBN);
+  const existing = await Model.find({ ISBN: { $in: isbns.flatMap(isbnVariants) } })
+    .setOptions({ withDeleted: true })
+    .select('_id ISBN name deletedAt')
+    .lean();
+  const existingByIsbn = new Map(existing.map(doc => [isbnKey(doc.ISBN), doc]));
+
+  const seen = new Map();
+  for (const entry of plan) {
+    if (entry.status === 'error') continue;
+
+    const earlier = seen.get(entry.ISBN);
+    if (earlier) {
+      entry.status = 'duplicate';
+      entry.messages.push(`Same ISBN as row ${earlier}`);
+      continue;
+    }
+    seen.set(entry.ISBN, entry.row);
+
+    const match = existingByIsbn.get(entry.ISBN);
+    if (match) {
+      entry.recordId = match._id;
+      entry.name = entry.name || match.name;
+      if (match.deletedAt) {
+        entry.status = 'error';
+        entry.messages.push('A record with this ISBN is in the trash; restore it first');
+        continue;
+      }
+      if (onExisting !== 'update') {
+        entry.status = 'duplicate';
+        entry.messages.push('A record with this ISBN already exists');
+        continue;
+      }
+      entry.status = 'update';
+    }
+  }
+
+  // Only new records are enriched; an update must not overwrite what it leaves out
+  if (enrich) {
+    await enrichEntries(collection, plan.filter(entry => entry.status === 'create'));
+  }
+
+  for (const entry of plan) {
+    if (entry.status !== 'create' && entry.status !== 'update') continue;
+
+    // New records must be complete; updates only need valid values for the fields they set
+    const problems = entry.status === 'update'
+      ? schemaMessages(Model, entry.doc, Object.keys(entry.doc))
+      : schemaMessages(Model, entry.doc);
+    if (problems.length > 0) {
+      entry.status = 'error';
+      entry.messages.push(...problems);
+    }
+  }
+
+  return plan;
+};
+
+// Write the planned creates and updates, turning rows that fail into errors
+const executePlan = async (req, collection, plan, jobId) => {
+  const { Model } = collectionFor(collection);
+  const details = { importJob: jobId };
+
+  for (const entry of plan) {
+    if (entry.status !== 'create' && entry.status !== 'update') continue;
+
+    try {
+      if (entry.status === 'create') {
+        const record = await Model.create(entry.doc);
+        entry.recordId = record._id;
+        await mirrorToCatalog(collection, () => syncLegacyRecord(collection, record));
+        await recordAudit(req, { action: 'create', collection, after: record, details });
+      } else {
+        const before = await Model.findById(entry.recordId).select('-__v');
+        const record = before && await Model.findByIdAndUpdate(entry.recordId, { $set: entry.doc }, {
+          new: true,
+          runValidators: true,
+        }).select('-__v');
+        if (!record) {
+          throw new Error('The matching record was removed during the import');
+        }
+        await mirrorToCatalog(collection, () => syncLegacyRecord(collection, record));
+        await recordAudit(req, { action: 'update', collection, before, after: record, details });
+      }
+    } catch (error) {
+      entry.status = 'error';
+      if (error.code === 11000) {
+        entry.messages.push('A record with this ISBN was added during the import');
+      } else if (error.name === 'ValidationError') {
+        entry.messages.push(...Object.values(error.errors).map(e => e.message));
+      } else {
+        entry.messages.push(error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Run an import: parse, map, validate and (unless it is a dry run) write
+ * @param {import('express').Request} req - Request of the admin running the import
+ * @param {object} options
+ * @param {string} [options.collection] - Legacy collection key (default books)
+ * @param {string} options.format - csv or json; with records, the format they were read from
+ * @param {string} [options.content] - File content (or pass records)
+ * @param {object[]} [options.records] - Already parsed records, keyed by field or column
+ * @param {object} [options.mapping] - Column -> field; defaults to suggestMapping
+ * @param {string} [options.onExisting] - skip or update
+ * @param {boolean} [options.enrich] - Fill missing details of new records by ISBN
+ * @param {boolean} [options.dryRun] - Only preview (default true)
+ * @param {string} [options.filename] - Original file name, for the job list
+ * @returns {Promise<{job: object, columns: string[], mapping: object}>}
+ * @throws {ImportError}
+ */
+export const runImport = async (req, {
+  collection = 'books',
+  format,
+  content,
+  records,
+  mapping,
+  onExisting = 'skip',
+  enrich = false,
+  dryRun = true,
+  filename,
+}) => {
+  collectionFor(collection);
+  if (!ON_EXISTING.includes(onExisting)) {
+    throw new ImportError(`onExisting must be one of: ${ON_EXISTING.join(', ')}`);
+  }
+  if (enrich) {
+    try {
+      getProviders();
+    } catch (error) {
+      if (error instanceof EnrichmentError) throw new ImportError(error.message);
+      throw error;
+    }
+  }
+
+  const parsed = records ? checkRecords(records) : parseImportFile(format, content);
+
+  if (mapping !== undefined && (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping))) {
+    throw new ImportError('Mapping must be an object of column: field');
+  }
+  const columnMapping = Object.fromEntries(
+    Object.entries(mapping || suggestMapping(parsed.columns, importableFields(collection)))
+      .filter(([column, field]) => field && parsed.columns.includes(column))
+  );
+
+  const plan = await planImport({
+    collection,
+    records: parsed.records,
+    mapping: columnMapping,
+    onExisting,
+    enrich: Boolean(enrich),
+  });
+
+  const job = new ImportJob({
+    actor: actorFrom(req),
+    targetCollection: collection,
+    format: format || 'json',
+    filename: filename || null,
+    dryRun,
+    onExisting,
+    enrich: Boolean(enrich),
+    mapping: Object.entries(columnMapping).map(([column, field]) => ({ column, field })),
+  });
+
+  if (!dryRun) {
+    await executePlan(req, collection, plan, job._id);
+  }
+
+  job.rows = plan.map(({ doc, ...row }) => row);
+  job.summary.total = plan.length;
+  for (const entry of plan) {
+    job.summary[entry.status] += 1;
+    if (entry.enriched) job.summary.enriched += 1;
+  }
+  await job.save();
+
+  return { job, columns: parsed.columns, mapping: columnMapping };
+};
+
+export default {
+  MAX_IMPORT_ROWS,
+  MAX_ENRICHED_ROWS,
+  FILE_FORMATS,
+  ON_EXISTING,
+  ImportError,
+  importableFields,
+  suggestMapping,
+  parseImportFile,
+  checkRecords,
+  planImport,
+  runImport,
+};
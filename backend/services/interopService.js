@@ -0,0 +1,151 @@
+import { getLegacyCollection } from '../Model/legacyCollections.js';
+import { runImport, ImportError } from './importService.js';
+import { writeRecords } from '../utils/stream.js';
+import {
+  parseMarc,
+  parseMarcXml,
+  marcToBook,
+  bookToMarc,
+  serializeMarcRecord,
+  serializeMarcXmlRecord,
+  MARCXML_HEADER,
+  MARCXML_FOOTER,
+} from '../utils/marc.js';
+import { parseOnix, onixToBook, onixHeader, serializeOnixProduct, ONIX_FOOTER } from '../utils/onix.js';
+
+/**
+ * ============================================
+ * LIBRARY INTEROPERABILITY
+ * ============================================
+ * Exchanges book records with library systems (MARC21, binary and MARCXML)
+ * and publisher feeds (ONIX 3.0). Imports are read into book fields and then
+ * go through the import pipeline, so they get the same validation, dry run
+ * and per-row report as CSV/JSON imports.
+ */
+
+export const INTEROP_FORMATS = ['marc', 'marcxml', 'onix'];
+
+// How each format is written: content type, file extension and per-record serializer
+const WRITERS = {
+  marc: {
+    contentType: 'application/marc',
+    extension: 'mrc',
+    header: () => '',
+    record: (book, format) => serializeMarcRecord(bookToMarc(book, format)),
+    footer: '',
+  },
+  marcxml: {
+    contentType: 'application/marcxml+xml',
+    extension: 'xml',
+    header: () => MARCXML_HEADER,
+    record: (book, format) => serializeMarcXmlRecord(bookToMarc(book, format)) + '\n',
+    footer: MARCXML_FOOTER,
+  },
+  onix: {
+    contentType: 'application/xml',
+    extension: 'xml',
+    header: () => onixHeader(),
+    record: (book, format) => serializeOnixProduct(book, format) + '\n',
+    footer: ONIX_FOOTER,
+  },
+};
+
+/**
+ * Read the book records of a MARC or ONIX file
+ * @param {string} format - marc, marcxml or onix
+ * @param {Buffer} content - File content
+ * @returns {Array<{book: object, format: string}>} Book fields and the edition format of each record
+ * @throws {ImportError}
+ */
+export const readInteropRecords = (format, content) => {
+  if (!INTEROP_FORMATS.includes(format)) {
+    throw new ImportError(`Format must be one of: ${INTEROP_FORMATS.join(', ')}`);
+  }
+  if (!Buffer.isBuffer(content)) {
+    throw new ImportError('Send the file as the request body with its own content type, e.g. application/marc or application/xml');
+  }
+  if (content.length === 0) {
+    throw new ImportError('The file is empty');
+  }
+
+  try {
+    if (format === 'marc') return parseMarc(content).map(marcToBook);
+    if (format === 'marcxml') return parseMarcXml(content.toString('utf8')).map(marcToBook);
+    return parseOnix(content.toString('utf8')).map(onixToBook);
+  } catch (error) {
+    throw new ImportError(`Invalid ${format.toUpperCase()} file: ${error.message}`);
+  }
+};
+
+/**
+ * Import a MARC or ONIX file into a book collection
+ * Records describing another format than the collection holds (e.g. an
+ * audiobook record sent to ebooks) are imported all the same; their format is
+ * returned so the caller can point it out.
+ * @param {import('express').Request} req - Request of the admin running the import
+ * @param {object} options - format, content (Buffer), collection, onExisting, enrich, dryRun, filename
+ * @returns {Promise<{job: object, formats: object}>} The import job and how many records of each format were read
+ * @throws {ImportError}
+ */
+export const importInterop = async (req, { format, content, collection = 'books', onExisting, enrich, dryRun, filename }) => {
+  if (!getLegacyCollection(collection)) {
+    throw new ImportError(`Unknown collection "${collection}"`);
+  }
+
+  const read = readInteropRecords(format, content);
+  const formats = {};
+  for (const record of read) {
+    formats[record.format] = (formats[record.format] || 0) + 1;
+  }
+
+  const { job } = await runImport(req, {
+    collection,
+    format,
+    records: read.map(r => r.book),
+    onExisting,
+    enrich,
+    dryRun,
+    filename,
+  });
+
+  return { job, formats };
+};
+
+/**
+ * Write a collection as a MARC or ONIX file
+ * @param {string} format - marc, marcxml or onix
+ * @param {string} collection - Legacy collection key
+ * @param {import('stream').Writable} out - Destination, e.g. the response
+ * @param {object} [filter] - Records to include (default: every live record)
+ * @returns {Promise<number>} Number of records written
+ */
+export const exportInterop = async (format, collection, out, filter = {}) => {
+  const writer = WRITERS[format];
+  const entry = getLegacyCollection(collection);
+  const cursor = entry.Model.find(filter).sort({ _id: 1 }).lean().cursor();
+
+  return writeRecords(out, cursor, {
+    header: writer.header(),
+    record: book => writer.record(book, entry.format),
+    footer: writer.footer,
+  });
+};
+
+/**
+ * Content type and file name of an export
+ * @param {string} format - marc, marcxml or onix
+ * @param {string} collection - Legacy collection key
+ * @returns {{contentType: string, filename: string}}
+ */
+export const exportFileInfo = (format, collection) => ({
+  contentType: WRITERS[format].contentType,
+  filename: `easyreads-${collection}${format === 'onix' ? '-onix' : ''}.${WRITERS[format].extension}`,
+});
+
+export default {
+  INTEROP_FORMATS,
+  readInteropRecords,
+  importInterop,
+  exportInterop,
+  exportFileInfo,
+};
@@ -0,0 +1,29 @@
+import { LEGACY_COLLECTIONS } from '../Model/legacyCollections.js';
+import { isbnVariants } from '../utils/isbn.js';
+
+/**
+ * Find every legacy record holding the given ISBN, in any collection.
+ * ISBNs are only unique within one collection, so the same book can sit in
+ * books, fiction and ebooks at once; this surfaces those occurrences.
+ * @param {string} isbn - Valid ISBN in any formatting
+ * @param {object} [exclude] - Record to leave out: { collection, id }
+ * @returns {Promise<Array<{collection: string, id: string, name: string}>>}
+ */
+export const findIsbnAcrossCollections = async (isbn, exclude = {}) => {
+  const variants = isbnVariants(isbn);
+
+  const matches = await Promise.all(
+    LEGACY_COLLECTIONS.map(async ({ key, Model }) => {
+      const docs = await Model.find({ ISBN: { $in: variants } }).select('_id name').lean();
+      return docs
+        .filter(doc => !(key === exclude.collection && String(doc._id) === String(exclude.id)))
+        .map(doc => ({ collection: key, id: doc._id, name: doc.name }));
+    })
+  );
+
+  return matches.flat();
+};
+
+export default {
+  findIsbnAcrossCollections,
+};
@@ -0,0 +1,578 @@
+import { lookup } from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+import LinkCheck, { LINK_FIELDS, LINK_STATUSES } from '../Model/LinkCheckSchema.js';
+import Edition from '../Model/EditionSchema.js';
+import Work from '../Model/WorkSchema.js';
+import { LEGACY_COLLECTIONS, getLegacyCollection } from '../Model/legacyCollections.js';
+import { syncLegacyRecord, mirrorToCatalog } from './catalogService.js';
+import { recordAudit } from './auditService.js';
+import { cleanIsbn } from '../utils/isbn.js';
+
+/**
+ * ============================================
+ * LINK CHECKER
+ * ============================================
+ * Checks the cover (image_link) and purchase (amazon_link) URLs stored on
+ * books. Each distinct URL is one LinkCheck with the records using it, the
+ * outcome of its last check and the redirects it went through.
+ *
+ * The server checks links not checked within LINK_CHECK_INTERVAL_HOURS
+ * (default 24, or off when NODE_ENV is development; 0 turns the schedule
+ * off) at startup and then on that interval. Checks use plain HTTP and
+ * follow redirects themselves. Links to private, loopback and link-local
+ * addresses are never requested, so stored links can't make the server probe
+ * its own network; LINK_CHECK_ALLOWED_HOSTS lets named hosts through, e.g. a
+ * local HTTP server standing in for the sites being checked.
+ */
+
+const DEFAULT_INTERVAL_HOURS = 24;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_REDIRECTS = 5;
+const DEFAULT_CONCURRENCY = 4;
+
+// Links one fix request may change
+export const MAX_FIX_LINKS = 200;
+
+const USER_AGENT = 'EasyReads-LinkChecker/1.0';
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const HEALTHY_STATUSES = ['ok', 'redirected'];
+
+/**
+ * final-url: Replace a redirected link with where it now ends up
+ * replace: Replace the link with a given URL
+ * isbn-search: Replace a purchase link with an Amazon search for the book's ISBN
+ */
+export const LINK_FIXES = ['final-url', 'replace', 'isbn-search'];
+
+/**
+ * Thrown for invalid fix requests and for starting a check while one is
+ * running; callers answer with 400 (409 for the latter)
+ */
+export class LinkCheckError extends Error {
+  constructor(message, { running = false } = {}) {
+    super(message);
+    this.name = 'LinkCheckError';
+    this.running = running;
+  }
+}
+
+export const getCheckIntervalHours = () => {
+  const hours = parseFloat(process.env.LINK_CHECK_INTERVAL_HOURS);
+  if (!Number.isNaN(hours) && hours >= 0) return hours;
+  return process.env.NODE_ENV === 'development' ? 0 : DEFAULT_INTERVAL_HOURS;
+};
+
+// Addresses links must not lead to: this host, private networks, link-local
+// (including cloud metadata at 169.254.169.254), shared and reserved ranges
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// IPv4-mapped IPv6 (::ffff:127.0.0.1, or ::ffff:7f00:1 as URLs write it) is the IPv4 address
+const unmapIPv4 = (address) => {
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (!hex) return address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+const isPrivateAddress = (address) => {
+  const plain = unmapIPv4(address);
+  return PRIVATE_ADDRESSES.check(plain, isIP(plain) === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Hosts from LINK_CHECK_ALLOWED_HOSTS (comma-separated) that may be private
+const allowedHosts = () => (process.env.LINK_CHECK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Why a link must not be requested, or null when it may be. Host names are
+ * resolved, so a public name pointing at a private address is caught too.
+ * @param {string} url - http(s) URL
+ * @returns {Promise<string|null>} The reason it is refused
+ */
+export const refuseUrl = async (url) => {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts().includes(host)) return null;
+
+  let addresses;
+  try {
+    addresses = isIP(host) ? [host] : (await lookup(host, { all: true })).map(entry => entry.address);
+  } catch {
+    // Unresolvable hosts fail as unreachable when requested
+    return null;
+  }
+  return addresses.some(isPrivateAddress) ? `${host} is a private or local address` : null;
+};
+
+export const isHttpUrl = (value) => {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+// Ask with HEAD, and again with GET when that fails: some servers refuse HEAD
+const request = async (url, timeoutMs) => {
+  const options = { redirect: 'manual', headers: { 'User-Agent': USER_AGENT } };
+
+  const head = await fetch(url, { ...options, method: 'HEAD', signal: AbortSignal.timeout(timeoutMs) });
+  if (head.status < 400) return head;
+
+  const get = await fetch(url, { ...options, method: 'GET', signal: AbortSignal.timeout(timeoutMs) });
+  await get.body?.cancel();
+  return get;
+};
+
+const failureMessage = (error, timeoutMs) => {
+  if (error.name === 'TimeoutError') return `No answer within ${timeoutMs} ms`;
+  return error.cause?.code || error.cause?.message || error.message;
+};
+
+/**
+ * Check one URL, following redirects
+ * @param {string} url - Link to check
+ * @param {object} [options]
+ * @param {boolean} [options.image] - The link must lead to an image
+ * @param {number} [options.timeoutMs] - Per-request timeout (default 10000)
+ * @param {number} [options.maxRedirects] - Redirects followed before giving up (default 5)
+ * @returns {Promise<object>} { status, httpStatus, contentType, redirects, finalUrl, error }
+ */
+export const checkUrl = async (url, {
+  image = false,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxRedirects = DEFAULT_MAX_REDIRECTS,
+} = {}) => {
+  const result = { status: 'broken', httpStatus: null, contentType: null, redirects: [], finalUrl: null, error: null };
+  if (!isHttpUrl(url)) {
+    return { ...result, error: 'Not an http(s) URL' };
+  }
+
+  let current = url;
+  for (;;) {
+    // Checked on every hop, so a redirect can't lead into the local network
+    const refused = await refuseUrl(current);
+    if (refused) {
+      return { ...result, finalUrl: current, error: `Not checked: ${refused}` };
+    }
+
+    let response;
+    try {
+      response = await request(current, timeoutMs);
+    } catch (error) {
+      return { ...result, status: 'unreachable', finalUrl: current, error: failureMessage(error, timeoutMs) };
+    }
+
+    const location = response.headers.get('location');
+    if (REDIRECT_STATUSES.has(response.status) && location) {
+      result.redirects.push({ url: current, status: response.status });
+      const next = URL.canParse(location, current) ? new URL(location, current).href : null;
+      if (!next || !isHttpUrl(next)) {
+        return { ...result, httpStatus: response.status, finalUrl: current, error: `Redirects to an invalid URL "${location}"` };
+      }
+      if (result.redirects.length > maxRedirects) {
+        return { ...result, httpStatus: response.status, finalUrl: current, error: `More than ${maxRedirects} redirects` };
+      }
+      current = next;
+      continue;
+    }
+
+    result.httpStatus = response.status;
+    result.contentType = response.headers.get('content-type');
+    result.finalUrl = current;
+
+    if (response.ok) {
+      if (image && !result.contentType?.startsWith('image/')) {
+        return { ...result, error: `Not an image (${result.contentType || 'no content type'})` };
+      }
+      return { ...result, status: result.redirects.length > 0 ? 'redirected' : 'ok' };
+    }
+
+    // Server errors, timeouts and rate limits may pass; anything else means the link is gone
+    const temporary = response.status >= 500 || response.status === 408 || response.status === 429;
+    return { ...result, status: temporary ? 'unreachable' : 'broken', error: `HTTP ${response.status}` };
+  }
+};
+
+// Where links are stored. Editions mirrored from legacy records are checked
+// and fixed through those records.
+const linkSources = () => [
+  ...LEGACY_COLLECTIONS.map(({ key, Model }) => ({ collection: key, Model, filter: {} })),
+  { collection: 'editions', Model: Edition, filter: { 'legacyRefs.0': { $exists: false } } },
+];
+
+const modelFor = (collection) => (collection === 'editions' ? Edition : getLegacyCollection(collection)?.Model);
+
+/**
+ * Every stored link and the records using it
+ * @returns {Promise<Map<string, object[]>>} Refs ({ source, id, field }) keyed by URL
+ */
+export const collectLinks = async () => {
+  const links = new Map();
+  for (const { collection, Model, filter } of linkSources()) {
+    const records = await Model.find(filter).select(LINK_FIELDS.join(' ')).lean();
+    for (const record of records) {
+      for (const field of LINK_FIELDS) {
+        const url = record[field];
+        if (typeof url !== 'string' || !url.trim()) continue;
+        if (!links.has(url)) links.set(url, []);
+        links.get(url).push({ source: collection, id: record._id, field });
+      }
+    }
+  }
+  return links;
+};
+
+/**
+ * Bring LinkChecks in step with the records: add new links, update who uses
+ * each one and drop links nothing uses any more
+ * @returns {Promise<{links: number, removed: number}>}
+ */
+export const syncLinks = async () => {
+  const links = await collectLinks();
+
+  const operations = [...links].map(([url, refs]) => ({
+    updateOne: { filter: { url }, update: { $set: { refs } }, upsert: true },
+  }));
+  if (operations.length > 0) {
+    await LinkCheck.bulkWrite(operations, { ordered: false });
+  }
+  const removed = await LinkCheck.deleteMany({ url: { $nin: [...links.keys()] } });
+
+  return { links: links.size, removed: removed.deletedCount };
+};
+
+const saveResult = async (url, result) => {
+  const now = new Date();
+  const healthy = HEALTHY_STATUSES.includes(result.status);
+  await LinkCheck.updateOne({ url }, {
+    $set: { ...result, checkedAt: now, ...(healthy ? { lastOkAt: now, failures: 0 } : {}) },
+    ...(healthy ? {} : { $inc: { failures: 1 } }),
+  });
+};
+
+// Progress of the current or last check run in this process
+let job = { running: false, startedAt: null, finishedAt: null, total: 0, checked: 0, summary: null, error: null };
+
+/**
+ * @returns {object} { running, startedAt, finishedAt, total, checked, summary, error }
+ */
+export const linkCheckState = () => ({ ...job });
+
+/**
+ * Sync the links and check the ones that are due
+ * @param {object} [options]
+ * @param {string[]} [options.urls] - Check exactly these links
+ * @param {boolean} [options.force] - Check every link, however recently checked
+ * @param {number} [options.concurrency] - Links checked at once (default 4)
+ * @param {number} [options.timeoutMs] - See checkUrl
+ * @param {number} [options.maxRedirects] - See checkUrl
+ * @returns {Promise<{checked: number, summary: object}>} Links checked per status
+ * @throws {LinkCheckError} When a check is already running
+ */
+export const runLinkCheck = async ({
+  urls,
+  force = false,
+  concurrency = DEFAULT_CONCURRENCY,
+  timeoutMs,
+  maxRedirects,
+} = {}) => {
+  if (job.running) {
+    throw new LinkCheckError('A link check is already running', { running: true });
+  }
+  job = { running: true, startedAt: new Date(), finishedAt: null, total: 0, checked: 0, summary: null, error: null };
+
+  try {
+    await syncLinks();
+
+    const cutoff = new Date(Date.now() - getCheckIntervalHours() * 60 * 60 * 1000);
+    let filter = { $or: [{ checkedAt: null }, { checkedAt: { $lt: cutoff } }] };
+    if (force) filter = {};
+    if (urls) filter = { url: { $in: urls } };
+
+    const links = await LinkCheck.find(filter).select('url refs').lean();
+    job.total = links.length;
+
+    const summary = Object.fromEntries(LINK_STATUSES.filter(s => s !== 'unchecked').map(s => [s, 0]));
+    let next = 0;
+    const worker = async () => {
+      while (next < links.length) {
+        const link = links[next++];
+        const result = await checkUrl(link.url, {
+          image: link.refs.some(ref => ref.field === 'image_link'),
+          timeoutMs,
+          maxRedirects,
+        });
+        await saveResult(link.url, result);
+        summary[result.status] += 1;
+        job.checked += 1;
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, links.length) }, worker));
+
+    job.summary = summary;
+    return { checked: job.checked, summary };
+  } catch (error) {
+    job.error = error.message;
+    throw error;
+  } finally {
+    job.running = false;
+    job.finishedAt = new Date();
+  }
+};
+
+/**
+ * Start a check run without waiting for it
+ * @param {object} [options] - See runLinkCheck
+ * @returns {object} The run's state, see linkCheckState
+ * @throws {LinkCheckError} When a check is already running
+ */
+export const startLinkCheck = (options) => {
+  if (job.running) {
+    throw new LinkCheckError('A link check is already running', { running: true });
+  }
+  runLinkCheck(options).catch(error => console.error('Link check failed:', error.message));
+  return linkCheckState();
+};
+
+/**
+ * Check due links now and then every LINK_CHECK_INTERVAL_HOURS
+ * @returns {NodeJS.Timeout|null} Interval handle (unref'd), or null when the schedule is off
+ */
+export const scheduleLinkCheck = () => {
+  const hours = getCheckIntervalHours();
+  if (hours === 0) return null;
+
+  const run = async () => {
+    if (job.running) return;
+    try {
+      const { checked, summary } = await runLinkCheck();
+      if (checked > 0) {
+        console.log(`Checked ${checked} link(s):`, summary);
+      }
+    } catch (error) {
+      console.error('Link check failed:', error.message);
+    }
+  };
+
+  run();
+  return setInterval(run, hours * 60 * 60 * 1000).unref();
+};
+
+// Adds `name` (book title, or ISBN for catalog editions) to every ref
+const withRecordNames = async (links) => {
+  const idsByCollection = new Map();
+  for (const ref of links.flatMap(link => link.refs)) {
+    if (!idsByCollection.has(ref.source)) idsByCollection.set(ref.source, new Set());
+    idsByCollection.get(ref.source).add(String(ref.id));
+  }
+
+  const names = new Map();
+  for (const [collection, ids] of idsByCollection) {
+    const Model = modelFor(collection);
+    if (!Model) continue;
+    const records = await Model.find({ _id: { $in: [...ids] } }).select('name ISBN work').lean();
+    const works = collection === 'editions'
+      ? await Work.find({ _id: { $in: records.map(r => r.work) } }).select('title').lean()
+      : [];
+    for (const record of records) {
+      const title = record.name || works.find(w => String(w._id) === String(record.work))?.title;
+      names.set(`${collection}:${record._id}`, title || `ISBN ${record.ISBN}`);
+    }
+  }
+
+  return links.map(link => ({
+    ...link,
+    refs: link.refs.map(ref => ({ ...ref, name: names.get(`${ref.source}:${ref.id}`) || null })),
+  }));
+};
+
+/**
+ * Links with their last check, most often failing first
+ * @param {object} [options]
+ * @param {string} [options.status] - Only links with this status
+ * @param {string} [options.field] - Only links stored in this field
+ * @param {string} [options.collection] - Only links used in this collection
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{links: object[], total: number, summary: object}>}
+ *   summary counts every link per status, whatever the filters
+ */
+export const linkReport = async ({ status, field, collection, page = 1, limit = 50 } = {}) => {
+  const filter = {};
+  if (status) filter.status = status;
+  if (field || collection) {
+    filter.refs = { $elemMatch: { ...(field ? { field } : {}), ...(collection ? { source: collection } : {}) } };
+  }
+
+  const [links, total, counts] = await Promise.all([
+    LinkCheck.find(filter)
+      .sort({ failures: -1, checkedAt: -1, url: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-__v')
+      .lean(),
+    LinkCheck.countDocuments(filter),
+    LinkCheck.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+  ]);
+
+  const summary = Object.fromEntries(LINK_STATUSES.map(s => [s, 0]));
+  for (const { _id, count } of counts) summary[_id] = count;
+
+  return { links: await withRecordNames(links), total, summary };
+};
+
+// Amazon search for a book's ISBN, the same link BookCard falls back to
+const isbnSearchUrl = (isbn) => `https://www.amazon.com/s?k=${encodeURIComponent(cleanIsbn(isbn))}`;
+
+// Point one record's field from `url` to a new link; null when the record
+// no longer uses `url` there
+const fixRef = async (req, ref, url, action, newLink) => {
+  const Model = modelFor(ref.source);
+  if (!Model) return null;
+
+  const before = await Model.findOne({ _id: ref.id, [ref.field]: url }).select('-__v');
+  if (!before) return null;
+
+  const value = newLink(before);
+  const record = await Model.findByIdAndUpdate(ref.id, { $set: { [ref.field]: value } }, {
+    new: true,
+    runValidators: true,
+  }).select('-__v');
+
+  if (ref.source !== 'editions') {
+    await mirrorToCatalog(ref.source, () => syncLegacyRecord(ref.source, record));
+  }
+  await recordAudit(req, {
+    action: 'update',
+    collection: ref.source,
+    before,
+    after: record,
+    details: { linkFix: action, field: ref.field, from: url, to: value },
+  });
+  return value;
+};
+
+/**
+ * Apply a fix to every record using the given links
+ * @param {import('express').Request} req - Request of the admin fixing (for the audit log)
+ * @param {object} options
+ * @param {string} options.action - One of LINK_FIXES
+ * @param {string[]} options.urls - Links to fix
+ * @param {string} [options.replacement] - New URL, for "replace"
+ * @returns {Promise<object[]>} Per link: { url, updated, skipped: [reasons] };
+ *   a record that can't be updated is skipped and stays on the link
+ * @throws {LinkCheckError} For an invalid request
+ */
+export const fixLinks = async (req, { action, urls, replacement }) => {
+  if (!LINK_FIXES.includes(action)) {
+    throw new LinkCheckError(`action must be one of: ${LINK_FIXES.join(', ')}`);
+  }
+  if (!Array.isArray(urls) || urls.length === 0 || urls.some(url => typeof url !== 'string')) {
+    throw new LinkCheckError('urls must be a non-empty array of links');
+  }
+  if (urls.length > MAX_FIX_LINKS) {
+    throw new LinkCheckError(`At most ${MAX_FIX_LINKS} links can be fixed at once`);
+  }
+  if (action === 'replace' && !isHttpUrl(replacement)) {
+    throw new LinkCheckError('replacement must be an http(s) URL');
+  }
+
+  const links = await LinkCheck.find({ url: { $in: urls } });
+  const results = [];
+
+  for (const url of [...new Set(urls)]) {
+    const link = links.find(l => l.url === url);
+    if (!link) {
+      results.push({ url, updated: 0, skipped: ['Unknown link'] });
+      continue;
+    }
+    if (action === 'final-url' && (link.status !== 'redirected' || !link.finalUrl)) {
+      results.push({ url, updated: 0, skipped: ['The link is not redirected to a working URL'] });
+      continue;
+    }
+
+    const newLink = (record) => {
+      if (action === 'final-url') return link.finalUrl;
+      if (action === 'replace') return replacement;
+      return isbnSearchUrl(record.ISBN);
+    };
+
+    let updated = 0;
+    const skipped = [];
+    const kept = [];
+    const moved = new Map();
+    for (const ref of link.refs) {
+      if (action === 'isbn-search' && ref.field !== 'amazon_link') {
+        skipped.push(`${ref.source}/${ref.id}: only purchase links can become an ISBN search`);
+        kept.push(ref);
+        continue;
+      }
+      let value;
+      try {
+        value = await fixRef(req, ref, url, action, newLink);
+      } catch (error) {
+        // The record keeps the link, and the link keeps the record
+        skipped.push(`${ref.source}/${ref.id}: ${error.message}`);
+        kept.push(ref);
+        continue;
+      }
+      // A record that no longer uses the link simply drops out of it
+      if (!value) continue;
+      updated += 1;
+      moved.set(value, [...(moved.get(value) || []), ref]);
+    }
+
+    if (kept.length > 0) {
+      link.refs = kept;
+      await link.save();
+    } else {
+      await link.deleteOne();
+    }
+
+    for (const [value, refs] of moved) {
+      // The final URL of a redirect was just seen working
+      const known = action === 'final-url'
+        ? { status: 'ok', httpStatus: link.httpStatus, contentType: link.contentType, checkedAt: link.checkedAt, lastOkAt: link.checkedAt }
+        : {};
+      await LinkCheck.updateOne(
+        { url: value },
+        { $addToSet: { refs: { $each: refs } }, $setOnInsert: known },
+        { upsert: true }
+      );
+    }
+
+    results.push({ url, updated, skipped });
+  }
+
+  return results;
+};
+
+export default {
+  LINK_FIXES,
+  MAX_FIX_LINKS,
+  LinkCheckError,
+  getCheckIntervalHours,
+  isHttpUrl,
+  refuseUrl,
+  checkUrl,
+  collectLinks,
+  syncLinks,
+  linkCheckState,
+  runLinkCheck,
+  startLinkCheck,
+  scheduleLinkCheck,
+  linkReport,
+  fixLinks,
+};
@@ -0,0 +1,62 @@
+import { readFile, stat } from 'fs/promises';
+import { toCanonicalIsbn } from '../../utils/isbn.js';
+
+/**
+ * File metadata provider
+ * Answers lookups from a local JSON file, so enrichment works without network
+ * access. The file is either an object keyed by ISBN or an array of entries
+ * with an `isbn` field; entries use the metadata shape of enrichmentService:
+ *
+ *   { "9780547928227": { "title": "The Hobbit", "authors": ["J. R. R. Tolkien"], ... } }
+ *
+ * The file is read on first use and again whenever it changes on disk.
+ */
+
+export const DEFAULT_FIXTURE_PATH = new URL('../../data/isbn-metadata.json', import.meta.url);
+
+// Entries keyed by canonical ISBN
+const indexEntries = (data) => {
+  const entries = Array.isArray(data)
+    ? data.map(entry => [entry?.isbn ?? entry?.ISBN, entry])
+    : Object.entries(data || {});
+
+  const index = new Map();
+  for (const [isbn, entry] of entries) {
+    const key = toCanonicalIsbn(isbn);
+    if (key && entry && typeof entry === 'object') index.set(key, entry);
+  }
+  return index;
+};
+
+/**
+ * @param {object} [options]
+ * @param {string|URL} [options.path] - JSON file (default: backend/data/isbn-metadata.json)
+ * @returns {{name: string, lookup: function(string): Promise<object|null>}}
+ */
+export const createFileProvider = ({ path = DEFAULT_FIXTURE_PATH } = {}) => {
+  let loaded = null;
+
+  const load = async () => {
+    let info;
+    try {
+      info = await stat(path);
+    } catch (error) {
+      // No file simply means nothing to answer with
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+
+    if (!loaded || loaded.mtimeMs !== info.mtimeMs) {
+      const data = JSON.parse(await readFile(path, 'utf8'));
+      loaded = { mtimeMs: info.mtimeMs, index: indexEntries(data) };
+    }
+    return loaded.index;
+  };
+
+  return {
+    name: 'file',
+    lookup: async (isbn) => (await load()).get(isbn) || null,
+  };
+};
+
+export default createFileProvider;
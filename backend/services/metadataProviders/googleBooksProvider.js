@@ -0,0 +1,72 @@
+/**
+ * Google Books metadata provider
+ * Looks an ISBN up through the Google Books volumes API. The API works
+ * without a key at a low rate limit; a key raises it. `baseUrl` can point at
+ * a local stand-in of the API.
+ */
+
+const DEFAULT_BASE_URL = 'https://www.googleapis.com/books/v1';
+const DEFAULT_TIMEOUT_MS = 5000;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Google answers two-letter codes ("en"); records store language names
+const languageName = (code) => {
+  if (!code) return undefined;
+  try {
+    return languageNames.of(code);
+  } catch {
+    return undefined;
+  }
+};
+
+// Largest available cover, over https and without the page-curl effect
+const coverUrl = (imageLinks = {}) => {
+  const url = imageLinks.extraLarge || imageLinks.large || imageLinks.medium ||
+    imageLinks.thumbnail || imageLinks.smallThumbnail;
+  return url ? url.replace(/^http:/, 'https:').replace(/&edge=curl/, '') : undefined;
+};
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Google API key (optional)
+ * @param {string} [options.baseUrl] - API root (default: the public Google Books API)
+ * @param {number} [options.timeoutMs] - Per-request timeout (default 5000)
+ * @returns {{name: string, lookup: function(string): Promise<object|null>}}
+ */
+export const createGoogleBooksProvider = ({
+  apiKey,
+  baseUrl = DEFAULT_BASE_URL,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+} = {}) => ({
+  name: 'google',
+  lookup: async (isbn) => {
+    const params = new URLSearchParams({ q: `isbn:${isbn}`, maxResults: '1' });
+    if (apiKey) params.set('key', apiKey);
+
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/volumes?${params}`, {
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`Google Books answered ${response.status}`);
+    }
+
+    const data = await response.json();
+    const info = data.items?.[0]?.volumeInfo;
+    if (!info) return null;
+
+    return {
+      title: info.subtitle ? `${info.title}: ${info.subtitle}` : info.title,
+      authors: info.authors,
+      description: info.description,
+      pageCount: info.pageCount,
+      publisher: info.publisher,
+      publishedDate: info.publishedDate,
+      coverUrl: coverUrl(info.imageLinks),
+      subjects: info.categories,
+      language: languageName(info.language),
+    };
+  },
+});
+
+export default createGoogleBooksProvider;
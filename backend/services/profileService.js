@@ -0,0 +1,51 @@
+import UserProfile from '../Model/UserProfileSchema.js';
+
+/**
+ * ============================================
+ * USER PROFILES
+ * ============================================
+ * Reader profiles keyed by Firebase uid. A profile is created the first time
+ * a signed-in reader calls /api/me, from the name and picture on their
+ * Firebase account; after that the reader edits it on the profile page.
+ */
+
+// Fields anyone may see on a public profile
+const PUBLIC_FIELDS = ['uid', 'displayName', 'avatar', 'favoriteGenres'];
+
+/**
+ * The signed-in reader's profile, created on first sign-in. The email is
+ * refreshed from the token each time.
+ * @param {object} user - Decoded Firebase token (`req.user`)
+ * @returns {Promise<{profile: object, created: boolean}>} Profile document and
+ *   whether it was just created
+ */
+export const ensureProfile = async (user) => {
+  const result = await UserProfile.findOneAndUpdate(
+    { uid: user.uid },
+    {
+      $setOnInsert: {
+        displayName: user.name || null,
+        avatar: user.picture || null,
+      },
+      $set: { email: user.email || null, lastSeenAt: new Date() },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+  ).select('-__v');
+
+  return { profile: result.value, created: !result.lastErrorObject?.updatedExisting };
+};
+
+/**
+ * What others may see of a profile
+ * @param {object} profile - Profile document or plain object
+ * @returns {object|null} Public fields, or null when the profile is private
+ */
+export const publicProfile = (profile) => {
+  if (profile?.privacy?.profile !== 'public') return null;
+  return Object.fromEntries(PUBLIC_FIELDS.map(field => [field, profile[field]]));
+};
+
+export default {
+  ensureProfile,
+  publicProfile,
+};
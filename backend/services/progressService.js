@@ -0,0 +1,218 @@
+import ReadingProgress from '../Model/ReadingProgressSchema.js';
+import { editionBook, shelveByStatus } from './shelfService.js';
+
+/**
+ * ============================================
+ * READING PROGRESS
+ * ============================================
+ * How far readers are through the editions they read: a page or percentage
+ * for print and ebooks, a playback position for audiobooks. Start and finish
+ * dates are derived from the progress recorded, and the edition follows
+ * along on the reader's Currently Reading and Finished shelves.
+ */
+
+/**
+ * Thrown for progress that doesn't fit the edition; callers answer with 400
+ */
+export class ProgressError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProgressError';
+  }
+}
+
+/**
+ * Seconds in a playback timestamp
+ * @param {number|string} value - Seconds, or "h:mm:ss" / "mm:ss"
+ * @returns {number} Seconds, or NaN when the value is not a timestamp
+ */
+export const parseTimestamp = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (!/^\d+(:[0-5]?\d){1,2}$/.test(text)) return NaN;
+  return text.split(':').reduce((seconds, part) => seconds * 60 + Number(part), 0);
+};
+
+const RECORD_POPULATE = { path: 'edition', populate: { path: 'work' } };
+
+const clampPercent = (value) => Math.min(100, Math.max(0, Math.round(value * 10) / 10));
+
+/**
+ * Percentage through the edition from whatever the record has: the audiobook
+ * position against its length, the page against the page count, or the
+ * percentage the reader gave
+ * @param {object} progress - Progress fields
+ * @param {number} [pages] - Page count of the edition
+ * @returns {number} 0-100
+ */
+export const derivePercent = (progress, pages) => {
+  if (progress.format === 'audiobook') {
+    if (progress.position != null && progress.duration) return clampPercent(progress.position / progress.duration * 100);
+  } else {
+    const total = progress.totalPages || pages;
+    if (progress.page != null && total) return clampPercent(progress.page / total * 100);
+  }
+  return clampPercent(progress.percent || 0);
+};
+
+/**
+ * Record a reader's progress through an edition. The first progress past the
+ * start sets `startedAt` and reaching the end sets `finishedAt`; going back
+ * below the end after finishing starts a re-read. The edition is moved to the
+ * reader's Currently Reading or Finished shelf to match.
+ * @param {string} uid - Firebase uid
+ * @param {object} edition - Edition document
+ * @param {object} changes - page, totalPages, position, duration, percent;
+ *   `finished: true` marks the edition as read to the end
+ * @returns {Promise<{progress: object, created: boolean}>} The progress,
+ *   shaped for the API, and whether it is the first for this edition
+ * @throws {ProgressError}
+ */
+export const recordProgress = async (uid, edition, changes) => {
+  const { finished, ...fields } = changes;
+  let record = await ReadingProgress.findOne({ uid, edition: edition._id });
+  const created = !record;
+  if (!record) {
+    record = new ReadingProgress({ uid, edition: edition._id, work: edition.work, format: edition.format });
+  }
+
+  record.set(fields);
+  // A page or position replaces a percentage given earlier, and the other way round
+  if (fields.percent !== undefined && fields.page === undefined && fields.position === undefined) {
+    record.page = null;
+    record.position = null;
+  }
+
+  const totalPages = record.totalPages || edition.pages;
+  if (fields.page != null && !totalPages) {
+    throw new ProgressError('This edition has no page count; give totalPages with the page, or a percent');
+  }
+  if (record.page != null && totalPages && record.page > totalPages) {
+    throw new ProgressError(`Page must be at most ${totalPages}`);
+  }
+  if (fields.position != null && !record.duration) {
+    throw new ProgressError('Give the duration of the audiobook with the position, or a percent');
+  }
+  if (record.position != null && record.duration && record.position > record.duration) {
+    throw new ProgressError('Position must be within the duration of the audiobook');
+  }
+  record.percent = finished ? 100 : derivePercent(record, edition.pages);
+  if (finished && record.format === 'audiobook' && record.duration) record.position = record.duration;
+  if (finished && record.format !== 'audiobook' && totalPages) record.page = totalPages;
+
+  const now = new Date();
+  if (record.percent >= 100) {
+    if (!record.finishedAt) record.finishedAt = now;
+    if (!record.startedAt) record.startedAt = now;
+  } else {
+    if (record.finishedAt) {
+      record.finishedAt = null;
+      record.startedAt = now;
+    }
+    if (!record.startedAt && record.percent > 0) record.startedAt = now;
+  }
+  await record.save();
+
+  if (record.startedAt) {
+    await shelveByStatus(uid, record.finishedAt ? 'finished' : 'reading', edition);
+  }
+
+  await record.populate(RECORD_POPULATE);
+  return { progress: progressShape(record), created };
+};
+
+/**
+ * Present a progress record with the book it is for
+ * @param {object} record - Progress with `edition` and its `work` populated
+ * @returns {object} Progress for the API
+ */
+export const progressShape = (record) => {
+  const { edition } = record;
+  return {
+    _id: record._id,
+    edition: edition._id,
+    work: edition.work._id,
+    format: record.format,
+    page: record.page,
+    totalPages: record.totalPages || edition.pages || null,
+    position: record.position,
+    duration: record.duration,
+    percent: record.percent,
+    startedAt: record.startedAt,
+    finishedAt: record.finishedAt,
+    updatedAt: record.updatedAt,
+    book: editionBook(edition),
+  };
+};
+
+/**
+ * A reader's progress records, most recently updated first. Records whose
+ * edition has left the catalog are skipped.
+ * @param {string} uid - Firebase uid
+ * @param {object} [options]
+ * @param {string} [options.state] - 'reading' (started, not finished) or 'finished'
+ * @param {number} [options.limit] - Most records to return
+ * @returns {Promise<object[]>} Progress, shaped for the API
+ */
+export const listProgress = async (uid, { state, limit } = {}) => {
+  const filter = { uid };
+  if (state === 'reading') Object.assign(filter, { startedAt: { $ne: null }, finishedAt: null });
+  if (state === 'finished') filter.finishedAt = { $ne: null };
+
+  const query = ReadingProgress.find(filter).sort({ updatedAt: -1 }).populate(RECORD_POPULATE);
+  if (limit) query.limit(limit);
+  const records = await query;
+  return records.filter(record => record.edition?.work).map(progressShape);
+};
+
+/**
+ * Move progress records from editions leaving the catalog to the edition that
+ * replaces them, e.g. when duplicate records are merged. A reader's own
+ * progress on the new edition is kept over the moved one, and of several
+ * moved records the most recently updated wins. Pages and positions don't
+ * carry over to another format; the percentage and dates do.
+ * @param {Array<object|string>} editionIds - Editions the records are on now
+ * @param {object} edition - Edition document they move to
+ * @returns {Promise<number>} Records moved
+ */
+export const repointProgress = async (editionIds, edition) => {
+  const records = await ReadingProgress.find({ edition: { $in: editionIds } }).sort({ updatedAt: -1 });
+
+  let moved = 0;
+  for (const record of records) {
+    if (await ReadingProgress.exists({ uid: record.uid, edition: edition._id })) {
+      await record.deleteOne();
+      continue;
+    }
+    record.edition = edition._id;
+    record.work = edition.work;
+    if (record.format !== edition.format) {
+      record.set({ format: edition.format, page: null, totalPages: null, position: null, duration: null });
+    }
+    // Moving isn't reading, so Continue Reading keeps its order
+    await record.save({ timestamps: false });
+    moved++;
+  }
+  return moved;
+};
+
+/**
+ * Remove every progress record of a reader
+ * @param {string} uid - Firebase uid
+ * @returns {Promise<number>} Records removed
+ */
+export const removeProgress = async (uid) => {
+  const { deletedCount } = await ReadingProgress.deleteMany({ uid });
+  return deletedCount;
+};
+
+export default {
+  parseTimestamp,
+  derivePercent,
+  recordProgress,
+  progressShape,
+  listProgress,
+  repointProgress,
+  removeProgress,
+};
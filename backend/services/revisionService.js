@@ -0,0 +1,143 @@
+import AuditLog from '../Model/AuditLogSchema.js';
+import Work from '../Model/WorkSchema.js';
+import Edition from '../Model/EditionSchema.js';
+import { LEGACY_COLLECTIONS, getLegacyCollection } from '../Model/legacyCollections.js';
+import { syncLegacyRecord, mirrorToCatalog } from './catalogService.js';
+import { recordAudit } from './auditService.js';
+
+/**
+ * ============================================
+ * REVISION HISTORY
+ * ============================================
+ * Revisions are read from the audit log: every logged change of a record
+ * carries the record as it was afterwards, so revision N is the record's
+ * state after its N-th change. For records that existed before the audit
+ * log, the `before` snapshot of their first logged change becomes revision 1.
+ * A revert is itself a logged change and therefore a new revision.
+ */
+
+export const REVISIONED_COLLECTIONS = [...LEGACY_COLLECTIONS.map(c => c.key), 'works', 'editions'];
+
+// Not part of a record's content: bookkeeping, trash state, catalog links,
+// and counters driven by reader activity rather than edits
+const UNVERSIONED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy',
+  'legacyRefs', 'searchTokens', 'views', 'downloads', 'reviewCount',
+];
+
+export const getRevisionedModel = (collection) => {
+  if (collection === 'works') return Work;
+  if (collection === 'editions') return Edition;
+  return getLegacyCollection(collection)?.Model;
+};
+
+const contentFields = (snapshot) => Object.keys(snapshot || {}).filter(f => !UNVERSIONED_FIELDS.includes(f));
+
+/**
+ * Field-level differences between two snapshots
+ * @param {object} from - Older snapshot
+ * @param {object} to - Newer snapshot
+ * @returns {Array<{field: string, from: *, to: *}>} Changed fields, in field order
+ */
+export const diffSnapshots = (from, to) => {
+  const fields = [...new Set([...contentFields(from), ...contentFields(to)])];
+  return fields
+    .filter(field => JSON.stringify(from?.[field]) !== JSON.stringify(to?.[field]))
+    .map(field => ({ field, from: from?.[field] ?? null, to: to?.[field] ?? null }));
+};
+
+/**
+ * All revisions of a record, oldest first
+ * @param {string} collection - e.g. 'fiction', 'works', 'editions'
+ * @param {string} id - Record ID
+ * @returns {Promise<object[]>} { revision, action, actor, timestamp, auditId, details, changedFields, snapshot }
+ */
+export const listRevisions = async (collection, id) => {
+  const entries = await AuditLog.find({ 'target.collection': collection, 'target.id': id })
+    .sort({ timestamp: 1, _id: 1 })
+    .lean();
+
+  const states = [];
+  const first = entries[0];
+  if (first && first.action !== 'create' && first.before) {
+    states.push({
+      action: 'original',
+      actor: null,
+      timestamp: first.before.updatedAt || first.before.createdAt || null,
+      auditId: null,
+      details: null,
+      snapshot: first.before,
+    });
+  }
+
+  for (const entry of entries) {
+    // Deletes and purges leave no new state behind
+    if (!entry.after) continue;
+    states.push({
+      action: entry.action,
+      actor: entry.actor,
+      timestamp: entry.timestamp,
+      auditId: entry._id,
+      details: entry.details,
+      snapshot: entry.after,
+    });
+  }
+
+  return states.map((state, index) => ({
+    revision: index + 1,
+    ...state,
+    changedFields: index === 0 ? [] : diffSnapshots(states[index - 1].snapshot, state.snapshot).map(c => c.field),
+  }));
+};
+
+/**
+ * Put a record back into the state of one of its revisions
+ * @param {import('express').Request} req - Request making the change (for the audit log)
+ * @param {string} collection - Record's collection
+ * @param {string} id - Record ID
+ * @param {number} revisionNumber - Revision to restore
+ * @returns {Promise<object|null>} The updated record, or null if the record or revision does not exist
+ */
+export const revertToRevision = async (req, collection, id, revisionNumber) => {
+  const Model = getRevisionedModel(collection);
+  const revisions = await listRevisions(collection, id);
+  const target = revisions.find(r => r.revision === revisionNumber);
+  if (!target) return null;
+
+  const current = await Model.findById(id);
+  if (!current) return null;
+
+  const $set = {};
+  for (const field of contentFields(target.snapshot)) {
+    $set[field] = target.snapshot[field];
+  }
+  // Fields added after that revision are removed again
+  const $unset = {};
+  for (const field of contentFields(current.toObject())) {
+    if (!(field in $set)) $unset[field] = '';
+  }
+
+  const update = Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+  const updated = await Model.findByIdAndUpdate(id, update, { new: true, runValidators: true });
+
+  if (getLegacyCollection(collection)) {
+    await mirrorToCatalog(collection, () => syncLegacyRecord(collection, updated));
+  }
+  await recordAudit(req, {
+    action: 'revert',
+    collection,
+    before: current,
+    after: updated,
+    details: { revertedTo: revisionNumber },
+  });
+
+  return updated;
+};
+
+export default {
+  REVISIONED_COLLECTIONS,
+  getRevisionedModel,
+  diffSnapshots,
+  listRevisions,
+  revertToRevision,
+};
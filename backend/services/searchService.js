@@ -0,0 +1,538 @@
+import mongoose from 'mongoose';
+import Work from '../Model/WorkSchema.js';
+import Edition from '../Model/EditionSchema.js';
+import Series from '../Model/SeriesSchema.js';
+import { escapeRegex, escapeHtml, normalizeText, tokenize, editDistance } from '../utils/text.js';
+
+/**
+ * ============================================
+ * CATALOG SEARCH
+ * ============================================
+ * Ranks works across every format by combining three index-backed passes:
+ * 1. $text relevance (whole words, stemmed, title weighted highest)
+ * 2. prefix matches on title/author words, for partially typed input
+ * 3. typo-tolerant matches for terms that matched no word at all
+ *
+ * Facet filters (genre, author, format, decade, language, rating) narrow the
+ * ranked candidates. Values within one facet are OR-ed, facets are AND-ed,
+ * and each facet's counts ignore that facet's own selection so further
+ * values can still be added to it.
+ */
+
+// Upper bound on works considered per pass; ranking happens over this set, so
+// a query that reaches it reports its total as capped
+const MAX_CANDIDATES = 500;
+// Upper bound on distinct words scanned when looking for typo corrections
+const MAX_TOKEN_SCAN = 5000;
+// Buckets returned per facet (selected values are always included)
+const MAX_FACET_VALUES = 20;
+
+const PREFIX_POINTS = 3;
+const TYPO_POINTS = 1.5;
+
+const SNIPPET_LENGTH = 160;
+
+export const FACETS = ['genre', 'author', 'format', 'decade', 'language', 'rating'];
+// Facets counted over editions rather than works
+const EDITION_FACETS = ['format', 'decade', 'language'];
+
+// Ordered high to low: a rating falls into the first band whose min it reaches.
+// A rating of 0 means "not rated yet" and is in no band.
+export const RATING_BANDS = [
+  { value: '4-5', min: 4, max: Infinity },
+  { value: '3-4', min: 3, max: 4 },
+  { value: '2-3', min: 2, max: 3 },
+  { value: '0-2', min: 0, max: 2 },
+];
+
+// Edits allowed for a term: none for short words, where a typo is a different word
+const typoBudget = (term) => {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+};
+
+const prefixFilter = (term) => ({ $regex: `^${escapeRegex(term)}` });
+
+const ratingCondition = ({ min, max }) => {
+  const range = min > 0 ? { $gte: min } : { $gt: 0 };
+  if (max !== Infinity) range.$lt = max;
+  return { rating: range };
+};
+
+// "1990s" -> publish dates from 1990-01-01 up to 2000-01-01
+const decadeCondition = (decade) => {
+  const start = parseInt(decade);
+  if (Number.isNaN(start)) return null;
+  return {
+    publishDate: {
+      $gte: new Date(Date.UTC(start, 0, 1)),
+      $lt: new Date(Date.UTC(start + 10, 0, 1)),
+    },
+  };
+};
+
+/**
+ * Edition-level part of the facet filters (format, language, decade).
+ * One edition has to satisfy all of them, e.g. "an ebook in French".
+ */
+const buildEditionFilter = (filters) => {
+  const conditions = [];
+  if (filters.format?.length) conditions.push({ format: { $in: filters.format } });
+  if (filters.language?.length) conditions.push({ language: { $in: filters.language } });
+  if (filters.decade?.length) {
+    const ranges = filters.decade.map(decadeCondition).filter(Boolean);
+    if (ranges.length) conditions.push({ $or: ranges });
+  }
+  return conditions.length ? { $and: conditions } : {};
+};
+
+// Work-level part of the facet filters (genre, author, rating)
+const buildWorkFilter = (filters) => {
+  const conditions = [];
+  if (filters.genre?.length) conditions.push({ genres: { $in: filters.genre } });
+  if (filters.author?.length) conditions.push({ authors: { $in: filters.author } });
+  if (filters.rating?.length) {
+    const bands = RATING_BANDS.filter(band => filters.rating.includes(band.value));
+    if (bands.length) conditions.push({ $or: bands.map(ratingCondition) });
+  }
+  return conditions.length ? { $and: conditions } : {};
+};
+
+// Works that have an edition matching the edition-level filters
+const buildEditionScope = async (filters) => {
+  const editionFilter = buildEditionFilter(filters);
+  if (!Object.keys(editionFilter).length) return {};
+  return { _id: { $in: await Edition.distinct('work', editionFilter) } };
+};
+
+const combine = (...filters) => {
+  const parts = filters.filter(f => Object.keys(f).length > 0);
+  if (parts.length === 0) return {};
+  return parts.length === 1 ? parts[0] : { $and: parts };
+};
+
+/**
+ * Turn facet selections into a filter over works
+ * @param {object} filters - { genre: [], author: [], format: [], decade: [], language: [], rating: [] }
+ * @returns {Promise<object>} Mongo filter over works
+ */
+export const buildScopeFilter = async (filters = {}) =>
+  combine(buildWorkFilter(filters), await buildEditionScope(filters));
+
+// Point a work filter at the work embedded under `prefix`, e.g. after a $lookup
+const nestFilter = (filter, prefix) => Object.fromEntries(
+  Object.entries(filter).map(([key, value]) => (key === '$and' || key === '$or'
+    ? [key, value.map(part => nestFilter(part, prefix))]
+    : [`${prefix}.${key}`, value]))
+);
+
+// Sort buckets by count, cap them, and keep selected values visible
+const toBuckets = (rows, selected = []) => {
+  const buckets = rows
+    .filter(row => row._id !== null && row._id !== undefined && row._id !== '')
+    .map(row => ({ value: String(row._id), count: row.count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+  const shown = buckets.slice(0, MAX_FACET_VALUES);
+  for (const value of selected) {
+    if (!shown.some(b => b.value === value)) {
+      shown.push(buckets.find(b => b.value === value) || { value, count: 0 });
+    }
+  }
+  return shown;
+};
+
+// Value each edition facet counts, with the editions that have one
+const EDITION_FACET_VALUES = {
+  format: { value: '$format' },
+  language: { value: '$language' },
+  decade: {
+    value: {
+      $concat: [
+        { $toString: { $subtract: [{ $year: '$publishDate' }, { $mod: [{ $year: '$publishDate' }, 10] }] } },
+        's',
+      ],
+    },
+    match: { publishDate: { $type: 'date' } },
+  },
+};
+
+/**
+ * Count works (not editions) per format, language and decade in one pass over
+ * the editions. Work conditions are checked on the edition's work through a
+ * $lookup, so the candidate works are never listed out.
+ * @param {object} filters - Current facet selections
+ * @param {object} base - Filter defining the candidate works
+ * @returns {Promise<object>} Raw { _id, count } rows per edition facet
+ */
+const countEditionFacets = async (filters, base) => {
+  // A candidate list (search hits) can be matched on the edition directly
+  const { _id: candidates, ...rest } = base;
+  const workMatch = combine(rest, buildWorkFilter(filters));
+
+  const pipeline = [];
+  if (candidates) pipeline.push({ $match: { work: candidates } });
+  if (Object.keys(workMatch).length) {
+    pipeline.push(
+      { $lookup: { from: Work.collection.name, localField: 'work', foreignField: '_id', as: 'workDoc' } },
+      { $match: nestFilter(workMatch, 'workDoc') },
+    );
+  }
+  pipeline.push(
+    { $project: { work: 1, format: 1, language: 1, publishDate: 1 } },
+    {
+      $facet: Object.fromEntries(EDITION_FACETS.map(facet => {
+        const { value, match = {} } = EDITION_FACET_VALUES[facet];
+        // Every other edition facet's selection applies; this facet's own does not
+        return [facet, [
+          { $match: combine(buildEditionFilter({ ...filters, [facet]: [] }), match) },
+          { $group: { _id: { value, work: '$work' } } },
+          { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+        ]];
+      })),
+    },
+  );
+
+  const [rows] = await Edition.aggregate(pipeline);
+  return rows;
+};
+
+/**
+ * Facet buckets with counts over a candidate set of works
+ * @param {object} filters - Current facet selections
+ * @param {object} base - Filter defining the candidate works (e.g. search hits)
+ * @returns {Promise<object>} { genre: [{ value, count }], author: [...], ... }
+ */
+export const computeFacets = async (filters, base = {}) => {
+  const facets = {};
+  // Work facets only ever clear work-level selections, so they share this
+  const editionScope = await buildEditionScope(filters);
+
+  for (const facet of FACETS.filter(f => !EDITION_FACETS.includes(f))) {
+    // Every other facet's selection applies; this facet's own does not
+    const match = combine(base, buildWorkFilter({ ...filters, [facet]: [] }), editionScope);
+    const selected = filters[facet] || [];
+
+    let rows;
+    if (facet === 'genre' || facet === 'author') {
+      const field = facet === 'genre' ? '$genres' : '$authors';
+      rows = await Work.aggregate([
+        { $match: match },
+        { $unwind: field },
+        { $group: { _id: field, count: { $sum: 1 } } },
+      ]);
+    } else {
+      rows = await Work.aggregate([
+        { $match: combine(match, { rating: { $gt: 0 } }) },
+        {
+          $group: {
+            _id: {
+              $switch: {
+                branches: RATING_BANDS.map(band => ({
+                  case: { $gte: ['$rating', band.min] },
+                  then: band.value,
+                })),
+                default: null,
+              },
+            },
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+    }
+
+    facets[facet] = toBuckets(rows, selected);
+  }
+
+  const editionRows = await countEditionFacets(filters, base);
+  for (const facet of EDITION_FACETS) {
+    facets[facet] = toBuckets(editionRows[facet], filters[facet] || []);
+  }
+
+  // Keep rating bands in their natural order rather than by count
+  facets.rating.sort((a, b) =>
+    RATING_BANDS.findIndex(band => band.value === a.value) - RATING_BANDS.findIndex(band => band.value === b.value)
+  );
+
+  return facets;
+};
+
+/**
+ * Known title/author words within a few edits of a term.
+ * Assumes the first letter was typed correctly, which keeps the scan on the index.
+ * @param {string} term - Normalized search term
+ * @returns {Promise<string[]>} Candidate corrections
+ */
+const findCorrections = async (term) => {
+  const budget = typoBudget(term);
+  if (budget === 0) return [];
+
+  const rows = await Work.aggregate([
+    { $match: { searchTokens: prefixFilter(term[0]) } },
+    { $unwind: '$searchTokens' },
+    { $match: { searchTokens: prefixFilter(term[0]) } },
+    { $group: { _id: '$searchTokens' } },
+    { $limit: MAX_TOKEN_SCAN },
+  ]);
+
+  return rows
+    .map(row => row._id)
+    .filter(token => token !== term && editDistance(term, token, budget) <= budget);
+};
+
+/**
+ * Score every work matching the terms
+ * @param {string[]} terms - Normalized, de-duplicated terms
+ * @returns {Promise<{scores: Map<string, number>, corrections: object, capped: boolean}>}
+ *   `capped` when a pass reached MAX_CANDIDATES, so more works may match
+ */
+const rankCandidates = async (terms) => {
+  const scores = new Map();
+  let capped = false;
+  const award = (hits, points) => {
+    if (hits.length >= MAX_CANDIDATES) capped = true;
+    for (const hit of hits) {
+      const id = String(hit._id);
+      scores.set(id, (scores.get(id) || 0) + (typeof points === 'function' ? points(hit) : points));
+    }
+  };
+
+  const textHits = await Work.find(
+    { $text: { $search: terms.join(' ') } },
+    { score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(MAX_CANDIDATES)
+    .lean();
+  award(textHits, hit => hit.score);
+
+  const corrections = {};
+  for (const term of terms) {
+    const prefixHits = await Work.find({ searchTokens: prefixFilter(term) })
+      .select('_id')
+      .limit(MAX_CANDIDATES)
+      .lean();
+    award(prefixHits, PREFIX_POINTS);
+
+    if (prefixHits.length > 0) continue;
+
+    const fixes = await findCorrections(term);
+    if (fixes.length === 0) continue;
+
+    corrections[term] = fixes;
+    const typoHits = await Work.find({ searchTokens: { $in: fixes } })
+      .select('_id')
+      .limit(MAX_CANDIDATES)
+      .lean();
+    award(typoHits, TYPO_POINTS);
+  }
+
+  return { scores, corrections, capped };
+};
+
+/**
+ * Wrap the matched part of every word that matches a term in <mark>.
+ * Everything else is HTML-escaped, so the result is safe to render as HTML.
+ * @param {string} text - Field value
+ * @param {string[]} terms - Normalized terms (prefixes or whole words)
+ * @returns {string} Highlighted text
+ */
+export const highlight = (text, terms) => {
+  if (!text) return text;
+  const source = String(text);
+
+  let out = '';
+  let last = 0;
+  for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = match[0];
+    const norm = normalizeText(word);
+
+    let end = 0;
+    for (const term of terms) {
+      if (norm.startsWith(term)) {
+        end = Math.max(end, Math.min(term.length, word.length));
+      } else if (norm.length >= 4 && term.startsWith(norm)) {
+        // Stemmed match: "dragons" found "dragon"
+        end = word.length;
+      }
+    }
+    if (end === 0) continue;
+
+    out += `${escapeHtml(source.slice(last, match.index))}<mark>${escapeHtml(word.slice(0, end))}</mark>`;
+    last = match.index + end;
+  }
+
+  return out + escapeHtml(source.slice(last));
+};
+
+/**
+ * A highlighted window of a long text around its first match
+ * @param {string} text - Long field value, e.g. a description
+ * @param {string[]} terms - Normalized terms
+ * @returns {string|undefined} Highlighted snippet
+ */
+export const snippet = (text, terms) => {
+  if (!text) return undefined;
+  const source = String(text);
+  const norm = normalizeText(source);
+
+  const positions = terms.map(term => norm.indexOf(term)).filter(i => i >= 0);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+
+  return `${start > 0 ? '…' : ''}${highlight(source.slice(start, end), terms)}${end < source.length ? '…' : ''}`;
+};
+
+/**
+ * Search or browse the whole catalog
+ * @param {object} options
+ * @param {string} [options.q] - Free-text query; without one, works are listed by title
+ * @param {object} [options.filters] - Facet selections, see buildScopeFilter
+ * @param {boolean} [options.withFacets=true] - Also compute facet buckets
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{results: object[], total: number, capped: boolean, corrections: object, facets: object}>}
+ *   `capped` when the query matched more works than were ranked; `total` then
+ *   counts the ranked ones only
+ */
+export const searchCatalog = async ({ q, filters = {}, withFacets = true, page = 1, limit = 20 }) => {
+  const terms = [...new Set(tokenize(q))];
+  const skip = (page - 1) * limit;
+  const scope = await buildScopeFilter(filters);
+
+  let base = {};
+  let pageIds;
+  let total;
+  let capped = false;
+  let scores = new Map();
+  let corrections = {};
+
+  if (terms.length > 0) {
+    ({ scores, corrections, capped } = await rankCandidates(terms));
+    // Aggregations don't cast, so the candidates go in as ObjectIds
+    base = { _id: { $in: [...scores.keys()].map(id => new mongoose.Types.ObjectId(id)) } };
+
+    const matching = new Set((await Work.distinct('_id', combine(base, scope))).map(String));
+    const ranked = [...scores].filter(([id]) => matching.has(id)).sort((a, b) => b[1] - a[1]);
+    total = ranked.length;
+    pageIds = ranked.slice(skip, skip + limit).map(([id]) => id);
+  } else {
+    total = await Work.countDocuments(scope);
+    pageIds = (await Work.find(scope).sort({ title: 1 }).skip(skip).limit(limit).select('_id').lean())
+      .map(work => String(work._id));
+  }
+
+  const works = await Work.find({ _id: { $in: pageIds } }).select('-__v').lean();
+  const editions = await Edition.find({ work: { $in: pageIds } }).select('-__v -legacyRefs').lean();
+
+  const markTerms = [...terms, ...Object.values(corrections).flat()];
+  const results = pageIds
+    .map(id => works.find(work => String(work._id) === id))
+    .filter(Boolean)
+    .map(work => {
+      const workEditions = editions.filter(e => String(e.work) === String(work._id));
+      const result = {
+        ...work,
+        formats: [...new Set(workEditions.map(e => e.format))],
+        editions: workEditions,
+      };
+      if (terms.length > 0) {
+        result.score = Number(scores.get(String(work._id)).toFixed(3));
+        result.highlights = {
+          title: highlight(work.title, markTerms),
+          authors: (work.authors || []).map(author => highlight(author, markTerms)),
+          description: snippet(work.description, markTerms),
+        };
+      }
+      return result;
+    });
+
+  const facets = withFacets ? await computeFacets(filters, base) : undefined;
+
+  return { results, total, capped, corrections, facets };
+};
+
+// Suggestions returned per kind
+const MAX_TITLE_SUGGESTIONS = 6;
+const MAX_AUTHOR_SUGGESTIONS = 4;
+const MAX_SERIES_SUGGESTIONS = 3;
+// Works scanned to build suggestions; the most popular matches win
+const SUGGEST_SCAN = 50;
+
+// Every term is the start of some word ("lord ri" matches "The Lord of the Rings")
+const coversTerms = (text, terms) => {
+  const words = tokenize(text);
+  return terms.every(term => words.some(word => word.startsWith(term)));
+};
+
+/**
+ * Typeahead suggestions for a partially typed query.
+ * Only the searchTokens index is used (no $text, no typo pass) to stay fast.
+ * @param {string} q - Partial query, e.g. "tolk" or "lord of the ri"
+ * @returns {Promise<object[]>} Mixed suggestions, titles first:
+ *   { type: 'title', value, workId, authors }, { type: 'author', value, count }
+ *   or { type: 'series', value, slug, count }
+ */
+export const suggest = async (q) => {
+  const terms = [...new Set(tokenize(q))];
+  if (terms.length === 0) return [];
+
+  const works = await Work.find({ $and: terms.map(term => ({ searchTokens: prefixFilter(term) })) })
+    .select('title authors rating')
+    .sort({ rating: -1 })
+    .limit(SUGGEST_SCAN)
+    .lean();
+
+  const query = normalizeText(q).trim();
+  const titles = works
+    .filter(work => coversTerms(work.title, terms))
+    // Titles that start with what was typed read most like a completion
+    .sort((a, b) => Number(normalizeText(b.title).startsWith(query)) - Number(normalizeText(a.title).startsWith(query)))
+    .slice(0, MAX_TITLE_SUGGESTIONS)
+    .map(work => ({
+      type: 'title',
+      value: work.title,
+      workId: work._id,
+      authors: work.authors,
+    }));
+
+  const authorCounts = new Map();
+  for (const work of works) {
+    for (const author of work.authors || []) {
+      if (coversTerms(author, terms)) {
+        authorCounts.set(author, (authorCounts.get(author) || 0) + 1);
+      }
+    }
+  }
+  const authors = [...authorCounts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_AUTHOR_SUGGESTIONS)
+    .map(([value, count]) => ({ type: 'author', value, count }));
+
+  const seriesMatches = await Series.find({ $and: terms.map(term => ({ nameTokens: prefixFilter(term) })) })
+    .select('name slug')
+    .sort({ name: 1 })
+    .limit(MAX_SERIES_SUGGESTIONS)
+    .lean();
+  const series = await Promise.all(seriesMatches.map(async match => ({
+    type: 'series',
+    value: match.name,
+    slug: match.slug,
+    count: await Work.countDocuments({ 'series.series': match._id }),
+  })));
+
+  return [...titles, ...authors, ...series];
+};
+
+export default {
+  FACETS,
+  RATING_BANDS,
+  buildScopeFilter,
+  computeFacets,
+  highlight,
+  snippet,
+  searchCatalog,
+  suggest,
+};
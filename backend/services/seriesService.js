@@ -0,0 +1,132 @@
+import Series from '../Model/SeriesSchema.js';
+import Work from '../Model/WorkSchema.js';
+import Edition from '../Model/EditionSchema.js';
+
+/**
+ * ============================================
+ * SERIES
+ * ============================================
+ * Reading order and "next in series" links. Membership is stored on works as
+ * { series, position }; a series is read in ascending position, with title
+ * breaking ties between works that share a position.
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// Edition fields neighbour works carry, enough to show them as cards
+const NEIGHBOUR_EDITION_FIELDS = 'work format ISBN image_link amazon_link acquisitionLinks narrator';
+
+const byReadingOrder = (a, b) => a.position - b.position || a.title.localeCompare(b.title);
+
+const entryFor = (work, seriesId) => work.series.find(entry => String(entry.series) === String(seriesId));
+
+/**
+ * Look a series up by ID or slug
+ * @param {string} key - Series ID or slug
+ * @returns {Promise<object|null>} Series document
+ */
+export const findSeries = async (key) => {
+  if (OBJECT_ID.test(key)) {
+    const series = await Series.findById(key);
+    if (series) return series;
+  }
+  return Series.findOne({ slug: key });
+};
+
+/**
+ * A series' works in reading order, with their editions and formats
+ * @param {import('mongoose').Types.ObjectId|string} seriesId - Series ID
+ * @returns {Promise<object[]>} Works, each with its `position` in this series
+ */
+export const readingOrder = async (seriesId) => {
+  const works = await Work.find({ 'series.series': seriesId }).select('-__v').lean();
+
+  const editions = await Edition.find({ work: { $in: works.map(w => w._id) } })
+    .select('-__v -legacyRefs')
+    .lean();
+
+  return works
+    .map(work => {
+      const own = editions.filter(e => String(e.work) === String(work._id));
+      return {
+        ...work,
+        position: entryFor(work, seriesId).position,
+        editions: own,
+        formats: [...new Set(own.map(e => e.format))],
+      };
+    })
+    .sort(byReadingOrder);
+};
+
+/**
+ * Where works stand in their series: for every series a work belongs to, the
+ * series, the work's position, the series length and the works before and
+ * after it in reading order (with their editions, for showing them as cards)
+ * @param {Array<import('mongoose').Types.ObjectId|string>} workIds - Works to look up
+ * @returns {Promise<Map<string, object[]>>} Links keyed by work ID; works in no series are left out
+ */
+export const seriesLinks = async (workIds) => {
+  const works = await Work.find({ _id: { $in: workIds }, 'series.0': { $exists: true } })
+    .select('series')
+    .lean();
+
+  const seriesIds = [...new Set(works.flatMap(w => w.series.map(entry => String(entry.series))))];
+  if (seriesIds.length === 0) return new Map();
+
+  const [seriesList, members] = await Promise.all([
+    Series.find({ _id: { $in: seriesIds } }).select('name slug').lean(),
+    Work.find({ 'series.series': { $in: seriesIds } }).select('title authors series').lean(),
+  ]);
+
+  const orders = new Map(seriesIds.map(id => [id, []]));
+  for (const member of members) {
+    for (const entry of member.series) {
+      orders.get(String(entry.series))?.push({
+        _id: member._id,
+        title: member.title,
+        authors: member.authors,
+        position: entry.position,
+      });
+    }
+  }
+  for (const order of orders.values()) order.sort(byReadingOrder);
+
+  const links = new Map();
+  const neighbours = [];
+  for (const work of works) {
+    const workLinks = [];
+    for (const entry of work.series) {
+      const series = seriesList.find(s => String(s._id) === String(entry.series));
+      if (!series) continue;
+
+      const order = orders.get(String(entry.series));
+      const index = order.findIndex(member => String(member._id) === String(work._id));
+      const link = {
+        series,
+        position: entry.position,
+        count: order.length,
+        previous: order[index - 1] ? { ...order[index - 1] } : null,
+        next: order[index + 1] ? { ...order[index + 1] } : null,
+      };
+      neighbours.push(link.previous, link.next);
+      workLinks.push(link);
+    }
+    links.set(String(work._id), workLinks);
+  }
+
+  const neighbourWorks = neighbours.filter(Boolean);
+  const editions = await Edition.find({ work: { $in: neighbourWorks.map(n => n._id) } })
+    .select(NEIGHBOUR_EDITION_FIELDS)
+    .lean();
+  for (const neighbour of neighbourWorks) {
+    neighbour.editions = editions.filter(e => String(e.work) === String(neighbour._id));
+  }
+
+  return links;
+};
+
+export default {
+  findSeries,
+  readingOrder,
+  seriesLinks,
+};
@@ -0,0 +1,237 @@
+import Shelf, { DEFAULT_SHELVES } from '../Model/ShelfSchema.js';
+import ShelfItem from '../Model/ShelfItemSchema.js';
+import Edition from '../Model/EditionSchema.js';
+import { getLegacyCollection } from '../Model/legacyCollections.js';
+import { isbnKey, syncLegacyRecord, toLegacyShape } from './catalogService.js';
+
+/**
+ * ============================================
+ * SHELVES
+ * ============================================
+ * Readers' personal shelves: the reading-state shelves every reader has
+ * (want to read, reading, finished) plus custom named ones. Shelf items
+ * point at catalog editions, so anything listed under books, ebooks or
+ * audiobooks can be shelved whichever list it was added from.
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// Collections items can be shelved from, by the format of their editions
+export const SHELF_COLLECTIONS = ['books', 'ebooks', 'audiobooks'];
+
+const FORMAT_COLLECTIONS = { print: 'books', ebook: 'ebooks', audiobook: 'audiobooks' };
+
+// BookCard type of each edition format
+const FORMAT_TYPES = { print: 'book', ebook: 'ebook', audiobook: 'audiobook' };
+
+const byShelfOrder = (a, b) => a.order - b.order || a.createdAt - b.createdAt;
+
+/**
+ * A reader's shelves in display order, creating the default reading-state
+ * shelves the first time
+ * @param {string} uid - Firebase uid
+ * @returns {Promise<object[]>} Shelf documents
+ */
+export const ensureShelves = async (uid) => {
+  const shelves = await Shelf.find({ uid }).select('-__v');
+  const missing = DEFAULT_SHELVES
+    .map((shelf, order) => ({ ...shelf, order }))
+    .filter(shelf => !shelves.some(s => s.status === shelf.status));
+
+  for (const shelf of missing) {
+    // Upsert, so two first requests at once don't both create the shelf
+    shelves.push(await Shelf.findOneAndUpdate(
+      { uid, status: shelf.status },
+      { $setOnInsert: { name: shelf.name, order: shelf.order } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).select('-__v'));
+  }
+
+  return shelves.sort(byShelfOrder);
+};
+
+/**
+ * The catalog edition behind an item of the books, ebooks or audiobooks
+ * lists. The ID may be a legacy record ID, an edition ID or a work ID (for
+ * search results); the ISBN, when given, picks the edition directly. Legacy
+ * records the catalog doesn't know yet are merged into it.
+ * @param {object} item
+ * @param {string} item.collection - 'books', 'ebooks' or 'audiobooks'
+ * @param {string} [item.id] - Record, edition or work ID
+ * @param {string} [item.ISBN] - ISBN of the item
+ * @returns {Promise<object|null>} Edition document, or null when not in the library
+ */
+export const resolveEdition = async ({ collection, id, ISBN }) => {
+  const entry = getLegacyCollection(collection);
+  const { format } = entry;
+
+  if (ISBN) {
+    const edition = await Edition.findOne({ ISBN: isbnKey(ISBN), format });
+    if (edition) return edition;
+  }
+  if (!id || !OBJECT_ID.test(id)) return null;
+
+  const edition = await Edition.findOne({
+    format,
+    $or: [{ _id: id }, { 'legacyRefs.id': id }, { work: id }],
+  });
+  if (edition) return edition;
+
+  const record = await entry.Model.findById(id);
+  return record ? syncLegacyRecord(entry.key, record) : null;
+};
+
+/**
+ * An edition in the record shape BookCard shows, under the main collection
+ * of its format
+ * @param {object} edition - Edition with `work` populated
+ * @returns {object} Legacy-shaped record with its BookCard `type`
+ */
+export const editionBook = (edition) => ({
+  ...toLegacyShape(edition, FORMAT_COLLECTIONS[edition.format]),
+  type: FORMAT_TYPES[edition.format],
+});
+
+/**
+ * Present a shelf item with the book it holds. `legacyIds` and `ISBN` let
+ * the frontend tell which cards it is on.
+ * @param {object} item - Shelf item with `edition` and its `work` populated
+ * @returns {object} Shelf item for the API
+ */
+export const shelfItemShape = (item) => {
+  const { edition } = item;
+  return {
+    _id: item._id,
+    shelf: item.shelf,
+    edition: edition._id,
+    work: edition.work._id,
+    format: edition.format,
+    ISBN: edition.ISBN,
+    legacyIds: edition.legacyRefs.map(ref => ref.id),
+    addedAt: item.createdAt,
+    book: editionBook(edition),
+  };
+};
+
+const ITEM_POPULATE = { path: 'edition', populate: { path: 'work' } };
+
+/**
+ * A reader's shelves with their items, newest first. Items whose edition has
+ * left the catalog are skipped.
+ * @param {string} uid - Firebase uid
+ * @returns {Promise<object[]>} Shelves, each with `items`
+ */
+export const listShelves = async (uid) => {
+  const shelves = await ensureShelves(uid);
+  const items = await ShelfItem.find({ uid })
+    .sort({ createdAt: -1 })
+    .populate(ITEM_POPULATE);
+
+  return shelves.map(shelf => ({
+    ...shelf.toObject(),
+    items: items
+      .filter(item => String(item.shelf) === String(shelf._id) && item.edition?.work)
+      .map(shelfItemShape),
+  }));
+};
+
+/**
+ * Put an edition on a shelf. On a reading-state shelf this moves the edition
+ * off the reader's other reading-state shelves; custom shelves leave them be.
+ * Shelving an edition that is already there keeps the existing item.
+ * @param {object} shelf - Shelf document
+ * @param {object} edition - Edition document
+ * @returns {Promise<object>} The shelf item, shaped for the API
+ */
+export const placeOnShelf = async (shelf, edition) => {
+  if (shelf.status) {
+    const otherStates = await Shelf.find({
+      uid: shelf.uid,
+      status: { $type: 'string' },
+      _id: { $ne: shelf._id },
+    }).distinct('_id');
+    await ShelfItem.deleteMany({ shelf: { $in: otherStates }, edition: edition._id });
+  }
+
+  const item = await ShelfItem.findOneAndUpdate(
+    { shelf: shelf._id, edition: edition._id },
+    { $setOnInsert: { uid: shelf.uid, work: edition.work } },
+    { upsert: true, new: true }
+  ).populate(ITEM_POPULATE);
+
+  return shelfItemShape(item);
+};
+
+/**
+ * Put an edition on the reader's shelf for a reading state, moving it off
+ * the other reading-state shelves
+ * @param {string} uid - Firebase uid
+ * @param {string} status - 'want-to-read', 'reading' or 'finished'
+ * @param {object} edition - Edition document
+ * @returns {Promise<object>} The shelf item, shaped for the API
+ */
+export const shelveByStatus = async (uid, status, edition) => {
+  const shelf = (await ensureShelves(uid)).find(s => s.status === status);
+  return placeOnShelf(shelf, edition);
+};
+
+/**
+ * Move shelf items from editions leaving the catalog to the edition that
+ * replaces them, e.g. when duplicate records are merged. Where a reader
+ * already has the new edition on that shelf (or, for a reading-state shelf,
+ * on any reading-state shelf), the old item is dropped instead.
+ * @param {Array<object|string>} editionIds - Editions the items are on now
+ * @param {object} edition - Edition document they move to
+ * @returns {Promise<number>} Items moved
+ */
+export const repointShelfItems = async (editionIds, edition) => {
+  const items = await ShelfItem.find({ edition: { $in: editionIds } });
+  if (items.length === 0) return 0;
+
+  const stateShelves = new Set((await Shelf.find({
+    uid: { $in: [...new Set(items.map(item => item.uid))] },
+    status: { $type: 'string' },
+  }).distinct('_id')).map(String));
+
+  let moved = 0;
+  for (const item of items) {
+    const onStateShelf = stateShelves.has(String(item.shelf));
+    const clash = await ShelfItem.exists({
+      uid: item.uid,
+      edition: edition._id,
+      shelf: onStateShelf ? { $in: [...stateShelves] } : item.shelf,
+    });
+    if (clash) {
+      await item.deleteOne();
+      continue;
+    }
+    item.edition = edition._id;
+    item.work = edition.work;
+    await item.save();
+    moved++;
+  }
+  return moved;
+};
+
+/**
+ * Remove every shelf and shelf item of a reader
+ * @param {string} uid - Firebase uid
+ * @returns {Promise<number>} Shelves removed
+ */
+export const removeShelves = async (uid) => {
+  await ShelfItem.deleteMany({ uid });
+  const { deletedCount } = await Shelf.deleteMany({ uid });
+  return deletedCount;
+};
+
+export default {
+  ensureShelves,
+  resolveEdition,
+  editionBook,
+  shelfItemShape,
+  listShelves,
+  placeOnShelf,
+  shelveByStatus,
+  repointShelfItems,
+  removeShelves,
+};
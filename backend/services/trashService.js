@@ -0,0 +1,163 @@
+import { LEGACY_COLLECTIONS, getLegacyCollection } from '../Model/legacyCollections.js';
+import { TRASHED } from '../Model/plugins/softDelete.js';
+import {
+  syncLegacyRecord,
+  unlinkLegacyRecord,
+  unlinkLegacyCollection,
+  mirrorToCatalog,
+} from './catalogService.js';
+
+/**
+ * ============================================
+ * TRASH
+ * ============================================
+ * Deleting a book record moves it to the trash (deletedAt/deletedBy set) and
+ * takes it out of the catalog. It can be restored until the retention period
+ * (TRASH_RETENTION_DAYS, default 30) has passed, after which it is purged.
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+export const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+};
+
+// When a record deleted at `deletedAt` will be purged
+const purgeDate = (deletedAt) => new Date(deletedAt.getTime() + getRetentionDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Move one record to the trash
+ * @param {string} collectionKey - Legacy collection, e.g. 'books'
+ * @param {string} id - Record ID
+ * @param {string} actor - Who deleted it
+ * @returns {Promise<object|null>} The record as it was before, or null if there was no live record
+ */
+export const trashRecord = async (collectionKey, id, actor) => {
+  const { Model } = getLegacyCollection(collectionKey);
+  const record = await Model.findOneAndUpdate(
+    { _id: id },
+    { $set: { deletedAt: new Date(), deletedBy: actor || null } }
+  );
+  if (record) {
+    await mirrorToCatalog(collectionKey, () => unlinkLegacyRecord(collectionKey, record));
+  }
+  return record;
+};
+
+/**
+ * Move several records of a collection to the trash
+ * @param {string} collectionKey - Legacy collection
+ * @param {object} filter - Records to trash ({} for the whole collection)
+ * @param {string} actor - Who deleted them
+ * @returns {Promise<number>} Number of records trashed
+ */
+export const trashRecords = async (collectionKey, filter, actor) => {
+  const { Model } = getLegacyCollection(collectionKey);
+  const records = await Model.find(filter);
+  const result = await Model.trash({ _id: { $in: records.map(r => r._id) } }, actor);
+
+  if (Object.keys(filter).length === 0) {
+    await mirrorToCatalog(collectionKey, () => unlinkLegacyCollection(collectionKey));
+  } else {
+    for (const record of records) {
+      await mirrorToCatalog(collectionKey, () => unlinkLegacyRecord(collectionKey, record));
+    }
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Take a record out of the trash and put it back in the catalog
+ * @param {string} collectionKey - Legacy collection
+ * @param {string} id - Record ID
+ * @returns {Promise<object|null>} The restored record, or null if it is not in the trash
+ */
+export const restoreRecord = async (collectionKey, id) => {
+  const { Model } = getLegacyCollection(collectionKey);
+  const record = await Model.findOneAndUpdate(
+    { _id: id, ...TRASHED },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { new: true }
+  );
+  if (record) {
+    await mirrorToCatalog(collectionKey, () => syncLegacyRecord(collectionKey, record));
+  }
+  return record;
+};
+
+/**
+ * Permanently delete a trashed record
+ * @param {string} collectionKey - Legacy collection
+ * @param {string} id - Record ID
+ * @returns {Promise<object|null>} The deleted record, or null if it is not in the trash
+ */
+export const purgeRecord = async (collectionKey, id) => {
+  const { Model } = getLegacyCollection(collectionKey);
+  return Model.findOneAndDelete({ _id: id, ...TRASHED });
+};
+
+/**
+ * Trashed records across collections, most recently deleted first
+ * @param {object} options
+ * @param {string} [options.collection] - Only this collection
+ * @param {number} [options.limit=200] - Records per collection
+ * @returns {Promise<object[]>} Records with `collection` and `purgeAt` added
+ */
+export const listTrash = async ({ collection, limit = 200 } = {}) => {
+  const collections = collection ? [getLegacyCollection(collection)] : LEGACY_COLLECTIONS;
+
+  const lists = await Promise.all(collections.map(async ({ key, Model }) => {
+    const records = await Model.find(TRASHED).sort({ deletedAt: -1 }).limit(limit).select('-__v').lean();
+    return records.map(record => ({ ...record, collection: key, purgeAt: purgeDate(record.deletedAt) }));
+  }));
+
+  return lists.flat().sort((a, b) => b.deletedAt - a.deletedAt);
+};
+
+/**
+ * Permanently delete records that have been in the trash longer than the retention period
+ * @returns {Promise<object>} Purged count per collection
+ */
+export const purgeExpired = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const purged = {};
+
+  for (const { key, Model } of LEGACY_COLLECTIONS) {
+    const result = await Model.deleteMany({ deletedAt: { $ne: null, $lte: cutoff } });
+    if (result.deletedCount > 0) purged[key] = result.deletedCount;
+  }
+
+  return purged;
+};
+
+/**
+ * Purge expired trash now and then once a day
+ * @returns {NodeJS.Timeout} Interval handle (unref'd, so it never keeps the process alive)
+ */
+export const scheduleTrashPurge = () => {
+  const run = async () => {
+    try {
+      const purged = await purgeExpired();
+      if (Object.keys(purged).length > 0) {
+        console.log('Purged expired trash:', purged);
+      }
+    } catch (error) {
+      console.error('Trash purge failed:', error.message);
+    }
+  };
+
+  run();
+  return setInterval(run, 24 * 60 * 60 * 1000).unref();
+};
+
+export default {
+  getRetentionDays,
+  trashRecord,
+  trashRecords,
+  restoreRecord,
+  purgeRecord,
+  listTrash,
+  purgeExpired,
+  scheduleTrashPurge,
+};
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+/**
+ * Short-lived confirmation tokens for destructive operations
+ *
+ * A token is bound to one action (e.g. "delete-all:fiction") and expires after
+ * a few minutes, so a destructive request has to be made twice on purpose:
+ * once to obtain the token and once to present it. Tokens are signed with
+ * CONFIRM_TOKEN_SECRET, or with a per-process key when that is not set.
+ */
+
+const TOKEN_TTL_MS = 5 * 60 * 1000;
+
+const fallbackSecret = crypto.randomBytes(32);
+
+const sign = (payload) =>
+  crypto
+    .createHmac('sha256', process.env.CONFIRM_TOKEN_SECRET || fallbackSecret)
+    .update(payload)
+    .digest('base64url');
+
+/**
+ * Issue a token for an action
+ * @param {string} action - What the token allows, e.g. "delete-all:fiction"
+ * @returns {{token: string, expiresAt: Date}}
+ */
+export const issueConfirmToken = (action) => {
+  const expires = Date.now() + TOKEN_TTL_MS;
+  const payload = `${action}:${expires}`;
+  return {
+    token: `${expires}.${sign(payload)}`,
+    expiresAt: new Date(expires),
+  };
+};
+
+/**
+ * Check a token presented for an action
+ * @param {string} token - Token from issueConfirmToken
+ * @param {string} action - The action being confirmed
+ * @returns {boolean} True if the token is valid, unexpired and for this action
+ */
+export const verifyConfirmToken = (token, action) => {
+  const [expires, signature] = String(token || '').split('.');
+  if (!expires || !signature || Number(expires) < Date.now()) return false;
+
+  const expected = Buffer.from(sign(`${action}:${expires}`));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+export default {
+  issueConfirmToken,
+  verifyConfirmToken,
+};
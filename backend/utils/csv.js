@@ -0,0 +1,119 @@
+/**
+ * CSV utilities
+ * RFC 4180 parsing and writing: comma-separated fields, double-quoted fields
+ * may contain commas, line breaks and doubled quotes ("").
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content; a leading byte order mark is ignored
+ * @returns {string[][]} Rows, without blank lines
+ * @throws {Error} When a quoted field is not closed
+ */
+export const parseCsv = (text) => {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV text whose first row names the columns
+ * @param {string} text - CSV content
+ * @returns {{columns: string[], records: object[]}} Records keyed by column name
+ */
+export const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(c => c.trim());
+  const records = rows.map(row =>
+    Object.fromEntries(columns.map((column, index) => [column, row[index] ?? '']))
+  );
+  return { columns, records };
+};
+
+/**
+ * Quote a value for CSV output when it needs it
+ * @param {*} value - Arrays are joined with ", ", dates written as ISO strings
+ * @returns {string}
+ */
+export const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (Array.isArray(value)) text = value.join(', ');
+  else if (value instanceof Date) text = value.toISOString();
+  else text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line (without line break)
+ * @param {Array} values - Field values
+ * @returns {string}
+ */
+export const csvLine = (values) => values.map(csvField).join(',');
+
+/**
+ * Write records as CSV with a header row
+ * @param {object[]} records - Records to write
+ * @param {string[]} columns - Keys to write, in order
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const toCsv = (records, columns) =>
+  [csvLine(columns), ...records.map(record => csvLine(columns.map(c => record[c])))]
+    .join('\r\n') + '\r\n';
+
+export default {
+  parseCsv,
+  parseCsvRecords,
+  csvField,
+  csvLine,
+  toCsv,
+};
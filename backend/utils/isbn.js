@@ -0,0 +1,113 @@
+/**
+ * ISBN utilities
+ * Validation of ISBN-10 / ISBN-13 check digits and conversion between the two.
+ * The catalog stores every ISBN in its canonical form: 13 digits, no hyphens.
+ */
+
+/**
+ * Strip hyphens and whitespace and upper-case a trailing 'x'
+ * @param {string} value - ISBN as entered, e.g. "0-261-10221-x"
+ * @returns {string} Bare ISBN characters, e.g. "026110221X"
+ */
+export const cleanIsbn = (value) => String(value ?? '').replace(/[-\s]/g, '').toUpperCase();
+
+// Check digit for the first nine digits of an ISBN-10 ('X' stands for 10)
+const isbn10CheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += (10 - i) * Number(digits[i]);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+};
+
+// Check digit for the first twelve digits of an ISBN-13
+const isbn13CheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * @param {string} value - ISBN in any formatting
+ * @returns {boolean} True if value is an ISBN-10 with a correct check digit
+ */
+export const isValidIsbn10 = (value) => {
+  const isbn = cleanIsbn(value);
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn) === isbn[9];
+};
+
+/**
+ * @param {string} value - ISBN in any formatting
+ * @returns {boolean} True if value is an ISBN-13 (978/979 prefix) with a correct check digit
+ */
+export const isValidIsbn13 = (value) => {
+  const isbn = cleanIsbn(value);
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn) === isbn[12];
+};
+
+/**
+ * @param {string} value - ISBN in any formatting
+ * @returns {boolean} True if value is a valid ISBN-10 or ISBN-13
+ */
+export const isValidIsbn = (value) => isValidIsbn10(value) || isValidIsbn13(value);
+
+/**
+ * Convert a valid ISBN-10 to ISBN-13 (978 prefix)
+ * @param {string} value - ISBN-10
+ * @returns {string|null} ISBN-13, or null if value is not a valid ISBN-10
+ */
+export const isbn10To13 = (value) => {
+  if (!isValidIsbn10(value)) return null;
+  const stem = `978${cleanIsbn(value).slice(0, 9)}`;
+  return stem + isbn13CheckDigit(stem);
+};
+
+/**
+ * Convert a valid ISBN-13 to ISBN-10. Only 978-prefixed ISBNs have an ISBN-10 form.
+ * @param {string} value - ISBN-13
+ * @returns {string|null} ISBN-10, or null if there is no equivalent
+ */
+export const isbn13To10 = (value) => {
+  if (!isValidIsbn13(value)) return null;
+  const isbn = cleanIsbn(value);
+  if (!isbn.startsWith('978')) return null;
+  const stem = isbn.slice(3, 12);
+  return stem + isbn10CheckDigit(stem);
+};
+
+/**
+ * Canonical storage form of an ISBN
+ * @param {string} value - ISBN-10 or ISBN-13 in any formatting
+ * @returns {string|null} 13-digit ISBN without hyphens, or null if invalid
+ */
+export const toCanonicalIsbn = (value) => {
+  if (isValidIsbn13(value)) return cleanIsbn(value);
+  return isbn10To13(value);
+};
+
+/**
+ * Every bare form an ISBN may have been stored under (ISBN-13 and, where one
+ * exists, ISBN-10). Useful for matching records saved before normalization.
+ * @param {string} value - Valid ISBN in any formatting
+ * @returns {string[]} Equivalent bare ISBNs
+ */
+export const isbnVariants = (value) => {
+  const isbn13 = toCanonicalIsbn(value);
+  if (!isbn13) return [cleanIsbn(value)];
+  const isbn10 = isbn13To10(isbn13);
+  return isbn10 ? [isbn13, isbn10] : [isbn13];
+};
+
+export default {
+  cleanIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isValidIsbn,
+  isbn10To13,
+  isbn13To10,
+  toCanonicalIsbn,
+  isbnVariants,
+};
@@ -0,0 +1,59 @@
+/**
+ * Language names and MARC/ONIX language codes (ISO 639-2/B)
+ * Book records store the language's English name, e.g. 'English'; MARC21 and
+ * ONIX exchange the three-letter code, e.g. 'eng'.
+ */
+
+const LANGUAGE_CODES = {
+  ara: 'Arabic',
+  chi: 'Chinese',
+  cze: 'Czech',
+  dan: 'Danish',
+  dut: 'Dutch',
+  eng: 'English',
+  fin: 'Finnish',
+  fre: 'French',
+  ger: 'German',
+  gre: 'Greek',
+  heb: 'Hebrew',
+  hin: 'Hindi',
+  hun: 'Hungarian',
+  ita: 'Italian',
+  jpn: 'Japanese',
+  kor: 'Korean',
+  nor: 'Norwegian',
+  pol: 'Polish',
+  por: 'Portuguese',
+  rus: 'Russian',
+  spa: 'Spanish',
+  swe: 'Swedish',
+  tur: 'Turkish',
+  ukr: 'Ukrainian',
+};
+
+/**
+ * @param {string} code - Three-letter code, e.g. 'fre'
+ * @returns {string|null} Language name, the code itself when unknown, or null when empty
+ */
+export const languageName = (code) => {
+  const key = String(code ?? '').trim().toLowerCase();
+  if (!key) return null;
+  return LANGUAGE_CODES[key] || key;
+};
+
+/**
+ * @param {string} name - Language name, e.g. 'French' (a three-letter code is passed through)
+ * @returns {string|null} Three-letter code, or null when unknown
+ */
+export const languageCode = (name) => {
+  const value = String(name ?? '').trim().toLowerCase();
+  if (!value) return null;
+  if (LANGUAGE_CODES[value]) return value;
+  const entry = Object.entries(LANGUAGE_CODES).find(([, n]) => n.toLowerCase() === value);
+  return entry ? entry[0] : null;
+};
+
+export default {
+  languageName,
+  languageCode,
+};
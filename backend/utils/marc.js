@@ -0,0 +1,357 @@
+import { parseXml, childElements, xmlElement } from './xml.js';
+import { languageName, languageCode } from './languages.js';
+import { toCanonicalIsbn } from './isbn.js';
+
+/**
+ * MARC21 bibliographic records
+ * Reads and writes ISO 2709 ("binary" .mrc) and MARCXML, and maps records to
+ * and from the fields of the book collections.
+ *
+ * A record is { leader, fields }, where a control field (001-009) is
+ * { tag, value } and a data field is { tag, ind1, ind2, subfields: [{ code, value }] }.
+ * Binary records are read and written as UTF-8 (leader/09 = 'a').
+ */
+
+const SUBFIELD_DELIMITER = 0x1f;
+const FIELD_TERMINATOR = 0x1e;
+const RECORD_TERMINATOR = 0x1d;
+
+export const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+const isControlTag = (tag) => tag < '010';
+
+/**
+ * Read ISO 2709 records
+ * @param {Buffer} buffer - File content
+ * @returns {object[]} Records
+ * @throws {Error} When a record's leader or directory is malformed
+ */
+export const parseMarc = (buffer) => {
+  const records = [];
+  let start = 0;
+
+  while (start < buffer.length) {
+    // Line breaks between records are common in files passed around by hand
+    while ([0x0a, 0x0d, 0x20].includes(buffer[start])) start++;
+    if (start >= buffer.length) break;
+
+    let end = buffer.indexOf(RECORD_TERMINATOR, start);
+    if (end === -1) end = buffer.length;
+    const chunk = buffer.subarray(start, end);
+    start = end + 1;
+
+    const number = records.length + 1;
+    const leader = chunk.subarray(0, 24).toString('latin1');
+    const baseAddress = parseInt(leader.slice(12, 17), 10);
+    if (leader.length < 24 || Number.isNaN(baseAddress) || baseAddress > chunk.length) {
+      throw new Error(`Record ${number}: invalid leader`);
+    }
+
+    const directory = chunk.subarray(24, baseAddress - 1).toString('latin1');
+    if (directory.length % 12 !== 0) {
+      throw new Error(`Record ${number}: invalid directory`);
+    }
+
+    const fields = [];
+    for (let i = 0; i < directory.length; i += 12) {
+      const tag = directory.slice(i, i + 3);
+      const length = parseInt(directory.slice(i + 3, i + 7), 10);
+      const offset = parseInt(directory.slice(i + 7, i + 12), 10);
+      if (Number.isNaN(length) || Number.isNaN(offset)) {
+        throw new Error(`Record ${number}: invalid directory entry for ${tag}`);
+      }
+
+      let data = chunk.subarray(baseAddress + offset, baseAddress + offset + length);
+      if (data[data.length - 1] === FIELD_TERMINATOR) data = data.subarray(0, -1);
+
+      if (isControlTag(tag)) {
+        fields.push({ tag, value: data.toString('utf8') });
+        continue;
+      }
+
+      const [indicators, ...parts] = data.toString('utf8').split(String.fromCharCode(SUBFIELD_DELIMITER));
+      fields.push({
+        tag,
+        ind1: indicators[0] || ' ',
+        ind2: indicators[1] || ' ',
+        subfields: parts.filter(p => p.length > 0).map(p => ({ code: p[0], value: p.slice(1) })),
+      });
+    }
+
+    records.push({ leader, fields });
+  }
+
+  return records;
+};
+
+/**
+ * Write one record in ISO 2709
+ * @param {object} record
+ * @returns {Buffer}
+ */
+export const serializeMarcRecord = ({ leader, fields }) => {
+  const data = fields.map(field => {
+    const content = isControlTag(field.tag)
+      ? field.value
+      : `${field.ind1}${field.ind2}` + field.subfields
+        .map(s => String.fromCharCode(SUBFIELD_DELIMITER) + s.code + s.value)
+        .join('');
+    return Buffer.concat([Buffer.from(content, 'utf8'), Buffer.from([FIELD_TERMINATOR])]);
+  });
+
+  let offset = 0;
+  const directory = fields.map((field, i) => {
+    const entry = field.tag + String(data[i].length).padStart(4, '0') + String(offset).padStart(5, '0');
+    offset += data[i].length;
+    return entry;
+  }).join('');
+
+  const baseAddress = 24 + directory.length + 1;
+  const recordLength = baseAddress + offset + 1;
+  const fullLeader = String(recordLength).padStart(5, '0') +
+    leader.slice(5, 9) + 'a22' +
+    String(baseAddress).padStart(5, '0') +
+    leader.slice(17, 20) + '4500';
+
+  return Buffer.concat([
+    Buffer.from(fullLeader + directory, 'latin1'),
+    Buffer.from([FIELD_TERMINATOR]),
+    ...data,
+    Buffer.from([RECORD_TERMINATOR]),
+  ]);
+};
+
+/**
+ * Read MARCXML: a <collection> of <record>s, or a single <record>
+ * @param {string} text - XML document
+ * @returns {object[]} Records
+ */
+export const parseMarcXml = (text) => {
+  const root = parseXml(text);
+  const recordElements = root.name === 'record' ? [root] : childElements(root, 'record');
+
+  return recordElements.map(element => {
+    const fields = [];
+    for (const child of element.children) {
+      if (child.name === 'controlfield') {
+        fields.push({ tag: child.attributes.tag, value: child.text });
+      } else if (child.name === 'datafield') {
+        fields.push({
+          tag: child.attributes.tag,
+          ind1: child.attributes.ind1 || ' ',
+          ind2: child.attributes.ind2 || ' ',
+          subfields: childElements(child, 'subfield').map(s => ({ code: s.attributes.code, value: s.text })),
+        });
+      }
+    }
+    return { leader: (childElements(element, 'leader')[0]?.text || '').padEnd(24, ' '), fields };
+  });
+};
+
+/**
+ * Write one record as a MARCXML <record> element
+ * @param {object} record
+ * @returns {string}
+ */
+export const serializeMarcXmlRecord = ({ leader, fields }) =>
+  xmlElement('record', [
+    xmlElement('leader', leader),
+    ...fields.map(field => isControlTag(field.tag)
+      ? xmlElement('controlfield', field.value, { tag: field.tag })
+      : xmlElement(
+        'datafield',
+        field.subfields.map(s => xmlElement('subfield', s.value, { code: s.code })),
+        { tag: field.tag, ind1: field.ind1, ind2: field.ind2 }
+      )),
+  ]);
+
+export const MARCXML_HEADER = `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NAMESPACE}">\n`;
+export const MARCXML_FOOTER = '</collection>\n';
+
+/* ---------- Mapping to and from book records ---------- */
+
+// Drop the ISBD punctuation that ends MARC subfields, e.g. "The hobbit /"
+const trimPunctuation = (value) => String(value ?? '').replace(/\s*[/:;,=]\s*$/, '').replace(/([^.A-Z])\.$/, '$1').trim();
+
+const subfield = (field, code) => field.subfields.find(s => s.code === code)?.value;
+
+// "Tolkien, J. R. R." -> "J. R. R. Tolkien"
+const naturalName = (name) => {
+  const [surname, ...rest] = trimPunctuation(name).split(/,\s*/);
+  return rest.length > 0 ? `${rest.join(' ')} ${surname}` : surname;
+};
+
+// "J. R. R. Tolkien" -> "Tolkien, J. R. R."
+const invertedName = (name) => {
+  const parts = name.trim().split(/\s+/);
+  return parts.length > 1 ? `${parts.pop()}, ${parts.join(' ')}` : name.trim();
+};
+
+/**
+ * Book fields described by a MARC record
+ * @param {object} record
+ * @returns {{book: object, format: string}} Fields named as in the book collections,
+ *   and the edition format (print, ebook or audiobook) the record describes
+ */
+export const marcToBook = (record) => {
+  const control = (tag) => record.fields.find(f => f.tag === tag && f.value !== undefined)?.value || '';
+  const dataFields = (tag) => record.fields.filter(f => f.tag === tag && f.subfields);
+  const first = (tag) => dataFields(tag)[0];
+  const book = {};
+
+  const isbns = dataFields('020').map(f => subfield(f, 'a')).filter(Boolean).map(v => v.split(/\s+/)[0]);
+  book.ISBN = isbns.find(isbn => toCanonicalIsbn(isbn)) || isbns[0];
+
+  const price = dataFields('020').map(f => subfield(f, 'c')).find(Boolean);
+  if (price && !Number.isNaN(parseFloat(price.replace(/[^\d.]/g, '')))) {
+    book.price = parseFloat(price.replace(/[^\d.]/g, ''));
+  }
+
+  const title = first('245');
+  if (title) {
+    book.name = [subfield(title, 'a'), subfield(title, 'b')]
+      .filter(Boolean)
+      .map(trimPunctuation)
+      .join(': ');
+  }
+
+  const authors = [];
+  const main = first('100');
+  if (main && subfield(main, 'a')) authors.push(naturalName(subfield(main, 'a')));
+  for (const field of dataFields('700')) {
+    const name = subfield(field, 'a');
+    if (!name) continue;
+    const role = `${subfield(field, 'e') || ''} ${subfield(field, '4') || ''}`.toLowerCase();
+    if (/narrator|nrt/.test(role)) {
+      book.narrator = book.narrator ? `${book.narrator}, ${naturalName(name)}` : naturalName(name);
+    } else {
+      authors.push(naturalName(name));
+    }
+  }
+  if (authors.length > 0) book.author = authors.join(', ');
+
+  const publication = first('264') || first('260');
+  if (publication) {
+    if (subfield(publication, 'b')) book.publisher = trimPunctuation(subfield(publication, 'b'));
+    const year = (subfield(publication, 'c') || '').match(/\d{4}/);
+    if (year) book.publishDate = year[0];
+  }
+  const fixed = control('008');
+  if (!book.publishDate && /^\d{4}$/.test(fixed.slice(7, 11))) {
+    book.publishDate = fixed.slice(7, 11);
+  }
+
+  const extent = first('300');
+  const pages = (extent && subfield(extent, 'a') || '').match(/(\d+)\s*(?:p\b|pages)/);
+  if (pages) book.pages = parseInt(pages[1], 10);
+
+  const summary = first('520');
+  if (summary && subfield(summary, 'a')) book.description = subfield(summary, 'a');
+
+  const genre = first('655');
+  if (genre && subfield(genre, 'a')) book.genre = trimPunctuation(subfield(genre, 'a'));
+
+  const subjects = dataFields('650').map(f => subfield(f, 'a')).filter(Boolean).map(trimPunctuation);
+  if (subjects.length > 0) book.tags = subjects;
+
+  const language = languageName((first('041') && subfield(first('041'), 'a')) || fixed.slice(35, 38).trim());
+  if (language && language !== 'und') book.language = language;
+
+  for (const field of dataFields('856')) {
+    const url = subfield(field, 'u');
+    if (!url) continue;
+    const label = `${subfield(field, '3') || ''} ${subfield(field, 'y') || ''} ${subfield(field, 'z') || ''}`;
+    if (/cover/i.test(label)) {
+      book.image_link = book.image_link || url;
+    } else {
+      book.amazon_link = book.amazon_link || url;
+    }
+  }
+
+  let format = 'print';
+  if (record.leader[6] === 'i') {
+    format = 'audiobook';
+  } else if (['o', 's'].includes(fixed[23]) || control('007').startsWith('cr')) {
+    format = 'ebook';
+  }
+
+  return { book, format };
+};
+
+// yymmdd, as used in 008/00-05
+const marcDate = (date) => new Date(date || Date.now()).toISOString().slice(2, 10).replace(/-/g, '');
+
+/**
+ * MARC record describing a book record
+ * @param {object} book - Record of a book collection
+ * @param {string} format - Edition format: print, ebook or audiobook
+ * @returns {object} MARC record
+ */
+export const bookToMarc = (book, format = 'print') => {
+  const fields = [];
+  const dataField = (tag, ind1, ind2, subfields) => {
+    const present = subfields.filter(([, value]) => value !== undefined && value !== null && value !== '');
+    if (present.length > 0) {
+      fields.push({ tag, ind1, ind2, subfields: present.map(([code, value]) => ({ code, value: String(value) })) });
+    }
+  };
+
+  const year = book.publishDate ? String(new Date(book.publishDate).getUTCFullYear()) : '';
+  const language = languageCode(book.language) || 'und';
+
+  fields.push({ tag: '001', value: String(book._id) });
+  if (book.updatedAt) {
+    fields.push({ tag: '005', value: new Date(book.updatedAt).toISOString().replace(/[-:T]/g, '').slice(0, 14) + '.0' });
+  }
+  if (format === 'ebook') {
+    fields.push({ tag: '007', value: 'cr' });
+  }
+  fields.push({
+    tag: '008',
+    value: marcDate(book.createdAt) + (year ? 's' : 'n') + (year || '    ') + '    ' + 'xx ' +
+      '|||||' + (format === 'ebook' ? 'o' : ' ') + '|'.repeat(11) + language + ' d',
+  });
+
+  dataField('020', ' ', ' ', [['a', book.ISBN], ['c', book.price !== undefined && book.price !== null ? book.price.toFixed(2) : null]]);
+
+  const authors = String(book.author || '').split(/\s*(?:,|&)\s*/).filter(Boolean);
+  const [mainAuthor, ...otherAuthors] = authors;
+  if (mainAuthor) dataField('100', '1', ' ', [['a', invertedName(mainAuthor)], ['e', 'author']]);
+
+  dataField('245', mainAuthor ? '1' : '0', '0', [['a', book.name]]);
+  dataField('264', ' ', '1', [['b', book.publisher], ['c', year]]);
+  if (book.pages) dataField('300', ' ', ' ', [['a', `${book.pages} pages`]]);
+  dataField('520', ' ', ' ', [['a', book.description]]);
+
+  for (const tag of book.tags || []) {
+    dataField('650', ' ', '4', [['a', tag]]);
+  }
+  if (book.genre && book.genre !== 'Other') {
+    dataField('655', ' ', '4', [['a', book.genre]]);
+  }
+
+  for (const author of otherAuthors) {
+    dataField('700', '1', ' ', [['a', invertedName(author)], ['e', 'author']]);
+  }
+  for (const narrator of String(book.narrator || '').split(/\s*(?:,|&)\s*/).filter(Boolean)) {
+    dataField('700', '1', ' ', [['a', invertedName(narrator)], ['e', 'narrator'], ['4', 'nrt']]);
+  }
+
+  if (book.image_link) dataField('856', '4', '2', [['3', 'Cover image'], ['u', book.image_link]]);
+  if (book.amazon_link) dataField('856', '4', ' ', [['u', book.amazon_link], ['z', 'Buy online']]);
+
+  const type = format === 'audiobook' ? 'i' : 'a';
+  return { leader: `00000n${type}m a2200000 i 4500`, fields };
+};
+
+export default {
+  MARCXML_NAMESPACE,
+  MARCXML_HEADER,
+  MARCXML_FOOTER,
+  parseMarc,
+  serializeMarcRecord,
+  parseMarcXml,
+  serializeMarcXmlRecord,
+  marcToBook,
+  bookToMarc,
+};
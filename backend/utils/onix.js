@@ -0,0 +1,285 @@
+import { parseXml, childElements, childText, xmlElement } from './xml.js';
+import { languageName, languageCode } from './languages.js';
+
+/**
+ * ONIX for Books 3.0 product records
+ * Reads and writes reference-tag ONIX 3.0 messages and maps <Product>s to and
+ * from the fields of the book collections. Only the blocks the catalog has
+ * data for are written: identifiers, descriptive detail, collateral detail,
+ * publishing detail and a single supply detail.
+ */
+
+export const ONIX_NAMESPACE = 'http://ns.editeur.org/onix/3.0/reference';
+export const ONIX_SENDER = 'EasyReads';
+
+// Prices are stored without a currency
+const CURRENCY = 'USD';
+
+// Product form (code list 150) written for each edition format
+const PRODUCT_FORMS = { print: 'BA', ebook: 'ED', audiobook: 'AJ' };
+
+/**
+ * Read the products of an ONIX 3.0 message
+ * @param {string} text - XML document
+ * @returns {object[]} Parsed <Product> elements
+ * @throws {Error} When the document is not a reference-tag ONIX 3.0 message
+ */
+export const parseOnix = (text) => {
+  const root = parseXml(text);
+  if (root.name === 'ONIXmessage') {
+    throw new Error('Short-tag ONIX is not supported; send a reference-tag message');
+  }
+  if (root.name === 'Product') return [root];
+  if (root.name !== 'ONIXMessage') {
+    throw new Error(`Expected an ONIXMessage, found <${root.name}>`);
+  }
+  if (root.attributes.release && !root.attributes.release.startsWith('3')) {
+    throw new Error(`ONIX release ${root.attributes.release} is not supported; use 3.0`);
+  }
+  return childElements(root, 'Product');
+};
+
+// First child element whose `codeElement` holds one of `codes` (in order of preference)
+const findCoded = (elements, codeElement, codes) => {
+  for (const code of codes) {
+    const match = elements.find(e => childText(e, codeElement) === code);
+    if (match) return match;
+  }
+  return null;
+};
+
+const contributorName = (contributor) => {
+  const name = childText(contributor, 'PersonName') || childText(contributor, 'CorporateName');
+  if (name) return name;
+  const key = childText(contributor, 'KeyNames');
+  if (key) return [childText(contributor, 'NamesBeforeKey'), key].filter(Boolean).join(' ');
+  const inverted = childText(contributor, 'PersonNameInverted');
+  if (!inverted) return null;
+  const [surname, ...rest] = inverted.split(/,\s*/);
+  return rest.length > 0 ? `${rest.join(' ')} ${surname}` : surname;
+};
+
+// ONIX dates default to YYYYMMDD; YYYY and YYYYMM are common too
+const onixDate = (value) => {
+  const match = String(value || '').match(/^(\d{4})(\d{2})?(\d{2})?/);
+  if (!match) return null;
+  return [match[1], match[2] || '01', match[3] || '01'].join('-');
+};
+
+/**
+ * Book fields described by an ONIX product
+ * @param {object} product - Parsed <Product> element
+ * @returns {{book: object, format: string}} Fields named as in the book collections,
+ *   and the edition format (print, ebook or audiobook) the product describes
+ */
+export const onixToBook = (product) => {
+  const book = {};
+
+  const identifier = findCoded(childElements(product, 'ProductIdentifier'), 'ProductIDType', ['15', '03', '02']);
+  if (identifier) book.ISBN = childText(identifier, 'IDValue');
+
+  const descriptive = childElements(product, 'DescriptiveDetail')[0];
+  const form = childText(descriptive, 'ProductForm') || '';
+  let format = 'print';
+  if (form.startsWith('A')) format = 'audiobook';
+  else if (form.startsWith('E')) format = 'ebook';
+
+  const titleDetail = findCoded(childElements(descriptive, 'TitleDetail'), 'TitleType', ['01'])
+    || childElements(descriptive, 'TitleDetail')[0];
+  const titleElement = findCoded(childElements(titleDetail, 'TitleElement'), 'TitleElementLevel', ['01'])
+    || childElements(titleDetail, 'TitleElement')[0];
+  if (titleElement) {
+    const title = childText(titleElement, 'TitleText')
+      || [childText(titleElement, 'TitlePrefix'), childText(titleElement, 'TitleWithoutPrefix')].filter(Boolean).join(' ');
+    const subtitle = childText(titleElement, 'Subtitle');
+    if (title) book.name = subtitle ? `${title}: ${subtitle}` : title;
+  }
+
+  const contributors = childElements(descriptive, 'Contributor')
+    .sort((a, b) => (parseInt(childText(a, 'SequenceNumber')) || 0) - (parseInt(childText(b, 'SequenceNumber')) || 0));
+  const authors = [];
+  const narrators = [];
+  for (const contributor of contributors) {
+    const name = contributorName(contributor);
+    const roles = childElements(contributor, 'ContributorRole').map(r => r.text);
+    if (!name) continue;
+    if (roles.includes('E07')) narrators.push(name);
+    else if (roles.some(role => role.startsWith('A'))) authors.push(name);
+  }
+  if (authors.length > 0) book.author = authors.join(', ');
+  if (narrators.length > 0) book.narrator = narrators.join(', ');
+
+  const language = findCoded(childElements(descriptive, 'Language'), 'LanguageRole', ['01']);
+  if (language) book.language = languageName(childText(language, 'LanguageCode'));
+
+  const extent = childElements(descriptive, 'Extent')
+    .find(e => ['00', '11', '05'].includes(childText(e, 'ExtentType')) && childText(e, 'ExtentUnit') === '03');
+  if (extent) book.pages = parseInt(childText(extent, 'ExtentValue'), 10);
+
+  const tags = [];
+  for (const subject of childElements(descriptive, 'Subject')) {
+    const heading = childText(subject, 'SubjectHeadingText');
+    if (!heading) continue;
+    if (childElements(subject, 'MainSubject').length > 0 && !book.genre) {
+      book.genre = heading;
+    } else {
+      tags.push(...heading.split(/\s*;\s*/).filter(Boolean));
+    }
+  }
+  if (tags.length > 0) book.tags = tags;
+
+  const collateral = childElements(product, 'CollateralDetail')[0];
+  const text = findCoded(childElements(collateral, 'TextContent'), 'TextType', ['03', '02']);
+  if (text) book.description = childText(text, 'Text');
+  const cover = findCoded(childElements(collateral, 'SupportingResource'), 'ResourceContentType', ['01']);
+  if (cover) book.image_link = childText(cover, 'ResourceVersion', 'ResourceLink');
+
+  const publishing = childElements(product, 'PublishingDetail')[0];
+  const publisher = childElements(publishing, 'Publisher')[0];
+  if (publisher) book.publisher = childText(publisher, 'PublisherName');
+  const published = findCoded(childElements(publishing, 'PublishingDate'), 'PublishingDateRole', ['01', '11']);
+  if (published && onixDate(childText(published, 'Date'))) {
+    book.publishDate = onixDate(childText(published, 'Date'));
+  }
+
+  const supply = childElements(childElements(product, 'ProductSupply')[0], 'SupplyDetail')[0];
+  const link = childText(supply, 'Supplier', 'Website', 'WebsiteLink');
+  if (link) book.amazon_link = link;
+  const price = childText(supply, 'Price', 'PriceAmount');
+  if (price && !Number.isNaN(parseFloat(price))) book.price = parseFloat(price);
+
+  return { book, format };
+};
+
+// YYYYMMDDTHHMMZ, as used in <SentDateTime>
+const onixDateTime = (date) => date.toISOString().replace(/[-:]/g, '').slice(0, 13) + 'Z';
+
+/**
+ * Opening of an ONIX message, up to the first product
+ * @param {Date} [sentAt]
+ * @returns {string}
+ */
+export const onixHeader = (sentAt = new Date()) =>
+  '<?xml version="1.0" encoding="UTF-8"?>\n' +
+  `<ONIXMessage release="3.0" xmlns="${ONIX_NAMESPACE}">\n` +
+  xmlElement('Header', [
+    xmlElement('Sender', [xmlElement('SenderName', ONIX_SENDER)]),
+    xmlElement('SentDateTime', onixDateTime(sentAt)),
+  ]) + '\n';
+
+export const ONIX_FOOTER = '</ONIXMessage>\n';
+
+/**
+ * Write a book record as an ONIX <Product>
+ * @param {object} book - Record of a book collection
+ * @param {string} format - Edition format: print, ebook or audiobook
+ * @returns {string}
+ */
+export const serializeOnixProduct = (book, format = 'print') => {
+  const authors = String(book.author || '').split(/\s*(?:,|&)\s*/).filter(Boolean);
+  const narrators = String(book.narrator || '').split(/\s*(?:,|&)\s*/).filter(Boolean);
+  const contributors = [
+    ...authors.map(name => ['A01', name]),
+    ...narrators.map(name => ['E07', name]),
+  ];
+  const language = languageCode(book.language);
+  const publishDate = book.publishDate ? new Date(book.publishDate).toISOString().slice(0, 10).replace(/-/g, '') : null;
+  const hasPrice = book.price !== undefined && book.price !== null;
+
+  return xmlElement('Product', [
+    xmlElement('RecordReference', `com.easyreads.${book._id}`),
+    xmlElement('NotificationType', '03'),
+    xmlElement('ProductIdentifier', [
+      xmlElement('ProductIDType', '15'),
+      xmlElement('IDValue', book.ISBN),
+    ]),
+    xmlElement('DescriptiveDetail', [
+      xmlElement('ProductComposition', '00'),
+      xmlElement('ProductForm', PRODUCT_FORMS[format] || PRODUCT_FORMS.print),
+      xmlElement('TitleDetail', [
+        xmlElement('TitleType', '01'),
+        xmlElement('TitleElement', [
+          xmlElement('TitleElementLevel', '01'),
+          xmlElement('TitleText', book.name),
+        ]),
+      ]),
+      ...contributors.map(([role, name], index) => xmlElement('Contributor', [
+        xmlElement('SequenceNumber', String(index + 1)),
+        xmlElement('ContributorRole', role),
+        xmlElement('PersonName', name),
+      ])),
+      language && xmlElement('Language', [
+        xmlElement('LanguageRole', '01'),
+        xmlElement('LanguageCode', language),
+      ]),
+      book.pages && xmlElement('Extent', [
+        xmlElement('ExtentType', '00'),
+        xmlElement('ExtentValue', String(book.pages)),
+        xmlElement('ExtentUnit', '03'),
+      ]),
+      book.genre && book.genre !== 'Other' && xmlElement('Subject', [
+        '<MainSubject/>',
+        xmlElement('SubjectSchemeIdentifier', '24'),
+        xmlElement('SubjectSchemeName', `${ONIX_SENDER} genre`),
+        xmlElement('SubjectHeadingText', book.genre),
+      ]),
+      book.tags?.length > 0 && xmlElement('Subject', [
+        xmlElement('SubjectSchemeIdentifier', '20'),
+        xmlElement('SubjectHeadingText', book.tags.join('; ')),
+      ]),
+    ]),
+    xmlElement('CollateralDetail', [
+      book.description && xmlElement('TextContent', [
+        xmlElement('TextType', '03'),
+        xmlElement('ContentAudience', '00'),
+        xmlElement('Text', book.description),
+      ]),
+      book.image_link && xmlElement('SupportingResource', [
+        xmlElement('ResourceContentType', '01'),
+        xmlElement('ContentAudience', '00'),
+        xmlElement('ResourceMode', '03'),
+        xmlElement('ResourceVersion', [
+          xmlElement('ResourceForm', '02'),
+          xmlElement('ResourceLink', book.image_link),
+        ]),
+      ]),
+    ]),
+    xmlElement('PublishingDetail', [
+      book.publisher && xmlElement('Publisher', [
+        xmlElement('PublishingRole', '01'),
+        xmlElement('PublisherName', book.publisher),
+      ]),
+      publishDate && xmlElement('PublishingDate', [
+        xmlElement('PublishingDateRole', '01'),
+        xmlElement('Date', publishDate),
+      ]),
+    ]),
+    book.amazon_link && xmlElement('ProductSupply', [
+      xmlElement('SupplyDetail', [
+        xmlElement('Supplier', [
+          xmlElement('SupplierRole', '00'),
+          xmlElement('SupplierName', 'Amazon'),
+          xmlElement('Website', [xmlElement('WebsiteLink', book.amazon_link)]),
+        ]),
+        xmlElement('ProductAvailability', '20'),
+        hasPrice
+          ? xmlElement('Price', [
+            xmlElement('PriceType', '02'),
+            xmlElement('PriceAmount', book.price.toFixed(2)),
+            xmlElement('CurrencyCode', CURRENCY),
+          ])
+          : xmlElement('UnpricedItemType', '02'),
+      ]),
+    ]),
+  ]);
+};
+
+export default {
+  ONIX_NAMESPACE,
+  ONIX_SENDER,
+  ONIX_FOOTER,
+  parseOnix,
+  onixToBook,
+  onixHeader,
+  serializeOnixProduct,
+};
@@ -0,0 +1,182 @@
+import mongoose from 'mongoose';
+
+/**
+ * Cursor pagination for list endpoints
+ *
+ * A cursor is an opaque token holding the sort value and _id of the last item
+ * on a page, plus that page's number. The next page continues strictly after
+ * that item, so pages stay stable while records are added or removed, and the
+ * _id tie-break keeps items with equal sort values from being skipped.
+ */
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Schema types a list can be ordered by
+const SORTABLE_TYPES = ['String', 'Number', 'Date', 'ObjectId', 'Boolean'];
+
+/**
+ * Thrown for malformed list parameters; callers answer with 400
+ */
+export class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListQueryError';
+  }
+}
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || !/^[0-9a-fA-F]{24}$/.test(payload.id)) throw new Error();
+    return payload;
+  } catch {
+    throw new ListQueryError('Invalid cursor');
+  }
+};
+
+// Turn a JSON-decoded sort value back into the type stored in the database
+const castSortValue = (schema, field, value) => {
+  if (value === null || value === undefined) return null;
+  const type = schema.path(field)?.instance;
+  if (type === 'Date') return new Date(value);
+  if (type === 'ObjectId') return new mongoose.Types.ObjectId(String(value));
+  return value;
+};
+
+// Items strictly after (value, id) in (field, _id) order
+const afterCondition = (field, direction, value, id) => {
+  const _id = new mongoose.Types.ObjectId(id);
+  const idAfter = { _id: direction === 1 ? { $gt: _id } : { $lt: _id } };
+  if (field === '_id') return idAfter;
+
+  // Missing values sort lowest: first when ascending, last when descending
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, ...idAfter }, { [field]: { $ne: null } }] }
+      : { [field]: null, ...idAfter };
+  }
+
+  const beyond = { [field]: direction === 1 ? { $gt: value } : { $lt: value } };
+  const or = [beyond, { [field]: value, ...idAfter }];
+  if (direction === -1) or.push({ [field]: null });
+  return { $or: or };
+};
+
+/**
+ * Parse list parameters against a schema
+ * @param {mongoose.Schema} schema - Schema of the listed model
+ * @param {object} query - req.query
+ * @param {string} query.cursor - nextCursor from a previous page
+ * @param {number} query.limit - Page size (default 20, max 100)
+ * @param {string} query.sortBy - Field to order by (default createdAt)
+ * @param {string} query.order - asc or desc (default desc)
+ * @param {string} query.fields - Comma-separated fields to return; _id is always included
+ * @returns {{filter: object, sort: object, projection: string|undefined, limit: number, page: number, sortBy: string}}
+ * @throws {ListQueryError}
+ */
+export const parseListQuery = (schema, query = {}) => {
+  const { cursor, limit, sortBy = 'createdAt', order = 'desc', fields } = query;
+
+  const sortType = schema.path(sortBy)?.instance;
+  if (!SORTABLE_TYPES.includes(sortType)) {
+    throw new ListQueryError(`Cannot sort by "${sortBy}"`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    throw new ListQueryError('Order must be asc or desc');
+  }
+  const direction = order === 'asc' ? 1 : -1;
+
+  const limitNum = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit) || DEFAULT_LIMIT));
+
+  let projection;
+  if (fields) {
+    const selected = String(fields).split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = selected.find(f => !schema.path(f) && schema.pathType(f) !== 'nested');
+    if (unknown) {
+      throw new ListQueryError(`Unknown field "${unknown}"`);
+    }
+    // The sort field is needed to build the next cursor
+    projection = [...new Set([...selected, sortBy])].join(' ');
+  }
+
+  let filter = {};
+  let page = 1;
+  if (cursor) {
+    const payload = decodeCursor(cursor);
+    if (payload.s !== sortBy || payload.o !== direction) {
+      throw new ListQueryError('Cursor does not match the requested sort');
+    }
+    filter = afterCondition(sortBy, direction, castSortValue(schema, sortBy, payload.v), payload.id);
+    page = Math.max(1, parseInt(payload.p) || 1) + 1;
+  }
+
+  return {
+    filter,
+    sort: sortBy === '_id' ? { _id: direction } : { [sortBy]: direction, _id: direction },
+    projection,
+    limit: limitNum,
+    page,
+    sortBy,
+    direction,
+  };
+};
+
+/**
+ * Pagination envelope matching the library API, plus the cursor for the next page
+ * @param {object[]} items - Items of this page (fetched with limit + 1 to detect a next page)
+ * @param {number} total - Items in the whole list
+ * @param {object} listQuery - Result of parseListQuery
+ * @returns {{data: object[], pagination: object}}
+ */
+export const buildPage = (items, total, { limit, page, sortBy, direction }) => {
+  const hasNext = items.length > limit;
+  const data = hasNext ? items.slice(0, limit) : items;
+  const last = data[data.length - 1];
+
+  const value = last ? (typeof last.get === 'function' ? last.get(sortBy) : last[sortBy]) : undefined;
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      hasNext,
+      hasPrev: page > 1,
+      nextCursor: hasNext
+        ? encodeCursor({ s: sortBy, o: direction, v: value ?? null, id: String(last._id), p: page })
+        : null,
+    },
+  };
+};
+
+/**
+ * Run a paginated find
+ * @param {mongoose.Model} Model - Model to list
+ * @param {object} baseFilter - Filter selecting the list (without pagination)
+ * @param {object} listQuery - Result of parseListQuery
+ * @returns {Promise<{data: object[], pagination: object}>}
+ */
+export const paginate = async (Model, baseFilter, listQuery) => {
+  const conditions = [baseFilter, listQuery.filter].filter(f => Object.keys(f).length > 0);
+  const filter = conditions.length > 1 ? { $and: conditions } : conditions[0] || {};
+
+  let query = Model.find(filter).sort(listQuery.sort).limit(listQuery.limit + 1);
+  query = listQuery.projection ? query.select(listQuery.projection) : query.select('-__v');
+
+  const [items, total] = await Promise.all([query, Model.countDocuments(baseFilter)]);
+  return buildPage(items, total, listQuery);
+};
+
+export default {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  ListQueryError,
+  parseListQuery,
+  buildPage,
+  paginate,
+};
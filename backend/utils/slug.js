@@ -0,0 +1,35 @@
+import { tokenize } from './text.js';
+
+/**
+ * URL slugs for named records (authors, series, categories)
+ */
+
+/**
+ * URL slug for a name: "Ursula K. Le Guin" -> "ursula-k-le-guin"
+ * @param {string} name - Record name
+ * @param {string} [fallback='item'] - Slug for names without letters or digits
+ * @returns {string} Slug
+ */
+export const slugify = (name, fallback = 'item') => tokenize(name).join('-') || fallback;
+
+/**
+ * A slug for the name that no other record of the model uses yet
+ * ("name", "name-2", ...)
+ * @param {import('mongoose').Model} Model - Model with a `slug` field
+ * @param {string} name - Record name
+ * @param {string} [excludeId] - Record whose own slug doesn't count as taken
+ * @returns {Promise<string>} Free slug
+ */
+export const uniqueSlug = async (Model, name, excludeId) => {
+  const base = slugify(name, Model.modelName.toLowerCase());
+  let slug = base;
+  for (let n = 2; await Model.exists({ slug, ...(excludeId && { _id: { $ne: excludeId } }) }); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
+export default {
+  slugify,
+  uniqueSlug,
+};
@@ -0,0 +1,46 @@
+/**
+ * Streaming helpers for file downloads
+ */
+
+// Resolves once `out` can take more data, or has been closed
+const waitForDrain = (out) => new Promise(resolve => {
+  const done = () => {
+    out.off('drain', done);
+    out.off('close', done);
+    resolve();
+  };
+  out.on('drain', done);
+  out.on('close', done);
+});
+
+/**
+ * Write records to a stream one at a time, respecting backpressure, so large
+ * result sets never have to be held in memory
+ * @param {import('stream').Writable} out - Destination, e.g. the response
+ * @param {AsyncIterable<object>} records - e.g. a Mongoose query cursor
+ * @param {object} writer
+ * @param {function(object): (string|Buffer)} writer.record - Serializes one record
+ * @param {string} [writer.header] - Written before the first record
+ * @param {string} [writer.footer] - Written after the last record; the stream is then ended
+ * @returns {Promise<number>} Number of records written; stops early if `out` is closed
+ */
+export const writeRecords = async (out, records, { record, header = '', footer = '' }) => {
+  let count = 0;
+
+  if (header) out.write(header);
+  for await (const item of records) {
+    count += 1;
+    if (!out.write(record(item))) {
+      await waitForDrain(out);
+    }
+    // The client went away
+    if (out.destroyed) return count;
+  }
+
+  out.end(footer);
+  return count;
+};
+
+export default {
+  writeRecords,
+};
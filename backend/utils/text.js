@@ -0,0 +1,83 @@
+/**
+ * Text utilities shared by search and matching code
+ */
+
+/**
+ * Escape a user-supplied string for literal use inside a RegExp / $regex
+ * @param {string} value - Raw input
+ * @returns {string} Regex-safe string
+ */
+export const escapeRegex = (value) => String(value ?? '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escape text for inclusion in HTML
+ * @param {string} value - Raw text
+ * @returns {string} HTML-safe text
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Lower-case and strip diacritics ("Brontë" -> "bronte")
+ * @param {string} value - Any text
+ * @returns {string} Normalized text
+ */
+export const normalizeText = (value) =>
+  String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+/**
+ * Split text into normalized word tokens
+ * @param {string} value - Any text
+ * @returns {string[]} Tokens, in order, duplicates kept
+ */
+export const tokenize = (value) => normalizeText(value).match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance: insertions,
+ * deletions, substitutions and adjacent transpositions each cost 1.
+ * Stops early and returns max + 1 once the distance is known to exceed max.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max=Infinity] - Largest distance of interest
+ * @returns {number} Edit distance
+ */
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+};
+
+export default {
+  escapeRegex,
+  escapeHtml,
+  normalizeText,
+  tokenize,
+  editDistance,
+};
@@ -0,0 +1,173 @@
+/**
+ * XML utilities
+ * A small reader for record-oriented XML such as MARCXML and ONIX: elements,
+ * attributes, text, CDATA and entities. Namespace prefixes are dropped from
+ * element and attribute names and namespace declarations are ignored;
+ * comments, processing instructions and DOCTYPEs are skipped.
+ */
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Replace character and named entity references
+ * @param {string} text - Raw XML text
+ * @returns {string}
+ */
+export const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[ref] ?? match;
+  });
+
+/**
+ * Escape text for use in element content or attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeXml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Parse an XML document
+ * @param {string} text - XML document
+ * @returns {{name: string, attributes: object, children: object[], text: string}} Root element;
+ *   `text` is the element's own character data, trimmed
+ * @throws {Error} When the document is not well-formed
+ */
+export const parseXml = (text) => {
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+  const stack = [{ name: '#document', attributes: {}, children: [], text: '' }];
+  const tagPattern = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let i = 0;
+
+  const current = () => stack[stack.length - 1];
+
+  while (i < input.length) {
+    const next = input.indexOf('<', i);
+    const end = next === -1 ? input.length : next;
+    if (end > i) {
+      current().text += decodeEntities(input.slice(i, end));
+    }
+    if (next === -1) break;
+    i = next;
+
+    if (input.startsWith('<!--', i)) {
+      const close = input.indexOf('-->', i);
+      if (close === -1) throw new Error('Unterminated comment');
+      i = close + 3;
+    } else if (input.startsWith('<![CDATA[', i)) {
+      const close = input.indexOf(']]>', i);
+      if (close === -1) throw new Error('Unterminated CDATA section');
+      current().text += input.slice(i + 9, close);
+      i = close + 3;
+    } else if (input.startsWith('<?', i)) {
+      const close = input.indexOf('?>', i);
+      if (close === -1) throw new Error('Unterminated processing instruction');
+      i = close + 2;
+    } else if (input.startsWith('<!', i)) {
+      const close = input.indexOf('>', i);
+      if (close === -1) throw new Error('Unterminated declaration');
+      i = close + 1;
+    } else {
+      tagPattern.lastIndex = i;
+      const match = tagPattern.exec(input);
+      if (!match) {
+        throw new Error(`Malformed tag at position ${i}`);
+      }
+      const [whole, closing, rawName, rawAttributes, selfClosing] = match;
+      const name = localName(rawName);
+      i += whole.length;
+
+      if (closing) {
+        const open = stack.pop();
+        if (stack.length === 0 || open.name !== name) {
+          throw new Error(`Unexpected closing tag </${rawName}>`);
+        }
+        open.text = open.text.trim();
+        continue;
+      }
+
+      const attributes = {};
+      for (const [, attribute, double, single] of rawAttributes.matchAll(attributePattern)) {
+        if (attribute === 'xmlns' || attribute.startsWith('xmlns:')) continue;
+        attributes[localName(attribute)] = decodeEntities(double ?? single);
+      }
+      const element = { name, attributes, children: [], text: '' };
+      current().children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Unclosed element <${current().name}>`);
+  }
+  const [root] = stack[0].children;
+  if (!root) {
+    throw new Error('No root element');
+  }
+  return root;
+};
+
+/**
+ * Child elements with the given name
+ * @param {object} element - Parsed element
+ * @param {string} name - Local element name
+ * @returns {object[]}
+ */
+export const childElements = (element, name) =>
+  (element?.children || []).filter(child => child.name === name);
+
+/**
+ * Text of the first element found along a path of child names
+ * @param {object} element - Parsed element
+ * @param {...string} path - e.g. 'TitleDetail', 'TitleElement', 'TitleText'
+ * @returns {string|null}
+ */
+export const childText = (element, ...path) => {
+  let node = element;
+  for (const name of path) {
+    node = childElements(node, name)[0];
+    if (!node) return null;
+  }
+  return node.text || null;
+};
+
+/**
+ * Build an element's markup
+ * @param {string} name - Element name
+ * @param {string|string[]} content - Text (escaped here) or already built child markup
+ * @param {object} [attributes] - Attribute values (escaped here)
+ * @returns {string} Empty when there is no content
+ */
+export const xmlElement = (name, content, attributes = {}) => {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  if (Array.isArray(content)) {
+    const inner = content.filter(Boolean).join('');
+    return inner ? `<${name}${attrs}>${inner}</${name}>` : '';
+  }
+  if (content === undefined || content === null || content === '') return '';
+  return `<${name}${attrs}>${escapeXml(content)}</${name}>`;
+};
+
+export default {
+  decodeEntities,
+  escapeXml,
+  parseXml,
+  childElements,
+  childText,
+  xmlElement,
+};
@@ -1,5 +1,6 @@
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom'
 import { AuthProvider, useAuth } from './contexts/AuthContext'
+import { ShelvesProvider } from './contexts/ShelvesContext'
 import { isAdmin } from './utils/admin'
 import Login from './pages/Login'
 import Signup from './pages/Signup'
@@ -8,6 +9,10 @@ import Books from './pages/Books'
 import DigitalBooks from './pages/DigitalBooks'
 import Requests from './pages/Requests'
 import Admin from './pages/Admin'
+import AuthorPage from './pages/AuthorPage'
+import SeriesPage from './pages/SeriesPage'
+import Profile from './pages/Profile'
+import MyLibrary from './pages/MyLibrary'
 import RootRedirect from './components/RootRedirect'
 import AIAssistant from './components/AIAssistant'
 
@@ -71,6 +76,38 @@ function AppRoutes() {
           </PrivateRoute>
         }
       />
+      <Route
+        path="/authors/:key"
+        element={
+          <PrivateRoute>
+            <AuthorPage />
+          </PrivateRoute>
+        }
+      />
+      <Route
+        path="/series/:key"
+        element={
+          <PrivateRoute>
+            <SeriesPage />
+          </PrivateRoute>
+        }
+      />
+      <Route
+        path="/my-library"
+        element={
+          <PrivateRoute>
+            <MyLibrary />
+          </PrivateRoute>
+        }
+      />
+      <Route
+        path="/profile"
+        element={
+          <PrivateRoute>
+            <Profile />
+          </PrivateRoute>
+        }
+      />
       <Route
         path="/admin"
         element={
@@ -87,10 +124,12 @@ function AppRoutes() {
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <AppRoutes />
-        <AIAssistant />
-      </Router>
+      <ShelvesProvider>
+        <Router>
+          <AppRoutes />
+          <AIAssistant />
+        </Router>
+      </ShelvesProvider>
     </AuthProvider>
   )
 }
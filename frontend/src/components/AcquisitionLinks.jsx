@@ -0,0 +1,248 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { authHeaders } from '../utils/admin'
+import { cleanIsbn } from '../utils/isbn'
+import { ACQUISITION_TYPE_LABELS } from '../utils/catalog'
+import './AcquisitionLinks.css'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+// Common places to get a book, filled in from its ISBN
+const PRESETS = [
+  { type: 'library', name: 'WorldCat', url: (isbn) => `https://search.worldcat.org/search?q=bn:${isbn}` },
+  { type: 'retailer', name: 'Bookshop.org', region: 'US', url: (isbn) => `https://bookshop.org/book/${isbn}` },
+  { type: 'library', name: 'Open Library', url: (isbn) => `https://openlibrary.org/isbn/${isbn}` },
+]
+
+// Form rows keep every value as a string; prices are split into amount and currency
+const toRow = (link) => ({
+  _id: link._id,
+  type: link.type || 'retailer',
+  name: link.name || '',
+  url: link.url || '',
+  region: link.region || '',
+  amount: link.price?.amount != null ? String(link.price.amount) : '',
+  currency: link.price?.currency || '',
+  affiliateTag: link.affiliateTag || '',
+})
+
+const toLink = (row) => ({
+  _id: row._id,
+  type: row.type,
+  name: row.name,
+  url: row.url,
+  region: row.region,
+  price: row.amount !== '' ? { amount: Number(row.amount), currency: row.currency } : undefined,
+  affiliateTag: row.affiliateTag,
+})
+
+// "Where to get it" panel of the Admin edit form: the retailer, publisher and
+// library links of this record's edition, in the order readers see them
+function AcquisitionLinks({ collection, recordId }) {
+  const { currentUser } = useAuth()
+  const [editionId, setEditionId] = useState(null)
+  const [isbn, setIsbn] = useState('')
+  const [rows, setRows] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  const fetchLinks = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`${API_BASE_URL}/${collection}/${recordId}`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load purchase links')
+      }
+      setEditionId(data.editionId || null)
+      setIsbn(data.ISBN ? cleanIsbn(data.ISBN) : '')
+      setRows((data.acquisitionLinks || []).map(toRow))
+      setError('')
+    } catch (err) {
+      console.error('Error fetching acquisition links:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [collection, recordId])
+
+  useEffect(() => {
+    fetchLinks()
+  }, [fetchLinks])
+
+  const updateRow = (index, field, value) => {
+    setRows((prev) => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)))
+    setNotice('')
+  }
+
+  const moveRow = (index, offset) => {
+    setRows((prev) => {
+      const next = [...prev]
+      const [row] = next.splice(index, 1)
+      next.splice(index + offset, 0, row)
+      return next
+    })
+    setNotice('')
+  }
+
+  const removeRow = (index) => {
+    setRows((prev) => prev.filter((_, i) => i !== index))
+    setNotice('')
+  }
+
+  const addRow = (link = {}) => {
+    setRows((prev) => [...prev, toRow(link)])
+    setNotice('')
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError('')
+    setNotice('')
+    try {
+      const response = await fetch(`${API_BASE_URL}/catalog/editions/${editionId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await authHeaders(currentUser)),
+        },
+        body: JSON.stringify({ acquisitionLinks: rows.map(toLink) }),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to save purchase links')
+      }
+      setRows(data.data.acquisitionLinks.map(toRow))
+      setNotice('Purchase links saved')
+    } catch (err) {
+      console.error('Error saving acquisition links:', err)
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return <div className="acquisition-panel admin-loading">Loading purchase links...</div>
+  }
+
+  return (
+    <div className="acquisition-panel">
+      <h3 className="acquisition-title">Where to Get It</h3>
+      {error && <div className="book-form-error">{error}</div>}
+      {notice && <div className="book-form-notice">{notice}</div>}
+      {!editionId ? (
+        <p className="acquisition-empty">
+          This book is not in the catalog yet; run the catalog migration to manage its purchase links.
+        </p>
+      ) : (
+        <>
+          {rows.length === 0 ? (
+            <p className="acquisition-empty">
+              No purchase links yet. Readers are sent to the Amazon link above.
+            </p>
+          ) : (
+            <div className="acquisition-rows">
+              {rows.map((row, index) => (
+                <div key={row._id || `new-${index}`} className="acquisition-row">
+                  <select value={row.type} onChange={(e) => updateRow(index, 'type', e.target.value)}>
+                    {Object.entries(ACQUISITION_TYPE_LABELS).map(([type, label]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={row.name}
+                    onChange={(e) => updateRow(index, 'name', e.target.value)}
+                    placeholder="Name"
+                    className="acquisition-name"
+                  />
+                  <input
+                    type="url"
+                    value={row.url}
+                    onChange={(e) => updateRow(index, 'url', e.target.value)}
+                    placeholder="https://..."
+                    className="acquisition-url"
+                  />
+                  <input
+                    type="text"
+                    value={row.region}
+                    onChange={(e) => updateRow(index, 'region', e.target.value)}
+                    placeholder="Region"
+                    maxLength={2}
+                    className="acquisition-code"
+                    title="Two-letter country code; leave empty for everywhere"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={row.amount}
+                    onChange={(e) => updateRow(index, 'amount', e.target.value)}
+                    placeholder="Price"
+                    className="acquisition-price"
+                  />
+                  <input
+                    type="text"
+                    value={row.currency}
+                    onChange={(e) => updateRow(index, 'currency', e.target.value)}
+                    placeholder="USD"
+                    maxLength={3}
+                    className="acquisition-code"
+                  />
+                  <input
+                    type="text"
+                    value={row.affiliateTag}
+                    onChange={(e) => updateRow(index, 'affiliateTag', e.target.value)}
+                    placeholder="Affiliate tag"
+                    className="acquisition-tag"
+                    title="Added as the tag parameter, or filled into {tag} in the URL"
+                  />
+                  <div className="acquisition-row-actions">
+                    <button type="button" className="action-btn" onClick={() => moveRow(index, -1)} disabled={index === 0}>
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      className="action-btn"
+                      onClick={() => moveRow(index, 1)}
+                      disabled={index === rows.length - 1}
+                    >
+                      ↓
+                    </button>
+                    <button type="button" className="action-btn delete-btn" onClick={() => removeRow(index)}>
+                      Remove
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="acquisition-actions">
+            <button type="button" className="action-btn edit-btn" onClick={() => addRow()}>
+              Add link
+            </button>
+            {isbn && PRESETS.map((preset) => (
+              <button
+                key={preset.name}
+                type="button"
+                className="action-btn edit-btn"
+                onClick={() => addRow({ ...preset, url: preset.url(isbn) })}
+              >
+                + {preset.name}
+              </button>
+            ))}
+            <button type="button" className="action-btn approve-btn" onClick={handleSave} disabled={saving}>
+              {saving ? 'Saving...' : 'Save links'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AcquisitionLinks
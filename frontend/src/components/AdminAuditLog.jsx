@@ -0,0 +1,216 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { authHeaders } from '../utils/admin'
+import './AdminAuditLog.css'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+const ACTIONS = ['create', 'update', 'revert', 'merge', 'delete', 'restore', 'purge']
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['updatedAt', '__v']
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—'
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+// Fields whose value differs between two snapshots
+const changedFields = (before, after) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})])
+  return [...keys]
+    .filter((key) => !IGNORED_FIELDS.includes(key))
+    .filter((key) => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]))
+}
+
+// Audit Log tab of the Admin dashboard
+function AdminAuditLog() {
+  const { currentUser } = useAuth()
+  const [entries, setEntries] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [collections, setCollections] = useState([])
+  const [filters, setFilters] = useState({ actor: '', action: '', collection: '' })
+  const [actorInput, setActorInput] = useState('')
+  const [expanded, setExpanded] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [error, setError] = useState('')
+
+  const fetchEntries = useCallback(async (cursor = null) => {
+    const setBusy = cursor ? setLoadingMore : setLoading
+    try {
+      setBusy(true)
+      const params = new URLSearchParams({ limit: 50 })
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value)
+      })
+      if (cursor) params.set('cursor', cursor)
+
+      const response = await fetch(`${API_BASE_URL}/audit?${params}`, {
+        headers: await authHeaders(currentUser),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load audit log')
+      }
+      setEntries((prev) => (cursor ? [...prev, ...data.data] : data.data))
+      setPagination(data.pagination)
+      setError('')
+    } catch (err) {
+      console.error('Error fetching audit log:', err)
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }, [currentUser, filters])
+
+  useEffect(() => {
+    fetchEntries()
+  }, [fetchEntries])
+
+  useEffect(() => {
+    const fetchCollections = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/audit/collections`, {
+          headers: await authHeaders(currentUser),
+        })
+        if (response.ok) {
+          const data = await response.json()
+          setCollections(data.data)
+        }
+      } catch (err) {
+        console.error('Error fetching audit collections:', err)
+      }
+    }
+    fetchCollections()
+  }, [currentUser])
+
+  const handleActorSubmit = (e) => {
+    e.preventDefault()
+    setFilters((prev) => ({ ...prev, actor: actorInput.trim() }))
+  }
+
+  return (
+    <div className="admin-section">
+      <div className="admin-section-header">
+        <h2>Audit Log</h2>
+        <div className="audit-filters">
+          <form onSubmit={handleActorSubmit}>
+            <input
+              type="search"
+              className="audit-filter"
+              placeholder="Filter by admin email"
+              value={actorInput}
+              onChange={(e) => setActorInput(e.target.value)}
+            />
+          </form>
+          <select
+            className="audit-filter"
+            value={filters.action}
+            onChange={(e) => setFilters((prev) => ({ ...prev, action: e.target.value }))}
+          >
+            <option value="">All actions</option>
+            {ACTIONS.map((action) => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+          <select
+            className="audit-filter"
+            value={filters.collection}
+            onChange={(e) => setFilters((prev) => ({ ...prev, collection: e.target.value }))}
+          >
+            <option value="">All collections</option>
+            {collections.map((collection) => (
+              <option key={collection} value={collection}>{collection}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="admin-loading">Loading audit log...</div>
+      ) : error ? (
+        <div className="book-form-error">{error}</div>
+      ) : entries.length === 0 ? (
+        <div className="admin-empty">No audit entries found</div>
+      ) : (
+        <div className="books-table-container">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Actor</th>
+                <th>Action</th>
+                <th>Collection</th>
+                <th>Record</th>
+                <th>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => {
+                const fields = changedFields(entry.before, entry.after)
+                const isOpen = expanded === entry._id
+                const record = entry.after || entry.before
+                return (
+                  <tr key={entry._id}>
+                    <td>{new Date(entry.timestamp).toLocaleString()}</td>
+                    <td>{entry.actor?.email || 'anonymous'}</td>
+                    <td>
+                      <span className={`audit-action audit-action-${entry.action}`}>{entry.action}</span>
+                    </td>
+                    <td>{entry.target.collection}</td>
+                    <td>
+                      {record?.name || record?.title || record?.bookName || entry.target.id || '—'}
+                      {entry.details?.count !== undefined && (
+                        <span className="audit-count"> ({entry.details.count} records)</span>
+                      )}
+                    </td>
+                    <td>
+                      {fields.length === 0 ? (
+                        '—'
+                      ) : (
+                        <button
+                          className="audit-toggle"
+                          onClick={() => setExpanded(isOpen ? null : entry._id)}
+                        >
+                          {isOpen ? 'Hide' : `${fields.length} field${fields.length === 1 ? '' : 's'}`}
+                        </button>
+                      )}
+                      {isOpen && (
+                        <table className="audit-diff">
+                          <tbody>
+                            {fields.map((field) => (
+                              <tr key={field}>
+                                <th>{field}</th>
+                                <td className="audit-before">{formatValue(entry.before?.[field])}</td>
+                                <td className="audit-after">{formatValue(entry.after?.[field])}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+          {pagination?.hasNext && (
+            <div className="admin-pagination">
+              <span>Showing {entries.length} of {pagination.total}</span>
+              <button
+                className="load-more-btn"
+                onClick={() => fetchEntries(pagination.nextCursor)}
+                disabled={loadingMore}
+              >
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdminAuditLog
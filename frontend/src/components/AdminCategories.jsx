@@ -0,0 +1,392 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { authHeaders } from '../utils/admin'
+import { coverUrl } from '../utils/catalog'
+import { flattenCategories, clearCategoriesCache } from '../utils/categories'
+import './AdminCategories.css'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+const EMPTY_FORM = {
+  name: '',
+  parent: '',
+  order: '',
+  image_link: '',
+  description: '',
+  legacyCollection: '',
+}
+
+// Categories tab of the Admin dashboard: the subject taxonomy with its
+// subgenres, display order and covers. `onChange` runs after every edit.
+function AdminCategories({ onChange }) {
+  const { currentUser } = useAuth()
+  const [categories, setCategories] = useState([])
+  const [collections, setCollections] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [editing, setEditing] = useState(null)
+  const [showForm, setShowForm] = useState(false)
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  const [formError, setFormError] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [uploadingCover, setUploadingCover] = useState(false)
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`${API_BASE_URL}/categories`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load categories')
+      }
+      setCategories(flattenCategories(data.data))
+      setCollections(data.collections || [])
+      setError('')
+    } catch (err) {
+      console.error('Error fetching categories:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchCategories()
+  }, [fetchCategories])
+
+  // Reload here and wherever else the taxonomy is shown
+  const afterChange = () => {
+    clearCategoriesCache()
+    fetchCategories()
+    onChange?.()
+  }
+
+  const request = async (path, method, body) => {
+    const response = await fetch(`${API_BASE_URL}/categories${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await authHeaders(currentUser)),
+      },
+      body: body && JSON.stringify(body),
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.message || 'Request failed')
+    }
+    return data
+  }
+
+  const openForm = (category = null, parent = '') => {
+    setEditing(category)
+    setFormError('')
+    setFormData(category
+      ? {
+        name: category.name,
+        parent: category.parent || '',
+        order: String(category.order),
+        image_link: category.image_link || '',
+        description: category.description || '',
+        legacyCollection: category.legacyCollection || '',
+      }
+      : { ...EMPTY_FORM, parent })
+    setShowForm(true)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setFormError('')
+    try {
+      await request(editing ? `/${editing._id}` : '', editing ? 'PATCH' : 'POST', formData)
+      setShowForm(false)
+      setEditing(null)
+      afterChange()
+    } catch (err) {
+      console.error('Error saving category:', err)
+      setFormError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (category) => {
+    const note = category.children.length > 0 ? ' Its subgenres move up a level.' : ''
+    if (!confirm(`Delete the category "${category.name}"? Books keep their genres.${note}`)) return
+
+    try {
+      await request(`/${category._id}`, 'DELETE')
+      afterChange()
+    } catch (err) {
+      console.error('Error deleting category:', err)
+      setError(err.message)
+    }
+  }
+
+  // Swap a category with its neighbour among its siblings, renumbering them
+  const handleMove = async (category, offset) => {
+    const siblings = categories.filter((c) => (c.parent || null) === (category.parent || null))
+    const index = siblings.findIndex((c) => c._id === category._id)
+    const reordered = [...siblings]
+    reordered.splice(index, 1)
+    reordered.splice(index + offset, 0, category)
+
+    try {
+      for (const [order, sibling] of reordered.entries()) {
+        if (sibling.order !== order) await request(`/${sibling._id}`, 'PATCH', { order })
+      }
+    } catch (err) {
+      console.error('Error reordering categories:', err)
+      setError(err.message)
+    } finally {
+      afterChange()
+    }
+  }
+
+  const handleUploadCover = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setFormError('')
+    setUploadingCover(true)
+    try {
+      const response = await fetch(`${API_BASE_URL}/images/covers`, {
+        method: 'POST',
+        headers: { ...(await authHeaders(currentUser)), 'Content-Type': file.type },
+        body: file,
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        setFormError(data.message || 'Cover upload failed')
+        return
+      }
+      setFormData((prev) => ({ ...prev, image_link: data.data.image_link }))
+    } catch (err) {
+      console.error('Error uploading cover:', err)
+      setFormError('Cover upload failed')
+    } finally {
+      setUploadingCover(false)
+    }
+  }
+
+  // A category cannot move under itself or its own subgenres
+  const descendantsOf = (id) => {
+    const below = new Set([id])
+    for (const category of categories) {
+      if (category.parent && below.has(category.parent)) below.add(category._id)
+    }
+    return below
+  }
+  const excludedParents = editing ? descendantsOf(editing._id) : new Set()
+
+  // Collections already backing another category
+  const takenCollections = new Set(
+    categories.filter((c) => c.legacyCollection && c._id !== editing?._id).map((c) => c.legacyCollection)
+  )
+
+  return (
+    <div className="admin-section">
+      <div className="admin-section-header">
+        <h2>Categories</h2>
+        <button className="admin-add-btn" onClick={() => openForm()}>
+          + Add Category
+        </button>
+      </div>
+
+      {showForm && (
+        <div className="book-form-container">
+          <form onSubmit={handleSubmit} className="book-form">
+            {formError && <div className="book-form-error">{formError}</div>}
+            <div className="form-row">
+              <div className="form-group">
+                <label>Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Parent</label>
+                <select
+                  value={formData.parent}
+                  onChange={(e) => setFormData({ ...formData, parent: e.target.value })}
+                >
+                  <option value="">None (top level)</option>
+                  {categories
+                    .filter((category) => !excludedParents.has(category._id))
+                    .map((category) => (
+                      <option key={category._id} value={category._id}>
+                        {'\u00a0\u00a0'.repeat(category.depth)}{category.name}
+                      </option>
+                    ))}
+                </select>
+              </div>
+            </div>
+            <div className="form-row">
+              <div className="form-group">
+                <label>Display Order</label>
+                <input
+                  type="number"
+                  value={formData.order}
+                  onChange={(e) => setFormData({ ...formData, order: e.target.value })}
+                  placeholder="0"
+                />
+              </div>
+              <div className="form-group">
+                <label>Collection</label>
+                <select
+                  value={formData.legacyCollection}
+                  onChange={(e) => setFormData({ ...formData, legacyCollection: e.target.value })}
+                >
+                  <option value="">None</option>
+                  {collections.map((collection) => (
+                    <option key={collection} value={collection} disabled={takenCollections.has(collection)}>
+                      {collection}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div className="form-group">
+              <label>Cover</label>
+              <div className="cover-input-group">
+                {formData.image_link && (
+                  <img
+                    src={coverUrl(formData.image_link, 'small')}
+                    alt="Cover preview"
+                    className="book-thumbnail"
+                    onError={(e) => {
+                      e.target.src = '/placeholder-book.jpg'
+                    }}
+                  />
+                )}
+                <input
+                  type="url"
+                  value={formData.image_link}
+                  onChange={(e) => setFormData({ ...formData, image_link: e.target.value })}
+                  placeholder="Empty to show a book's cover"
+                />
+                <label className={`cover-upload-btn ${uploadingCover ? 'disabled' : ''}`}>
+                  {uploadingCover ? 'Uploading...' : 'Upload cover'}
+                  <input
+                    type="file"
+                    accept="image/*"
+                    onChange={handleUploadCover}
+                    disabled={uploadingCover}
+                    hidden
+                  />
+                </label>
+              </div>
+            </div>
+            <div className="form-group">
+              <label>Description</label>
+              <textarea
+                rows="3"
+                value={formData.description}
+                onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              />
+            </div>
+            <div className="form-actions">
+              <button type="submit" className="save-btn" disabled={saving}>
+                {editing ? 'Update Category' : 'Add Category'}
+              </button>
+              <button
+                type="button"
+                className="cancel-btn"
+                onClick={() => {
+                  setShowForm(false)
+                  setEditing(null)
+                }}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="admin-loading">Loading categories...</div>
+      ) : error ? (
+        <div className="book-form-error">{error}</div>
+      ) : categories.length === 0 ? (
+        <div className="admin-empty">No categories yet</div>
+      ) : (
+        <div className="books-table-container">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Cover</th>
+                <th>Name</th>
+                <th>Slug</th>
+                <th>Collection</th>
+                <th>Order</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {categories.map((category) => {
+                const siblings = categories.filter((c) => (c.parent || null) === (category.parent || null))
+                const position = siblings.findIndex((c) => c._id === category._id)
+                return (
+                  <tr key={category._id}>
+                    <td>
+                      {category.image_link ? (
+                        <img src={coverUrl(category.image_link, 'small')} alt={category.name} className="book-thumbnail" />
+                      ) : '—'}
+                    </td>
+                    <td>
+                      <span className="category-tree-name" style={{ paddingLeft: `${category.depth * 20}px` }}>
+                        {category.depth > 0 && '↳ '}{category.name}
+                      </span>
+                    </td>
+                    <td className="isbn-cell">{category.slug}</td>
+                    <td>{category.legacyCollection || '—'}</td>
+                    <td>
+                      <div className="admin-actions">
+                        <button
+                          className="action-btn category-order-btn"
+                          onClick={() => handleMove(category, -1)}
+                          disabled={position === 0}
+                          title="Move up"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          className="action-btn category-order-btn"
+                          onClick={() => handleMove(category, 1)}
+                          disabled={position === siblings.length - 1}
+                          title="Move down"
+                        >
+                          ↓
+                        </button>
+                      </div>
+                    </td>
+                    <td>
+                      <div className="admin-actions">
+                        <button className="action-btn edit-btn" onClick={() => openForm(category)}>
+                          Edit
+                        </button>
+                        <button className="action-btn approve-btn" onClick={() => openForm(null, category._id)}>
+                          Add subgenre
+                        </button>
+                        <button className="action-btn delete-btn" onClick={() => handleDelete(category)}>
+                          Delete
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdminCategories
@@ -0,0 +1,319 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { authHeaders, downloadFile } from '../utils/admin'
+import './AdminImport.css'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+const STATUSES = ['create', 'update', 'duplicate', 'error']
+const PREVIEW_ROWS = 200
+
+// Import tab of the Admin dashboard: upload a CSV/JSON file, map its columns,
+// preview the outcome of every row and then commit the import
+function AdminImport({ collections }) {
+  const { currentUser } = useAuth()
+  const [collection, setCollection] = useState('books')
+  const [fields, setFields] = useState([])
+  const [file, setFile] = useState(null)
+  const [mapping, setMapping] = useState(null)
+  const [onExisting, setOnExisting] = useState('skip')
+  const [enrich, setEnrich] = useState(false)
+  const [result, setResult] = useState(null)
+  const [stale, setStale] = useState(false)
+  const [statusFilter, setStatusFilter] = useState('')
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const fetchFields = async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/import/fields?collection=${collection}`, {
+          headers: await authHeaders(currentUser),
+        })
+        const data = await response.json()
+        if (response.ok) {
+          setFields(data.data)
+        }
+      } catch (err) {
+        console.error('Error fetching import fields:', err)
+      }
+    }
+    fetchFields()
+  }, [currentUser, collection])
+
+  const runImport = async ({ dryRun, source = file, columnMapping = mapping }) => {
+    if (!source) return
+    try {
+      setRunning(true)
+      setError('')
+      const response = await fetch(`${API_BASE_URL}/import`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await authHeaders(currentUser)),
+        },
+        body: JSON.stringify({
+          format: source.format,
+          content: source.content,
+          filename: source.name,
+          collection,
+          mapping: columnMapping || undefined,
+          onExisting,
+          enrich,
+          dryRun,
+        }),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Import failed')
+      }
+      setResult(data.data)
+      setMapping(data.data.mapping)
+      setStale(false)
+    } catch (err) {
+      console.error('Error importing file:', err)
+      setError(err.message)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0]
+    if (!selected) return
+    const source = {
+      name: selected.name,
+      format: selected.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+      content: await selected.text(),
+    }
+    setFile(source)
+    setMapping(null)
+    setResult(null)
+    // First preview with columns matched by name
+    runImport({ dryRun: true, source, columnMapping: null })
+  }
+
+  const handleMappingChange = (column, field) => {
+    setMapping((prev) => {
+      const next = { ...prev }
+      if (field) {
+        next[column] = field
+      } else {
+        delete next[column]
+      }
+      return next
+    })
+    setStale(true)
+  }
+
+  const handleCommit = () => {
+    const { create, update } = result.summary
+    if (!confirm(`Import ${create} new and ${update} updated record(s) into ${collection}?`)) return
+    runImport({ dryRun: false })
+  }
+
+  const handleDownloadReport = async () => {
+    try {
+      await downloadFile(
+        `${API_BASE_URL}/import/${result._id}/report?format=csv`,
+        currentUser,
+        `import-${result._id}-report.csv`
+      )
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const mappedFields = Object.values(mapping || {})
+  const missingRequired = fields.filter((f) => f.required && !mappedFields.includes(f.field))
+  const rows = result
+    ? result.rows.filter((row) => !statusFilter || row.status === statusFilter)
+    : []
+
+  return (
+    <div className="admin-section">
+      <div className="admin-section-header">
+        <h2>Import Books</h2>
+      </div>
+      <p className="import-note">
+        Upload a CSV file with a header row or a JSON array of books. Nothing is written until you
+        confirm the preview.
+      </p>
+
+      <div className="import-controls">
+        <select
+          className="import-select"
+          value={collection}
+          onChange={(e) => {
+            setCollection(e.target.value)
+            setMapping(null)
+            setStale(true)
+          }}
+          disabled={running}
+        >
+          {collections.map((c) => (
+            <option key={c.name} value={c.name}>{c.label}</option>
+          ))}
+        </select>
+        <select
+          className="import-select"
+          value={onExisting}
+          onChange={(e) => {
+            setOnExisting(e.target.value)
+            setStale(true)
+          }}
+          disabled={running}
+        >
+          <option value="skip">Skip existing ISBNs</option>
+          <option value="update">Update existing ISBNs</option>
+        </select>
+        <label className="import-checkbox">
+          <input
+            type="checkbox"
+            checked={enrich}
+            onChange={(e) => {
+              setEnrich(e.target.checked)
+              setStale(true)
+            }}
+            disabled={running}
+          />
+          Fill missing details by ISBN
+        </label>
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          className="import-file"
+          onChange={handleFileChange}
+          disabled={running}
+        />
+      </div>
+
+      {error && <div className="book-form-error">{error}</div>}
+      {running && <div className="admin-loading">Checking rows...</div>}
+
+      {result && (
+        <>
+          <h3 className="import-heading">Column Mapping</h3>
+          <table className="admin-table import-mapping">
+            <thead>
+              <tr>
+                <th>Column in file</th>
+                <th>Imported as</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.columns.map((column) => (
+                <tr key={column}>
+                  <td>{column}</td>
+                  <td>
+                    <select
+                      className="import-select"
+                      value={mapping?.[column] || ''}
+                      onChange={(e) => handleMappingChange(column, e.target.value)}
+                    >
+                      <option value="">Ignore</option>
+                      {fields.map((f) => (
+                        <option
+                          key={f.field}
+                          value={f.field}
+                          disabled={mappedFields.includes(f.field) && mapping?.[column] !== f.field}
+                        >
+                          {f.field}{f.required ? ' *' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {missingRequired.length > 0 && (
+            <p className="import-warning">
+              Required fields without a column: {missingRequired.map((f) => f.field).join(', ')}
+              {enrich && ' (filled in by ISBN where found)'}
+            </p>
+          )}
+
+          <div className="import-summary">
+            <span className="import-summary-title">
+              {result.dryRun ? 'Preview' : 'Imported'} ({result.summary.total} rows):
+            </span>
+            {STATUSES.map((status) => (
+              <button
+                key={status}
+                className={`import-status import-status-${status} ${statusFilter === status ? 'active' : ''}`}
+                onClick={() => setStatusFilter(statusFilter === status ? '' : status)}
+              >
+                {result.summary[status]} {status}
+              </button>
+            ))}
+            {result.enrich && (
+              <span className="import-enriched">{result.summary.enriched} filled in by ISBN</span>
+            )}
+          </div>
+
+          <div className="admin-actions import-actions">
+            {stale ? (
+              <button
+                className="action-btn edit-btn"
+                onClick={() => runImport({ dryRun: true })}
+                disabled={running}
+              >
+                Preview Again
+              </button>
+            ) : result.dryRun && (
+              <button
+                className="action-btn approve-btn"
+                onClick={handleCommit}
+                disabled={running || result.summary.create + result.summary.update === 0}
+              >
+                Import {result.summary.create + result.summary.update} Row(s)
+              </button>
+            )}
+            <button
+              className="action-btn reset-btn"
+              onClick={handleDownloadReport}
+              disabled={result.summary.error + result.summary.duplicate === 0}
+            >
+              Download Error Report
+            </button>
+          </div>
+
+          <div className="books-table-container">
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Status</th>
+                  <th>ISBN</th>
+                  <th>Name</th>
+                  <th>Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.slice(0, PREVIEW_ROWS).map((row) => (
+                  <tr key={row.row}>
+                    <td>{row.row}</td>
+                    <td>
+                      <span className={`import-status import-status-${row.status}`}>{row.status}</span>
+                    </td>
+                    <td className="isbn-cell">{row.ISBN || 'N/A'}</td>
+                    <td>{row.name || 'N/A'}</td>
+                    <td className="import-messages">{row.messages.join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rows.length > PREVIEW_ROWS && (
+              <p className="import-note">
+                Showing {PREVIEW_ROWS} of {rows.length} rows. Download the report for the rest.
+              </p>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default AdminImport
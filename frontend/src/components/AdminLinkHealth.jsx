@@ -0,0 +1,309 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { authHeaders } from '../utils/admin'
+import './AdminLinkHealth.css'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+const STATUSES = ['broken', 'unreachable', 'redirected', 'ok', 'unchecked']
+
+const FIELD_LABELS = {
+  image_link: 'Cover',
+  amazon_link: 'Purchase',
+}
+
+// How often the tab asks for progress while a check runs
+const POLL_INTERVAL_MS = 2000
+
+// Link Health tab of the Admin dashboard: stored cover and purchase links
+// with their last check, and bulk fixes for the ones that rotted
+function AdminLinkHealth() {
+  const { currentUser } = useAuth()
+  const [links, setLinks] = useState([])
+  const [summary, setSummary] = useState(null)
+  const [job, setJob] = useState(null)
+  const [pagination, setPagination] = useState(null)
+  const [filters, setFilters] = useState({ status: 'broken', field: '' })
+  const [selected, setSelected] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [working, setWorking] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  const fetchReport = useCallback(async (page = 1) => {
+    const setBusy = page > 1 ? setLoadingMore : setLoading
+    try {
+      setBusy(true)
+      const params = new URLSearchParams({ page, limit: 50 })
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value)
+      })
+
+      const response = await fetch(`${API_BASE_URL}/links?${params}`, {
+        headers: await authHeaders(currentUser),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load link report')
+      }
+      setLinks((prev) => (page > 1 ? [...prev, ...data.data] : data.data))
+      setSummary(data.summary)
+      setJob(data.job)
+      setPagination(data.pagination)
+      if (page === 1) setSelected([])
+      setError('')
+    } catch (err) {
+      console.error('Error fetching link report:', err)
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }, [currentUser, filters])
+
+  useEffect(() => {
+    fetchReport()
+  }, [fetchReport])
+
+  // Follow a running check and reload the report once it is done
+  useEffect(() => {
+    if (!job?.running) return undefined
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/links/check`, {
+          headers: await authHeaders(currentUser),
+        })
+        const data = await response.json()
+        if (!response.ok) return
+        setJob(data.data)
+        if (!data.data.running) fetchReport()
+      } catch (err) {
+        console.error('Error fetching link check progress:', err)
+      }
+    }, POLL_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [job?.running, currentUser, fetchReport])
+
+  const startCheck = async (body) => {
+    setNotice('')
+    try {
+      const response = await fetch(`${API_BASE_URL}/links/check`, {
+        method: 'POST',
+        headers: { ...(await authHeaders(currentUser)), 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })
+      const data = await response.json()
+      if (!response.ok && response.status !== 409) {
+        setError(data.message || 'Failed to start link check')
+        return
+      }
+      setJob(data.data)
+    } catch (err) {
+      console.error('Error starting link check:', err)
+      setError('Failed to start link check')
+    }
+  }
+
+  const applyFix = async (action, replacement) => {
+    setWorking(true)
+    setNotice('')
+    try {
+      const response = await fetch(`${API_BASE_URL}/links/fix`, {
+        method: 'POST',
+        headers: { ...(await authHeaders(currentUser)), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, urls: selected, replacement }),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.message || 'Failed to fix links')
+        return
+      }
+      const skipped = data.data.flatMap((result) => result.skipped)
+      setNotice(skipped.length > 0 ? `${data.message}. Skipped: ${skipped.join('; ')}` : data.message)
+      fetchReport()
+    } catch (err) {
+      console.error('Error fixing links:', err)
+      setError('Failed to fix links')
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleReplace = () => {
+    const replacement = prompt(`New URL for ${selected.length} link(s):`)
+    if (replacement) applyFix('replace', replacement.trim())
+  }
+
+  const toggleSelected = (url) => {
+    setSelected((prev) => (prev.includes(url) ? prev.filter((u) => u !== url) : [...prev, url]))
+  }
+
+  const allSelected = links.length > 0 && links.every((link) => selected.includes(link.url))
+
+  return (
+    <div className="admin-section">
+      <div className="admin-section-header">
+        <h2>Link Health</h2>
+        <div className="link-health-actions">
+          <select
+            className="link-health-filter"
+            value={filters.field}
+            onChange={(e) => setFilters((prev) => ({ ...prev, field: e.target.value }))}
+          >
+            <option value="">Covers and purchase links</option>
+            {Object.entries(FIELD_LABELS).map(([field, label]) => (
+              <option key={field} value={field}>{label} links</option>
+            ))}
+          </select>
+          <button
+            className="action-btn edit-btn"
+            onClick={() => startCheck({})}
+            disabled={job?.running}
+            title="Check links not checked recently"
+          >
+            Check due links
+          </button>
+          <button
+            className="action-btn edit-btn"
+            onClick={() => startCheck({ force: true })}
+            disabled={job?.running}
+          >
+            Recheck all
+          </button>
+        </div>
+      </div>
+
+      {job?.running ? (
+        <p className="link-health-note">
+          Checking links... {job.checked} of {job.total || '?'} done
+        </p>
+      ) : job?.finishedAt && (
+        <p className="link-health-note">
+          Last check in this session finished {new Date(job.finishedAt).toLocaleString()}
+          {job.error && ` with an error: ${job.error}`}
+        </p>
+      )}
+
+      {summary && (
+        <div className="link-health-summary">
+          {STATUSES.map((status) => (
+            <button
+              key={status}
+              className={`link-status-chip link-status-${status} ${filters.status === status ? 'active' : ''}`}
+              onClick={() => setFilters((prev) => ({ ...prev, status: prev.status === status ? '' : status }))}
+            >
+              {status} <strong>{summary[status]}</strong>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selected.length > 0 && (
+        <div className="link-health-bulk">
+          <span>{selected.length} selected</span>
+          <button className="action-btn edit-btn" onClick={() => applyFix('final-url')} disabled={working}>
+            Use final URL
+          </button>
+          <button className="action-btn edit-btn" onClick={() => applyFix('isbn-search')} disabled={working}>
+            Use ISBN search
+          </button>
+          <button className="action-btn edit-btn" onClick={handleReplace} disabled={working}>
+            Replace...
+          </button>
+          <button
+            className="action-btn approve-btn"
+            onClick={() => startCheck({ urls: selected })}
+            disabled={working || job?.running}
+          >
+            Recheck
+          </button>
+        </div>
+      )}
+
+      {notice && <div className="book-form-notice">{notice}</div>}
+
+      {loading ? (
+        <div className="admin-loading">Loading link report...</div>
+      ) : error ? (
+        <div className="book-form-error">{error}</div>
+      ) : links.length === 0 ? (
+        <div className="admin-empty">No links found</div>
+      ) : (
+        <div className="books-table-container">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={() => setSelected(allSelected ? [] : links.map((link) => link.url))}
+                  />
+                </th>
+                <th>Link</th>
+                <th>Status</th>
+                <th>Redirects</th>
+                <th>Used By</th>
+                <th>Last Checked</th>
+              </tr>
+            </thead>
+            <tbody>
+              {links.map((link) => (
+                <tr key={link._id}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(link.url)}
+                      onChange={() => toggleSelected(link.url)}
+                    />
+                  </td>
+                  <td className="link-url">
+                    <a href={link.url} target="_blank" rel="noopener noreferrer">{link.url}</a>
+                  </td>
+                  <td>
+                    <span className={`link-status-chip link-status-${link.status}`}>{link.status}</span>
+                    {link.error && <div className="link-error">{link.error}</div>}
+                    {link.failures > 1 && <div className="link-error">Failed {link.failures} checks in a row</div>}
+                  </td>
+                  <td className="link-url">
+                    {link.redirects.length === 0 ? '—' : (
+                      <>
+                        {link.redirects.map((hop) => hop.status).join(' → ')} →{' '}
+                        <a href={link.finalUrl} target="_blank" rel="noopener noreferrer">{link.finalUrl}</a>
+                      </>
+                    )}
+                  </td>
+                  <td>
+                    <ul className="link-refs">
+                      {link.refs.map((ref) => (
+                        <li key={`${ref.source}-${ref.id}-${ref.field}`}>
+                          {ref.name || ref.id} <span className="link-ref-note">({ref.source}, {FIELD_LABELS[ref.field]})</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                  <td>{link.checkedAt ? new Date(link.checkedAt).toLocaleString() : 'Never'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {pagination?.hasNext && (
+            <div className="admin-pagination">
+              <span>Showing {links.length} of {pagination.total}</span>
+              <button
+                className="load-more-btn"
+                onClick={() => fetchReport(pagination.page + 1)}
+                disabled={loadingMore}
+              >
+                {loadingMore ? 'Loading...' : 'Load more'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdminLinkHealth
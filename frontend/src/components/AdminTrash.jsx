@@ -0,0 +1,156 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { authHeaders } from '../utils/admin'
+import './AdminTrash.css'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+// Trash tab of the Admin dashboard: deleted books waiting to be purged
+function AdminTrash({ collections }) {
+  const { currentUser } = useAuth()
+  const [items, setItems] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [collectionFilter, setCollectionFilter] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true)
+      const query = collectionFilter ? `?collection=${collectionFilter}` : ''
+      const response = await fetch(`${API_BASE_URL}/trash${query}`, {
+        headers: await authHeaders(currentUser),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load trash')
+      }
+      setItems(data.data)
+      setRetentionDays(data.retentionDays)
+      setError('')
+    } catch (err) {
+      console.error('Error fetching trash:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [currentUser, collectionFilter])
+
+  useEffect(() => {
+    fetchTrash()
+  }, [fetchTrash])
+
+  const handleRestore = async (item) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/trash/${item.collection}/${item._id}/restore`, {
+        method: 'POST',
+        headers: await authHeaders(currentUser),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        alert(data.message || 'Failed to restore book')
+        return
+      }
+      setItems((prev) => prev.filter((i) => i._id !== item._id))
+    } catch (err) {
+      console.error('Error restoring book:', err)
+    }
+  }
+
+  const handlePurge = async (item) => {
+    if (!confirm(`Permanently delete "${item.name}"? This cannot be undone.`)) return
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/trash/${item.collection}/${item._id}`, {
+        method: 'DELETE',
+        headers: await authHeaders(currentUser),
+      })
+      if (response.ok) {
+        setItems((prev) => prev.filter((i) => i._id !== item._id))
+      }
+    } catch (err) {
+      console.error('Error deleting book:', err)
+    }
+  }
+
+  const collectionLabel = (name) => collections.find((c) => c.name === name)?.label || name
+
+  return (
+    <div className="admin-section">
+      <div className="admin-section-header">
+        <h2>Trash</h2>
+        <select
+          className="trash-filter"
+          value={collectionFilter}
+          onChange={(e) => setCollectionFilter(e.target.value)}
+        >
+          <option value="">All collections</option>
+          {collections.map((c) => (
+            <option key={c.name} value={c.name}>{c.label}</option>
+          ))}
+        </select>
+      </div>
+      {retentionDays !== null && (
+        <p className="trash-note">
+          Deleted books are permanently removed after {retentionDays} days.
+        </p>
+      )}
+
+      {loading ? (
+        <div className="admin-loading">Loading trash...</div>
+      ) : error ? (
+        <div className="book-form-error">{error}</div>
+      ) : items.length === 0 ? (
+        <div className="admin-empty">The trash is empty</div>
+      ) : (
+        <div className="books-table-container">
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Author</th>
+                <th>ISBN</th>
+                <th>Collection</th>
+                <th>Deleted</th>
+                <th>Deleted By</th>
+                <th>Purged On</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item) => (
+                <tr key={`${item.collection}-${item._id}`}>
+                  <td>{item.name}</td>
+                  <td>{item.author}</td>
+                  <td className="isbn-cell">{item.ISBN}</td>
+                  <td>{collectionLabel(item.collection)}</td>
+                  <td>{new Date(item.deletedAt).toLocaleDateString()}</td>
+                  <td>{item.deletedBy || 'N/A'}</td>
+                  <td>{new Date(item.purgeAt).toLocaleDateString()}</td>
+                  <td>
+                    <div className="admin-actions">
+                      <button
+                        className="action-btn approve-btn"
+                        onClick={() => handleRestore(item)}
+                      >
+                        Restore
+                      </button>
+                      <button
+                        className="action-btn delete-btn"
+                        onClick={() => handlePurge(item)}
+                      >
+                        Delete Forever
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdminTrash
@@ -1,33 +1,25 @@
+import { Link } from 'react-router-dom'
+import { cleanIsbn } from '../utils/isbn'
+import { FORMAT_LABELS, splitAuthors, authorPath, coverUrl, acquisitionOptions } from '../utils/catalog'
+import PurchaseChooser from './PurchaseChooser'
+import ShelfMenu from './ShelfMenu'
 import './BookCard.css'
 
 function BookCard({ book, type = 'book' }) {
-  // Get preview link - check multiple sources
-  const getPreviewLink = () => {
-    // Direct links
-    if (book.amazon_link) return book.amazon_link
+  // Stored retailer and library links, with amazon_link folded in
+  const purchaseOptions = acquisitionOptions(book)
+
+  // Without stored links, fall back to Google Books or an Amazon ISBN search
+  const getFallbackLink = () => {
     if (book.previewLink) return book.previewLink
     if (book.volumeInfo?.previewLink) return book.volumeInfo.previewLink
-    
-    // Fallback: construct Amazon link from ISBN if available
     if (book.ISBN) {
-      // Remove hyphens and spaces from ISBN
-      const cleanISBN = book.ISBN.replace(/[-\s]/g, '')
-      return `https://www.amazon.com/s?k=${cleanISBN}`
+      return `https://www.amazon.com/s?k=${cleanIsbn(book.ISBN)}`
     }
-    
     return null
   }
 
-  const previewLink = getPreviewLink()
-
-  const handlePreview = (e) => {
-    e.stopPropagation() // Prevent card click if preview button is clicked
-    if (previewLink) {
-      window.open(previewLink, '_blank', 'noopener,noreferrer')
-    } else {
-      console.warn('No preview link available for book:', book.name || book.volumeInfo?.title)
-    }
-  }
+  const authors = book.author ? splitAuthors(book.author) : book.volumeInfo?.authors || []
 
   // Determine if it's an audiobook based on type or book properties
   const isAudiobook = type === 'audiobook' || book.type === 'audiobook'
@@ -36,7 +28,7 @@ function BookCard({ book, type = 'book' }) {
     <div className="book-card">
       <div className="book-card-image-container">
         <img
-          src={book.image_link || book.volumeInfo?.imageLinks?.thumbnail || '/placeholder-book.jpg'}
+          src={coverUrl(book.image_link, 'medium') || book.volumeInfo?.imageLinks?.thumbnail || '/placeholder-book.jpg'}
           alt={book.name || book.volumeInfo?.title || 'Book'}
           className="book-card-image"
           onError={(e) => {
@@ -46,19 +38,42 @@ function BookCard({ book, type = 'book' }) {
       </div>
       <div className="book-card-content">
         <h3 className="book-card-title">{book.name || book.volumeInfo?.title}</h3>
-        <p className="book-card-author">{book.author || book.volumeInfo?.authors?.join(', ')}</p>
+        <p className="book-card-author">
+          {authors.map((name, index) => (
+            <span key={name}>
+              {index > 0 && ', '}
+              <Link
+                to={authorPath(name)}
+                className="book-card-author-link"
+                onClick={(e) => e.stopPropagation()}
+              >
+                {name}
+              </Link>
+            </span>
+          ))}
+        </p>
+        {book.seriesLabel && <p className="book-card-series">{book.seriesLabel}</p>}
+        {book.formats?.length > 0 && (
+          <div className="book-card-formats">
+            {book.formats.map((format) => (
+              <span key={format} className={`book-card-format book-card-format-${format}`}>
+                {FORMAT_LABELS[format] || format}
+              </span>
+            ))}
+          </div>
+        )}
         {(isAudiobook || type === 'audiobook') && book.narrator && (
           <p className="book-card-narrator">Narrator: {book.narrator}</p>
         )}
-        {/* Show preview button if any link exists (including fallback from ISBN) */}
-        {previewLink && (
-          <button 
-            onClick={handlePreview} 
-            className={`book-card-preview ${isAudiobook ? 'book-card-listen' : ''}`}
-          >
-            {isAudiobook ? 'Listen' : 'Preview'}
-          </button>
-        )}
+        {/* One link opens directly; several open a chooser */}
+        <PurchaseChooser
+          options={purchaseOptions}
+          fallbackUrl={purchaseOptions.length === 0 ? getFallbackLink() : null}
+          className={`book-card-preview ${isAudiobook ? 'book-card-listen' : ''}`}
+        >
+          {isAudiobook ? 'Listen' : 'Preview'}
+        </PurchaseChooser>
+        <ShelfMenu book={book} type={isAudiobook ? 'audiobook' : book.type || type} />
       </div>
     </div>
   )
@@ -0,0 +1,176 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { authHeaders } from '../utils/admin'
+import { FORMAT_LABELS } from '../utils/catalog'
+import './BookEditions.css'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+// Formats panel of the Admin edit form: the editions sharing this book's work,
+// with linking of another edition by ISBN and unlinking onto a work of its own
+function BookEditions({ collection, recordId }) {
+  const { currentUser } = useAuth()
+  const [workId, setWorkId] = useState(null)
+  const [editions, setEditions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [linkIsbn, setLinkIsbn] = useState('')
+  const [linkFormat, setLinkFormat] = useState('')
+  const [linking, setLinking] = useState(false)
+
+  const fetchEditions = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`${API_BASE_URL}/${collection}/${recordId}`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load formats')
+      }
+      setWorkId(data.workId || null)
+      setEditions(data.editions || [])
+      setError('')
+    } catch (err) {
+      console.error('Error fetching editions:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [collection, recordId])
+
+  useEffect(() => {
+    fetchEditions()
+  }, [fetchEditions])
+
+  const handleLink = async (e) => {
+    e.preventDefault()
+    setError('')
+    setLinking(true)
+
+    try {
+      const lookup = await fetch(`${API_BASE_URL}/isbn/${encodeURIComponent(linkIsbn.trim())}`)
+      const found = await lookup.json()
+      if (!found.valid) {
+        throw new Error('Not a valid ISBN')
+      }
+      const candidates = found.editions.filter(
+        (edition) => edition.work !== workId && (!linkFormat || edition.format === linkFormat)
+      )
+      if (candidates.length === 0) {
+        throw new Error('No other catalog edition has this ISBN' + (linkFormat ? ` in ${FORMAT_LABELS[linkFormat]}` : ''))
+      }
+
+      const response = await fetch(`${API_BASE_URL}/catalog/editions/${candidates[0]._id}/work`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await authHeaders(currentUser)),
+        },
+        body: JSON.stringify({ workId }),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to link edition')
+      }
+      setLinkIsbn('')
+      fetchEditions()
+    } catch (err) {
+      console.error('Error linking edition:', err)
+      setError(err.message)
+    } finally {
+      setLinking(false)
+    }
+  }
+
+  const handleUnlink = async (edition) => {
+    if (!confirm(`Unlink the ${FORMAT_LABELS[edition.format]} edition (ISBN ${edition.ISBN})? It will become a separate work.`)) return
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/catalog/editions/${edition._id}/work`, {
+        method: 'DELETE',
+        headers: await authHeaders(currentUser),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.message || 'Failed to unlink edition')
+        return
+      }
+      fetchEditions()
+    } catch (err) {
+      console.error('Error unlinking edition:', err)
+    }
+  }
+
+  if (loading) {
+    return <div className="editions-panel admin-loading">Loading formats...</div>
+  }
+
+  return (
+    <div className="editions-panel">
+      <h3 className="editions-title">Formats</h3>
+      {error && <div className="book-form-error">{error}</div>}
+      {!workId ? (
+        <p className="editions-empty">
+          This book is not in the catalog yet; run the catalog migration to link its formats.
+        </p>
+      ) : (
+        <>
+          <table className="admin-table editions-table">
+            <thead>
+              <tr>
+                <th>Format</th>
+                <th>ISBN</th>
+                <th>Narrator</th>
+                <th>Listed in</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {editions.map((edition) => (
+                <tr key={edition._id}>
+                  <td>{FORMAT_LABELS[edition.format] || edition.format}</td>
+                  <td className="isbn-cell">{edition.ISBN}</td>
+                  <td>{edition.narrator || '—'}</td>
+                  <td>{edition.legacyRefs.map((ref) => ref.source).join(', ') || '—'}</td>
+                  <td>
+                    {editions.length > 1 && (
+                      <button
+                        type="button"
+                        className="action-btn delete-btn"
+                        onClick={() => handleUnlink(edition)}
+                      >
+                        Unlink
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <form className="editions-link-form" onSubmit={handleLink}>
+            <input
+              type="text"
+              value={linkIsbn}
+              onChange={(e) => setLinkIsbn(e.target.value)}
+              placeholder="ISBN of another edition"
+              required
+            />
+            <select value={linkFormat} onChange={(e) => setLinkFormat(e.target.value)}>
+              <option value="">Any format</option>
+              {Object.entries(FORMAT_LABELS).map(([format, label]) => (
+                <option key={format} value={format}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button type="submit" className="action-btn edit-btn" disabled={linking}>
+              {linking ? 'Linking...' : 'Link edition'}
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default BookEditions
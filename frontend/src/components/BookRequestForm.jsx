@@ -1,9 +1,11 @@
 import { useState } from 'react'
 import { useAuth } from '../contexts/AuthContext'
+import { useCategories, flattenCategories } from '../utils/categories'
 import './BookRequestForm.css'
 
 function BookRequestForm({ onSuccess, onClose }) {
   const { currentUser } = useAuth()
+  const categories = useCategories()
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
   const [success, setSuccess] = useState('')
@@ -188,18 +190,11 @@ function BookRequestForm({ onSuccess, onClose }) {
               onChange={handleChange}
               className="form-input"
             >
-              <option value="Fiction">Fiction</option>
-              <option value="Non-Fiction">Non-Fiction</option>
-              <option value="Mystery">Mystery</option>
-              <option value="Romance">Romance</option>
-              <option value="Science Fiction">Science Fiction</option>
-              <option value="Fantasy">Fantasy</option>
-              <option value="Biography">Biography</option>
-              <option value="History">History</option>
-              <option value="Technology">Technology</option>
-              <option value="Science">Science</option>
-              <option value="Audiobook">Audiobook</option>
-              <option value="E-Book">E-Book</option>
+              {flattenCategories(categories).map((category) => (
+                <option key={category._id} value={category.name}>
+                  {'\u00a0\u00a0'.repeat(category.depth)}{category.name}
+                </option>
+              ))}
               <option value="Other">Other</option>
             </select>
           </div>
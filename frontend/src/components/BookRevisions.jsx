@@ -0,0 +1,194 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { authHeaders } from '../utils/admin'
+import './BookRevisions.css'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—'
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+// Revision history panel of the Admin edit form: compare and revert revisions
+function BookRevisions({ collection, recordId, onReverted }) {
+  const { currentUser } = useAuth()
+  const [revisions, setRevisions] = useState([])
+  const [compare, setCompare] = useState({ from: null, to: null })
+  const [diff, setDiff] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`${API_BASE_URL}/revisions/${collection}/${recordId}`, {
+        headers: await authHeaders(currentUser),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load revisions')
+      }
+      setRevisions(data.data)
+      // Compare the latest change by default
+      const latest = data.data.length
+      setCompare({ from: latest > 1 ? latest - 1 : null, to: latest || null })
+      setError('')
+    } catch (err) {
+      console.error('Error fetching revisions:', err)
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [currentUser, collection, recordId])
+
+  useEffect(() => {
+    fetchRevisions()
+  }, [fetchRevisions])
+
+  useEffect(() => {
+    if (!compare.from || !compare.to) {
+      setDiff(null)
+      return
+    }
+
+    const fetchDiff = async () => {
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/revisions/${collection}/${recordId}/diff?from=${compare.from}&to=${compare.to}`,
+          { headers: await authHeaders(currentUser) }
+        )
+        const data = await response.json()
+        if (response.ok) {
+          setDiff(data.data)
+        }
+      } catch (err) {
+        console.error('Error fetching revision diff:', err)
+      }
+    }
+    fetchDiff()
+  }, [currentUser, collection, recordId, compare])
+
+  const handleRevert = async (revision) => {
+    if (!confirm(`Revert this book to revision ${revision}? The current values become a revision of their own.`)) return
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/revisions/${collection}/${recordId}/revert`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await authHeaders(currentUser)),
+        },
+        body: JSON.stringify({ revision }),
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        alert(data.message || 'Failed to revert')
+        return
+      }
+      onReverted(data.data)
+      fetchRevisions()
+    } catch (err) {
+      console.error('Error reverting book:', err)
+    }
+  }
+
+  if (loading) {
+    return <div className="revisions-panel admin-loading">Loading history...</div>
+  }
+
+  return (
+    <div className="revisions-panel">
+      <h3 className="revisions-title">History</h3>
+      {error ? (
+        <div className="book-form-error">{error}</div>
+      ) : revisions.length === 0 ? (
+        <p className="revisions-empty">No changes have been recorded for this book yet.</p>
+      ) : (
+        <>
+          <table className="admin-table revisions-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>When</th>
+                <th>By</th>
+                <th>Change</th>
+                <th>From</th>
+                <th>To</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...revisions].reverse().map((rev) => (
+                <tr key={rev.revision}>
+                  <td>{rev.revision}</td>
+                  <td>{rev.timestamp ? new Date(rev.timestamp).toLocaleString() : '—'}</td>
+                  <td>{rev.actor?.email || '—'}</td>
+                  <td>
+                    {rev.action}
+                    {rev.details?.revertedTo && ` to #${rev.details.revertedTo}`}
+                    {rev.changedFields.length > 0 && (
+                      <span className="revisions-fields"> ({rev.changedFields.join(', ')})</span>
+                    )}
+                  </td>
+                  <td>
+                    <input
+                      type="radio"
+                      name="revision-from"
+                      checked={compare.from === rev.revision}
+                      onChange={() => setCompare((prev) => ({ ...prev, from: rev.revision }))}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="radio"
+                      name="revision-to"
+                      checked={compare.to === rev.revision}
+                      onChange={() => setCompare((prev) => ({ ...prev, to: rev.revision }))}
+                    />
+                  </td>
+                  <td>
+                    {rev.revision < revisions.length && (
+                      <button
+                        type="button"
+                        className="action-btn edit-btn"
+                        onClick={() => handleRevert(rev.revision)}
+                      >
+                        Revert
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {diff && (
+            <div className="revisions-diff">
+              <h4>
+                Revision {diff.from} → {diff.to}
+              </h4>
+              {diff.changes.length === 0 ? (
+                <p className="revisions-empty">No differences</p>
+              ) : (
+                <table className="audit-diff">
+                  <tbody>
+                    {diff.changes.map((change) => (
+                      <tr key={change.field}>
+                        <th>{change.field}</th>
+                        <td className="audit-before">{formatValue(change.from)}</td>
+                        <td className="audit-after">{formatValue(change.to)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default BookRevisions
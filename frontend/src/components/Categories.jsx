@@ -1,27 +1,53 @@
+import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
+import { coverUrl } from '../utils/catalog'
+import { useCategories, categoryPath } from '../utils/categories'
 import './Categories.css'
 
-const categories = [
-  { id: 1, name: 'Fiction', route: '/books?category=fiction', api: 'fiction', image: 'https://th.bing.com/th/id/OIP.fKu9KroDzzTVFQk3q5jC-gHaLX?w=188&h=289&c=7&r=0&o=5&dpr=1.4&pid=1.7' },
-  { id: 2, name: 'Science', route: '/books?category=science', api: 'science', image: 'https://cdn2.penguin.com.au/covers/original/9781409350156.jpg' },
-  { id: 3, name: 'Technology', route: '/books?category=technology', api: 'technology', image: 'https://th.bing.com/th/id/OIP.KXGXvQnZksxzuBbjzqpmtwHaLh?w=188&h=292&c=7&r=0&o=5&dpr=1.4&pid=1.7' },
-  { id: 4, name: 'History', route: '/books?category=history', api: 'history', image: 'https://th.bing.com/th/id/OIP.P9YLrMwz-THUbrC7Oo8hUAAAAA?w=162&h=192&c=7&r=0&o=5&dpr=1.4&pid=1.7' },
-  { id: 5, name: 'Biography', route: '/books?category=biography', api: 'biography', image: 'https://th.bing.com/th/id/OIP.YKMfmtiwurEnx9ertgQg-gHaL6?w=188&h=303&c=7&r=0&o=5&dpr=1.4&pid=1.7' },
-  { id: 6, name: 'Fantasy', route: '/books?category=fantasy', api: 'fantasy', image: 'https://th.bing.com/th/id/OIP.cvexECPTvVLzlZWuLoaRegHaL2?rs=1&pid=ImgDetMain' },
-  { id: 7, name: 'Romance', route: '/books?category=romance', api: 'romance', image: 'https://images.squarespace-cdn.com/content/v1/59e235dcd7bdcec81eb68962/1575860872067-04EH3B6LX0ZNNXH26H88/ke17ZwdGBToddI8pDm48kD755XqWqn8HkRX8WSTt5GJ7gQa3H78H3Y0txjaiv_0fDoOvxcdMmMKkDsyUqMSsMWxHk725yiiHCCLfrh8O1z5QPOohDIaIeljMHgDF5CVlOqpeNLcJ80NK65_fV7S1URwn7vetbNoOrjGqAVoZN5bz1XPY0_Ev1nDpBBPOnwUda4oDI66FEaoPF3aKRzQZjg/Romance+Unleashed+by+Diana+Plamer.jpg' },
-]
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+// Cover of the newest book in a category, or null: from its legacy collection
+// when it has one, otherwise from the catalog search for its genre
+const fetchCategoryCover = async (category) => {
+  const url = category.legacyCollection
+    ? `${API_BASE_URL}/${category.legacyCollection}?limit=1&fields=image_link`
+    : `${API_BASE_URL}/search?genre=${encodeURIComponent(category.name)}&limit=1&facets=false`
+  try {
+    const response = await fetch(url)
+    if (!response.ok) return null
+    const data = await response.json()
+    const item = data.data?.[0]
+    return (category.legacyCollection ? item?.image_link : item?.editions?.find((e) => e.image_link)?.image_link) || null
+  } catch {
+    return null
+  }
+}
 
 function Categories() {
   const navigate = useNavigate()
+  const categories = useCategories()
+  // Tiles without a cover of their own show one from their books
+  const [covers, setCovers] = useState({})
+
+  useEffect(() => {
+    let active = true
+    const uncovered = categories.filter((category) => !category.image_link)
+    Promise.all(uncovered.map(fetchCategoryCover)).then((links) => {
+      if (active) setCovers(Object.fromEntries(uncovered.map((category, index) => [category._id, links[index]])))
+    })
+    return () => {
+      active = false
+    }
+  }, [categories])
 
   const handleCategoryClick = (category) => {
     // Store visited category in localStorage for recommendations
     const visitedCategories = JSON.parse(localStorage.getItem('visitedCategories')) || []
-    if (!visitedCategories.includes(category.api)) {
-      visitedCategories.push(category.api)
+    if (category.legacyCollection && !visitedCategories.includes(category.legacyCollection)) {
+      visitedCategories.push(category.legacyCollection)
       localStorage.setItem('visitedCategories', JSON.stringify(visitedCategories))
     }
-    navigate(category.route)
+    navigate(categoryPath(category))
   }
 
   return (
@@ -31,19 +57,25 @@ function Categories() {
         <div className="categories-scroll-content">
           {categories.map((category) => (
             <div
-              key={category.id}
+              key={category._id}
               className="category-card"
               onClick={() => handleCategoryClick(category)}
             >
               <div className="category-cover">
-                <img
-                  src={category.image}
-                  alt={category.name}
-                  className="category-image"
-                  onError={(e) => {
-                    e.target.src = '/placeholder-book.jpg'
-                  }}
-                />
+                {category.image_link || covers[category._id] ? (
+                  <img
+                    src={coverUrl(category.image_link || covers[category._id], 'medium')}
+                    alt={category.name}
+                    className="category-image"
+                    onError={(e) => {
+                      e.target.src = '/placeholder-book.jpg'
+                    }}
+                  />
+                ) : (
+                  <div className="category-placeholder">
+                    <span className="category-placeholder-text">{category.name[0]}</span>
+                  </div>
+                )}
               </div>
               <h3 className="category-name">{category.name}</h3>
             </div>
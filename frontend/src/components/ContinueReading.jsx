@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { requestProgress } from '../utils/progress'
+import BookCard from './BookCard'
+import ReadingProgress from './ReadingProgress'
+import './HorizontalScrollSection.css'
+import './ContinueReading.css'
+
+// Home page row of the books the reader has started and not finished, most
+// recently read first. Hidden until there is something to continue.
+function ContinueReading() {
+  const { currentUser } = useAuth()
+  const [items, setItems] = useState([])
+
+  useEffect(() => {
+    let active = true
+    requestProgress(currentUser, '/continue')
+      .then((progress) => {
+        if (active) setItems(progress)
+      })
+      .catch((error) => console.error('Error fetching continue reading:', error))
+    return () => {
+      active = false
+    }
+  }, [currentUser])
+
+  // Keep the row in step with progress saved from it; finished books leave it
+  const handleSaved = (saved) => {
+    setItems((prev) =>
+      saved.finishedAt
+        ? prev.filter((item) => item._id !== saved._id)
+        : [saved, ...prev.filter((item) => item._id !== saved._id)]
+    )
+  }
+
+  if (items.length === 0) return null
+
+  return (
+    <section className="scroll-section">
+      <h2 className="scroll-section-title">Continue Reading</h2>
+      <div className="scroll-section-container">
+        <div className="scroll-section-content">
+          {items.map((item) => (
+            <div key={item._id} className="continue-reading-item">
+              <BookCard book={item.book} type={item.book.type} />
+              <ReadingProgress book={item.book} type={item.book.type} progress={item} onSaved={handleSaved} />
+            </div>
+          ))}
+        </div>
+      </div>
+    </section>
+  )
+}
+
+export default ContinueReading
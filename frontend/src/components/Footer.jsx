@@ -1,6 +1,9 @@
+import { useCategories, categoryPath } from '../utils/categories'
 import './Footer.css'
 
 function Footer() {
+  const categories = useCategories()
+
   return (
     <footer className="footer">
       <div className="footer-container">
@@ -22,13 +25,11 @@ function Footer() {
           <div className="footer-section">
             <h4 className="footer-heading">Categories</h4>
             <ul className="footer-links">
-              <li>Fiction</li>
-              <li>Science</li>
-              <li>Biography</li>
-              <li>Fantasy</li>
-              <li>History</li>
-              <li>Technology</li>
-              <li>Romance</li>
+              {categories.map((category) => (
+                <li key={category._id}>
+                  <a href={categoryPath(category)}>{category.name}</a>
+                </li>
+              ))}
             </ul>
           </div>
         </div>
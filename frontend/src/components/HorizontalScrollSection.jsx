@@ -1,22 +1,40 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import BookCard from './BookCard'
 import './HorizontalScrollSection.css'
 
+const PAGE_SIZE = 20
+
+// Start fetching the next page when this close (px) to the right end
+const LOAD_AHEAD = 400
+
+// Add pagination parameters to a list endpoint URL
+const pageUrl = (fetchUrl, cursor) => {
+  // Resolve against the page so a relative API base URL works too
+  const url = new URL(fetchUrl, window.location.origin)
+  url.searchParams.set('limit', PAGE_SIZE)
+  if (cursor) url.searchParams.set('cursor', cursor)
+  return url.toString()
+}
+
 function HorizontalScrollSection({ title, fetchUrl, type = 'book' }) {
   const [books, setBooks] = useState([])
   const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [nextCursor, setNextCursor] = useState(null)
   const [error, setError] = useState(null)
+  const containerRef = useRef(null)
 
   useEffect(() => {
     const fetchBooks = async () => {
       try {
         setLoading(true)
-        const response = await fetch(fetchUrl)
+        const response = await fetch(pageUrl(fetchUrl))
         if (!response.ok) {
           throw new Error('Failed to fetch books')
         }
         const data = await response.json()
-        setBooks(data)
+        setBooks(data.data)
+        setNextCursor(data.pagination?.nextCursor || null)
         setError(null)
       } catch (err) {
         console.error(`Error fetching ${title}:`, err)
@@ -29,6 +47,33 @@ function HorizontalScrollSection({ title, fetchUrl, type = 'book' }) {
     fetchBooks()
   }, [fetchUrl, title])
 
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore) return
+    try {
+      setLoadingMore(true)
+      const response = await fetch(pageUrl(fetchUrl, nextCursor))
+      if (!response.ok) {
+        throw new Error('Failed to fetch books')
+      }
+      const data = await response.json()
+      setBooks((prev) => [...prev, ...data.data])
+      setNextCursor(data.pagination?.nextCursor || null)
+    } catch (err) {
+      console.error(`Error loading more ${title}:`, err)
+      setNextCursor(null)
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  const handleScroll = () => {
+    const container = containerRef.current
+    if (!container) return
+    if (container.scrollLeft + container.clientWidth >= container.scrollWidth - LOAD_AHEAD) {
+      loadMore()
+    }
+  }
+
   if (loading) {
     return (
       <section className="scroll-section">
@@ -50,7 +95,7 @@ function HorizontalScrollSection({ title, fetchUrl, type = 'book' }) {
   return (
     <section className="scroll-section">
       <h2 className="scroll-section-title">{title}</h2>
-      <div className="scroll-section-container">
+      <div className="scroll-section-container" ref={containerRef} onScroll={handleScroll}>
         <div className="scroll-section-content">
           {books.length === 0 ? (
             <div className="scroll-section-empty">
@@ -61,6 +106,7 @@ function HorizontalScrollSection({ title, fetchUrl, type = 'book' }) {
               <BookCard key={book._id || book.ISBN} book={book} type={type} />
             ))
           )}
+          {loadingMore && <div className="scroll-section-more">Loading...</div>}
         </div>
       </div>
     </section>
@@ -68,4 +114,3 @@ function HorizontalScrollSection({ title, fetchUrl, type = 'book' }) {
 }
 
 export default HorizontalScrollSection
-
@@ -1,10 +1,11 @@
 import { Link, useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { isAdmin } from '../utils/admin'
+import SearchBox from './SearchBox'
 import './Navbar.css'
 
 function Navbar() {
-  const { currentUser, logout } = useAuth()
+  const { currentUser, profile, logout } = useAuth()
   const navigate = useNavigate()
   const userIsAdmin = currentUser ? isAdmin(currentUser.email) : false
 
@@ -51,6 +52,7 @@ function Navbar() {
           EasyReads
         </Link>
         <div className="navbar-menu">
+          <SearchBox />
           <Link to="/home" className="navbar-link">
             Home
           </Link>
@@ -63,9 +65,14 @@ function Navbar() {
           <Link to="/requests" className="navbar-link">
             Requests
           </Link>
+          <Link to="/my-library" className="navbar-link">
+            My Library
+          </Link>
           {currentUser && (
             <div className="navbar-user">
-              <span className="navbar-welcome">Welcome, {currentUser.email}</span>
+              <Link to="/profile" className="navbar-welcome" title="Profile settings">
+                Welcome, {profile?.displayName || currentUser.email}
+              </Link>
               <button onClick={handleLogout} className="navbar-logout">
                 Logout
               </button>
@@ -0,0 +1,71 @@
+import { useState, useEffect, useRef } from 'react'
+import { ACQUISITION_TYPE_LABELS, acquisitionUrl, formatPrice } from '../utils/catalog'
+import './PurchaseChooser.css'
+
+const openLink = (url) => window.open(url, '_blank', 'noopener,noreferrer')
+
+// Where to get a book: one link opens straight away, several open a menu
+// grouped by type. `fallbackUrl` is used when there are no options at all.
+function PurchaseChooser({ options, fallbackUrl, className = '', children }) {
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close the menu on a click anywhere else
+  useEffect(() => {
+    if (!open) return undefined
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  if (options.length === 0 && !fallbackUrl) return null
+
+  const handleClick = (e) => {
+    e.stopPropagation() // Keep the click from reaching the card
+    if (options.length > 1) {
+      setOpen((prev) => !prev)
+    } else {
+      openLink(options.length === 1 ? acquisitionUrl(options[0]) : fallbackUrl)
+    }
+  }
+
+  const groups = Object.entries(ACQUISITION_TYPE_LABELS)
+    .map(([type, label]) => ({ type, label, links: options.filter((link) => link.type === type) }))
+    .filter((group) => group.links.length > 0)
+
+  return (
+    <div className="purchase-chooser" ref={containerRef}>
+      <button className={className} onClick={handleClick} aria-expanded={options.length > 1 ? open : undefined}>
+        {children}
+        {options.length > 1 && <span className="purchase-chooser-caret"> ▾</span>}
+      </button>
+      {open && (
+        <div className="purchase-chooser-menu" onClick={(e) => e.stopPropagation()}>
+          {groups.map((group) => (
+            <div key={group.type} className="purchase-chooser-group">
+              <div className="purchase-chooser-heading">{group.label}</div>
+              {group.links.map((link) => (
+                <a
+                  key={link._id || link.url}
+                  href={acquisitionUrl(link)}
+                  target="_blank"
+                  rel="noopener noreferrer sponsored"
+                  className="purchase-chooser-option"
+                  onClick={() => setOpen(false)}
+                >
+                  <span className="purchase-chooser-name">{link.name}</span>
+                  {link.region && <span className="purchase-chooser-region">{link.region}</span>}
+                  {formatPrice(link.price) && <span className="purchase-chooser-price">{formatPrice(link.price)}</span>}
+                </a>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PurchaseChooser
@@ -0,0 +1,138 @@
+import { useState } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { useShelves, shelfItemRef } from '../utils/shelves'
+import { requestProgress, progressLabel, formatTimestamp } from '../utils/progress'
+import './ReadingProgress.css'
+
+// Form fields for a progress record; empty strings for what it doesn't have
+const formFrom = (progress) => ({
+  mode: progress?.page == null && progress?.percent ? 'percent' : 'page',
+  page: progress?.page ?? '',
+  totalPages: '',
+  percent: progress?.percent ?? '',
+  position: progress?.position != null ? formatTimestamp(progress.position) : '',
+  duration: '',
+})
+
+// Progress bar of one edition with a small form to update it: a page or
+// percentage for print and ebooks, a playback position for audiobooks.
+// `onSaved` receives the saved progress.
+function ReadingProgress({ book, type, progress, onSaved }) {
+  const { currentUser } = useAuth()
+  const shelfState = useShelves()
+  const [editing, setEditing] = useState(false)
+  const [formData, setFormData] = useState(() => formFrom(progress))
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const isAudiobook = type === 'audiobook'
+
+  const openForm = () => {
+    setFormData(formFrom(progress))
+    setError('')
+    setEditing(true)
+  }
+
+  const save = async (changes) => {
+    setSaving(true)
+    setError('')
+    try {
+      const saved = await requestProgress(currentUser, '', 'POST', { ...shelfItemRef(book, type), ...changes })
+      setEditing(false)
+      onSaved?.(saved)
+      // Progress moves the book to Currently Reading or Finished
+      shelfState?.refresh()
+    } catch (err) {
+      console.error('Error saving progress:', err)
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    const changes = {}
+    if (isAudiobook) {
+      changes.position = formData.position
+      if (formData.duration) changes.duration = formData.duration
+    } else if (formData.mode === 'percent') {
+      changes.percent = formData.percent
+    } else {
+      changes.page = formData.page
+      if (formData.totalPages) changes.totalPages = formData.totalPages
+    }
+    save(changes)
+  }
+
+  const set = (field) => (e) => setFormData({ ...formData, [field]: e.target.value })
+
+  if (!editing) {
+    return (
+      <div className="reading-progress">
+        {progress && (
+          <>
+            <div className="reading-progress-bar">
+              <div className="reading-progress-fill" style={{ width: `${progress.percent}%` }} />
+            </div>
+            <div className="reading-progress-label">{progressLabel(progress)}</div>
+          </>
+        )}
+        <button className="reading-progress-edit" onClick={openForm}>
+          {progress ? 'Update progress' : 'Track progress'}
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <form className="reading-progress reading-progress-form" onSubmit={handleSubmit}>
+      {error && <div className="reading-progress-error">{error}</div>}
+      {isAudiobook ? (
+        <>
+          <label>
+            Position
+            <input type="text" value={formData.position} onChange={set('position')} placeholder="1:23:45" required />
+          </label>
+          {!progress?.duration && (
+            <label>
+              Length
+              <input type="text" value={formData.duration} onChange={set('duration')} placeholder="10:05:00" />
+            </label>
+          )}
+        </>
+      ) : (
+        <>
+          <select value={formData.mode} onChange={set('mode')}>
+            <option value="page">Page</option>
+            <option value="percent">Percent</option>
+          </select>
+          {formData.mode === 'percent' ? (
+            <input type="number" min="0" max="100" step="0.1" value={formData.percent} onChange={set('percent')} required />
+          ) : (
+            <>
+              <input type="number" min="0" value={formData.page} onChange={set('page')} required />
+              {!progress?.totalPages && (
+                <label>
+                  of
+                  <input type="number" min="1" value={formData.totalPages} onChange={set('totalPages')} placeholder="pages" />
+                </label>
+              )}
+            </>
+          )}
+        </>
+      )}
+      <div className="reading-progress-actions">
+        <button type="submit" disabled={saving}>Save</button>
+        <button type="button" onClick={() => save({ finished: true })} disabled={saving}>
+          Finished
+        </button>
+        <button type="button" className="reading-progress-cancel" onClick={() => setEditing(false)}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default ReadingProgress
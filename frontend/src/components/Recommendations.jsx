@@ -1,9 +1,44 @@
 import { useEffect, useState } from 'react'
 import BookCard from './BookCard'
+import { seriesLabel, workToCardBook } from '../utils/catalog'
 import './Recommendations.css'
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
 
+const PER_CATEGORY = 20
+
+// Follow each recommended book that belongs to a series with the next one to read
+const withNextInSeries = async (books) => {
+  const isbns = books.map((book) => book.ISBN).filter(Boolean)
+  if (isbns.length === 0) return books
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/series/next?isbns=${encodeURIComponent(isbns.join(','))}`)
+    if (!response.ok) return books
+    const { data } = await response.json()
+
+    const seen = new Set(books.map((book) => book.name))
+    const result = []
+    for (const book of books) {
+      const links = data[book.ISBN] || []
+      result.push(links.length > 0 ? { ...book, seriesLabel: seriesLabel(links[0]) } : book)
+      for (const link of links) {
+        if (link.next && !seen.has(link.next.title)) {
+          seen.add(link.next.title)
+          result.push({
+            ...workToCardBook(link.next),
+            seriesLabel: `Next in ${link.series.name} (#${link.next.position})`,
+          })
+        }
+      }
+    }
+    return result
+  } catch (error) {
+    console.error('Error fetching series for recommendations:', error)
+    return books
+  }
+}
+
 function Recommendations() {
   const [recommendations, setRecommendations] = useState([])
   const [loading, setLoading] = useState(true)
@@ -15,10 +50,11 @@ function Recommendations() {
 
       for (const category of visitedCategories) {
         try {
-          const response = await fetch(`${API_BASE_URL}/${category}`)
+          // A page per category is plenty to pick 20 from
+          const response = await fetch(`${API_BASE_URL}/${category}?limit=${PER_CATEGORY}`)
           if (response.ok) {
             const data = await response.json()
-            recommendedBooks = [...recommendedBooks, ...data]
+            recommendedBooks = [...recommendedBooks, ...data.data]
           }
         } catch (error) {
           console.error(`Error fetching books for category ${category}:`, error)
@@ -27,7 +63,7 @@ function Recommendations() {
 
       // Shuffle the recommended books and limit to 20
       recommendedBooks = shuffleArray(recommendedBooks).slice(0, 20)
-      setRecommendations(recommendedBooks)
+      setRecommendations(await withNextInSeries(recommendedBooks))
       setLoading(false)
     }
 
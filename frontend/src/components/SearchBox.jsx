@@ -0,0 +1,159 @@
+import { useState, useEffect, useRef } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { seriesPath } from '../utils/catalog'
+import './SearchBox.css'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+// Wait for a pause in typing before asking for suggestions
+const SUGGEST_DELAY = 150
+
+function SearchBox() {
+  const navigate = useNavigate()
+  const [query, setQuery] = useState('')
+  const [suggestions, setSuggestions] = useState([])
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    const text = query.trim()
+    if (text.length < 2) {
+      setSuggestions([])
+      return
+    }
+
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/search/suggest?q=${encodeURIComponent(text)}`,
+          { signal: controller.signal }
+        )
+        if (!response.ok) return
+        const data = await response.json()
+        setSuggestions(data.data || [])
+        setActiveIndex(-1)
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.error('Error fetching suggestions:', err)
+        }
+      }
+    }, SUGGEST_DELAY)
+
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [query])
+
+  // Close the list when clicking anywhere else
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  const goTo = (path) => {
+    setOpen(false)
+    setActiveIndex(-1)
+    navigate(path)
+  }
+
+  const submitSearch = () => {
+    const text = query.trim()
+    if (text) goTo(`/books?q=${encodeURIComponent(text)}`)
+  }
+
+  const selectSuggestion = (suggestion) => {
+    setQuery(suggestion.value)
+    if (suggestion.type === 'author') {
+      goTo(`/books?author=${encodeURIComponent(suggestion.value)}`)
+    } else if (suggestion.type === 'series') {
+      goTo(seriesPath(suggestion.slug))
+    } else {
+      goTo(`/books?q=${encodeURIComponent(suggestion.value)}`)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setOpen(true)
+      setActiveIndex((i) => (suggestions.length ? (i + 1) % suggestions.length : -1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex((i) => (suggestions.length ? (i <= 0 ? suggestions.length - 1 : i - 1) : -1))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (open && activeIndex >= 0 && suggestions[activeIndex]) {
+        selectSuggestion(suggestions[activeIndex])
+      } else {
+        submitSearch()
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false)
+      setActiveIndex(-1)
+    }
+  }
+
+  const showList = open && suggestions.length > 0
+
+  return (
+    <div className="search-box" ref={containerRef}>
+      <input
+        type="search"
+        className="search-box-input"
+        placeholder="Search titles or authors"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value)
+          setOpen(true)
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={handleKeyDown}
+        role="combobox"
+        aria-expanded={showList}
+        aria-controls="search-box-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+      />
+      {showList && (
+        <ul id="search-box-suggestions" className="search-box-suggestions" role="listbox">
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={`${suggestion.type}-${suggestion.workId || suggestion.value}`}
+              id={`search-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`search-suggestion ${index === activeIndex ? 'active' : ''}`}
+              // mousedown fires before the input loses focus
+              onMouseDown={(e) => {
+                e.preventDefault()
+                selectSuggestion(suggestion)
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+            >
+              <span className="search-suggestion-type">{suggestion.type}</span>
+              <span className="search-suggestion-value">{suggestion.value}</span>
+              {suggestion.type === 'title' && suggestion.authors?.length > 0 && (
+                <span className="search-suggestion-detail">{suggestion.authors.join(', ')}</span>
+              )}
+              {(suggestion.type === 'author' || suggestion.type === 'series') && (
+                <span className="search-suggestion-detail">
+                  {suggestion.count} {suggestion.count === 1 ? 'book' : 'books'}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default SearchBox
@@ -0,0 +1,118 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link } from 'react-router-dom'
+import { useShelves, canShelve } from '../utils/shelves'
+import './ShelfMenu.css'
+
+// Shelf dropdown of a BookCard: pick the book's reading state (want to read,
+// reading, finished) and toggle it on the reader's custom shelves
+function ShelfMenu({ book, type }) {
+  const shelfState = useShelves()
+  const [open, setOpen] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const containerRef = useRef(null)
+
+  // Close the menu on a click anywhere else
+  useEffect(() => {
+    if (!open) return undefined
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', handleClick)
+    return () => document.removeEventListener('mousedown', handleClick)
+  }, [open])
+
+  if (!shelfState?.enabled || shelfState.shelves.length === 0 || !canShelve(book)) return null
+
+  const { shelves, shelvesOf, addToShelf, moveItem, removeItem } = shelfState
+  const placed = shelvesOf(book, type)
+  const current = placed.find((entry) => entry.shelf.status)
+  const isOn = (shelf) => placed.find((entry) => entry.shelf._id === shelf._id)
+
+  const run = async (task) => {
+    setBusy(true)
+    try {
+      await task()
+      setOpen(false)
+    } catch (err) {
+      console.error('Error updating shelves:', err)
+      alert(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // A book has one reading state, so picking another moves it there
+  const chooseState = (shelf) => {
+    if (current?.shelf._id === shelf._id) return setOpen(false)
+    run(() => (current ? moveItem(current.item, shelf._id) : addToShelf(shelf._id, book, type)))
+  }
+
+  const toggleShelf = (shelf) => {
+    const entry = isOn(shelf)
+    run(() => (entry ? removeItem(entry.item) : addToShelf(shelf._id, book, type)))
+  }
+
+  const states = shelves.filter((shelf) => shelf.status)
+  const custom = shelves.filter((shelf) => !shelf.status)
+
+  return (
+    <div className="shelf-menu" ref={containerRef}>
+      <button
+        className={`shelf-menu-button ${current ? 'shelved' : ''}`}
+        onClick={(e) => {
+          e.stopPropagation() // Keep the click from reaching the card
+          setOpen((prev) => !prev)
+        }}
+        disabled={busy}
+        aria-expanded={open}
+      >
+        {current ? `✓ ${current.shelf.name}` : '+ Add to shelf'}
+        <span className="shelf-menu-caret"> ▾</span>
+      </button>
+      {open && (
+        <div className="shelf-menu-list" onClick={(e) => e.stopPropagation()}>
+          {states.map((shelf) => (
+            <button
+              key={shelf._id}
+              className={`shelf-menu-option ${current?.shelf._id === shelf._id ? 'active' : ''}`}
+              onClick={() => chooseState(shelf)}
+              disabled={busy}
+            >
+              {shelf.name}
+            </button>
+          ))}
+          {current && (
+            <button
+              className="shelf-menu-option shelf-menu-remove"
+              onClick={() => run(() => removeItem(current.item))}
+              disabled={busy}
+            >
+              Remove from {current.shelf.name}
+            </button>
+          )}
+          {custom.length > 0 && (
+            <div className="shelf-menu-group">
+              <div className="shelf-menu-heading">My shelves</div>
+              {custom.map((shelf) => (
+                <label key={shelf._id} className="shelf-menu-option shelf-menu-check">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(isOn(shelf))}
+                    onChange={() => toggleShelf(shelf)}
+                    disabled={busy}
+                  />
+                  {shelf.name}
+                </label>
+              ))}
+            </div>
+          )}
+          <Link to="/my-library" className="shelf-menu-option shelf-menu-manage">
+            Manage shelves
+          </Link>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ShelfMenu
@@ -0,0 +1,72 @@
+import { Link } from 'react-router-dom'
+import { FORMAT_LABELS, authorPath, seriesPath, seriesLabel, coverUrl, acquisitionOptions } from '../utils/catalog'
+import PurchaseChooser from './PurchaseChooser'
+import './WorkEntry.css'
+
+const coverOf = (work) =>
+  coverUrl(work.editions.find((e) => e.image_link)?.image_link, 'small') || '/placeholder-book.jpg'
+
+// One catalog work with its credits, series and editions in every format.
+// `hiddenAuthors` and `hiddenSeries` leave out what the surrounding page is about.
+function WorkEntry({ work, position, hiddenAuthors = [], hiddenSeries }) {
+  const credits = work.authors.filter((name) => !hiddenAuthors.includes(name))
+  const series = (work.series || []).filter((link) => link.series._id !== hiddenSeries)
+
+  return (
+    <article className="work-entry">
+      {position != null && <span className="work-entry-position">{position}</span>}
+      <img
+        src={coverOf(work)}
+        alt={work.title}
+        className="work-entry-cover"
+        onError={(e) => {
+          e.target.src = '/placeholder-book.jpg'
+        }}
+      />
+      <div className="work-entry-details">
+        <h3 className="work-entry-title">{work.title}</h3>
+        {credits.length > 0 && (
+          <p className="work-entry-credits">
+            {hiddenAuthors.length > 0 ? 'with ' : 'by '}
+            {credits.map((name, index) => (
+              <span key={name}>
+                {index > 0 && ', '}
+                <Link to={authorPath(name)}>{name}</Link>
+              </span>
+            ))}
+          </p>
+        )}
+        {series.map((link) => (
+          <p key={link.series._id} className="work-entry-series">
+            <Link to={seriesPath(link.series.slug)}>{seriesLabel(link)}</Link>
+            {link.next && <span> · Next: {link.next.title}</span>}
+          </p>
+        ))}
+        {work.genres.length > 0 && (
+          <p className="work-entry-genres">{work.genres.join(' · ')}</p>
+        )}
+        <ul className="work-entry-editions">
+          {work.editions.map((edition) => {
+            const options = acquisitionOptions(edition)
+            const label = FORMAT_LABELS[edition.format] || edition.format
+            return (
+              <li key={edition._id} className={`work-edition work-edition-${edition.format}`}>
+                {options.length > 0 ? (
+                  <PurchaseChooser options={options} className="work-edition-link">
+                    {label}
+                  </PurchaseChooser>
+                ) : (
+                  label
+                )}
+                {edition.narrator && <span className="work-edition-note"> · read by {edition.narrator}</span>}
+                <span className="work-edition-note"> · ISBN {edition.ISBN}</span>
+              </li>
+            )
+          })}
+        </ul>
+      </div>
+    </article>
+  )
+}
+
+export default WorkEntry
@@ -4,9 +4,27 @@ import {
   signInWithEmailAndPassword,
   signOut,
   onAuthStateChanged,
-  sendEmailVerification
+  sendEmailVerification,
+  updateProfile
 } from 'firebase/auth'
 import { auth } from '../config/firebase'
+import { authHeaders } from '../utils/admin'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+// Send a change to the signed-in user's library profile (/api/me)
+const requestProfile = async (user, method = 'GET', changes) => {
+  const response = await fetch(`${API_BASE_URL}/me`, {
+    method,
+    headers: { ...(await authHeaders(user)), 'Content-Type': 'application/json' },
+    body: changes && JSON.stringify(changes),
+  })
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.message || 'Profile request failed')
+  }
+  return data.data
+}
 
 const AuthContext = createContext()
 
@@ -16,12 +34,24 @@ export function useAuth() {
 
 export function AuthProvider({ children }) {
   const [currentUser, setCurrentUser] = useState(null)
+  // Library profile of the signed-in user; created by the API on first sign-in
+  const [profile, setProfile] = useState(null)
   const [loading, setLoading] = useState(true)
 
   async function signup(email, password, username) {
     const userCredential = await createUserWithEmailAndPassword(auth, email, password)
-    // Send email verification
     if (userCredential.user) {
+      // Keep the username as the account's display name and the profile's
+      const displayName = username?.trim()
+      if (displayName) {
+        await updateProfile(userCredential.user, { displayName })
+        try {
+          setProfile(await requestProfile(userCredential.user, 'PATCH', { displayName }))
+        } catch (error) {
+          console.error('Failed to save display name to profile:', error)
+        }
+      }
+      // Send email verification
       await sendEmailVerification(userCredential.user)
     }
     return userCredential
@@ -40,10 +70,29 @@ export function AuthProvider({ children }) {
     return signOut(auth)
   }
 
+  // Save profile changes (display name, avatar, favorite genres, locale, privacy)
+  async function updateUserProfile(changes) {
+    const updated = await requestProfile(currentUser, 'PATCH', changes)
+    setProfile(updated)
+    return updated
+  }
+
+  // Delete the library profile; a new one is created at the next sign-in
+  async function deleteUserProfile() {
+    await requestProfile(currentUser, 'DELETE')
+    setProfile(null)
+  }
+
   useEffect(() => {
     const unsubscribe = onAuthStateChanged(auth, (user) => {
       setCurrentUser(user)
+      setProfile(null)
       setLoading(false)
+      if (user) {
+        requestProfile(user)
+          .then(setProfile)
+          .catch((error) => console.error('Failed to load profile:', error))
+      }
     })
 
     return unsubscribe
@@ -51,9 +100,12 @@ export function AuthProvider({ children }) {
 
   const value = {
     currentUser,
+    profile,
     signup,
     login,
-    logout
+    logout,
+    updateUserProfile,
+    deleteUserProfile
   }
 
   return (
@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { useAuth } from './AuthContext'
+import { isAdmin, authHeaders } from '../utils/admin'
+import { ShelvesContext, bookKeys, shelfItemKeys, shelfItemRef } from '../utils/shelves'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+// Shelves of the signed-in reader, shared by every BookCard's shelf menu and
+// the My Library page. Each change reloads the shelves, since the API may
+// move a book off other shelves along the way.
+export function ShelvesProvider({ children }) {
+  const { currentUser } = useAuth()
+  const [shelves, setShelves] = useState([])
+  const [loading, setLoading] = useState(false)
+  // Admins never see reader pages
+  const enabled = Boolean(currentUser && !isAdmin(currentUser.email))
+
+  const request = useCallback(async (path, method = 'GET', body) => {
+    const response = await fetch(`${API_BASE_URL}/me/shelves${path}`, {
+      method,
+      headers: { ...(await authHeaders(currentUser)), 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.message || 'Shelf request failed')
+    }
+    return data.data
+  }, [currentUser])
+
+  const refresh = useCallback(async () => {
+    try {
+      setLoading(true)
+      setShelves(await request(''))
+    } catch (error) {
+      console.error('Error fetching shelves:', error)
+    } finally {
+      setLoading(false)
+    }
+  }, [request])
+
+  useEffect(() => {
+    if (enabled) {
+      refresh()
+    } else {
+      setShelves([])
+    }
+  }, [enabled, refresh])
+
+  // Shelf items by every key a card may be known by
+  const itemsByKey = useMemo(() => {
+    const index = new Map()
+    for (const shelf of shelves) {
+      for (const item of shelf.items) {
+        for (const key of shelfItemKeys(item)) {
+          if (!index.has(key)) index.set(key, [])
+          index.get(key).push({ shelf, item })
+        }
+      }
+    }
+    return index
+  }, [shelves])
+
+  // The shelves a card's book is on, each with its shelf item
+  const shelvesOf = useCallback((book, type) => {
+    const found = new Map()
+    for (const key of bookKeys(book, type)) {
+      for (const entry of itemsByKey.get(key) || []) found.set(entry.item._id, entry)
+    }
+    return [...found.values()]
+  }, [itemsByKey])
+
+  // Run a change, then reload the shelves whether or not it worked
+  const change = async (task) => {
+    try {
+      return await task()
+    } finally {
+      await refresh()
+    }
+  }
+
+  const value = {
+    enabled,
+    shelves,
+    loading,
+    refresh,
+    shelvesOf,
+    addToShelf: (shelfId, book, type) =>
+      change(() => request(`/${shelfId}/items`, 'POST', shelfItemRef(book, type))),
+    moveItem: (item, shelfId) =>
+      change(() => request(`/${item.shelf}/items/${item._id}`, 'PATCH', { shelf: shelfId })),
+    removeItem: (item) => change(() => request(`/${item.shelf}/items/${item._id}`, 'DELETE')),
+    createShelf: (fields) => change(() => request('', 'POST', fields)),
+    updateShelf: (shelfId, fields) => change(() => request(`/${shelfId}`, 'PATCH', fields)),
+    deleteShelf: (shelfId) => change(() => request(`/${shelfId}`, 'DELETE')),
+  }
+
+  return <ShelvesContext.Provider value={value}>{children}</ShelvesContext.Provider>
+}
+
+export default ShelvesProvider
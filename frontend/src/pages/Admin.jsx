@@ -1,26 +1,55 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import { isAdmin } from '../utils/admin'
+import { isAdmin, authHeaders, downloadFile } from '../utils/admin'
 import Navbar from '../components/Navbar'
 import Footer from '../components/Footer'
+import AdminTrash from '../components/AdminTrash'
+import AdminAuditLog from '../components/AdminAuditLog'
+import AdminImport from '../components/AdminImport'
+import AdminLinkHealth from '../components/AdminLinkHealth'
+import BookRevisions from '../components/BookRevisions'
+import BookEditions from '../components/BookEditions'
+import AcquisitionLinks from '../components/AcquisitionLinks'
+import AdminCategories from '../components/AdminCategories'
+import { coverUrl } from '../utils/catalog'
+import { fetchCategories, flattenCategories } from '../utils/categories'
 import './Admin.css'
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
 
-const BOOK_COLLECTIONS = [
+// The category collections follow these, one per category backed by a collection
+const FORMAT_COLLECTIONS = [
   { name: 'books', label: 'Books', endpoint: 'books' },
   { name: 'ebooks', label: 'E-Books', endpoint: 'ebooks' },
   { name: 'audiobooks', label: 'Audiobooks', endpoint: 'audiobooks' },
-  { name: 'fiction', label: 'Fiction', endpoint: 'fiction' },
-  { name: 'science', label: 'Science', endpoint: 'science' },
-  { name: 'biography', label: 'Biography', endpoint: 'biography' },
-  { name: 'fantasy', label: 'Fantasy', endpoint: 'fantasy' },
-  { name: 'history', label: 'History', endpoint: 'history' },
-  { name: 'technology', label: 'Technology', endpoint: 'technology' },
-  { name: 'romance', label: 'Romance', endpoint: 'romance' },
 ]
 
+const BOOKS_PAGE_SIZE = 50
+
+const EMPTY_BOOK_FORM = {
+  name: '',
+  ISBN: '',
+  author: '',
+  image_link: '',
+  amazon_link: '',
+  narrator: '',
+  description: '',
+  publisher: '',
+  pages: '',
+  tags: '',
+}
+
+// Form fields only the main books collection has
+const BOOK_DETAIL_FIELDS = ['description', 'publisher', 'pages', 'tags']
+
+// Record values as form input strings
+const toFormValue = (field, value) => {
+  if (value === undefined || value === null) return ''
+  if (field === 'tags') return value.join(', ')
+  return String(value)
+}
+
 function Admin() {
   const { currentUser } = useAuth()
   const navigate = useNavigate()
@@ -35,16 +64,37 @@ function Admin() {
   const [selectedCollection, setSelectedCollection] = useState('books')
   const [books, setBooks] = useState([])
   const [booksLoading, setBooksLoading] = useState(false)
+  const [booksPagination, setBooksPagination] = useState(null)
+  const [loadingMoreBooks, setLoadingMoreBooks] = useState(false)
   const [showBookForm, setShowBookForm] = useState(false)
   const [editingBook, setEditingBook] = useState(null)
-  const [bookFormData, setBookFormData] = useState({
-    name: '',
-    ISBN: '',
-    author: '',
-    image_link: '',
-    amazon_link: '',
-    narrator: '',
-  })
+  const [bookFormError, setBookFormError] = useState('')
+  const [bookFormNotice, setBookFormNotice] = useState('')
+  const [lookingUpIsbn, setLookingUpIsbn] = useState(false)
+  const [uploadingCover, setUploadingCover] = useState(false)
+  const [bookFormData, setBookFormData] = useState(EMPTY_BOOK_FORM)
+  const [exportFormat, setExportFormat] = useState('csv')
+  const [exporting, setExporting] = useState(false)
+  const [categories, setCategories] = useState([])
+  const [categoriesVersion, setCategoriesVersion] = useState(0)
+
+  const bookCollections = [
+    ...FORMAT_COLLECTIONS,
+    ...flattenCategories(categories)
+      .filter((category) => category.legacyCollection)
+      .map((category) => ({
+        name: category.legacyCollection,
+        label: category.name,
+        endpoint: category.legacyCollection,
+        category: true,
+      })),
+  ]
+
+  useEffect(() => {
+    fetchCategories()
+      .then(setCategories)
+      .catch((error) => console.error('Error fetching categories:', error))
+  }, [categoriesVersion])
 
   useEffect(() => {
     if (!currentUser) {
@@ -90,6 +140,7 @@ function Admin() {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          ...(await authHeaders(currentUser)),
         },
         body: JSON.stringify({ status, adminNotes: notes }),
       })
@@ -102,26 +153,32 @@ function Admin() {
   }
 
   // Book Management Functions
-  const fetchBooks = async () => {
+  // Loads the first page, or the page after `cursor` appended to the list
+  const fetchBooks = async (cursor = null) => {
+    const setLoading = cursor ? setLoadingMoreBooks : setBooksLoading
     try {
-      setBooksLoading(true)
-      const collection = BOOK_COLLECTIONS.find(c => c.name === selectedCollection)
-      const response = await fetch(`${API_BASE_URL}/${collection.endpoint}`)
+      setLoading(true)
+      const collection = bookCollections.find(c => c.name === selectedCollection)
+      const params = new URLSearchParams({ limit: BOOKS_PAGE_SIZE })
+      if (cursor) params.set('cursor', cursor)
+      const response = await fetch(`${API_BASE_URL}/${collection.endpoint}?${params}`)
       if (response.ok) {
         const data = await response.json()
-        setBooks(data)
+        setBooks((prev) => (cursor ? [...prev, ...data.data] : data.data))
+        setBooksPagination(data.pagination)
       }
     } catch (error) {
       console.error('Error fetching books:', error)
     } finally {
-      setBooksLoading(false)
+      setLoading(false)
     }
   }
 
   const handleBookSubmit = async (e) => {
     e.preventDefault()
+    setBookFormError('')
     try {
-      const collection = BOOK_COLLECTIONS.find(c => c.name === selectedCollection)
+      const collection = bookCollections.find(c => c.name === selectedCollection)
       const url = editingBook
         ? `${API_BASE_URL}/${collection.endpoint}/${editingBook._id}`
         : `${API_BASE_URL}/${collection.endpoint}`
@@ -129,12 +186,21 @@ function Admin() {
       const method = editingBook ? 'PUT' : 'POST'
       
       const bookData = { ...bookFormData }
+      if (selectedCollection !== 'books') {
+        BOOK_DETAIL_FIELDS.forEach((field) => delete bookData[field])
+      }
       if (selectedCollection !== 'audiobooks') {
         delete bookData.narrator
       }
       if (selectedCollection === 'books') {
         // books require amazon_link
-      } else if (['fiction', 'science', 'biography', 'fantasy', 'history', 'technology', 'romance'].includes(selectedCollection)) {
+        bookData.tags = bookData.tags.split(',').map((tag) => tag.trim()).filter(Boolean)
+        if (bookData.pages === '') {
+          delete bookData.pages
+        } else {
+          bookData.pages = Number(bookData.pages)
+        }
+      } else if (collection.category) {
         delete bookData.amazon_link
       }
 
@@ -142,23 +208,24 @@ function Admin() {
         method,
         headers: {
           'Content-Type': 'application/json',
+          ...(await authHeaders(currentUser)),
         },
         body: JSON.stringify(bookData),
       })
 
-      if (response.ok) {
-        setShowBookForm(false)
-        setEditingBook(null)
-        setBookFormData({
-          name: '',
-          ISBN: '',
-          author: '',
-          image_link: '',
-          amazon_link: '',
-          narrator: '',
-        })
-        fetchBooks()
+      const data = await response.json()
+      if (!response.ok) {
+        setBookFormError(data.message || 'Failed to save book')
+        return
       }
+      if (data.isbnElsewhere?.length) {
+        const collections = [...new Set(data.isbnElsewhere.map(match => match.collection))]
+        alert(`Saved. This ISBN is also listed in: ${collections.join(', ')}`)
+      }
+      setShowBookForm(false)
+      setEditingBook(null)
+      setBookFormData(EMPTY_BOOK_FORM)
+      fetchBooks()
     } catch (error) {
       console.error('Error saving book:', error)
     }
@@ -166,24 +233,85 @@ function Admin() {
 
   const handleEditBook = (book) => {
     setEditingBook(book)
-    setBookFormData({
-      name: book.name || '',
-      ISBN: book.ISBN || '',
-      author: book.author || '',
-      image_link: book.image_link || '',
-      amazon_link: book.amazon_link || '',
-      narrator: book.narrator || '',
-    })
+    setBookFormError('')
+    setBookFormNotice('')
+    setBookFormData(Object.fromEntries(
+      Object.keys(EMPTY_BOOK_FORM).map((field) => [field, toFormValue(field, book[field])])
+    ))
     setShowBookForm(true)
   }
 
+  // Fill the empty form fields from the book's ISBN; typed values are kept
+  const handleFillFromIsbn = async () => {
+    setBookFormError('')
+    setBookFormNotice('')
+    setLookingUpIsbn(true)
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/enrichment/${encodeURIComponent(bookFormData.ISBN)}?collection=${selectedCollection}`,
+        { headers: await authHeaders(currentUser) }
+      )
+      const data = await response.json()
+      if (!response.ok) {
+        setBookFormError(data.message || 'ISBN lookup failed')
+        return
+      }
+
+      const { fields } = data.data
+      const filled = Object.keys(EMPTY_BOOK_FORM)
+        .filter((field) => !bookFormData[field] && fields[field] !== undefined)
+      setBookFormData((prev) => ({
+        ...prev,
+        ...Object.fromEntries(filled.map((field) => [field, toFormValue(field, fields[field])])),
+      }))
+      setBookFormNotice(filled.length > 0
+        ? `Filled ${filled.join(', ')} from ${[...new Set(Object.values(data.data.sources))].join(', ')}`
+        : 'Every field found for this ISBN is already filled in')
+    } catch (error) {
+      console.error('Error looking up ISBN:', error)
+      setBookFormError('ISBN lookup failed')
+    } finally {
+      setLookingUpIsbn(false)
+    }
+  }
+
+  const handleUploadCover = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setBookFormError('')
+    setBookFormNotice('')
+    setUploadingCover(true)
+    try {
+      const response = await fetch(`${API_BASE_URL}/images/covers`, {
+        method: 'POST',
+        headers: { ...(await authHeaders(currentUser)), 'Content-Type': file.type },
+        body: file,
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        setBookFormError(data.message || 'Cover upload failed')
+        return
+      }
+      setBookFormData((prev) => ({ ...prev, image_link: data.data.image_link }))
+      setBookFormNotice(`Uploaded ${file.name} as the cover`)
+    } catch (error) {
+      console.error('Error uploading cover:', error)
+      setBookFormError('Cover upload failed')
+    } finally {
+      setUploadingCover(false)
+    }
+  }
+
   const handleDeleteBook = async (bookId) => {
-    if (!confirm('Are you sure you want to delete this book?')) return
+    if (!confirm('Move this book to the trash? It can be restored from the Trash tab.')) return
     
     try {
-      const collection = BOOK_COLLECTIONS.find(c => c.name === selectedCollection)
+      const collection = bookCollections.find(c => c.name === selectedCollection)
       const response = await fetch(`${API_BASE_URL}/${collection.endpoint}/${bookId}`, {
         method: 'DELETE',
+        headers: await authHeaders(currentUser),
       })
       if (response.ok) {
         fetchBooks()
@@ -193,6 +321,23 @@ function Admin() {
     }
   }
 
+  const handleExport = async () => {
+    setExporting(true)
+    try {
+      const extension = exportFormat === 'bibtex' ? 'bib' : exportFormat
+      await downloadFile(
+        `${API_BASE_URL}/export?collection=${selectedCollection}&format=${exportFormat}`,
+        currentUser,
+        `easyreads-${selectedCollection}.${extension}`
+      )
+    } catch (error) {
+      console.error('Error exporting books:', error)
+      alert(error.message)
+    } finally {
+      setExporting(false)
+    }
+  }
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'approved': return '#4caf50'
@@ -213,7 +358,7 @@ function Admin() {
         <div className="admin-content">
           <div className="admin-header">
             <h1 className="admin-title">Admin Dashboard</h1>
-            <p className="admin-subtitle">Manage book requests and books</p>
+            <p className="admin-subtitle">Manage book requests, books and deleted books</p>
           </div>
 
           <div className="admin-tabs">
@@ -229,8 +374,59 @@ function Admin() {
             >
               Book Management
             </button>
+            <button
+              className={`admin-tab ${activeTab === 'categories' ? 'active' : ''}`}
+              onClick={() => setActiveTab('categories')}
+            >
+              Categories
+            </button>
+            <button
+              className={`admin-tab ${activeTab === 'import' ? 'active' : ''}`}
+              onClick={() => setActiveTab('import')}
+            >
+              Import
+            </button>
+            <button
+              className={`admin-tab ${activeTab === 'trash' ? 'active' : ''}`}
+              onClick={() => setActiveTab('trash')}
+            >
+              Trash
+            </button>
+            <button
+              className={`admin-tab ${activeTab === 'links' ? 'active' : ''}`}
+              onClick={() => setActiveTab('links')}
+            >
+              Link Health
+            </button>
+            <button
+              className={`admin-tab ${activeTab === 'audit' ? 'active' : ''}`}
+              onClick={() => setActiveTab('audit')}
+            >
+              Audit Log
+            </button>
           </div>
 
+          {/* Audit Log Tab */}
+          {activeTab === 'audit' && <AdminAuditLog />}
+
+          {/* Categories Tab */}
+          {activeTab === 'categories' && (
+            <AdminCategories onChange={() => setCategoriesVersion((version) => version + 1)} />
+          )}
+
+          {/* Import Tab */}
+          {activeTab === 'import' && (
+            <AdminImport collections={bookCollections} />
+          )}
+
+          {/* Link Health Tab */}
+          {activeTab === 'links' && <AdminLinkHealth />}
+
+          {/* Trash Tab */}
+          {activeTab === 'trash' && (
+            <AdminTrash collections={bookCollections} />
+          )}
+
           {/* Book Requests Tab */}
           {activeTab === 'requests' && (
             <div className="admin-section">
@@ -330,6 +526,22 @@ function Admin() {
                       ))}
                     </tbody>
                   </table>
+                  {booksPagination && (
+                    <div className="admin-pagination">
+                      <span>
+                        Showing {books.length} of {booksPagination.total}
+                      </span>
+                      {booksPagination.hasNext && (
+                        <button
+                          className="load-more-btn"
+                          onClick={() => fetchBooks(booksPagination.nextCursor)}
+                          disabled={loadingMoreBooks}
+                        >
+                          {loadingMoreBooks ? 'Loading...' : 'Load more'}
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -346,24 +558,39 @@ function Admin() {
                     value={selectedCollection}
                     onChange={(e) => setSelectedCollection(e.target.value)}
                   >
-                    {BOOK_COLLECTIONS.map((collection) => (
+                    {bookCollections.map((collection) => (
                       <option key={collection.name} value={collection.name}>
                         {collection.label}
                       </option>
                     ))}
                   </select>
+                  <div className="export-controls">
+                    <select
+                      className="collection-select"
+                      value={exportFormat}
+                      onChange={(e) => setExportFormat(e.target.value)}
+                      aria-label="Export format"
+                    >
+                      <option value="csv">CSV</option>
+                      <option value="jsonl">JSON Lines</option>
+                      <option value="bibtex">BibTeX</option>
+                      <option value="ris">RIS</option>
+                    </select>
+                    <button
+                      className="admin-export-btn"
+                      onClick={handleExport}
+                      disabled={exporting}
+                    >
+                      {exporting ? 'Exporting...' : 'Export'}
+                    </button>
+                  </div>
                   <button
                     className="admin-add-btn"
                     onClick={() => {
                       setEditingBook(null)
-                      setBookFormData({
-                        name: '',
-                        ISBN: '',
-                        author: '',
-                        image_link: '',
-                        amazon_link: '',
-                        narrator: '',
-                      })
+                      setBookFormError('')
+                      setBookFormNotice('')
+                      setBookFormData(EMPTY_BOOK_FORM)
                       setShowBookForm(true)
                     }}
                   >
@@ -375,6 +602,8 @@ function Admin() {
               {showBookForm && (
                 <div className="book-form-container">
                   <form onSubmit={handleBookSubmit} className="book-form">
+                    {bookFormError && <div className="book-form-error">{bookFormError}</div>}
+                    {bookFormNotice && <div className="book-form-notice">{bookFormNotice}</div>}
                     <div className="form-row">
                       <div className="form-group">
                         <label>Book Name *</label>
@@ -387,12 +616,24 @@ function Admin() {
                       </div>
                       <div className="form-group">
                         <label>ISBN *</label>
-                        <input
-                          type="text"
-                          value={bookFormData.ISBN}
-                          onChange={(e) => setBookFormData({ ...bookFormData, ISBN: e.target.value })}
-                          required
-                        />
+                        <div className="isbn-input-group">
+                          <input
+                            type="text"
+                            placeholder="ISBN-10 or ISBN-13"
+                            value={bookFormData.ISBN}
+                            onChange={(e) => setBookFormData({ ...bookFormData, ISBN: e.target.value })}
+                            required
+                          />
+                          <button
+                            type="button"
+                            className="isbn-fill-btn"
+                            onClick={handleFillFromIsbn}
+                            disabled={lookingUpIsbn || !bookFormData.ISBN.trim()}
+                            title="Fill empty fields from the ISBN"
+                          >
+                            {lookingUpIsbn ? 'Looking up...' : 'Fill from ISBN'}
+                          </button>
+                        </div>
                       </div>
                     </div>
                     <div className="form-row">
@@ -419,12 +660,34 @@ function Admin() {
                     <div className="form-row">
                       <div className="form-group">
                         <label>Image Link *</label>
-                        <input
-                          type="url"
-                          value={bookFormData.image_link}
-                          onChange={(e) => setBookFormData({ ...bookFormData, image_link: e.target.value })}
-                          required
-                        />
+                        <div className="cover-input-group">
+                          {bookFormData.image_link && (
+                            <img
+                              src={coverUrl(bookFormData.image_link, 'small')}
+                              alt="Cover preview"
+                              className="book-thumbnail"
+                              onError={(e) => {
+                                e.target.src = '/placeholder-book.jpg'
+                              }}
+                            />
+                          )}
+                          <input
+                            type="url"
+                            value={bookFormData.image_link}
+                            onChange={(e) => setBookFormData({ ...bookFormData, image_link: e.target.value })}
+                            required
+                          />
+                          <label className={`cover-upload-btn ${uploadingCover ? 'disabled' : ''}`}>
+                            {uploadingCover ? 'Uploading...' : 'Upload cover'}
+                            <input
+                              type="file"
+                              accept="image/*"
+                              onChange={handleUploadCover}
+                              disabled={uploadingCover}
+                              hidden
+                            />
+                          </label>
+                        </div>
                       </div>
                       {(selectedCollection === 'books' || selectedCollection === 'ebooks' || selectedCollection === 'audiobooks') && (
                         <div className="form-group">
@@ -438,6 +701,51 @@ function Admin() {
                         </div>
                       )}
                     </div>
+                    {selectedCollection === 'books' && (
+                      <>
+                        <div className="form-row">
+                          <div className="form-group">
+                            <label>Publisher</label>
+                            <input
+                              type="text"
+                              value={bookFormData.publisher}
+                              onChange={(e) => setBookFormData({ ...bookFormData, publisher: e.target.value })}
+                            />
+                          </div>
+                          <div className="form-group">
+                            <label>Pages</label>
+                            <input
+                              type="number"
+                              min="1"
+                              value={bookFormData.pages}
+                              onChange={(e) => setBookFormData({ ...bookFormData, pages: e.target.value })}
+                            />
+                          </div>
+                        </div>
+                        <div className="form-row">
+                          <div className="form-group">
+                            <label>Subjects</label>
+                            <input
+                              type="text"
+                              placeholder="Comma-separated"
+                              value={bookFormData.tags}
+                              onChange={(e) => setBookFormData({ ...bookFormData, tags: e.target.value })}
+                            />
+                          </div>
+                        </div>
+                        <div className="form-row">
+                          <div className="form-group">
+                            <label>Description</label>
+                            <textarea
+                              rows="4"
+                              maxLength="5000"
+                              value={bookFormData.description}
+                              onChange={(e) => setBookFormData({ ...bookFormData, description: e.target.value })}
+                            />
+                          </div>
+                        </div>
+                      </>
+                    )}
                     <div className="form-actions">
                       <button type="submit" className="save-btn">
                         {editingBook ? 'Update Book' : 'Add Book'}
@@ -454,6 +762,22 @@ function Admin() {
                       </button>
                     </div>
                   </form>
+                  {editingBook && (
+                    <BookEditions collection={selectedCollection} recordId={editingBook._id} />
+                  )}
+                  {editingBook && (
+                    <AcquisitionLinks collection={selectedCollection} recordId={editingBook._id} />
+                  )}
+                  {editingBook && (
+                    <BookRevisions
+                      collection={selectedCollection}
+                      recordId={editingBook._id}
+                      onReverted={(book) => {
+                        handleEditBook(book)
+                        fetchBooks()
+                      }}
+                    />
+                  )}
                 </div>
               )}
 
@@ -481,7 +805,7 @@ function Admin() {
                           <td className="isbn-cell">{book.ISBN}</td>
                           <td>
                             <img
-                              src={book.image_link}
+                              src={coverUrl(book.image_link, 'small')}
                               alt={book.name}
                               className="book-thumbnail"
                               onError={(e) => {
@@ -509,6 +833,22 @@ function Admin() {
                       ))}
                     </tbody>
                   </table>
+                  {booksPagination && (
+                    <div className="admin-pagination">
+                      <span>
+                        Showing {books.length} of {booksPagination.total}
+                      </span>
+                      {booksPagination.hasNext && (
+                        <button
+                          className="load-more-btn"
+                          onClick={() => fetchBooks(booksPagination.nextCursor)}
+                          disabled={loadingMoreBooks}
+                        >
+                          {loadingMoreBooks ? 'Loading...' : 'Load more'}
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -0,0 +1,94 @@
+import { useState, useEffect } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import Navbar from '../components/Navbar'
+import Footer from '../components/Footer'
+import WorkEntry from '../components/WorkEntry'
+import './AuthorPage.css'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+// "1892–1973", "b. 1947" or "d. 1616"
+const lifespan = ({ birthYear, deathYear }) => {
+  if (birthYear != null && deathYear != null) return `${birthYear}–${deathYear}`
+  if (birthYear != null) return `b. ${birthYear}`
+  if (deathYear != null) return `d. ${deathYear}`
+  return null
+}
+
+function AuthorPage() {
+  const { key } = useParams()
+  const [author, setAuthor] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchAuthor = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const response = await fetch(`${API_BASE_URL}/authors/${encodeURIComponent(key)}`)
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to fetch author')
+        }
+        setAuthor(data.data)
+      } catch (err) {
+        console.error('Error fetching author:', err)
+        setAuthor(null)
+        setError(err.message)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchAuthor()
+  }, [key])
+
+  const years = author && lifespan(author)
+
+  return (
+    <div className="author-page">
+      <Navbar />
+      <main className="author-main">
+        {loading ? (
+          <div className="author-loading">Loading author...</div>
+        ) : error ? (
+          <div className="author-error">
+            <p>{error}</p>
+            <Link to={`/books?q=${encodeURIComponent(key)}`} className="author-search-link">
+              Search books for “{key}”
+            </Link>
+          </div>
+        ) : (
+          <div className="author-content">
+            <header className="author-header">
+              {author.photo && (
+                <img src={author.photo} alt={author.name} className="author-photo" />
+              )}
+              <div className="author-heading">
+                <h1 className="author-name">{author.name}</h1>
+                {years && <p className="author-lifespan">{years}</p>}
+                {author.aliases.length > 0 && (
+                  <p className="author-aliases">Also known as {author.aliases.join(', ')}</p>
+                )}
+                {author.bio && <p className="author-bio">{author.bio}</p>}
+              </div>
+            </header>
+
+            <section className="author-works">
+              <h2 className="author-works-title">
+                {author.works.length} {author.works.length === 1 ? 'work' : 'works'}
+              </h2>
+              {author.works.map((work) => (
+                <WorkEntry key={work._id} work={work} hiddenAuthors={[author.name, ...author.aliases]} />
+              ))}
+            </section>
+          </div>
+        )}
+      </main>
+      <Footer />
+    </div>
+  )
+}
+
+export default AuthorPage
@@ -1,122 +1,236 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { useSearchParams } from 'react-router-dom'
 import Navbar from '../components/Navbar'
 import Footer from '../components/Footer'
 import BookCard from '../components/BookCard'
+import { FORMAT_LABELS, workToCardBook } from '../utils/catalog'
+import { fetchCategories, flattenCategories, useCategories } from '../utils/categories'
 import './Books.css'
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
 
-const categories = [
-  { name: 'All Books', api: 'books' },
-  { name: 'Fiction', api: 'fiction' },
-  { name: 'Science', api: 'science' },
-  { name: 'Biography', api: 'biography' },
-  { name: 'Fantasy', api: 'fantasy' },
-  { name: 'History', api: 'history' },
-  { name: 'Technology', api: 'technology' },
-  { name: 'Romance', api: 'romance' },
+const PAGE_SIZE = 24
+
+// Facets in display order; each is a repeatable URL parameter (?genre=Fiction&genre=Fantasy)
+const facetConfig = [
+  { key: 'genre', title: 'Genre' },
+  { key: 'format', title: 'Format', label: (value) => FORMAT_LABELS[value] || value },
+  { key: 'author', title: 'Author' },
+  { key: 'decade', title: 'Published' },
+  { key: 'language', title: 'Language' },
+  { key: 'rating', title: 'Rating', label: (value) => `${value.replace('-', '–')} stars` },
 ]
 
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1)
+
 function Books() {
   const [searchParams, setSearchParams] = useSearchParams()
   const [books, setBooks] = useState([])
+  const [facets, setFacets] = useState({})
+  const [pagination, setPagination] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
   const [error, setError] = useState(null)
-  const [selectedCategory, setSelectedCategory] = useState(
-    searchParams.get('category') || 'books'
-  )
 
+  const categories = useCategories()
+  // Genre facet values that are categories come first, in taxonomy order
+  const taxonomy = new Map(flattenCategories(categories).map((category, index) => [category.name, { index, depth: category.depth }]))
+  const taxonomyRank = (value) => taxonomy.get(value)?.index ?? Number.MAX_SAFE_INTEGER
+
+  const query = searchParams.get('q') || ''
+
+  // Old links used ?category=fiction; translate them to the genre facet
   useEffect(() => {
-    const categoryParam = searchParams.get('category')
-    if (categoryParam) {
-      const category = categories.find((c) => c.api === categoryParam)
-      if (category) {
-        setSelectedCategory(category.api)
-      }
+    const category = searchParams.get('category')
+    if (!category) return
+
+    const translate = (tree) => {
+      const match = flattenCategories(tree).find((c) => c.slug === category || c.legacyCollection === category)
+      const next = new URLSearchParams(searchParams)
+      next.delete('category')
+      if (category !== 'books') next.append('genre', match ? match.name : capitalize(category))
+      setSearchParams(next, { replace: true })
     }
+    fetchCategories().then(translate, () => translate([]))
+  }, [searchParams, setSearchParams])
+
+  const fetchPage = useCallback(async (page) => {
+    const params = new URLSearchParams()
+    const q = searchParams.get('q')
+    if (q) params.set('q', q)
+    for (const { key } of facetConfig) {
+      for (const value of searchParams.getAll(key)) params.append(key, value)
+    }
+    params.set('page', page)
+    params.set('limit', PAGE_SIZE)
+    // Facet counts only change with the filters, not with the page
+    if (page > 1) params.set('facets', 'false')
+
+    const response = await fetch(`${API_BASE_URL}/search?${params}`)
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to fetch books')
+    }
+    return data
   }, [searchParams])
 
+  // The fetcher for the filters on screen, so Load more can drop a page
+  // that arrives after the filters changed
+  const currentFetch = useRef(fetchPage)
+
   useEffect(() => {
+    currentFetch.current = fetchPage
+    if (searchParams.get('category')) return
+
+    // A slow response for earlier filters must not replace newer results
+    let active = true
     const fetchBooks = async () => {
       try {
         setLoading(true)
-        const category = categories.find((c) => c.api === selectedCategory)
-        const url = category ? `${API_BASE_URL}/${category.api}` : `${API_BASE_URL}/books`
-        
-        const response = await fetch(url)
-        if (!response.ok) {
-          throw new Error('Failed to fetch books')
-        }
-        const data = await response.json()
-        setBooks(data)
+        const data = await fetchPage(1)
+        if (!active) return
+        setBooks(data.data.map(workToCardBook))
+        setFacets(data.facets || {})
+        setPagination(data.pagination)
         setError(null)
 
-        // Store visited category for recommendations
-        if (category && category.api !== 'books') {
-          const visitedCategories = JSON.parse(localStorage.getItem('visitedCategories')) || []
-          if (!visitedCategories.includes(category.api)) {
-            visitedCategories.push(category.api)
-            localStorage.setItem('visitedCategories', JSON.stringify(visitedCategories))
+        // Store visited categories for recommendations; Recommendations reads
+        // the legacy collections, so only categories backed by one count
+        const visitedCategories = JSON.parse(localStorage.getItem('visitedCategories')) || []
+        const tree = await fetchCategories().catch(() => [])
+        for (const genre of searchParams.getAll('genre')) {
+          const collection = flattenCategories(tree).find((c) => c.name === genre)?.legacyCollection
+          if (collection && !visitedCategories.includes(collection)) {
+            visitedCategories.push(collection)
           }
         }
+        localStorage.setItem('visitedCategories', JSON.stringify(visitedCategories))
       } catch (err) {
         console.error('Error fetching books:', err)
-        setError(err.message)
+        if (active) setError(err.message)
       } finally {
-        setLoading(false)
+        if (active) setLoading(false)
       }
     }
 
     fetchBooks()
-  }, [selectedCategory])
-
-  const handleCategoryChange = (categoryApi) => {
-    setSelectedCategory(categoryApi)
-    const category = categories.find((c) => c.api === categoryApi)
-    if (category && categoryApi !== 'books') {
-      setSearchParams({ category: categoryApi })
-    } else {
-      setSearchParams({})
+    return () => {
+      active = false
     }
+  }, [searchParams, fetchPage])
+
+  const handleLoadMore = async () => {
+    const requested = fetchPage
+    try {
+      setLoadingMore(true)
+      const data = await requested(pagination.page + 1)
+      if (currentFetch.current !== requested) return
+      setBooks((prev) => [...prev, ...data.data.map(workToCardBook)])
+      setPagination(data.pagination)
+    } catch (err) {
+      console.error('Error loading more books:', err)
+      if (currentFetch.current === requested) setError(err.message)
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  const toggleFacet = (key, value) => {
+    const next = new URLSearchParams(searchParams)
+    const selected = next.getAll(key)
+    next.delete(key)
+    const values = selected.includes(value)
+      ? selected.filter((v) => v !== value)
+      : [...selected, value]
+    values.forEach((v) => next.append(key, v))
+    setSearchParams(next)
   }
 
+  const clearFilters = () => {
+    setSearchParams(query ? { q: query } : {})
+  }
+
+  const hasFilters = facetConfig.some(({ key }) => searchParams.getAll(key).length > 0)
+
   return (
     <div className="books-page">
       <Navbar />
       <main className="books-main">
         <div className="books-content">
-          <h1 className="books-title">Books</h1>
-          
-          {/* Category Filter */}
-          <div className="books-categories">
-            {categories.map((category) => (
-              <button
-                key={category.api}
-                className={`category-button ${
-                  selectedCategory === category.api ? 'active' : ''
-                }`}
-                onClick={() => handleCategoryChange(category.api)}
-              >
-                {category.name}
-              </button>
-            ))}
-          </div>
-
-          {/* Books Grid */}
-          {loading ? (
-            <div className="books-loading">Loading books...</div>
-          ) : error ? (
-            <div className="books-error">Error: {error}</div>
-          ) : books.length === 0 ? (
-            <div className="books-empty">No books found in this category</div>
-          ) : (
-            <div className="books-grid">
-              {books.map((book) => (
-                <BookCard key={book._id || book.ISBN} book={book} type="book" />
-              ))}
-            </div>
+          <h1 className="books-title">
+            {query ? `Results for “${query}”` : 'Books'}
+          </h1>
+          {pagination && !loading && (
+            <p className="books-count">
+              {pagination.total}
+              {pagination.capped ? '+ books' : pagination.total === 1 ? ' book' : ' books'}
+            </p>
           )}
+
+          <div className="books-layout">
+            {/* Facet Filters */}
+            <aside className="books-facets">
+              {hasFilters && (
+                <button className="facet-clear" onClick={clearFilters}>
+                  Clear filters
+                </button>
+              )}
+              {facetConfig.map(({ key, title, label }) => {
+                const buckets = key === 'genre'
+                  ? [...(facets.genre || [])].sort((a, b) => taxonomyRank(a.value) - taxonomyRank(b.value))
+                  : facets[key] || []
+                if (buckets.length === 0) return null
+                const selected = searchParams.getAll(key)
+                return (
+                  <div key={key} className="facet-group">
+                    <h3 className="facet-title">{title}</h3>
+                    {buckets.map((bucket) => (
+                      <label
+                        key={bucket.value}
+                        className={`facet-option ${key === 'genre' && taxonomy.get(bucket.value)?.depth ? 'facet-option-nested' : ''}`}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(bucket.value)}
+                          onChange={() => toggleFacet(key, bucket.value)}
+                        />
+                        <span className="facet-label">{label ? label(bucket.value) : bucket.value}</span>
+                        <span className="facet-count">{bucket.count}</span>
+                      </label>
+                    ))}
+                  </div>
+                )
+              })}
+            </aside>
+
+            {/* Books Grid */}
+            <section className="books-results">
+              {loading ? (
+                <div className="books-loading">Loading books...</div>
+              ) : error ? (
+                <div className="books-error">Error: {error}</div>
+              ) : books.length === 0 ? (
+                <div className="books-empty">No books match these filters</div>
+              ) : (
+                <>
+                  <div className="books-grid">
+                    {books.map((book) => (
+                      <BookCard key={book._id} book={book} type={book.type} />
+                    ))}
+                  </div>
+                  {pagination?.hasNext && (
+                    <button
+                      className="books-load-more"
+                      onClick={handleLoadMore}
+                      disabled={loadingMore}
+                    >
+                      {loadingMore ? 'Loading...' : 'Load more'}
+                    </button>
+                  )}
+                </>
+              )}
+            </section>
+          </div>
         </div>
       </main>
       <Footer />
@@ -125,4 +239,3 @@ function Books() {
 }
 
 export default Books
-
@@ -1,6 +1,7 @@
 import Navbar from '../components/Navbar'
 import Footer from '../components/Footer'
 import Categories from '../components/Categories'
+import ContinueReading from '../components/ContinueReading'
 import Recommendations from '../components/Recommendations'
 import HorizontalScrollSection from '../components/HorizontalScrollSection'
 import GoogleBooksSection from '../components/GoogleBooksSection'
@@ -25,6 +26,9 @@ function Home() {
           {/* Categories Section */}
           <Categories />
 
+          {/* Continue Reading Section */}
+          <ContinueReading />
+
           {/* Recommendations Section */}
           <Recommendations />
 
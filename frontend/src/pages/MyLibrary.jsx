@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import Navbar from '../components/Navbar'
+import Footer from '../components/Footer'
+import BookCard from '../components/BookCard'
+import ReadingProgress from '../components/ReadingProgress'
+import { useAuth } from '../contexts/AuthContext'
+import { useShelves } from '../utils/shelves'
+import { requestProgress } from '../utils/progress'
+import './MyLibrary.css'
+
+// The reader's shelves: reading states first, then their custom shelves
+function MyLibrary() {
+  const { currentUser } = useAuth()
+  const { shelves, loading, createShelf, updateShelf, deleteShelf } = useShelves()
+  // Reading progress by edition ID
+  const [progress, setProgress] = useState({})
+  const [selectedId, setSelectedId] = useState(null)
+  const [newShelfName, setNewShelfName] = useState('')
+  const [renaming, setRenaming] = useState(null)
+  const [error, setError] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    requestProgress(currentUser)
+      .then((records) => setProgress(Object.fromEntries(records.map((record) => [record.edition, record]))))
+      .catch((err) => console.error('Error fetching reading progress:', err))
+  }, [currentUser])
+
+  const handleProgressSaved = (saved) => {
+    setProgress((prev) => ({ ...prev, [saved.edition]: saved }))
+  }
+
+  const selected = shelves.find((shelf) => shelf._id === selectedId) || shelves[0]
+
+  const run = async (task) => {
+    setSaving(true)
+    setError('')
+    try {
+      return await task()
+    } catch (err) {
+      console.error('Error updating shelves:', err)
+      setError(err.message)
+      return null
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    const shelf = await run(() => createShelf({ name: newShelfName }))
+    if (shelf) {
+      setNewShelfName('')
+      setSelectedId(shelf._id)
+    }
+  }
+
+  const handleRename = async (e) => {
+    e.preventDefault()
+    const shelf = await run(() => updateShelf(selected._id, { name: renaming }))
+    if (shelf) setRenaming(null)
+  }
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete the shelf "${selected.name}"? Its books stay on your other shelves.`)) return
+    await run(() => deleteShelf(selected._id))
+    setSelectedId(null)
+  }
+
+  return (
+    <div className="library-page">
+      <Navbar />
+      <main className="library-main">
+        <h1 className="library-title">My Library</h1>
+
+        {loading && shelves.length === 0 ? (
+          <div className="library-loading">Loading your shelves...</div>
+        ) : (
+          <div className="library-layout">
+            <aside className="library-shelves">
+              {shelves.map((shelf) => (
+                <button
+                  key={shelf._id}
+                  className={`library-shelf-tab ${shelf._id === selected?._id ? 'active' : ''}`}
+                  onClick={() => {
+                    setSelectedId(shelf._id)
+                    setRenaming(null)
+                  }}
+                >
+                  <span>{shelf.name}</span>
+                  <span className="library-shelf-count">{shelf.items.length}</span>
+                </button>
+              ))}
+              <form className="library-new-shelf" onSubmit={handleCreate}>
+                <input
+                  type="text"
+                  value={newShelfName}
+                  onChange={(e) => setNewShelfName(e.target.value)}
+                  maxLength={60}
+                  placeholder="New shelf name"
+                />
+                <button type="submit" disabled={saving || !newShelfName.trim()}>
+                  Add
+                </button>
+              </form>
+            </aside>
+
+            {selected && (
+              <section className="library-shelf">
+                {error && <div className="library-error">{error}</div>}
+                <header className="library-shelf-header">
+                  {renaming !== null ? (
+                    <form className="library-rename" onSubmit={handleRename}>
+                      <input
+                        type="text"
+                        value={renaming}
+                        onChange={(e) => setRenaming(e.target.value)}
+                        maxLength={60}
+                        autoFocus
+                      />
+                      <button type="submit" disabled={saving}>Save</button>
+                      <button type="button" onClick={() => setRenaming(null)}>Cancel</button>
+                    </form>
+                  ) : (
+                    <h2 className="library-shelf-name">{selected.name}</h2>
+                  )}
+                  {!selected.status && renaming === null && (
+                    <div className="library-shelf-actions">
+                      <button onClick={() => setRenaming(selected.name)} disabled={saving}>
+                        Rename
+                      </button>
+                      <button className="library-delete" onClick={handleDelete} disabled={saving}>
+                        Delete
+                      </button>
+                    </div>
+                  )}
+                </header>
+
+                {selected.items.length === 0 ? (
+                  <div className="library-empty">
+                    No books on this shelf yet. Use the shelf button on any book in{' '}
+                    <Link to="/books">Books</Link> to add it here.
+                  </div>
+                ) : (
+                  <div className="library-grid">
+                    {selected.items.map((item) => (
+                      <div key={item._id} className="library-item">
+                        <BookCard book={item.book} type={item.book.type} />
+                        <ReadingProgress
+                          book={item.book}
+                          type={item.book.type}
+                          progress={progress[item.edition]}
+                          onSaved={handleProgressSaved}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </section>
+            )}
+          </div>
+        )}
+      </main>
+      <Footer />
+    </div>
+  )
+}
+
+export default MyLibrary
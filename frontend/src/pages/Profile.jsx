@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
+import Navbar from '../components/Navbar'
+import Footer from '../components/Footer'
+import { useAuth } from '../contexts/AuthContext'
+import { useCategories, flattenCategories } from '../utils/categories'
+import './Profile.css'
+
+// Languages offered for the interface; the browser's own is added when missing
+const LOCALES = ['en', 'en-GB', 'en-US', 'es', 'fr', 'de', 'it', 'nl', 'pt-BR', 'ja']
+
+const localeLabel = (tag) => {
+  try {
+    return new Intl.DisplayNames([tag], { type: 'language' }).of(tag)
+  } catch {
+    return tag
+  }
+}
+
+const PRIVACY_OPTIONS = [
+  {
+    key: 'profile',
+    title: 'Profile',
+    hint: 'Display name, avatar and favorite genres',
+  },
+]
+
+const formFrom = (profile) => ({
+  displayName: profile?.displayName || '',
+  avatar: profile?.avatar || '',
+  favoriteGenres: profile?.favoriteGenres || [],
+  locale: profile?.locale || 'en',
+  privacy: {
+    profile: profile?.privacy?.profile || 'private',
+  },
+})
+
+// Profile settings of the signed-in reader
+function Profile() {
+  const { currentUser, profile, updateUserProfile, deleteUserProfile, logout } = useAuth()
+  const navigate = useNavigate()
+  const categories = useCategories()
+  const [formData, setFormData] = useState(() => formFrom(profile))
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
+
+  // The profile arrives after the page may have rendered
+  useEffect(() => {
+    setFormData(formFrom(profile))
+  }, [profile])
+
+  const locales = [...new Set([...LOCALES, navigator.language, formData.locale].filter(Boolean))]
+
+  const toggleGenre = (name) => {
+    setFormData((prev) => ({
+      ...prev,
+      favoriteGenres: prev.favoriteGenres.includes(name)
+        ? prev.favoriteGenres.filter((genre) => genre !== name)
+        : [...prev.favoriteGenres, name],
+    }))
+  }
+
+  const setPrivacy = (key, value) => {
+    setFormData((prev) => ({ ...prev, privacy: { ...prev.privacy, [key]: value } }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setError('')
+    setNotice('')
+    try {
+      await updateUserProfile(formData)
+      setNotice('Profile saved')
+    } catch (err) {
+      console.error('Error saving profile:', err)
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!confirm('Delete your profile, shelves and reading progress? Your account stays and you will be signed out.')) return
+
+    try {
+      await deleteUserProfile()
+      await logout()
+      navigate('/login')
+    } catch (err) {
+      console.error('Error deleting profile:', err)
+      setError(err.message)
+    }
+  }
+
+  const initial = (formData.displayName || currentUser.email || '?')[0].toUpperCase()
+
+  return (
+    <div className="profile-page">
+      <Navbar />
+      <main className="profile-main">
+        <h1 className="profile-title">Profile Settings</h1>
+        {!profile ? (
+          <div className="profile-loading">Loading profile...</div>
+        ) : (
+          <form className="profile-form" onSubmit={handleSubmit}>
+            {error && <div className="profile-error">{error}</div>}
+            {notice && <div className="profile-notice">{notice}</div>}
+
+            <section className="profile-section profile-identity">
+              {formData.avatar ? (
+                <img
+                  src={formData.avatar}
+                  alt="Avatar"
+                  className="profile-avatar"
+                  onError={(e) => {
+                    e.target.style.visibility = 'hidden'
+                  }}
+                />
+              ) : (
+                <div className="profile-avatar profile-avatar-initial">{initial}</div>
+              )}
+              <div className="profile-fields">
+                <label className="profile-field">
+                  <span>Display name</span>
+                  <input
+                    type="text"
+                    value={formData.displayName}
+                    onChange={(e) => setFormData({ ...formData, displayName: e.target.value })}
+                    maxLength={60}
+                    placeholder={currentUser.email}
+                  />
+                </label>
+                <label className="profile-field">
+                  <span>Avatar URL</span>
+                  <input
+                    type="url"
+                    value={formData.avatar}
+                    onChange={(e) => setFormData({ ...formData, avatar: e.target.value })}
+                    placeholder="https://..."
+                  />
+                </label>
+                <p className="profile-hint">Signed in as {currentUser.email}</p>
+              </div>
+            </section>
+
+            <section className="profile-section">
+              <h2 className="profile-section-title">Favorite genres</h2>
+              <div className="profile-genres">
+                {flattenCategories(categories).map((category) => (
+                  <button
+                    key={category._id}
+                    type="button"
+                    className={`profile-genre ${formData.favoriteGenres.includes(category.name) ? 'active' : ''}`}
+                    onClick={() => toggleGenre(category.name)}
+                  >
+                    {category.name}
+                  </button>
+                ))}
+              </div>
+            </section>
+
+            <section className="profile-section">
+              <h2 className="profile-section-title">Language</h2>
+              <select
+                className="profile-select"
+                value={formData.locale}
+                onChange={(e) => setFormData({ ...formData, locale: e.target.value })}
+              >
+                {locales.map((tag) => (
+                  <option key={tag} value={tag}>
+                    {localeLabel(tag)} ({tag})
+                  </option>
+                ))}
+              </select>
+            </section>
+
+            <section className="profile-section">
+              <h2 className="profile-section-title">Privacy</h2>
+              {PRIVACY_OPTIONS.map((option) => (
+                <div key={option.key} className="profile-privacy">
+                  <div>
+                    <div className="profile-privacy-title">{option.title}</div>
+                    <div className="profile-hint">{option.hint}</div>
+                  </div>
+                  <select
+                    className="profile-select"
+                    value={formData.privacy[option.key]}
+                    onChange={(e) => setPrivacy(option.key, e.target.value)}
+                  >
+                    <option value="private">Only me</option>
+                    <option value="public">Everyone</option>
+                  </select>
+                </div>
+              ))}
+            </section>
+
+            <div className="profile-actions">
+              <button type="submit" className="profile-save" disabled={saving}>
+                {saving ? 'Saving...' : 'Save changes'}
+              </button>
+              <button type="button" className="profile-delete" onClick={handleDelete}>
+                Delete profile
+              </button>
+            </div>
+          </form>
+        )}
+      </main>
+      <Footer />
+    </div>
+  )
+}
+
+export default Profile
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react'
 import { useAuth } from '../contexts/AuthContext'
+import { authHeaders } from '../utils/admin'
 import Navbar from '../components/Navbar'
 import Footer from '../components/Footer'
 import './Requests.css'
@@ -52,6 +53,7 @@ function Requests() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(await authHeaders(currentUser)),
         },
         body: JSON.stringify({
           bookName: formData.bookName,
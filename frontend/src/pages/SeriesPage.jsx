@@ -0,0 +1,70 @@
+import { useState, useEffect } from 'react'
+import { useParams } from 'react-router-dom'
+import Navbar from '../components/Navbar'
+import Footer from '../components/Footer'
+import WorkEntry from '../components/WorkEntry'
+import './SeriesPage.css'
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+function SeriesPage() {
+  const { key } = useParams()
+  const [series, setSeries] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    const fetchSeries = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+        const response = await fetch(`${API_BASE_URL}/series/${encodeURIComponent(key)}`)
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to fetch series')
+        }
+        setSeries(data.data)
+      } catch (err) {
+        console.error('Error fetching series:', err)
+        setSeries(null)
+        setError(err.message)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchSeries()
+  }, [key])
+
+  return (
+    <div className="series-page">
+      <Navbar />
+      <main className="series-main">
+        {loading ? (
+          <div className="series-loading">Loading series...</div>
+        ) : error ? (
+          <div className="series-error">{error}</div>
+        ) : (
+          <div className="series-content">
+            <header className="series-header">
+              <h1 className="series-name">{series.name}</h1>
+              <p className="series-count">
+                {series.works.length} {series.works.length === 1 ? 'book' : 'books'} in reading order
+              </p>
+              {series.description && <p className="series-description">{series.description}</p>}
+            </header>
+
+            <section className="series-works">
+              {series.works.map((work) => (
+                <WorkEntry key={work._id} work={work} position={work.position} hiddenSeries={series._id} />
+              ))}
+            </section>
+          </div>
+        )}
+      </main>
+      <Footer />
+    </div>
+  )
+}
+
+export default SeriesPage
@@ -17,3 +17,24 @@ export const isAdmin = (userEmail) => {
   return adminEmails.includes(userEmail.toLowerCase())
 }
 
+
+// Authorization header for API routes that need a signed-in (or admin) user
+export const authHeaders = async (user) => {
+  const token = await user.getIdToken()
+  return { Authorization: `Bearer ${token}` }
+}
+
+// Download an admin-only file (the link can't carry the auth header itself)
+export const downloadFile = async (url, user, filename) => {
+  const response = await fetch(url, { headers: await authHeaders(user) })
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}))
+    throw new Error(data.message || 'Download failed')
+  }
+  const blobUrl = URL.createObjectURL(await response.blob())
+  const link = document.createElement('a')
+  link.href = blobUrl
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(blobUrl)
+}
@@ -0,0 +1,125 @@
+// Helpers for catalog (work/edition) responses
+
+// Prefer the print edition for links and covers, then whichever comes first
+const FORMAT_PREFERENCE = ['print', 'ebook', 'audiobook']
+
+export const FORMAT_LABELS = {
+  print: 'Print',
+  ebook: 'eBook',
+  audiobook: 'Audiobook',
+}
+
+// Split a comma- or ampersand-joined author line into names
+export const splitAuthors = (author) =>
+  String(author || '')
+    .split(/\s*(?:,|&)\s*/)
+    .map((name) => name.trim())
+    .filter((name) => name.length > 0)
+
+// Author page path for a credited name; the API resolves names and aliases
+export const authorPath = (name) => `/authors/${encodeURIComponent(name)}`
+
+// Series page path for a series slug or ID
+export const seriesPath = (key) => `/series/${encodeURIComponent(key)}`
+
+// "Discworld #2.5" for a series link from /api/series or a work's `series`
+export const seriesLabel = (link) => `${link.series.name} #${link.position}`
+
+// Uploaded covers are stored in several widths at /api/images/covers/<id>/<size>
+const UPLOADED_COVER = /(\/images\/covers\/[0-9a-f]{24}\/)(?:small|medium|large)$/
+
+// Cover link in the given size: "small" (160px wide) for lists, "medium" (400px)
+// for cards and tiles, "large" (800px). Links to other sites are returned as they are.
+export const coverUrl = (link, size) => (link ? link.replace(UPLOADED_COVER, `$1${size}`) : link)
+
+// Kinds of acquisition link, in the order the chooser groups them
+export const ACQUISITION_TYPE_LABELS = {
+  retailer: 'Buy',
+  publisher: 'Publisher store',
+  library: 'Borrow from a library',
+  subscription: 'Subscription',
+}
+
+// Link with its affiliate tag: filled into a {tag} placeholder when the URL has
+// one, otherwise added as the `tag` query parameter retailers such as Amazon use
+export const acquisitionUrl = (link) => {
+  if (!link.affiliateTag) return link.url
+  const tag = encodeURIComponent(link.affiliateTag)
+  if (link.url.includes('{tag}')) return link.url.replaceAll('{tag}', tag)
+  try {
+    const url = new URL(link.url)
+    url.searchParams.set('tag', link.affiliateTag)
+    return url.toString()
+  } catch {
+    return link.url
+  }
+}
+
+// Country part of the browser language ("en-GB" -> "GB"), if it has one
+const userRegion = () => {
+  const match = /-([A-Za-z]{2})\b/.exec(navigator.language || '')
+  return match ? match[1].toUpperCase() : null
+}
+
+// Links for the reader's country first, then links without a region, then the rest
+const regionRank = (region, own) => {
+  if (region && region === own) return 0
+  return region ? 2 : 1
+}
+
+// Every place to get a book, grouped by type and nearest region first. The
+// legacy amazon_link is offered as a retailer unless the list already has it.
+export const acquisitionOptions = (book) => {
+  const links = [...(book.acquisitionLinks || [])]
+  if (book.amazon_link && !links.some((link) => link.url === book.amazon_link)) {
+    links.push({ type: 'retailer', name: 'Amazon', url: book.amazon_link })
+  }
+
+  const own = userRegion()
+  const types = Object.keys(ACQUISITION_TYPE_LABELS)
+  return links
+    .map((link, index) => ({ link, index }))
+    .sort((a, b) =>
+      types.indexOf(a.link.type) - types.indexOf(b.link.type) ||
+      regionRank(a.link.region, own) - regionRank(b.link.region, own) ||
+      a.index - b.index)
+    .map(({ link }) => link)
+}
+
+// "$12.99" in the reader's locale, or null for a link without a price
+export const formatPrice = (price) => {
+  if (price?.amount == null || !price.currency) return null
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency: price.currency }).format(price.amount)
+  } catch {
+    return `${price.amount} ${price.currency}`
+  }
+}
+
+// Pick the edition a card should link to
+export const primaryEdition = (work) => {
+  const editions = work.editions || []
+  for (const format of FORMAT_PREFERENCE) {
+    const edition = editions.find((e) => e.format === format)
+    if (edition) return edition
+  }
+  return editions[0] || null
+}
+
+// Flatten a work from /api/search or /api/catalog into the shape BookCard expects
+export const workToCardBook = (work) => {
+  const edition = primaryEdition(work) || {}
+  return {
+    _id: work._id,
+    name: work.title,
+    author: (work.authors || []).join(', '),
+    ISBN: edition.ISBN,
+    image_link: edition.image_link || work.editions?.find((e) => e.image_link)?.image_link,
+    amazon_link: edition.amazon_link,
+    acquisitionLinks: edition.acquisitionLinks || [],
+    narrator: edition.narrator,
+    type: edition.format === 'audiobook' ? 'audiobook' : 'book',
+    formats: work.formats || [],
+    highlights: work.highlights,
+  }
+}
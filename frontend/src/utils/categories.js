@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react'
+
+// Helpers for the category taxonomy served by /api/categories
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+// One request per page load; admins clear it after editing the taxonomy
+let categoriesRequest = null
+
+// Top-level categories in display order, each with nested `children`
+export const fetchCategories = () => {
+  if (!categoriesRequest) {
+    categoriesRequest = fetch(`${API_BASE_URL}/categories`)
+      .then(async (response) => {
+        const data = await response.json()
+        if (!response.ok) throw new Error(data.message || 'Failed to load categories')
+        return data.data
+      })
+      .catch((error) => {
+        categoriesRequest = null
+        throw error
+      })
+  }
+  return categoriesRequest
+}
+
+export const clearCategoriesCache = () => {
+  categoriesRequest = null
+}
+
+// Every category of a tree, parents before their subgenres, with its `depth`
+export const flattenCategories = (tree, depth = 0) =>
+  tree.flatMap((category) => [{ ...category, depth }, ...flattenCategories(category.children || [], depth + 1)])
+
+// Books page filtered to a category's genre
+export const categoryPath = (category) => `/books?genre=${encodeURIComponent(category.name)}`
+
+// The category tree, or [] while it loads or when it cannot be loaded
+export const useCategories = () => {
+  const [categories, setCategories] = useState([])
+
+  useEffect(() => {
+    let active = true
+    fetchCategories()
+      .then((tree) => {
+        if (active) setCategories(tree)
+      })
+      .catch((error) => console.error('Error fetching categories:', error))
+    return () => {
+      active = false
+    }
+  }, [])
+
+  return categories
+}
@@ -0,0 +1,8 @@
+// ISBN utility functions
+
+// Strip hyphens and spaces so an ISBN can be used in URLs and lookups.
+// The backend stores ISBNs as bare ISBN-13, but older records may still be hyphenated.
+export const cleanIsbn = (isbn) => {
+  if (!isbn) return ''
+  return String(isbn).replace(/[-\s]/g, '').toUpperCase()
+}
@@ -0,0 +1,40 @@
+import { authHeaders } from './admin'
+
+// Helpers for reading progress served by /api/me/progress
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api'
+
+// Call /api/me/progress as the signed-in reader; resolves with the response data
+export const requestProgress = async (user, path = '', method = 'GET', body) => {
+  const response = await fetch(`${API_BASE_URL}/me/progress${path}`, {
+    method,
+    headers: { ...(await authHeaders(user)), 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  })
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.message || 'Progress request failed')
+  }
+  return data.data
+}
+
+// 5025 -> "1:23:45", 125 -> "2:05"
+export const formatTimestamp = (seconds) => {
+  const total = Math.floor(seconds || 0)
+  const h = Math.floor(total / 3600)
+  const m = Math.floor((total % 3600) / 60)
+  const s = String(total % 60).padStart(2, '0')
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`
+}
+
+// "Page 120 of 300", "1:23:45 of 10:05:00", or the percentage when that is all there is
+export const progressLabel = (progress) => {
+  if (progress.finishedAt) return 'Finished'
+  if (progress.format === 'audiobook' && progress.position != null && progress.duration) {
+    return `${formatTimestamp(progress.position)} of ${formatTimestamp(progress.duration)}`
+  }
+  if (progress.page != null && progress.totalPages) {
+    return `Page ${progress.page} of ${progress.totalPages}`
+  }
+  return `${progress.percent}%`
+}
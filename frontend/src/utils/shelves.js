@@ -0,0 +1,38 @@
+import { createContext, useContext } from 'react'
+import { cleanIsbn } from './isbn'
+
+// Helpers for the reader's shelves served by /api/me/shelves
+
+// Edition format and API collection of each BookCard type
+const TYPE_FORMATS = { book: 'print', ebook: 'ebook', audiobook: 'audiobook' }
+const FORMAT_COLLECTIONS = { print: 'books', ebook: 'ebooks', audiobook: 'audiobooks' }
+
+export const ShelvesContext = createContext(null)
+
+// Shelves of the signed-in reader; see ShelvesProvider for what it holds
+export const useShelves = () => useContext(ShelvesContext)
+
+const formatOf = (type) => TYPE_FORMATS[type] || 'print'
+
+// Only books from the library can be shelved, not Google Books results
+export const canShelve = (book) => Boolean((book._id || book.ISBN) && !book.volumeInfo)
+
+// What the API needs to find a card's book: its collection, id and ISBN
+export const shelfItemRef = (book, type) => ({
+  collection: FORMAT_COLLECTIONS[formatOf(type)],
+  id: book._id,
+  ISBN: book.ISBN,
+})
+
+// Keys a card may be known by. Cards carry a legacy record, edition or work
+// ID depending on the list they come from, so the ISBN is matched as well.
+export const bookKeys = (book, type) => {
+  const format = formatOf(type)
+  return [book._id, book.editionId, book.ISBN && `isbn:${cleanIsbn(book.ISBN)}`]
+    .filter(Boolean)
+    .map((key) => `${format}:${key}`)
+}
+
+// Keys of a shelf item, matching those of the cards showing its edition
+export const shelfItemKeys = (item) =>
+  [item.edition, item.work, ...item.legacyIds, `isbn:${item.ISBN}`].map((key) => `${item.format}:${key}`)